@@ -20,8 +20,8 @@ CREATE TABLE IF NOT EXISTS receipts (
     file_path TEXT,
     ocr_data JSONB,
     category_id VARCHAR(50) REFERENCES categories(id),
-    status VARCHAR(20) DEFAULT 'processed', -- processed, flagged, submitted, approved, rejected
-    duplicate_status VARCHAR(20) DEFAULT 'none', -- none, detected, potential
+    status VARCHAR(20) DEFAULT 'processed', -- processed, flagged, submitted, approved, rejected, deleted
+    duplicate_status VARCHAR(20) DEFAULT 'none', -- none, detected, potential, cross_user
     duplicate_of VARCHAR(50),
     duplicate_confidence FLOAT,
     potential_duplicates JSONB,
@@ -67,3 +67,367 @@ INSERT INTO categories (id, name, icon, color) VALUES
 ('health', 'Health & Wellness', 'heart', 'pink'),
 ('misc', 'Miscellaneous', 'more-horizontal', 'gray')
 ON CONFLICT (id) DO NOTHING;
+
+-- Exact-file duplicate index (SHA-256 of the uploaded file)
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS file_hash VARCHAR(64);
+
+-- Backfill from OCR data, keeping only the earliest upload of each file per user
+UPDATE receipts r SET file_hash = r.ocr_data->>'fileHash'
+WHERE r.file_hash IS NULL
+  AND r.ocr_data->>'fileHash' IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM receipts o
+    WHERE o.user_id = r.user_id
+      AND o.ocr_data->>'fileHash' = r.ocr_data->>'fileHash'
+      AND (o.uploaded_at, o.id) < (r.uploaded_at, r.id)
+  );
+
+-- Unique per user among live receipts: see idx_receipts_user_file_hash_live under RECEIPT DELETION
+
+-- Perceptual (difference) hash for near-duplicate image detection
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS perceptual_hash BIT(256);
+
+-- Matches against other employees' receipts (shared bills, reused invoices)
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS cross_user_matches JSONB;
+
+-- ==================== APPROVAL WORKFLOWS ====================
+
+-- Workflow definitions: ordered steps, each with an approver role and optional
+-- conditions ({ minAmount, maxAmount, categories }). The highest-priority active
+-- workflow whose conditions match a claim is used.
+CREATE TABLE IF NOT EXISTS approval_workflows (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    priority INTEGER DEFAULT 0,
+    conditions JSONB DEFAULT '{}',
+    steps JSONB NOT NULL,
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO approval_workflows (id, name, priority, conditions, steps) VALUES
+('default', 'Standard approval', 0, '{}', '[
+    {"key": "manager", "name": "Line Manager", "role": "manager"},
+    {"key": "department_head", "name": "Department Head", "role": "department_head"},
+    {"key": "finance", "name": "Finance", "role": "finance"},
+    {"key": "cfo", "name": "CFO", "role": "cfo", "conditions": {"minAmount": 5000}}
+]')
+ON CONFLICT (id) DO NOTHING;
+
+-- Who approves each role. employee_id NULL means the approver covers every
+-- employee (e.g. the finance team); otherwise it is that employee's approver.
+CREATE TABLE IF NOT EXISTS approval_assignments (
+    id SERIAL PRIMARY KEY,
+    role VARCHAR(50) NOT NULL,
+    approver_id VARCHAR(100) NOT NULL,
+    employee_id VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_approval_assignments_unique
+    ON approval_assignments (role, approver_id, COALESCE(employee_id, ''));
+
+-- Per-claim approval steps, created at submit time
+CREATE TABLE IF NOT EXISTS expense_approval_steps (
+    id SERIAL PRIMARY KEY,
+    expense_id VARCHAR(50) NOT NULL,
+    step_order INTEGER NOT NULL,
+    step_key VARCHAR(50) NOT NULL,
+    name VARCHAR(100),
+    role VARCHAR(50),
+    approver_ids TEXT[] DEFAULT '{}', -- empty = any admin
+    status VARCHAR(20) DEFAULT 'waiting', -- waiting, pending, approved, rejected, skipped
+    decided_by VARCHAR(100),
+    decided_at TIMESTAMP,
+    notes TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_approval_steps_expense
+    ON expense_approval_steps (expense_id, step_order);
+
+-- Claim timeline (submitted, step_approved, approved, rejected)
+CREATE TABLE IF NOT EXISTS expense_timeline (
+    id SERIAL PRIMARY KEY,
+    expense_id VARCHAR(50) NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    status VARCHAR(50),
+    actor_id VARCHAR(100),
+    step_key VARCHAR(50),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_timeline_expense
+    ON expense_timeline (expense_id, created_at);
+
+-- Claim status is pending_<step key> while in a workflow (pending_verification for older claims)
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS workflow_id VARCHAR(50);
+
+-- ==================== EXPENSE POLICIES ====================
+
+-- Declarative policy rules (see services/policyService.js for rule types).
+-- severity: warn (shown to employee and reviewer) or block (claim cannot be submitted)
+CREATE TABLE IF NOT EXISTS expense_policies (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(30) NOT NULL, -- max_amount, daily_cap, prohibited_items, weekend, receipt_age
+    severity VARCHAR(10) DEFAULT 'warn',
+    categories TEXT[] DEFAULT '{}', -- empty = all categories
+    params JSONB DEFAULT '{}',
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO expense_policies (id, name, type, severity, categories, params) VALUES
+('meal_per_diem', 'Meal per-diem', 'daily_cap', 'warn', '{meals}', '{"limit": 100}'),
+('travel_daily_cap', 'Travel daily cap', 'daily_cap', 'warn', '{travel}', '{"limit": 1000}'),
+('no_alcohol', 'No alcohol', 'prohibited_items', 'block', '{}',
+    '{"keywords": ["beer", "wine", "whisky", "whiskey", "vodka", "gin", "rum", "sake", "soju", "tequila", "champagne", "cocktail", "liquor", "brandy", "cider", "heineken", "carlsberg", "guinness"]}'),
+('weekend_spend', 'Weekend spend', 'weekend', 'warn', '{}', '{"days": [0, 6]}'),
+('receipt_age', 'Receipt age limit', 'receipt_age', 'block', '{}', '{"maxDays": 90}')
+ON CONFLICT (id) DO NOTHING;
+
+-- Latest policy evaluation (upload, then re-run at submit)
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS policy_violations JSONB DEFAULT '[]';
+
+-- Warnings the claim was submitted with, for the reviewer
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS policy_violations JSONB DEFAULT '[]';
+
+-- ==================== MULTI-CURRENCY ====================
+
+-- Historical exchange rates: 1 unit of currency = rate units of base_currency
+CREATE TABLE IF NOT EXISTS fx_rates (
+    currency VARCHAR(3) NOT NULL,
+    base_currency VARCHAR(3) NOT NULL,
+    rate_date DATE NOT NULL,
+    rate NUMERIC(18, 8) NOT NULL,
+    source VARCHAR(100),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (currency, base_currency, rate_date)
+);
+
+-- Conversion applied at submit time
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS base_amount DECIMAL(12, 2);
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS base_currency VARCHAR(3);
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS fx_rate NUMERIC(18, 8);
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS fx_rate_date DATE;
+
+-- total and category_breakdown are in the claim currency (the org base currency);
+-- original_amounts holds the unconverted totals per original currency
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS currency VARCHAR(3);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS original_amounts JSONB;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS fx_conversions JSONB;
+
+-- ==================== OCR CORRECTIONS ====================
+
+-- Untouched AI output, kept once a receipt has been edited by hand
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS ai_ocr_data JSONB;
+
+-- Field-level audit trail of manual edits
+CREATE TABLE IF NOT EXISTS receipt_corrections (
+    id SERIAL PRIMARY KEY,
+    receipt_id VARCHAR(50) NOT NULL,
+    field VARCHAR(50) NOT NULL,
+    ai_value JSONB,
+    previous_value JSONB,
+    new_value JSONB,
+    corrected_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_receipt_corrections_receipt
+    ON receipt_corrections (receipt_id, created_at);
+
+-- Admin duplicate decision, kept when the receipt is edited:
+-- { isDuplicate, receiptIds (matches reviewed), resolvedBy, resolvedAt, notes }
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS duplicate_resolution JSONB;
+
+-- ==================== RECEIPT DELETION ====================
+
+-- Deleted receipts stay as tombstones (status 'deleted') so duplicate
+-- detection and fraud review can still match against them
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(100);
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS deleted_from_status VARCHAR(20);
+
+-- A deleted file may be uploaded again
+DROP INDEX IF EXISTS idx_receipts_user_file_hash;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_receipts_user_file_hash_live
+    ON receipts (user_id, file_hash) WHERE file_hash IS NOT NULL AND deleted_at IS NULL;
+
+-- ==================== FILE STORAGE ====================
+
+-- Storage driver holding the file (local, s3); file_name is the object key
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS storage_backend VARCHAR(20) DEFAULT 'local';
+
+-- ==================== BACKGROUND JOBS ====================
+
+-- Postgres-backed job queue (OCR, duplicate analysis); dead = dead letter
+CREATE TABLE IF NOT EXISTS jobs (
+    id BIGSERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    subject_id VARCHAR(50), -- e.g. the receipt being processed
+    payload JSONB DEFAULT '{}',
+    status VARCHAR(20) DEFAULT 'queued', -- queued, running, completed, dead
+    attempts INT DEFAULT 0,
+    max_attempts INT DEFAULT 3,
+    run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    locked_by VARCHAR(100),
+    locked_at TIMESTAMP,
+    last_error TEXT,
+    result JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs (status, run_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_subject ON jobs (subject_id);
+
+-- Receipts are 'processing' until their job finishes, 'failed' if it was dead-lettered
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS processing_error TEXT;
+
+-- ==================== MULTI-RECEIPT UPLOADS ====================
+
+-- One uploaded PDF can hold several receipts. The first stays on the uploaded
+-- row; each other one gets its own row (and a file with just its pages)
+-- linked back to the upload.
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS source_receipt_id VARCHAR(50);
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS source_pages INTEGER[]; -- 1-based pages of the uploaded file
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS page_count INTEGER; -- pages in the uploaded file
+
+CREATE INDEX IF NOT EXISTS idx_receipts_source ON receipts (source_receipt_id) WHERE source_receipt_id IS NOT NULL;
+
+-- ==================== MANUAL ENTRY ====================
+
+-- Receipts OCR could not fully read wait in 'needs_review' (file kept) until
+-- the employee enters the merchant, date and amount
+UPDATE receipts SET status = 'needs_review' WHERE status = 'needs_manual_entry';
+
+-- ==================== OCR VALIDATION ====================
+
+-- Result of validating OCR output against the versioned schema:
+-- { schemaVersion, valid, errors: [{ field, code, message, value }], normalized }
+ALTER TABLE receipts ADD COLUMN IF NOT EXISTS ocr_validation JSONB;
+
+-- ==================== CATEGORY MANAGEMENT ====================
+
+-- Categories, with the keywords and merchant names used for auto-categorisation,
+-- are managed here (admin screen). Retired categories stay for existing receipts.
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS keywords TEXT[];
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS merchants TEXT[];
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS active BOOLEAN DEFAULT true;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS sort_order INT DEFAULT 0;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Seed the preset keyword lists once (NULL = never set; admins may clear them to '{}')
+UPDATE categories c SET keywords = v.keywords, merchants = v.merchants, sort_order = v.sort_order
+FROM (VALUES
+    ('travel', ARRAY['airline', 'airport', 'taxi', 'uber', 'lyft', 'train', 'bus', 'transit', 'parking', 'toll', 'fuel', 'gas', 'rental car', 'hotel', 'lodging', 'accommodation'],
+     ARRAY['uber', 'lyft', 'grab', 'taxi', 'shell', 'esso', 'petronas', 'airasia', 'malaysia airlines', 'singapore airlines', 'booking.com', 'agoda', 'expedia', 'airbnb'], 1),
+    ('meals', ARRAY['restaurant', 'cafe', 'coffee', 'food', 'lunch', 'dinner', 'breakfast', 'meal', 'catering', 'bar', 'pub'],
+     ARRAY['mcdonalds', 'kfc', 'starbucks', 'coffee bean', 'pizza hut', 'dominos', 'subway', 'sushi', 'ramen', 'korean bbq', 'steakhouse', 'seafood'], 2),
+    ('office', ARRAY['stationery', 'paper', 'pen', 'printer', 'ink', 'toner', 'stapler', 'folder', 'notebook'],
+     ARRAY['popular', 'muji', 'daiso', 'staples', 'office depot'], 3),
+    ('tech', ARRAY['software', 'subscription', 'app', 'license', 'domain', 'hosting', 'cloud', 'data', 'saas', 'zoom', 'slack', 'jira'],
+     ARRAY['adobe', 'microsoft', 'google', 'aws', 'azure', 'zoom', 'slack', 'atlassian', 'github'], 4),
+    ('communications', ARRAY['phone', 'mobile', 'internet', 'broadband', 'telecom', 'data plan'],
+     ARRAY['digi', 'maxis', 'celcom', 'umobile', 'yes', 'unifi', 't-mobile', 'verizon', 'att'], 5),
+    ('professional', ARRAY['legal', 'accounting', 'audit', 'consulting', 'advisory', 'lawyer', 'tax'],
+     ARRAY['pwc', 'ey', 'kpmg', 'deloitte', 'law firm', 'consulting'], 6),
+    ('marketing', ARRAY['advertising', 'promotion', 'marketing', 'campaign', 'sponsorship', 'facebook ads', 'google ads', 'printing', 'banner'],
+     ARRAY['facebook ads', 'google ads', 'linkedin ads', 'tiktok ads', 'canva', 'shutterstock'], 7),
+    ('utilities', ARRAY['electricity', 'water', 'gas', 'maintenance', 'repair', 'cleaning', 'rent', 'facility'],
+     ARRAY['tenaga nasional', 'tnb', 'syabas', 'air selangor'], 8),
+    ('training', ARRAY['training', 'course', 'certification', 'seminar', 'workshop', 'conference', 'learning', 'tuition'],
+     ARRAY['udemy', 'coursera', 'linkedin learning', 'pluralsight'], 9),
+    ('equipment', ARRAY['laptop', 'computer', 'monitor', 'keyboard', 'mouse', 'furniture', 'desk', 'chair', 'hardware', 'machinery'],
+     ARRAY['apple store', 'dell', 'hp', 'lenovo', 'ikea', 'harvey norman'], 10),
+    ('insurance', ARRAY['insurance', 'premium', 'coverage', 'liability', 'medical insurance', 'health insurance'],
+     ARRAY['allianz', 'prudential', 'aia', 'manulife', 'axa'], 11),
+    ('logistics', ARRAY['shipping', 'delivery', 'courier', 'postage', 'mail', 'freight', 'fedex', 'dhl', 'ups', 'poslaju'],
+     ARRAY['fedex', 'dhl', 'ups', 'poslaju', 'j&t', 'grabexpress'], 12),
+    ('health', ARRAY['medical', 'pharmacy', 'doctor', 'dentist', 'clinic', 'hospital', 'medicine', 'gym'],
+     ARRAY['guardian', 'watsons', 'caring'], 13),
+    ('misc', '{}'::TEXT[],
+     '{}'::TEXT[], 999)
+) AS v(id, keywords, merchants, sort_order)
+WHERE c.id = v.id AND c.keywords IS NULL;
+
+UPDATE categories SET keywords = '{}' WHERE keywords IS NULL;
+UPDATE categories SET merchants = '{}' WHERE merchants IS NULL;
+
+-- ==================== LEARNED CATEGORISATION ====================
+
+-- Merchant -> category memory, learned from categories employees and admins
+-- confirmed (submitted claims) or corrected. One deployment is one organisation.
+CREATE TABLE IF NOT EXISTS merchant_categories (
+    merchant_key VARCHAR(255) NOT NULL,
+    category_id VARCHAR(50) NOT NULL,
+    weight INT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (merchant_key, category_id)
+);
+
+-- ==================== ORGANISATION ANALYTICS ====================
+
+-- Employee's department (from the auth token) when the claim was submitted
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS department VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_submitted_at ON expenses (submitted_at);
+CREATE INDEX IF NOT EXISTS idx_receipts_expense_id ON receipts (expense_id);
+
+-- ==================== BUDGETS ====================
+
+-- Monthly or quarterly spend limits in the base currency (see services/budgetService.js).
+-- department and category_id scope the budget; either may be NULL (= all) but not both
+CREATE TABLE IF NOT EXISTS budgets (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    period VARCHAR(10) NOT NULL DEFAULT 'month', -- month, quarter
+    amount DECIMAL(12, 2) NOT NULL,
+    department VARCHAR(100),
+    category_id VARCHAR(50),
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Budgets the claim took over when it was submitted, for the reviewer
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS budget_alerts JSONB DEFAULT '[]';
+
+-- ==================== ACCOUNTING EXPORT ====================
+
+-- GL account and tax code per category (see services/accountingExportService.js)
+CREATE TABLE IF NOT EXISTS account_mappings (
+    category_id VARCHAR(50) PRIMARY KEY REFERENCES categories(id),
+    account_code VARCHAR(50) NOT NULL,
+    tax_code VARCHAR(50),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Export files, kept for download; content is NULL until the file is written
+CREATE TABLE IF NOT EXISTS accounting_exports (
+    id VARCHAR(50) PRIMARY KEY,
+    format VARCHAR(10) NOT NULL, -- csv, xero, iif
+    from_date DATE NOT NULL,
+    to_date DATE NOT NULL,
+    claim_count INT DEFAULT 0,
+    total DECIMAL(12, 2) DEFAULT 0.00,
+    currency VARCHAR(3),
+    content TEXT,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The export that took an approved claim; a claim is exported at most once
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS exported_at TIMESTAMP;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS export_id VARCHAR(50);
+
+-- Employee's name (from the auth token) when the claim was submitted, for bills
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS employee_name VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_export
+    ON expenses (verified_at) WHERE status = 'approved' AND exported_at IS NULL;
@@ -28,8 +28,25 @@ const initDb = async () => {
   }
 };
 
+// Run fn(client) between BEGIN and COMMIT on one pooled connection, rolling back if it throws
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
   pool,
-  initDb
+  initDb,
+  withTransaction
 };
@@ -5,12 +5,29 @@ const cookieParser = require('cookie-parser');
 const db = require('./config/db');
 const uniapiService = require('./services/uniapiService');
 const duplicateDetectionService = require('./services/duplicateDetectionService');
-const { autoCategorize, getAllCategories, getCategoryById } = require('./config/categories');
-const { requireAuth, requireApiAuth, requireAdmin, AUTH_URL } = require('./middleware/auth');
+const approvalWorkflowService = require('./services/approvalWorkflowService');
+const policyService = require('./services/policyService');
+const fxService = require('./services/fxService');
+const analyticsService = require('./services/analyticsService');
+const budgetService = require('./services/budgetService');
+const accountingExportService = require('./services/accountingExportService');
+const receiptCorrectionService = require('./services/receiptCorrectionService');
+const ocrReviewService = require('./services/ocrReviewService');
+const storageService = require('./services/storageService');
+const fileLinkService = require('./services/fileLinkService');
+const jobQueueService = require('./services/jobQueueService');
+const receiptProcessingService = require('./services/receiptProcessingService');
+const bulkUploadService = require('./services/bulkUploadService');
+const eventStreamService = require('./services/eventStreamService');
+const categoryService = require('./services/categoryService');
+const categoryClassifierService = require('./services/categoryClassifierService');
+const { getAllCategories, getCategoryById } = categoryService;
+const { requireAuth, requireApiAuth, requireAdmin, optionalAuth, AUTH_URL } = require('./middleware/auth');
 const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
+const os = require('os');
 
 const app = express();
 const PORT = process.env.PORT || 11002;
@@ -30,9 +47,6 @@ app.use(cookieParser());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve uploaded files statically
-app.use('/uploads', express.static('uploads'));
-
 // Serve static frontend files (production build)
 const publicPath = path.join(__dirname, '../public');
 if (fs.existsSync(publicPath)) {
@@ -43,10 +57,11 @@ if (fs.existsSync(publicPath)) {
 }
 
 // Configure multer for file uploads
+// Files land in a temp directory and are moved into storageService once processed
 const storage = multer.diskStorage({
-  destination: './uploads/',
+  destination: path.join(os.tmpdir(), 'ee-expenses-uploads'),
   filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`);
+    cb(null, `${Date.now()}-${file.originalname.replace(/[\\/]/g, '_')}`);
   }
 });
 
@@ -64,11 +79,145 @@ const upload = multer({
   }
 });
 
-// UniAPI config
-const uniapiConfig = {
-  key: process.env.UNIAPI_KEY,
-  baseUrl: process.env.UNIAPI_BASE_URL,
-  model: process.env.UNIAPI_MODEL
+// Bulk uploads: receipts and ZIP archives of receipts, checked per file by bulkUploadService
+// (a bad file fails on its own instead of rejecting the batch)
+const BULK_UPLOAD_MAX_FILES = 50;
+const bulkUpload = multer({
+  storage: multer.diskStorage({
+    destination: path.join(os.tmpdir(), 'ee-expenses-uploads'),
+    filename: (req, file, cb) => {
+      // Batches often repeat names (image.jpg from several phones)
+      cb(null, `${Date.now()}-${uuidv4().slice(0, 8)}-${file.originalname.replace(/[\\/]/g, '_')}`);
+    }
+  }),
+  limits: { fileSize: 50 * 1024 * 1024, files: BULK_UPLOAD_MAX_FILES } // 50MB for ZIP archives
+});
+
+// FX rate file imports (CSV or JSON, kept in memory)
+const rateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+});
+
+// Deleted receipt files: 'archive' (default) moves them under deleted/ for fraud review, 'remove' deletes them
+const DELETED_FILE_MODE = process.env.DELETED_RECEIPT_FILES === 'remove' ? 'remove' : 'archive';
+
+// Only receipts that are not part of a claim can be deleted
+const DELETABLE_STATUSES = ['processed', 'flagged', 'failed', 'needs_review'];
+
+// Storage driver holding a receipt's file (rows from before storage drivers are local)
+const receiptStorage = (row) => storageService.getStorage(row.storage_backend || 'local');
+
+// Map a receipts row to the API shape (camelCase for the frontend)
+const mapReceiptRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  fileName: row.file_name,
+  originalName: row.original_name,
+  mimeType: row.mime_type,
+  fileSize: row.file_size,
+  originalSize: row.original_size,
+  filePath: row.file_path,
+  ocrData: row.ocr_data,
+  category: row.category_id,
+  status: row.status,
+  duplicateStatus: row.duplicate_status,
+  duplicateOf: row.duplicate_of,
+  duplicateConfidence: row.duplicate_confidence,
+  potentialDuplicates: row.potential_duplicates,
+  duplicateResolution: row.duplicate_resolution || null,
+  uploadedAt: row.uploaded_at,
+  processedAt: row.processed_at,
+  updatedAt: row.updated_at,
+  expenseId: row.expense_id,
+  tamperCheck: row.tamper_check,
+  fileHash: row.file_hash,
+  policyViolations: row.policy_violations || [],
+  aiOcrData: row.ai_ocr_data || null,
+  deletedAt: row.deleted_at || null,
+  processingError: row.processing_error || null,
+  missingFields: row.status === 'needs_review' ? receiptCorrectionService.missingFields(row.ocr_data) : [],
+  ocrReview: ocrReviewService.reviewOcrData(row.ocr_data),
+  ocrValidation: row.ocr_validation || null,
+  sourceReceiptId: row.source_receipt_id || null,
+  sourcePages: row.source_pages || null,
+  pageCount: row.page_count || null,
+  fileUrl: fileLinkService.filePath(row.id)
+});
+
+// Map an expenses row to the API shape
+const mapExpenseRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  department: row.department || null,
+  category: row.category,
+  notes: row.notes,
+  receiptIds: row.receipt_ids,
+  total: row.total,
+  currency: row.currency,
+  originalAmounts: row.original_amounts,
+  fxConversions: row.fx_conversions,
+  categoryBreakdown: row.category_breakdown,
+  status: row.status,
+  workflowId: row.workflow_id,
+  submittedAt: row.submitted_at,
+  verifiedAt: row.verified_at,
+  verifiedBy: row.verified_by,
+  verificationNotes: row.verification_notes,
+  policyViolations: row.policy_violations || [],
+  budgetAlerts: row.budget_alerts || [],
+  exportedAt: row.exported_at || null,
+  exportId: row.export_id || null,
+  receipts: row.receipts_data
+});
+
+// Employee's department from the auth hub token (used for org analytics and budgets)
+const userDepartment = (req) => (
+  typeof req.user?.department === 'string' ? req.user.department.slice(0, 100) : null
+);
+
+// Receipt snapshots on a claim with signed file links for embedding in admin views
+const withSignedReceiptLinks = (expense) => ({
+  ...expense,
+  receipts: (expense.receipts || []).map(receipt => ({
+    ...receipt,
+    fileName: receipt.fileName || receipt.file_name,
+    fileUrl: fileLinkService.signFileLink(receipt.id).url
+  }))
+});
+
+// Attach approval steps to mapped expense claims
+const withApprovalSteps = async (expenses) => {
+  if (expenses.length === 0) return expenses;
+  const result = await db.query(
+    'SELECT * FROM expense_approval_steps WHERE expense_id = ANY($1) ORDER BY step_order ASC',
+    [expenses.map(e => e.id)]
+  );
+  return expenses.map(e => {
+    const approvalSteps = result.rows
+      .filter(row => row.expense_id === e.id)
+      .map(approvalWorkflowService.mapStepRow);
+    return { ...e, approvalSteps, currentStep: approvalSteps.find(s => s.status === 'pending') || null };
+  });
+};
+
+const isAdminUser = (user) => !!user && (user.isAdmin || user.role === 'admin');
+
+// Archive or remove the file of a deleted receipt
+const disposeReceiptFile = async (receipt) => {
+  const fileStorage = receiptStorage(receipt);
+  if (!(await fileStorage.exists(receipt.file_name))) {
+    return { outcome: 'missing', filePath: null, fileName: receipt.file_name };
+  }
+
+  if (DELETED_FILE_MODE === 'remove') {
+    await fileStorage.delete(receipt.file_name);
+    return { outcome: 'removed', filePath: null, fileName: receipt.file_name };
+  }
+
+  const archivedName = `deleted/${path.basename(receipt.file_name)}`;
+  const moved = await fileStorage.move(receipt.file_name, archivedName);
+  return { outcome: 'archived', filePath: moved.location, fileName: archivedName };
 };
 
 // ==================== PUBLIC API ROUTES ====================
@@ -78,9 +227,9 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString(), mode: 'postgresql' });
 });
 
-// Get all categories (public)
+// Get all categories (public); ?includeRetired=true adds retired ones (for old receipts)
 app.get('/api/categories', (req, res) => {
-  res.json({ categories: getAllCategories() });
+  res.json({ categories: getAllCategories({ includeRetired: req.query.includeRetired === 'true' }) });
 });
 
 // Test DB endpoint
@@ -196,7 +345,9 @@ app.post('/api/logout', (req, res) => {
 
 // ==================== PROTECTED API ROUTES ====================
 
-// Upload receipt to shoebox with auto-categorization and duplicate detection
+// Upload receipt to shoebox
+// Stores the file and returns a `processing` receipt straight away; OCR,
+// categorisation and duplicate detection run in a background job.
 app.post('/api/receipts/upload', requireApiAuth, upload.single('receipt'), async (req, res) => {
   try {
     if (!req.file) {
@@ -207,129 +358,134 @@ app.post('/api/receipts/upload', requireApiAuth, upload.single('receipt'), async
     const userId = req.userId;
     console.log(`📄 Processing upload for user: ${userId}`);
 
-    // OCR processing with UniAPI
-    let ocrResult;
-    try {
-      ocrResult = await uniapiService.extractReceiptData(req.file.path);
-    } catch (ocrError) {
-      console.error('OCR failed:', ocrError.message);
-      // Return mock OCR data for testing without UniAPI key
-      ocrResult = {
-        merchant: 'Test Merchant',
-        date: new Date().toISOString().split('T')[0],
-        amount: Math.floor(Math.random() * 100) + 10,
-        currency: 'MYR',
-        currencySymbol: 'RM',
-        category: '',
-        billReference: '',
-        paymentMethod: ''
-      };
-    }
-
-    // Check for duplicate by bill reference (if available)
-    if (ocrResult.billReference) {
-      const existingByRef = await db.query(
-        'SELECT * FROM receipts WHERE user_id = $1 AND ocr_data->>\'billReference\' = $2 LIMIT 1',
-        [userId, ocrResult.billReference]
-      );
-      
-      if (existingByRef.rows.length > 0) {
-        const existing = existingByRef.rows[0];
-        console.log(`🚫 Duplicate bill reference detected: ${ocrResult.billReference}`);
-        return res.status(409).json({
-          error: 'Duplicate receipt detected',
-          type: 'duplicate_bill_reference',
-          existingReceiptId: existing.id,
-          message: `Receipt with reference ${ocrResult.billReference} already exists.`,
-          existingData: existing.ocr_data
-        });
-      }
+    // Stores the file and queues OCR; byte-identical re-uploads are rejected before any OCR call
+    const result = await receiptProcessingService.ingestFile(db, userId, {
+      key: req.file.filename,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      path: req.file.path
+    });
+
+    if (result.status === 'duplicate') {
+      return res.status(409).json({
+        error: 'Duplicate receipt detected',
+        type: 'exact_duplicate',
+        existingReceiptId: result.existingReceiptId,
+        message: 'This file has already been uploaded.',
+        existingData: result.existingData
+      });
     }
 
-    // Validate OCR result against schema
-    const validatedData = uniapiService.validateReceiptData(ocrResult);
+    res.status(202).json({
+      success: true,
+      receiptId: result.receiptId,
+      status: 'processing',
+      jobId: result.jobId
+    });
 
-    // AI/Auto-categorization Logic
-    let categoryId = 'misc';
-    
-    // Priority 1: Use Gemini's category if it matches our list
-    if (validatedData.category && getCategoryById(validatedData.category).id !== 'misc') {
-      categoryId = validatedData.category;
-      console.log(`🤖 Using Gemini category: ${categoryId}`);
-    } 
-    // Priority 2: Fallback to keyword/merchant matching
-    else {
-      const fallbackCategory = autoCategorize(validatedData.merchant, validatedData.items || []);
-      if (fallbackCategory !== 'misc') {
-        categoryId = fallbackCategory;
-        console.log(`🔍 Using keyword fallback category: ${categoryId}`);
-      }
-    }
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    if (req.file) fs.unlink(req.file.path, () => {});
+  }
+});
 
-    validatedData.category = categoryId;
-    validatedData.categoryName = getCategoryById(categoryId).name;
+// Upload many receipts and/or ZIP archives of receipts at once
+app.post('/api/receipts/upload/batch', requireApiAuth, (req, res, next) => {
+  bulkUpload.array('receipts', BULK_UPLOAD_MAX_FILES)(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `Upload at most ${BULK_UPLOAD_MAX_FILES} files at once (field "receipts")`
+        : err.code === 'LIMIT_FILE_SIZE' ? 'Files must be under 50MB' : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
 
-    // Check for duplicates
-    const potentialDuplicates = await duplicateDetectionService.findPotentialDuplicates(
-      db, validatedData, userId
-    );
+    console.log(`📦 Bulk upload of ${req.files.length} file(s) for user: ${req.userId}`);
+    const { results, summary } = await bulkUploadService.ingestBatch(db, req.userId, req.files);
 
-    let duplicateStatus = 'none';
-    let duplicateOf = null;
-    let duplicateConfidence = 0;
+    res.json({ success: true, summary, results });
 
-    // If high confidence duplicates found, use AI for deep analysis
-    if (potentialDuplicates.length > 0 && potentialDuplicates[0].confidence >= 80) {
-      try {
-        const aiAnalysis = await duplicateDetectionService.aiDuplicateAnalysis(
-          req.file.path, potentialDuplicates, uniapiConfig
-        );
-        
-        if (aiAnalysis.isDuplicate && aiAnalysis.confidence > 0.7) {
-          duplicateStatus = 'detected';
-          duplicateOf = aiAnalysis.matchedReceiptId || potentialDuplicates[0].id;
-          duplicateConfidence = aiAnalysis.confidence;
-        }
-      } catch (aiError) {
-        console.error('AI duplicate analysis failed:', aiError.message);
-      }
-    }
+  } catch (error) {
+    console.error('Bulk upload error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  } finally {
+    (req.files || []).forEach(file => fs.unlink(file.path, () => {}));
+  }
+});
 
-    // Save to PostgreSQL
-    const receiptId = uuidv4();
-    await db.query(
-      `INSERT INTO receipts (
-        id, user_id, file_name, original_name, mime_type, file_size, original_size, 
-        file_path, ocr_data, category_id, status, duplicate_status, duplicate_of, 
-        duplicate_confidence, potential_duplicates
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
-      [
-        receiptId, userId, req.file.filename, req.file.originalname, req.file.mimetype,
-        ocrResult.fileSize || req.file.size, ocrResult.originalSize || req.file.size,
-        req.file.path, JSON.stringify(validatedData), categoryId,
-        duplicateStatus === 'detected' ? 'flagged' : 'processed',
-        duplicateStatus, duplicateOf, duplicateConfidence, 
-        JSON.stringify(potentialDuplicates.slice(0, 3))
-      ]
+// Processing status of a receipt and its latest background job
+app.get('/api/receipts/:receiptId/status', requireApiAuth, async (req, res) => {
+  try {
+    const { receiptId } = req.params;
+    const result = await db.query(
+      'SELECT * FROM receipts WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [receiptId, req.userId]
     );
 
-    console.log(`✅ Receipt saved: ${receiptId}`);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    const [job] = await jobQueueService.listJobs(db, { subjectId: receiptId, limit: 1 });
+    const receipt = result.rows[0];
 
     res.json({
-      success: true,
-      receiptId: receiptId,
-      data: validatedData,
-      fileInfo: {
-        originalSize: ocrResult.originalSize || req.file.size,
-        processedSize: ocrResult.fileSize || req.file.size,
-        reduction: ocrResult.originalSize ? (((ocrResult.originalSize - ocrResult.fileSize) / ocrResult.originalSize) * 100).toFixed(1) + '%' : '0%'
-      },
-      duplicateStatus,
-      potentialDuplicates: potentialDuplicates.slice(0, 3)
+      receiptId,
+      status: receipt.status,
+      processingError: receipt.processing_error,
+      job: job ? {
+        id: job.id,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        runAt: job.runAt,
+        lastError: job.lastError
+      } : null,
+      receipt: receipt.status === 'processing' ? null : mapReceiptRow(receipt)
     });
 
   } catch (error) {
-    console.error('Upload error:', error);
+    console.error('Get receipt status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live receipt and claim status changes for the authenticated user (Server-Sent Events)
+app.get('/api/events', requireApiAuth, (req, res) => {
+  eventStreamService.openStream(req, res, req.userId);
+});
+
+// Queue a failed or unread receipt for processing again (only if owned by user)
+app.post('/api/receipts/:receiptId/reprocess', requireApiAuth, async (req, res) => {
+  try {
+    const { receiptId } = req.params;
+    const updated = await db.query(
+      `UPDATE receipts SET status = 'processing', processing_error = NULL, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND status IN ('failed', 'needs_review') AND deleted_at IS NULL`,
+      [receiptId, req.userId]
+    );
+
+    if (updated.rowCount === 0) {
+      return res.status(409).json({ error: 'Only failed or unread receipts can be processed again' });
+    }
+
+    const job = await jobQueueService.enqueue(
+      db, receiptProcessingService.JOB_TYPE, { receiptId }, { subjectId: receiptId }
+    );
+
+    res.status(202).json({ success: true, receiptId, status: 'processing', jobId: job.id });
+
+  } catch (error) {
+    console.error('Reprocess receipt error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -340,7 +496,7 @@ app.get('/api/receipts', requireApiAuth, async (req, res) => {
     const userId = req.userId;
     const { status, limit = 50 } = req.query;
 
-    let queryStr = 'SELECT * FROM receipts WHERE user_id = $1';
+    let queryStr = 'SELECT * FROM receipts WHERE user_id = $1 AND deleted_at IS NULL';
     const queryParams = [userId];
 
     if (status) {
@@ -354,28 +510,7 @@ app.get('/api/receipts', requireApiAuth, async (req, res) => {
     const result = await db.query(queryStr, queryParams);
     
     // Map back to camelCase for frontend compatibility
-    const receipts = result.rows.map(row => ({
-      id: row.id,
-      userId: row.user_id,
-      fileName: row.file_name,
-      originalName: row.original_name,
-      mimeType: row.mime_type,
-      fileSize: row.file_size,
-      originalSize: row.original_size,
-      filePath: row.file_path,
-      ocrData: row.ocr_data,
-      category: row.category_id,
-      status: row.status,
-      duplicateStatus: row.duplicate_status,
-      duplicateOf: row.duplicate_of,
-      duplicateConfidence: row.duplicate_confidence,
-      potentialDuplicates: row.potential_duplicates,
-      uploadedAt: row.uploaded_at,
-      processedAt: row.processed_at,
-      updatedAt: row.updated_at,
-      expenseId: row.expense_id,
-      tamperCheck: row.tamper_check
-    }));
+    const receipts = result.rows.map(mapReceiptRow);
 
     res.json({ receipts, count: receipts.length });
 
@@ -393,7 +528,7 @@ app.get('/api/receipts/detail/:receiptId', requireApiAuth, async (req, res) => {
     
     // Only allow access to user's own receipts
     const result = await db.query(
-      'SELECT * FROM receipts WHERE id = $1 AND user_id = $2',
+      'SELECT * FROM receipts WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [receiptId, userId]
     );
     
@@ -401,31 +536,266 @@ app.get('/api/receipts/detail/:receiptId', requireApiAuth, async (req, res) => {
       return res.status(404).json({ error: 'Receipt not found' });
     }
 
-    const row = result.rows[0];
+    res.json(mapReceiptRow(result.rows[0]));
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Correct OCR fields on a receipt (only if owned by user and not yet submitted)
+app.patch('/api/receipts/:receiptId', requireApiAuth, async (req, res) => {
+  try {
+    const { receiptId } = req.params;
+    const userId = req.userId;
+
+    const result = await db.query(
+      'SELECT * FROM receipts WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [receiptId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    const receipt = result.rows[0];
+    const changes = receiptCorrectionService.validateEdits(req.body);
+    const { ocrData, categoryId, corrections } = await receiptCorrectionService.applyCorrections(
+      db, receipt, changes, userId
+    );
+
+    if (corrections.length === 0) {
+      return res.json({ success: true, receipt: mapReceiptRow(receipt), corrections });
+    }
+
+    console.log(`✏️  Receipt ${receiptId} corrected: ${corrections.map(c => c.field).join(', ')}`);
+
+    // Re-run duplicate and policy checks against the corrected data. An admin's
+    // duplicate decision stands: a confirmed duplicate keeps its match, and
+    // matches the admin cleared are not raised again.
+    const resolution = receipt.duplicate_resolution;
+    const fileStorage = receiptStorage(receipt);
+    const assess = async (filePath) => receiptProcessingService.assessDuplicates(db, filePath, ocrData, userId, {
+      fileHash: receipt.file_hash,
+      perceptualHash: filePath ? await duplicateDetectionService.computePerceptualHash(filePath) : null,
+      excludeReceiptId: receipt.id,
+      ignoreReceiptIds: resolution?.receiptIds || []
+    });
+    const {
+      duplicateStatus, duplicateOf, duplicateConfidence, potentialDuplicates, crossUserMatches
+    } = resolution?.isDuplicate
+      ? {
+        duplicateStatus: receipt.duplicate_status,
+        duplicateOf: receipt.duplicate_of,
+        duplicateConfidence: receipt.duplicate_confidence,
+        potentialDuplicates: receipt.potential_duplicates || [],
+        crossUserMatches: receipt.cross_user_matches || []
+      }
+      : await fileStorage.exists(receipt.file_name)
+        ? await storageService.withLocalFile(fileStorage, receipt.file_name, assess)
+        : await assess(null);
+    const policyViolations = await policyService.evaluateReceipt(
+      db, { ...ocrData, category: categoryId }, { userId, excludeIds: [receipt.id] }
+    );
+
+    // A receipt stays unclaimable until it has a merchant, date, amount and currency,
+    // whatever its status was (a failed OCR run leaves them all empty)
+    const missingFields = receiptCorrectionService.missingFields(ocrData);
+    let status = duplicateStatus === 'none' && !resolution?.isDuplicate ? 'processed' : 'flagged';
+    if (missingFields.length > 0) {
+      status = 'needs_review';
+    }
+
+    const updated = await db.query(
+      `UPDATE receipts SET
+        status = $1,
+        duplicate_status = $2,
+        duplicate_of = $3,
+        duplicate_confidence = $4,
+        potential_duplicates = $5,
+        cross_user_matches = $6,
+        policy_violations = $7,
+        processing_error = $9,
+        updated_at = NOW()
+      WHERE id = $8
+      RETURNING *`,
+      [
+        status,
+        duplicateStatus, duplicateOf, duplicateConfidence,
+        JSON.stringify(potentialDuplicates.slice(0, 3)),
+        JSON.stringify(crossUserMatches.slice(0, 5)),
+        JSON.stringify(policyViolations),
+        receiptId,
+        status === 'needs_review' ? `Still needs ${missingFields.join(', ')}` : null
+      ]
+    );
+
     res.json({
-      id: row.id,
-      userId: row.user_id,
-      fileName: row.file_name,
-      originalName: row.original_name,
-      mimeType: row.mime_type,
-      fileSize: row.file_size,
-      originalSize: row.original_size,
-      filePath: row.file_path,
-      ocrData: row.ocr_data,
-      category: row.category_id,
-      status: row.status,
-      duplicateStatus: row.duplicate_status,
-      duplicateOf: row.duplicate_of,
-      duplicateConfidence: row.duplicate_confidence,
-      potentialDuplicates: row.potential_duplicates,
-      uploadedAt: row.uploaded_at,
-      processedAt: row.processed_at,
-      updatedAt: row.updated_at,
-      expenseId: row.expense_id,
-      tamperCheck: row.tamper_check
+      success: true,
+      receipt: mapReceiptRow(updated.rows[0]),
+      corrections,
+      missingFields: status === 'needs_review' ? missingFields : [],
+      duplicateStatus,
+      potentialDuplicates: potentialDuplicates.slice(0, 3),
+      policyViolations
     });
+
   } catch (error) {
-    console.error('Get receipt error:', error);
+    console.error('Edit receipt error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.message,
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+});
+
+// Get correction history for a receipt (owner or admin)
+app.get('/api/receipts/:receiptId/corrections', requireApiAuth, async (req, res) => {
+  try {
+    const { receiptId } = req.params;
+
+    const result = await db.query('SELECT user_id, ai_ocr_data FROM receipts WHERE id = $1', [receiptId]);
+    if (result.rows.length === 0 || (result.rows[0].user_id !== req.userId && !isAdminUser(req.user))) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    const corrections = await receiptCorrectionService.getCorrections(db, receiptId);
+    res.json({ receiptId, aiOcrData: result.rows[0].ai_ocr_data, corrections, count: corrections.length });
+
+  } catch (error) {
+    console.error('Get corrections error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stream a receipt file
+// Owners and admins use their session cookie; anyone holding a signed link
+// (from the admin views or /file-link) can fetch it until the link expires.
+app.get('/api/receipts/:receiptId/file', optionalAuth, async (req, res) => {
+  try {
+    const { receiptId } = req.params;
+    const { expires, signature } = req.query;
+
+    const result = await db.query(
+      'SELECT id, user_id, file_name, mime_type, storage_backend, deleted_at FROM receipts WHERE id = $1',
+      [receiptId]
+    );
+    const receipt = result.rows[0];
+
+    if (signature) {
+      if (!receipt || !fileLinkService.verifyFileLink(receiptId, expires, signature)) {
+        return res.status(403).json({ error: 'Invalid or expired file link' });
+      }
+    } else {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      // Owners lose access once they delete a receipt; admins keep it for fraud review
+      const isOwner = receipt && receipt.user_id === req.userId && !receipt.deleted_at;
+      if (!receipt || !(isOwner || isAdminUser(req.user))) {
+        return res.status(404).json({ error: 'Receipt not found' });
+      }
+    }
+
+    const file = await receiptStorage(receipt).createReadStream(receipt.file_name);
+    res.setHeader('Content-Type', receipt.mime_type || file.contentType);
+    if (file.size) res.setHeader('Content-Length', file.size);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    file.stream.on('error', (streamError) => {
+      console.error('File stream error:', streamError.message);
+      res.destroy(streamError);
+    });
+    file.stream.pipe(res);
+
+  } catch (error) {
+    if (error.statusCode !== 404) console.error('Serve file error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode === 404 ? 'Receipt file is no longer available' : error.message });
+  }
+});
+
+// Create a short-lived signed link to a receipt file (owner or admin)
+app.post('/api/receipts/:receiptId/file-link', requireApiAuth, async (req, res) => {
+  try {
+    const { receiptId } = req.params;
+    const result = await db.query('SELECT user_id, deleted_at FROM receipts WHERE id = $1', [receiptId]);
+    const receipt = result.rows[0];
+
+    const isOwner = receipt && receipt.user_id === req.userId && !receipt.deleted_at;
+    if (!receipt || !(isOwner || isAdminUser(req.user))) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    res.json(fileLinkService.signFileLink(receiptId));
+
+  } catch (error) {
+    console.error('File link error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a receipt that is not part of a claim (only if owned by user)
+// The row is kept as a tombstone so later uploads can still be matched against it
+app.delete('/api/receipts/:receiptId', requireApiAuth, async (req, res) => {
+  try {
+    const { receiptId } = req.params;
+    const userId = req.userId;
+
+    const result = await db.query(
+      'SELECT * FROM receipts WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [receiptId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    const receipt = result.rows[0];
+    if (!DELETABLE_STATUSES.includes(receipt.status) || receipt.expense_id) {
+      return res.status(409).json({ error: `Receipts that are ${receipt.status} cannot be deleted` });
+    }
+
+    // Conditional update so a receipt submitted in the meantime is not deleted
+    const deleted = await db.query(
+      `UPDATE receipts SET
+        status = 'deleted',
+        deleted_from_status = status,
+        deleted_at = NOW(),
+        deleted_by = $2,
+        updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL AND expense_id IS NULL AND status = ANY($3)
+      RETURNING deleted_at`,
+      [receiptId, userId, DELETABLE_STATUSES]
+    );
+
+    if (deleted.rowCount === 0) {
+      return res.status(409).json({ error: 'Receipt was submitted or deleted in the meantime' });
+    }
+
+    let file = { outcome: 'missing' };
+    try {
+      file = await disposeReceiptFile(receipt);
+      await db.query(
+        'UPDATE receipts SET file_path = $1, file_name = $2 WHERE id = $3',
+        [file.filePath, file.fileName, receiptId]
+      );
+    } catch (fileError) {
+      // The tombstone is what matters; a leftover file can be cleaned up later
+      console.warn(`⚠️  Could not ${DELETED_FILE_MODE} file for deleted receipt ${receiptId}:`, fileError.message);
+      file = { outcome: 'kept' };
+    }
+
+    console.log(`🗑️  Receipt ${receiptId} deleted by ${userId} (file ${file.outcome})`);
+
+    res.json({
+      success: true,
+      receiptId,
+      deletedAt: deleted.rows[0].deleted_at,
+      file: file.outcome
+    });
+
+  } catch (error) {
+    console.error('Delete receipt error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -438,7 +808,7 @@ app.post('/api/receipts/:receiptId/tamper-check', requireApiAuth, async (req, re
     
     // Only allow tamper check on user's own receipts
     const result = await db.query(
-      'SELECT * FROM receipts WHERE id = $1 AND user_id = $2',
+      'SELECT * FROM receipts WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [receiptId, userId]
     );
     
@@ -448,19 +818,17 @@ app.post('/api/receipts/:receiptId/tamper-check', requireApiAuth, async (req, re
 
     const receipt = result.rows[0];
     
-    // Run tamper detection
-    let tamperResult;
-    try {
-      tamperResult = await uniapiService.detectTamper(receipt.file_path, receipt.ocr_data);
-    } catch (error) {
-      // Mock tamper result for testing
-      tamperResult = {
-        isTampered: false,
-        confidence: 0.9,
-        reasons: ['No signs of tampering detected'],
-        riskLevel: 'low'
-      };
+    const fileStorage = receiptStorage(receipt);
+    if (!(await fileStorage.exists(receipt.file_name))) {
+      return res.status(410).json({ error: 'Receipt file is no longer available' });
     }
+
+    // Run tamper detection
+    const tamperResult = await storageService.withLocalFile(
+      fileStorage, receipt.file_name,
+      (filePath) => uniapiService.detectTamper(filePath, receipt.ocr_data)
+    );
+    console.log(`🔎 Tamper check for ${receiptId}: ${tamperResult.riskLevel} risk (${tamperResult.riskScore})`);
     
     // Update receipt with tamper check results
     await db.query(
@@ -495,7 +863,7 @@ app.post('/api/expenses/submit', requireApiAuth, async (req, res) => {
 
     // Get receipt data - only for the current user
     const result = await db.query(
-      'SELECT * FROM receipts WHERE id = ANY($1) AND user_id = $2',
+      'SELECT * FROM receipts WHERE id = ANY($1) AND user_id = $2 AND deleted_at IS NULL',
       [receiptIds, userId]
     );
     const receipts = result.rows;
@@ -508,48 +876,150 @@ app.post('/api/expenses/submit', requireApiAuth, async (req, res) => {
     }
 
     // Check for flagged receipts
-    const flaggedReceipts = receipts.filter(r => r.status === 'flagged' || r.duplicate_status === 'detected');
+    const flaggedReasons = {
+      detected: 'Duplicate detected',
+      cross_user: 'Matches a receipt claimed by another employee'
+    };
+    const flaggedReceipts = receipts.filter(r => r.status === 'flagged' || flaggedReasons[r.duplicate_status]);
     if (flaggedReceipts.length > 0) {
       return res.status(400).json({
         error: 'Some receipts are flagged for review',
-        flaggedReceipts: flaggedReceipts.map(r => ({ id: r.id, reason: r.duplicate_status === 'detected' ? 'Duplicate detected' : 'Flagged' }))
+        flaggedReceipts: flaggedReceipts.map(r => ({ id: r.id, reason: flaggedReasons[r.duplicate_status] || 'Flagged' }))
+      });
+    }
+
+    // Details must be typed in first when OCR could not read the receipt
+    const needsEntry = receipts.filter(r => r.status === 'needs_review');
+    if (needsEntry.length > 0) {
+      return res.status(400).json({
+        error: 'Some receipts need their details entered',
+        receipts: needsEntry.map(r => ({
+          id: r.id, status: r.status, missingFields: receiptCorrectionService.missingFields(r.ocr_data)
+        }))
+      });
+    }
+
+    // OCR still running in the background, or it failed
+    const notReady = receipts.filter(r => r.status === 'processing' || r.status === 'failed');
+    if (notReady.length > 0) {
+      return res.status(400).json({
+        error: 'Some receipts are still being processed',
+        receipts: notReady.map(r => ({ id: r.id, status: r.status }))
+      });
+    }
+
+    // Re-run expense policies now that the whole claim is known
+    const policyCheck = await policyService.evaluateClaim(db, receipts, userId);
+    for (const receipt of receipts) {
+      const result = policyCheck.results.find(r => r.receiptId === receipt.id);
+      receipt.policy_violations = result ? result.violations : [];
+      await db.query(
+        'UPDATE receipts SET policy_violations = $1, updated_at = NOW() WHERE id = $2',
+        [JSON.stringify(receipt.policy_violations), receipt.id]
+      );
+    }
+
+    if (policyCheck.blocked.length > 0) {
+      console.warn(`❌ Submission blocked by policy for ${policyCheck.blocked.length} receipt(s)`);
+      return res.status(400).json({
+        error: 'Some receipts violate expense policy',
+        policyViolations: policyCheck.blocked
       });
     }
 
-    // Calculate total
-    const total = receipts.reduce((sum, r) => sum + (r.ocr_data?.amount || 0), 0);
+    // Convert every receipt to the base currency at the rate for its date
+    const conversions = [];
+    try {
+      for (const r of receipts) {
+        const conversion = await fxService.convert(db, r.ocr_data?.amount, r.ocr_data?.currency, r.ocr_data?.date);
+        conversions.push({ receiptId: r.id, ...conversion });
+      }
+    } catch (fxError) {
+      if (fxError instanceof fxService.FxError) {
+        console.warn(`❌ Submission failed: ${fxError.message}`);
+        return res.status(400).json({ error: fxError.message });
+      }
+      throw fxError;
+    }
 
-    // Aggregate categories for spending analysis
+    // Calculate total (base currency) and original totals per currency
+    const round2 = (n) => Math.round(n * 100) / 100;
+    const total = round2(conversions.reduce((sum, c) => sum + c.baseAmount, 0));
+    const originalAmounts = {};
+    conversions.forEach(c => {
+      originalAmounts[c.currency] = round2((originalAmounts[c.currency] || 0) + c.amount);
+    });
+
+    // Aggregate categories for spending analysis: { cat: { amount (base), original: { USD: 12.5 } } }
     const categoryBreakdown = {};
-    receipts.forEach(r => {
+    receipts.forEach((r, idx) => {
       const cat = r.ocr_data?.category || 'misc';
-      categoryBreakdown[cat] = (categoryBreakdown[cat] || 0) + (r.ocr_data?.amount || 0);
+      const c = conversions[idx];
+      const entry = categoryBreakdown[cat] || (categoryBreakdown[cat] = { amount: 0, original: {} });
+      entry.amount = round2(entry.amount + c.baseAmount);
+      entry.original[c.currency] = round2((entry.original[c.currency] || 0) + c.amount);
     });
 
-    // Create expense claim
+    // Budgets never block a claim; the employee was warned before submitting
+    const department = userDepartment(req);
+    const budgetAlerts = await budgetService.checkClaim(db, receipts, { department, conversions });
+    if (budgetAlerts.length > 0) {
+      console.warn(`💰 Claim takes ${budgetAlerts.length} budget(s) over: ${budgetAlerts.map(a => a.budgetId).join(', ')}`);
+    }
+
+    // Create the claim, attach its receipts and route it into its approval chain
+    // together, so a claim never exists without approval steps
     const expenseId = uuidv4();
-    await db.query(
-      `INSERT INTO expenses (
-        id, user_id, category, notes, receipt_ids, total, category_breakdown, 
-        status, receipts_data
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-      [
-        expenseId, userId, category || 'General', notes, receiptIds, total, 
-        JSON.stringify(categoryBreakdown), 'pending_verification', 
-        JSON.stringify(receipts)
-      ]
-    );
+    const workflow = await db.withTransaction(async (client) => {
+      await client.query(
+        `INSERT INTO expenses (
+          id, user_id, category, notes, receipt_ids, total, category_breakdown, 
+          status, receipts_data, policy_violations, currency, original_amounts, fx_conversions, department,
+          budget_alerts, employee_name
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+        [
+          expenseId, userId, category || 'General', notes, receiptIds, total, 
+          JSON.stringify(categoryBreakdown), approvalWorkflowService.LEGACY_PENDING_STATUS, 
+          JSON.stringify(receipts), JSON.stringify(policyCheck.warnings),
+          fxService.BASE_CURRENCY, JSON.stringify(originalAmounts), JSON.stringify(conversions),
+          department, JSON.stringify(budgetAlerts),
+          typeof req.user?.name === 'string' ? req.user.name.slice(0, 100) : null
+        ]
+      );
 
-    // Update receipt statuses
-    await db.query(
-      'UPDATE receipts SET status = \'submitted\', expense_id = $1, updated_at = NOW() WHERE id = ANY($2)',
-      [expenseId, receiptIds]
-    );
+      for (const c of conversions) {
+        await client.query(
+          `UPDATE receipts SET base_amount = $1, base_currency = $2, fx_rate = $3, fx_rate_date = $4
+           WHERE id = $5`,
+          [c.baseAmount, c.baseCurrency, c.rate, c.rateDate, c.receiptId]
+        );
+      }
+
+      // Update receipt statuses
+      await client.query(
+        'UPDATE receipts SET status = \'submitted\', expense_id = $1, updated_at = NOW() WHERE id = ANY($2)',
+        [expenseId, receiptIds]
+      );
+
+      return approvalWorkflowService.startWorkflow(client, {
+        id: expenseId, userId, total, categoryBreakdown
+      });
+    });
+
+    // Submitting confirms each receipt's category for the auto-categoriser
+    await categoryClassifierService.confirmReceipts(db, receipts);
+    console.log(`🧭 Claim ${expenseId} routed: ${workflow.steps.map(s => s.key).join(' → ')}`);
 
     res.json({
       success: true,
       expenseId: expenseId,
       total,
+      currency: fxService.BASE_CURRENCY,
+      originalAmounts,
+      status: workflow.status,
+      approvalSteps: workflow.steps.map(s => ({ key: s.key, name: s.name, status: s.status })),
+      policyWarnings: policyCheck.warnings,
+      budgetAlerts,
       receiptCount: receipts.length
     });
 
@@ -559,14 +1029,36 @@ app.post('/api/expenses/submit', requireApiAuth, async (req, res) => {
   }
 });
 
-// Get expense claims for authenticated user
-app.get('/api/expenses', requireApiAuth, async (req, res) => {
+// Budgets the selected receipts would take over, checked before submitting
+app.post('/api/expenses/budget-check', requireApiAuth, async (req, res) => {
   try {
-    const userId = req.userId;
-    const { status } = req.query;
-
-    let queryStr = 'SELECT * FROM expenses WHERE user_id = $1';
-    const queryParams = [userId];
+    const { receiptIds } = req.body;
+    if (!Array.isArray(receiptIds) || receiptIds.length === 0) {
+      return res.status(400).json({ error: 'receiptIds are required' });
+    }
+
+    const result = await db.query(
+      'SELECT * FROM receipts WHERE id = ANY($1) AND user_id = $2 AND deleted_at IS NULL',
+      [receiptIds, req.userId]
+    );
+    const budgetAlerts = await budgetService.checkClaim(db, result.rows, { department: userDepartment(req) });
+
+    res.json({ budgetAlerts, currency: fxService.BASE_CURRENCY });
+
+  } catch (error) {
+    console.error('Budget check error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get expense claims for authenticated user
+app.get('/api/expenses', requireApiAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { status } = req.query;
+
+    let queryStr = 'SELECT * FROM expenses WHERE user_id = $1';
+    const queryParams = [userId];
 
     if (status) {
       queryStr += ' AND status = $2';
@@ -577,21 +1069,7 @@ app.get('/api/expenses', requireApiAuth, async (req, res) => {
 
     const result = await db.query(queryStr, queryParams);
     
-    const expenses = result.rows.map(row => ({
-      id: row.id,
-      userId: row.user_id,
-      category: row.category,
-      notes: row.notes,
-      receiptIds: row.receipt_ids,
-      total: row.total,
-      categoryBreakdown: row.category_breakdown,
-      status: row.status,
-      submittedAt: row.submitted_at,
-      verifiedAt: row.verified_at,
-      verifiedBy: row.verified_by,
-      verificationNotes: row.verification_notes,
-      receipts: row.receipts_data
-    }));
+    const expenses = await withApprovalSteps(result.rows.map(mapExpenseRow));
 
     res.json({ expenses, count: expenses.length });
 
@@ -601,53 +1079,85 @@ app.get('/api/expenses', requireApiAuth, async (req, res) => {
   }
 });
 
-// Get spending analysis by category for authenticated user
-app.get('/api/analytics/spending', requireApiAuth, async (req, res) => {
+// Get approval timeline for an expense claim (owner, its approvers, or admin)
+app.get('/api/expenses/:expenseId/timeline', requireApiAuth, async (req, res) => {
+  try {
+    const { expenseId } = req.params;
+
+    const result = await db.query('SELECT user_id FROM expenses WHERE id = $1', [expenseId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Expense claim not found' });
+    }
+
+    const timeline = await approvalWorkflowService.getTimeline(db, expenseId);
+    const isApprover = timeline.steps.some(s => s.approverIds.includes(req.userId));
+    if (result.rows[0].user_id !== req.userId && !isApprover && !isAdminUser(req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ expenseId, ...timeline });
+
+  } catch (error) {
+    console.error('Get timeline error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get claims awaiting the authenticated user's approval
+app.get('/api/approvals', requireApiAuth, async (req, res) => {
   try {
     const userId = req.userId;
-    const { period = 'month' } = req.query;
 
+    // Steps with no assigned approver fall to admins
     const result = await db.query(
-      'SELECT ocr_data, category_id FROM receipts WHERE user_id = $1',
-      [userId]
+      `SELECT e.* FROM expenses e
+       JOIN expense_approval_steps s ON s.expense_id = e.id AND s.status = 'pending'
+       WHERE e.user_id <> $1
+         AND ($1 = ANY(s.approver_ids) OR (cardinality(s.approver_ids) = 0 AND $2))
+       ORDER BY e.submitted_at ASC`,
+      [userId, isAdminUser(req.user)]
     );
-    const receipts = result.rows;
 
-    const categoryTotals = {};
-    let totalAmount = 0;
+    const expenses = await withApprovalSteps(result.rows.map(mapExpenseRow));
 
-    receipts.forEach(row => {
-      const data = row.ocr_data;
-      const cat = row.category_id || 'misc';
-      const amount = parseFloat(data?.amount || 0);
-      
-      if (!categoryTotals[cat]) {
-        categoryTotals[cat] = { amount: 0, count: 0, name: getCategoryById(cat).name };
-      }
-      categoryTotals[cat].amount += amount;
-      categoryTotals[cat].count += 1;
-      totalAmount += amount;
-    });
+    res.json({ expenses, count: expenses.length });
 
-    // Calculate percentages
-    const analysis = Object.entries(categoryTotals).map(([id, data]) => ({
-      id,
-      name: data.name,
-      amount: data.amount,
-      count: data.count,
-      percentage: totalAmount > 0 ? Math.round((data.amount / totalAmount) * 100) : 0
-    })).sort((a, b) => b.amount - a.amount);
+  } catch (error) {
+    console.error('Get approvals error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({
-      period,
-      totalAmount,
-      totalReceipts: receipts.length,
-      categories: analysis
-    });
+// Approve/reject the current step of a claim assigned to the authenticated user
+app.post('/api/approvals/:expenseId', requireApiAuth, async (req, res) => {
+  try {
+    const { expenseId } = req.params;
+    const { action, notes } = req.body;
+
+    const result = await approvalWorkflowService.decide(
+      db, expenseId, { userId: req.userId, isAdmin: isAdminUser(req.user) }, action, notes
+    );
+
+    console.log(`🧭 Claim ${expenseId}: ${result.step || 'legacy'} ${action}d by ${req.userId} → ${result.status}`);
+
+    res.json({ success: true, expenseId, status: result.status, completed: result.completed });
+
+  } catch (error) {
+    console.error('Approval error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Spending by category, period-over-period change and a time series for the authenticated user
+app.get('/api/analytics/spending', requireApiAuth, async (req, res) => {
+  try {
+    const { period, from, to, interval } = req.query;
+    const analysis = await analyticsService.getSpending(db, req.userId, { period, from, to, interval });
+    res.json(analysis);
 
   } catch (error) {
     console.error('Analytics error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -656,28 +1166,20 @@ app.get('/api/analytics/spending', requireApiAuth, async (req, res) => {
 // Get all pending verifications (admin only)
 app.get('/api/admin/verifications', requireApiAuth, requireAdmin, async (req, res) => {
   try {
-    const { status = 'pending_verification', limit = 50 } = req.query;
+    const { status, limit = 50 } = req.query;
 
-    const result = await db.query(
-      'SELECT * FROM expenses WHERE status = $1 ORDER BY submitted_at ASC LIMIT $2',
-      [status, parseInt(limit)]
-    );
+    // Default: every claim still in an approval chain (pending_manager, pending_finance, ...)
+    const result = status
+      ? await db.query(
+        'SELECT * FROM expenses WHERE status = $1 ORDER BY submitted_at ASC LIMIT $2',
+        [status, parseInt(limit)]
+      )
+      : await db.query(
+        'SELECT * FROM expenses WHERE status LIKE \'pending\\_%\' ORDER BY submitted_at ASC LIMIT $1',
+        [parseInt(limit)]
+      );
 
-    const expenses = result.rows.map(row => ({
-      id: row.id,
-      userId: row.user_id,
-      category: row.category,
-      notes: row.notes,
-      receiptIds: row.receipt_ids,
-      total: row.total,
-      categoryBreakdown: row.category_breakdown,
-      status: row.status,
-      submittedAt: row.submitted_at,
-      verifiedAt: row.verified_at,
-      verifiedBy: row.verified_by,
-      verificationNotes: row.verification_notes,
-      receipts: row.receipts_data
-    }));
+    const expenses = await withApprovalSteps(result.rows.map(mapExpenseRow).map(withSignedReceiptLinks));
 
     res.json({ expenses, count: expenses.length });
 
@@ -687,13 +1189,26 @@ app.get('/api/admin/verifications', requireApiAuth, requireAdmin, async (req, re
   }
 });
 
+// Organisation-wide spend, approval and receipt quality stats (admin only)
+app.get('/api/admin/stats', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const { from, to, department, userId, category, status } = req.query;
+    const stats = await analyticsService.getOrgStats(db, { from, to, department, userId, category, status });
+    res.json(stats);
+
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
 // Get duplicate reports for admin review (admin only)
 app.get('/api/admin/duplicates', requireApiAuth, requireAdmin, async (req, res) => {
   try {
     const { limit = 50 } = req.query;
 
     const result = await db.query(
-      'SELECT * FROM receipts WHERE duplicate_status IN (\'detected\', \'potential\') ORDER BY uploaded_at DESC LIMIT $1',
+      'SELECT * FROM receipts WHERE duplicate_status IN (\'detected\', \'potential\', \'cross_user\') ORDER BY uploaded_at DESC LIMIT $1',
       [parseInt(limit)]
     );
 
@@ -718,11 +1233,32 @@ app.get('/api/admin/duplicates', requireApiAuth, requireAdmin, async (req, res)
             category: origRow.category_id,
             status: origRow.status,
             duplicateStatus: origRow.duplicate_status,
-            uploadedAt: origRow.uploaded_at
+            uploadedAt: origRow.uploaded_at,
+            deletedAt: origRow.deleted_at,
+            fileUrl: fileLinkService.signFileLink(origRow.id).url
           };
         }
       }
 
+      const candidates = row.duplicate_status === 'cross_user'
+        ? (row.cross_user_matches || [])
+        : (row.potential_duplicates || []);
+      const matchedCandidate = candidates.find(c => c.id === row.duplicate_of) || candidates[0];
+
+      // Everyone who has claimed this bill: the flagged uploader first, then the other matches
+      const claimants = [
+        { userId: row.user_id, receiptId: row.id, status: row.status, expenseId: row.expense_id, uploadedAt: row.uploaded_at },
+        ...(row.cross_user_matches || []).map(m => ({
+          userId: m.userId,
+          receiptId: m.id,
+          status: m.status,
+          expenseId: m.expenseId,
+          uploadedAt: m.uploadedAt,
+          confidence: m.confidence,
+          reasons: m.reasons
+        }))
+      ];
+
       duplicates.push({
         id: row.id,
         userId: row.user_id,
@@ -739,7 +1275,12 @@ app.get('/api/admin/duplicates', requireApiAuth, requireAdmin, async (req, res)
         duplicateOf: row.duplicate_of,
         duplicateConfidence: row.duplicate_confidence,
         potentialDuplicates: row.potential_duplicates,
+        duplicateReasons: (matchedCandidate || {}).reasons || [],
+        crossUserMatches: row.cross_user_matches || [],
+        claimants,
         uploadedAt: row.uploaded_at,
+        deletedAt: row.deleted_at,
+        fileUrl: fileLinkService.signFileLink(row.id).url,
         originalReceipt
       });
     }
@@ -752,76 +1293,584 @@ app.get('/api/admin/duplicates', requireApiAuth, requireAdmin, async (req, res)
   }
 });
 
-// Admin verify/reject expense claim (admin only)
+// Admin approve/reject the current approval step of a claim (admin only)
 app.post('/api/admin/verifications/:expenseId', requireApiAuth, requireAdmin, async (req, res) => {
   try {
     const { expenseId } = req.params;
     const { action, notes } = req.body;
-    const adminId = req.userId; // Use authenticated admin's ID
 
-    if (!['approve', 'reject'].includes(action)) {
-      return res.status(400).json({ error: 'Invalid action. Use approve or reject' });
-    }
+    const result = await approvalWorkflowService.decide(
+      db, expenseId, { userId: req.userId, isAdmin: true }, action, notes
+    );
 
-    const result = await db.query('SELECT * FROM expenses WHERE id = $1', [expenseId]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Expense claim not found' });
-    }
+    res.json({
+      success: true,
+      expenseId,
+      status: result.status,
+      completed: result.completed,
+      message: result.completed
+        ? `Expense claim ${action}d successfully`
+        : `Step approved, claim is now ${result.status.replace(/_/g, ' ')}`
+    });
+
+  } catch (error) {
+    console.error('Verification error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// List approval workflows (admin only)
+app.get('/api/admin/workflows', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await db.query('SELECT * FROM approval_workflows ORDER BY priority DESC, created_at ASC');
+
+    const workflows = result.rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      priority: row.priority,
+      conditions: row.conditions,
+      steps: row.steps,
+      active: row.active,
+      updatedAt: row.updated_at
+    }));
 
-    const expense = result.rows[0];
-    const newStatus = action === 'approve' ? 'approved' : 'rejected';
+    res.json({ workflows, count: workflows.length });
 
-    // Update expense status
+  } catch (error) {
+    console.error('Get workflows error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create or replace an approval workflow (admin only)
+app.put('/api/admin/workflows/:workflowId', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const workflow = approvalWorkflowService.validateWorkflow(req.body);
+
+    // Claims already in flight keep the steps they were created with
     await db.query(
-      `UPDATE expenses SET 
-        status = $1, 
-        verification_notes = $2, 
-        verified_by = $3, 
-        verified_at = NOW() 
-      WHERE id = $4`,
-      [newStatus, notes || '', adminId, expenseId]
+      `INSERT INTO approval_workflows (id, name, priority, conditions, steps, active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (id) DO UPDATE SET
+         name = EXCLUDED.name,
+         priority = EXCLUDED.priority,
+         conditions = EXCLUDED.conditions,
+         steps = EXCLUDED.steps,
+         active = EXCLUDED.active,
+         updated_at = NOW()`,
+      [workflowId, workflow.name, workflow.priority, JSON.stringify(workflow.conditions),
+        JSON.stringify(workflow.steps), workflow.active]
     );
 
-    // Update receipt statuses
-    const receiptStatus = action === 'approve' ? 'approved' : 'rejected';
+    res.json({ success: true, workflow: { id: workflowId, ...workflow } });
+
+  } catch (error) {
+    console.error('Save workflow error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// List expense policies (admin only)
+app.get('/api/admin/policies', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await db.query('SELECT * FROM expense_policies ORDER BY id ASC');
+
+    const policies = result.rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      severity: row.severity,
+      categories: row.categories || [],
+      params: row.params,
+      active: row.active,
+      updatedAt: row.updated_at
+    }));
+
+    res.json({ policies, count: policies.length, ruleTypes: policyService.RULE_TYPES });
+
+  } catch (error) {
+    console.error('Get policies error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create or replace an expense policy (admin only)
+app.put('/api/admin/policies/:policyId', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const { policyId } = req.params;
+    const policy = policyService.validatePolicy(req.body);
+
     await db.query(
-      'UPDATE receipts SET status = $1, updated_at = NOW() WHERE id = ANY($2)',
-      [receiptStatus, expense.receipt_ids]
+      `INSERT INTO expense_policies (id, name, type, severity, categories, params, active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (id) DO UPDATE SET
+         name = EXCLUDED.name,
+         type = EXCLUDED.type,
+         severity = EXCLUDED.severity,
+         categories = EXCLUDED.categories,
+         params = EXCLUDED.params,
+         active = EXCLUDED.active,
+         updated_at = NOW()`,
+      [policyId, policy.name, policy.type, policy.severity, policy.categories,
+        JSON.stringify(policy.params), policy.active]
     );
 
+    res.json({ success: true, policy: { id: policyId, ...policy } });
+
+  } catch (error) {
+    console.error('Save policy error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Budgets with consumed vs remaining and burn-down for the current period (admin only)
+app.get('/api/admin/budgets', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const status = await budgetService.getBudgetStatus(db, { date: req.query.date, includeInactive: true });
+
+    res.json({ ...status, count: status.budgets.length, periods: budgetService.BUDGET_PERIODS });
+
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Create or replace a budget (admin only)
+app.put('/api/admin/budgets/:budgetId', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const { budget, created } = await budgetService.saveBudget(db, req.params.budgetId, req.body);
+
+    console.log(`💰 Budget ${budget.id} ${created ? 'created' : 'updated'} by ${req.userId}`);
+    res.status(created ? 201 : 200).json({ success: true, budget });
+
+  } catch (error) {
+    console.error('Save budget error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Delete a budget (admin only)
+app.delete('/api/admin/budgets/:budgetId', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    await budgetService.deleteBudget(db, req.params.budgetId);
+
+    console.log(`💰 Budget ${req.params.budgetId} deleted by ${req.userId}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// GL account and tax code per category for accounting exports (admin only)
+app.get('/api/admin/accounting/mappings', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    await categoryService.loadCategories(db);
+    const mappings = await accountingExportService.getMappings(db);
+
     res.json({
+      mappings,
+      payableAccount: accountingExportService.PAYABLE_ACCOUNT,
+      defaultAccount: accountingExportService.DEFAULT_ACCOUNT,
+      defaultTaxCode: accountingExportService.DEFAULT_TAX_CODE
+    });
+
+  } catch (error) {
+    console.error('Get account mappings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set or clear a category's GL account and tax code (admin only)
+app.put('/api/admin/accounting/mappings/:categoryId', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const mapping = await accountingExportService.saveMapping(db, req.params.categoryId, req.body || {});
+
+    console.log(`📒 Account mapping for ${mapping.categoryId} set to ${mapping.accountCode || 'none'} by ${req.userId}`);
+    res.json({ success: true, mapping });
+
+  } catch (error) {
+    console.error('Save account mapping error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Claims an export of a date range would take, without marking them (admin only)
+app.get('/api/admin/exports/preview', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    res.json(await accountingExportService.previewExport(db, { from, to }));
+
+  } catch (error) {
+    console.error('Export preview error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Export approved claims not yet exported (admin only)
+app.post('/api/admin/exports', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const { format, from, to } = req.body || {};
+    const exported = await accountingExportService.createExport(db, { format, from, to }, req.userId);
+
+    console.log(`📒 Exported ${exported.claimCount} claim(s) as ${format} (${from} to ${to}) by ${req.userId}`);
+    res.status(201).json({
       success: true,
-      expenseId,
-      status: newStatus,
-      message: `Expense claim ${action}d successfully`
+      export: exported,
+      downloadUrl: `/api/admin/exports/${exported.id}/file`
     });
 
   } catch (error) {
-    console.error('Verification error:', error);
+    console.error('Create export error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Past exports, newest first (admin only)
+app.get('/api/admin/exports', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const exports = await accountingExportService.listExports(db);
+    res.json({ exports, count: exports.length, formats: accountingExportService.EXPORT_FORMATS });
+
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download an export file again (admin only)
+app.get('/api/admin/exports/:exportId/file', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const file = await accountingExportService.getExportFile(db, req.params.exportId);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.content);
+
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// List all categories, retired ones included, with how many receipts use each (admin only)
+app.get('/api/admin/categories', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    await categoryService.loadCategories(db);
+    const usage = await categoryService.getUsageCounts(db);
+
+    const categories = getAllCategories({ includeRetired: true }).map(category => ({
+      ...category,
+      receiptCount: usage[category.id] || 0
+    }));
+
+    res.json({ categories, count: categories.length });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Create or update a category (admin only)
+app.put('/api/admin/categories/:categoryId', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const { category, created } = await categoryService.saveCategory(db, req.params.categoryId, req.body);
+
+    console.log(`🏷️  Category ${category.id} ${created ? 'created' : 'updated'} by ${req.userId}`);
+    res.status(created ? 201 : 200).json({ success: true, category });
+
+  } catch (error) {
+    console.error('Save category error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Retire a category: existing receipts keep it, it is no longer offered (admin only)
+app.delete('/api/admin/categories/:categoryId', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const category = await categoryService.retireCategory(db, req.params.categoryId);
+
+    console.log(`🏷️  Category ${category.id} retired by ${req.userId}`);
+    res.json({ success: true, category });
+
+  } catch (error) {
+    console.error('Retire category error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Recategorise any receipt, including ones already in a claim (admin only)
+// Recorded as a correction and learned by the auto-categoriser.
+app.put('/api/admin/receipts/:receiptId/category', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM receipts WHERE id = $1 AND deleted_at IS NULL',
+      [req.params.receiptId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    const receipt = result.rows[0];
+    const changes = receiptCorrectionService.validateEdits({ category: req.body?.category });
+    const { ocrData, categoryId, corrections } = await receiptCorrectionService.applyCorrections(
+      db, receipt, changes, req.userId, { allowLocked: true }
+    );
+
+    let categoryBreakdown = null;
+    if (corrections.length > 0) {
+      categoryBreakdown = await receiptCorrectionService.moveClaimCategory(db, receipt, ocrData);
+      console.log(`🏷️  Receipt ${receipt.id} recategorised ${receipt.category_id} → ${categoryId} by ${req.userId}`);
+    }
+
+    res.json({
+      success: true,
+      receiptId: receipt.id,
+      category: categoryId,
+      categoryName: ocrData.categoryName,
+      expenseId: receipt.expense_id,
+      categoryBreakdown,
+      corrections
+    });
+
+  } catch (error) {
+    console.error('Recategorise receipt error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.message,
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+});
+
+// List exchange rates (admin only)
+app.get('/api/admin/fx-rates', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const { currency, limit = 100 } = req.query;
+
+    const result = await db.query(
+      `SELECT currency, base_currency, rate_date::text AS rate_date, rate, source
+       FROM fx_rates
+       WHERE ($1::text IS NULL OR currency = $1)
+       ORDER BY rate_date DESC, currency ASC
+       LIMIT $2`,
+      [currency ? currency.toUpperCase() : null, parseInt(limit)]
+    );
+
+    const rates = result.rows.map(row => ({
+      currency: row.currency,
+      baseCurrency: row.base_currency,
+      date: row.rate_date,
+      rate: parseFloat(row.rate),
+      source: row.source
+    }));
+
+    res.json({ baseCurrency: fxService.BASE_CURRENCY, rates, count: rates.length });
+
+  } catch (error) {
+    console.error('Get FX rates error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import exchange rates from a CSV/JSON file upload (admin only)
+app.post('/api/admin/fx-rates/import', requireApiAuth, requireAdmin, rateUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No rate file uploaded' });
+    }
+
+    const text = req.file.buffer.toString('utf8');
+    const rates = req.file.originalname.toLowerCase().endsWith('.json')
+      ? fxService.parseRatesJson(text)
+      : fxService.parseRatesCsv(text);
+    const imported = await fxService.importRates(db, rates, req.file.originalname);
+
+    console.log(`💱 Imported ${imported} FX rates from ${req.file.originalname}`);
+    res.json({ success: true, imported });
+
+  } catch (error) {
+    console.error('Import FX rates error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// List approver assignments (admin only)
+app.get('/api/admin/approvers', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await db.query('SELECT * FROM approval_assignments ORDER BY role, employee_id NULLS FIRST');
+
+    const approvers = result.rows.map(row => ({
+      id: row.id,
+      role: row.role,
+      approverId: row.approver_id,
+      employeeId: row.employee_id
+    }));
+
+    res.json({ approvers, count: approvers.length });
+
+  } catch (error) {
+    console.error('Get approvers error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Assign an approver to a role, for one employee or everyone (admin only)
+app.post('/api/admin/approvers', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const { role, approverId, employeeId } = req.body;
+
+    if (!role || !approverId) {
+      return res.status(400).json({ error: 'role and approverId are required' });
+    }
+    if (employeeId && employeeId === approverId) {
+      return res.status(400).json({ error: 'An employee cannot approve their own claims' });
+    }
+
+    const result = await db.query(
+      `INSERT INTO approval_assignments (role, approver_id, employee_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (role, approver_id, COALESCE(employee_id, '')) DO NOTHING
+       RETURNING id`,
+      [role, approverId, employeeId || null]
+    );
+
+    res.json({ success: true, id: result.rows[0]?.id || null });
+
+  } catch (error) {
+    console.error('Assign approver error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove an approver assignment (admin only)
+app.delete('/api/admin/approvers/:assignmentId', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM approval_assignments WHERE id = $1',
+      [parseInt(req.params.assignmentId)]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Remove approver error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Background jobs, newest first (admin only)
+app.get('/api/admin/jobs', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    const [jobs, counts] = await Promise.all([
+      jobQueueService.listJobs(db, { status, type, limit }),
+      jobQueueService.countByStatus(db)
+    ]);
+
+    res.json({ jobs, counts, count: jobs.length });
+
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry a dead-lettered job (admin only)
+app.post('/api/admin/jobs/:jobId/retry', requireApiAuth, requireAdmin, async (req, res) => {
+  try {
+    const job = await jobQueueService.retryJob(db, parseInt(req.params.jobId));
+
+    if (job.type === receiptProcessingService.JOB_TYPE && job.subjectId) {
+      const reset = await db.query(
+        `UPDATE receipts SET status = 'processing', processing_error = NULL, updated_at = NOW()
+         WHERE id = $1 AND status IN ('failed', 'needs_review')
+         RETURNING user_id`,
+        [job.subjectId]
+      );
+      if (reset.rows.length > 0) {
+        await eventStreamService.publish(db, reset.rows[0].user_id, 'receipt', {
+          receiptId: job.subjectId, status: 'processing'
+        });
+      }
+    }
+
+    res.json({ success: true, job });
+
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
 // Admin mark receipt as not duplicate (admin only)
 app.post('/api/admin/duplicates/:receiptId/resolve', requireApiAuth, requireAdmin, async (req, res) => {
   try {
     const { receiptId } = req.params;
     const { isDuplicate, notes } = req.body;
 
+    // The decision covers every match shown to the admin, so later edits do not raise them again
+    const current = await db.query(
+      'SELECT duplicate_of, potential_duplicates, cross_user_matches FROM receipts WHERE id = $1',
+      [receiptId]
+    );
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+    const { duplicate_of: duplicateOf, potential_duplicates: potential, cross_user_matches: crossUser } = current.rows[0];
+    const receiptIds = [...new Set([
+      duplicateOf, ...(potential || []).map(m => m.id), ...(crossUser || []).map(m => m.id)
+    ].filter(Boolean))];
+    const resolution = JSON.stringify({
+      isDuplicate: !!isDuplicate,
+      receiptIds,
+      resolvedBy: req.userId,
+      resolvedAt: new Date().toISOString(),
+      notes: typeof notes === 'string' ? notes.slice(0, 500) : null
+    });
+
+    // Only a receipt waiting in the shoebox moves: one already in a claim (seen
+    // through another employee's cross-user match) or deleted keeps its status
+    let resolved;
     if (isDuplicate) {
       // Keep as flagged/duplicate
-      await db.query(
-        'UPDATE receipts SET status = \'flagged\', updated_at = NOW() WHERE id = $1',
-        [receiptId]
+      resolved = await db.query(
+        `UPDATE receipts SET
+          status = CASE WHEN status = 'processed' AND deleted_at IS NULL THEN 'flagged' ELSE status END,
+          duplicate_resolution = $2,
+          updated_at = NOW()
+        WHERE id = $1
+        RETURNING user_id, status, duplicate_status`,
+        [receiptId, resolution]
       );
     } else {
       // Mark as not a duplicate
-      await db.query(
-        'UPDATE receipts SET duplicate_status = \'none\', status = \'processed\', updated_at = NOW() WHERE id = $1',
-        [receiptId]
+      resolved = await db.query(
+        `UPDATE receipts SET
+          duplicate_status = CASE WHEN status = 'flagged' AND deleted_at IS NULL THEN 'none' ELSE duplicate_status END,
+          status = CASE WHEN status = 'flagged' AND deleted_at IS NULL THEN 'processed' ELSE status END,
+          duplicate_resolution = $2,
+          updated_at = NOW()
+        WHERE id = $1
+        RETURNING user_id, status, duplicate_status`,
+        [receiptId, resolution]
       );
     }
 
+    const row = resolved.rows[0];
+    if (row && row.status !== 'deleted') {
+      await eventStreamService.publish(db, row.user_id, 'receipt', {
+        receiptId, status: row.status, duplicateStatus: row.duplicate_status
+      });
+    }
+
     res.json({ success: true, receiptId });
 
   } catch (error) {
@@ -841,7 +1890,39 @@ app.get('*', (req, res) => {
 });
 
 // Start server and initialize DB
-db.initDb().then(() => {
+db.initDb().then(async () => {
+  const categoryCount = await categoryService.loadCategories(db);
+  categoryService.startRefresh(db);
+  console.log(`🏷️  Loaded ${categoryCount} categories`);
+
+  // Learned categorisation; receipts are still categorised (without it) if training fails
+  try {
+    const trained = await categoryClassifierService.train(db);
+    console.log(`🧠 Category classifier trained on ${trained} receipts`);
+  } catch (error) {
+    console.error('⚠️  Could not train the category classifier:', error.message);
+  }
+  categoryClassifierService.startRetraining(db);
+
+  // Optional local rate file, reloaded on every boot
+  if (process.env.FX_RATES_FILE) {
+    try {
+      const loaded = await fxService.loadRatesFile(db, process.env.FX_RATES_FILE);
+      console.log(`💱 Loaded ${loaded} FX rates from ${process.env.FX_RATES_FILE}`);
+    } catch (error) {
+      console.error(`⚠️  Could not load FX rates from ${process.env.FX_RATES_FILE}:`, error.message);
+    }
+  }
+
+  // Deliver live events published by this or any other instance to SSE clients
+  eventStreamService.startListener(db.pool);
+
+  // Background workers for receipt processing (JOB_WORKERS=0 to run none in this process)
+  const workerCount = parseInt(process.env.JOB_WORKERS ?? '2');
+  if (workerCount > 0) {
+    jobQueueService.startWorkers(db, receiptProcessingService.jobHandlers(db), { concurrency: workerCount });
+  }
+
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log('📊 Mode: PostgreSQL');
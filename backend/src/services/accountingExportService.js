@@ -0,0 +1,430 @@
+/**
+ * Accounting Export Service
+ * Journal-ready files of approved claims for the accounting system:
+ *   - csv   generic journal: a debit line per receipt to its category's GL
+ *           account, a credit line per claim to the reimbursements payable account
+ *   - xero  Xero purchase bills import: a bill per claim, a line per receipt
+ *   - iif   QuickBooks Desktop IIF: a BILL per claim (TRNS to Accounts Payable,
+ *           an SPL per receipt)
+ *
+ * Categories map to GL account and tax codes in the account_mappings table.
+ * Claims are picked by approval date and marked with the export that took
+ * them, so no claim is exported twice; export files are kept for download.
+ * Amounts are in the base currency and include tax as on the receipt.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const fxService = require('./fxService');
+const { getAllCategories, getCategoryById } = require('./categoryService');
+const { isIsoDate, addDays } = require('./analyticsService');
+const { recordEvent } = require('./approvalWorkflowService');
+
+const EXPORT_FORMATS = {
+  csv: { name: 'Journal CSV', extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xero: { name: 'Xero bills CSV', extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  iif: { name: 'QuickBooks IIF', extension: 'iif', contentType: 'text/plain; charset=utf-8' }
+};
+
+// Credit side of every claim, and the fallbacks for categories without a mapping
+const PAYABLE_ACCOUNT = process.env.ACCOUNTING_PAYABLE_ACCOUNT || 'Accounts Payable';
+const DEFAULT_ACCOUNT = process.env.ACCOUNTING_DEFAULT_ACCOUNT || null;
+const DEFAULT_TAX_CODE = process.env.ACCOUNTING_DEFAULT_TAX_CODE || '';
+
+// Longest range one export may cover
+const MAX_EXPORT_DAYS = 366;
+
+class ExportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExportError';
+    this.statusCode = statusCode;
+  }
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function money(value) {
+  return round2(value).toFixed(2);
+}
+
+/**
+ * Quote a CSV field; text starting with = + - @ is prefixed so spreadsheets
+ * do not run it as a formula
+ */
+function csvField(value) {
+  let field = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(field)) field = `'${field}`;
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+function csvRow(values) {
+  return values.map(v => (typeof v === 'number' ? money(v) : csvField(v))).join(',');
+}
+
+// IIF is tab-separated with no quoting
+function iifField(value) {
+  return (value === null || value === undefined ? '' : String(value)).replace(/"/g, '').replace(/[\t\r\n]+/g, ' ').trim();
+}
+
+// YYYY-MM-DD -> DD/MM/YYYY (Xero) or MM/DD/YYYY (QuickBooks)
+function dayFirst(iso) {
+  return `${iso.slice(8, 10)}/${iso.slice(5, 7)}/${iso.slice(0, 4)}`;
+}
+
+function monthFirst(iso) {
+  return `${iso.slice(5, 7)}/${iso.slice(8, 10)}/${iso.slice(0, 4)}`;
+}
+
+// Bill number / journal reference (QuickBooks allows 11 characters)
+function claimReference(claimId) {
+  return `EX-${claimId.slice(0, 8).toUpperCase()}`;
+}
+
+function validateRange(from, to) {
+  if (!isIsoDate(from) || !isIsoDate(to)) {
+    throw new ExportError('from and to must both be YYYY-MM-DD dates');
+  }
+  if (from > to) throw new ExportError('from must not be after to');
+  if (addDays(from, MAX_EXPORT_DAYS) <= to) {
+    throw new ExportError(`An export cannot cover more than ${MAX_EXPORT_DAYS} days`);
+  }
+}
+
+/**
+ * GL account and tax code for every category (retired ones included)
+ * @returns {Promise<Array>} [{ categoryId, name, active, accountCode, taxCode }]
+ */
+async function getMappings(db) {
+  const result = await db.query('SELECT * FROM account_mappings');
+  const byCategory = new Map(result.rows.map(row => [row.category_id, row]));
+  return getAllCategories({ includeRetired: true }).map(category => ({
+    categoryId: category.id,
+    name: category.name,
+    active: category.active !== false,
+    accountCode: byCategory.get(category.id)?.account_code || null,
+    taxCode: byCategory.get(category.id)?.tax_code || null
+  }));
+}
+
+/**
+ * Set or clear (empty accountCode) a category's GL account and tax code
+ * @returns {Promise<Object>} { categoryId, accountCode, taxCode }
+ */
+async function saveMapping(db, categoryId, { accountCode, taxCode } = {}) {
+  if (!getAllCategories({ includeRetired: true }).some(c => c.id === categoryId)) {
+    throw new ExportError('Category not found', 404);
+  }
+  const account = typeof accountCode === 'string' ? accountCode.trim() : '';
+  const tax = typeof taxCode === 'string' ? taxCode.trim() : '';
+  [['accountCode', account], ['taxCode', tax]].forEach(([field, value]) => {
+    if (value.length > 50 || /[\t\r\n]/.test(value)) {
+      throw new ExportError(`${field} must be up to 50 characters on one line`);
+    }
+  });
+
+  if (!account) {
+    if (tax) throw new ExportError('A tax code needs an account code');
+    await db.query('DELETE FROM account_mappings WHERE category_id = $1', [categoryId]);
+    return { categoryId, accountCode: null, taxCode: null };
+  }
+
+  await db.query(
+    `INSERT INTO account_mappings (category_id, account_code, tax_code)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (category_id) DO UPDATE SET
+       account_code = EXCLUDED.account_code, tax_code = EXCLUDED.tax_code, updated_at = NOW()`,
+    [categoryId, account, tax || null]
+  );
+  return { categoryId, accountCode: account, taxCode: tax || null };
+}
+
+/**
+ * Approved claims not yet exported, approved between two dates
+ */
+async function findClaims(db, from, to) {
+  const result = await db.query(
+    `SELECT e.*, to_char(e.verified_at, 'YYYY-MM-DD') AS approved_date
+     FROM expenses e
+     WHERE e.status = 'approved' AND e.exported_at IS NULL
+       AND e.verified_at >= $1::date AND e.verified_at < $2::date + INTERVAL '1 day'
+     ORDER BY e.verified_at ASC, e.id ASC`,
+    [from, to]
+  );
+  return result.rows;
+}
+
+/**
+ * One line per receipt on each claim (the category breakdown for claims
+ * whose receipts are gone)
+ * @returns {Promise<Map>} claimId -> [{ receiptId, date, merchant, categoryId, amount }]
+ */
+async function claimLines(db, claims) {
+  const result = await db.query(
+    `SELECT id, expense_id, category_id, ocr_data, base_amount
+     FROM receipts
+     WHERE expense_id = ANY($1) AND deleted_at IS NULL
+     ORDER BY ocr_data->>'date' ASC, id ASC`,
+    [claims.map(c => c.id)]
+  );
+
+  const lines = new Map(claims.map(c => [c.id, []]));
+  result.rows.forEach(r => {
+    lines.get(r.expense_id).push({
+      receiptId: r.id,
+      date: r.ocr_data?.date || null,
+      merchant: r.ocr_data?.merchant || '',
+      categoryId: r.category_id || r.ocr_data?.category || 'misc',
+      amount: round2(parseFloat(r.base_amount ?? r.ocr_data?.amount) || 0)
+    });
+  });
+
+  claims.forEach(claim => {
+    if (lines.get(claim.id).length > 0) return;
+    // Older breakdowns are { cat: amount }, newer { cat: { amount, original } }
+    Object.entries(claim.category_breakdown || {}).forEach(([categoryId, entry]) => {
+      lines.get(claim.id).push({
+        receiptId: null,
+        date: null,
+        merchant: '',
+        categoryId,
+        amount: round2(parseFloat(typeof entry === 'object' ? entry?.amount : entry) || 0)
+      });
+    });
+  });
+  return lines;
+}
+
+/**
+ * Resolve each line's GL account and tax code
+ * @returns {Object} { entries: [{ claim, lines: [{ ...line, accountCode, taxCode }], total }], unmapped: [category names] }
+ */
+function mapEntries(claims, lines, mappings) {
+  const byCategory = new Map(mappings.filter(m => m.accountCode).map(m => [m.categoryId, m]));
+  const unmapped = new Set();
+
+  const entries = claims.map(claim => {
+    const mapped = lines.get(claim.id).map(line => {
+      const mapping = byCategory.get(line.categoryId);
+      if (!mapping && !DEFAULT_ACCOUNT) unmapped.add(getCategoryById(line.categoryId).name || line.categoryId);
+      return {
+        ...line,
+        accountCode: mapping?.accountCode || DEFAULT_ACCOUNT,
+        taxCode: mapping ? (mapping.taxCode || DEFAULT_TAX_CODE) : DEFAULT_TAX_CODE
+      };
+    });
+    return { claim, lines: mapped, total: round2(mapped.reduce((sum, l) => sum + l.amount, 0)) };
+  });
+
+  return { entries, unmapped: [...unmapped] };
+}
+
+function lineDescription(line) {
+  return [line.merchant, line.date].filter(Boolean).join(' ') || getCategoryById(line.categoryId).name;
+}
+
+function employeeName(claim) {
+  return claim.employee_name || claim.user_id;
+}
+
+function buildCsv(entries, currency) {
+  const rows = [csvRow([
+    'Date', 'Reference', 'Account', 'TaxCode', 'Description', 'Debit', 'Credit', 'Currency',
+    'ClaimId', 'ReceiptId', 'Employee', 'Department', 'Category'
+  ])];
+  entries.forEach(({ claim, lines, total }) => {
+    lines.forEach(line => rows.push(csvRow([
+      claim.approved_date, claimReference(claim.id), line.accountCode, line.taxCode, lineDescription(line),
+      line.amount, '', currency, claim.id, line.receiptId || '', employeeName(claim), claim.department || '',
+      line.categoryId
+    ])));
+    rows.push(csvRow([
+      claim.approved_date, claimReference(claim.id), PAYABLE_ACCOUNT, '', `Reimbursement to ${employeeName(claim)}`,
+      '', total, currency, claim.id, '', employeeName(claim), claim.department || '', ''
+    ]));
+  });
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+function buildXero(entries, currency) {
+  const rows = [csvRow([
+    '*ContactName', '*InvoiceNumber', 'Reference', '*InvoiceDate', '*DueDate', 'Description',
+    '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'TrackingName1', 'TrackingOption1', 'Currency'
+  ])];
+  entries.forEach(({ claim, lines }) => {
+    lines.forEach(line => rows.push(csvRow([
+      employeeName(claim), claimReference(claim.id), claim.notes || claim.category || '',
+      dayFirst(claim.approved_date), dayFirst(claim.approved_date), lineDescription(line),
+      '1', line.amount, line.accountCode, line.taxCode,
+      claim.department ? 'Department' : '', claim.department || '', currency
+    ])));
+  });
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+function buildIif(entries) {
+  const header = ['TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'];
+  const rows = [['!TRNS', ...header], ['!SPL', ...header], ['!ENDTRNS']];
+  entries.forEach(({ claim, lines, total }) => {
+    const date = monthFirst(claim.approved_date);
+    const name = employeeName(claim);
+    const reference = claimReference(claim.id);
+    rows.push(['TRNS', 'BILL', date, PAYABLE_ACCOUNT, name, money(-total), reference, claim.notes || claim.category || '']);
+    lines.forEach(line => rows.push(['SPL', 'BILL', date, line.accountCode, name, money(line.amount), reference, lineDescription(line)]));
+    rows.push(['ENDTRNS']);
+  });
+  return `${rows.map(row => row.map(iifField).join('\t')).join('\r\n')}\r\n`;
+}
+
+const BUILDERS = { csv: buildCsv, xero: buildXero, iif: buildIif };
+
+/**
+ * What an export of a date range would contain, without marking anything
+ * @returns {Promise<Object>} { from, to, claims, total, currency, unmappedCategories }
+ */
+async function previewExport(db, { from, to } = {}) {
+  validateRange(from, to);
+  const claims = await findClaims(db, from, to);
+  const { entries, unmapped } = mapEntries(claims, await claimLines(db, claims), await getMappings(db));
+  return {
+    from,
+    to,
+    claims: entries.length,
+    total: round2(entries.reduce((sum, e) => sum + e.total, 0)),
+    currency: fxService.BASE_CURRENCY,
+    unmappedCategories: unmapped
+  };
+}
+
+function mapExportRow(row) {
+  return {
+    id: row.id,
+    format: row.format,
+    formatName: EXPORT_FORMATS[row.format]?.name || row.format,
+    from: row.from_date,
+    to: row.to_date,
+    claimCount: row.claim_count,
+    total: parseFloat(row.total),
+    currency: row.currency,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+const EXPORT_COLUMNS = `id, format, to_char(from_date, 'YYYY-MM-DD') AS from_date, to_char(to_date, 'YYYY-MM-DD') AS to_date,
+  claim_count, total, currency, created_by, created_at`;
+
+/**
+ * Export approved, not yet exported claims approved between two dates
+ * Claims are marked first; one taken by a concurrent export is left out of this file.
+ * @param {Object} db - db module (with query and withTransaction)
+ * @param {Object} options - { format, from, to }
+ * @param {string} userId - Admin running the export
+ * @returns {Promise<Object>} Export metadata (see listExports)
+ */
+async function createExport(db, { format, from, to } = {}, userId) {
+  if (!BUILDERS[format]) {
+    throw new ExportError(`format must be one of: ${Object.keys(BUILDERS).join(', ')}`);
+  }
+  validateRange(from, to);
+
+  const candidates = await findClaims(db, from, to);
+  if (candidates.length === 0) {
+    throw new ExportError(`No approved claims waiting to be exported between ${from} and ${to}`);
+  }
+  const mappings = await getMappings(db);
+  const check = mapEntries(candidates, await claimLines(db, candidates), mappings);
+  if (check.unmapped.length > 0) {
+    throw new ExportError(`Set a GL account for these categories first: ${check.unmapped.join(', ')}`);
+  }
+
+  // The claims are marked, the file built and saved together: a failure part way
+  // leaves no claim marked as exported without a file
+  const exportId = uuidv4();
+  return db.withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO accounting_exports (id, format, from_date, to_date, currency, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [exportId, format, from, to, fxService.BASE_CURRENCY, userId]
+    );
+    const marked = await client.query(
+      `UPDATE expenses SET exported_at = NOW(), export_id = $1
+       WHERE id = ANY($2) AND exported_at IS NULL
+       RETURNING id`,
+      [exportId, candidates.map(c => c.id)]
+    );
+    const markedIds = new Set(marked.rows.map(r => r.id));
+    if (markedIds.size === 0) {
+      throw new ExportError('These claims were exported by someone else just now', 409);
+    }
+
+    const entries = check.entries.filter(e => markedIds.has(e.claim.id));
+    const total = round2(entries.reduce((sum, e) => sum + e.total, 0));
+    const content = BUILDERS[format](entries, fxService.BASE_CURRENCY);
+    const result = await client.query(
+      `UPDATE accounting_exports SET claim_count = $1, total = $2, content = $3 WHERE id = $4
+       RETURNING ${EXPORT_COLUMNS}`,
+      [entries.length, total, content, exportId]
+    );
+
+    for (const { claim } of entries) {
+      await recordEvent(client, claim.id, 'exported', {
+        actorId: userId, notes: `${EXPORT_FORMATS[format].name} ${exportId}`
+      });
+    }
+
+    return mapExportRow(result.rows[0]);
+  });
+}
+
+/**
+ * Past exports, newest first
+ */
+async function listExports(db, { limit = 50 } = {}) {
+  const result = await db.query(
+    `SELECT ${EXPORT_COLUMNS} FROM accounting_exports WHERE content IS NOT NULL ORDER BY created_at DESC LIMIT $1`,
+    [limit]
+  );
+  return result.rows.map(mapExportRow);
+}
+
+/**
+ * An export's file for download
+ * @returns {Promise<Object>} { fileName, contentType, content }
+ */
+async function getExportFile(db, exportId) {
+  const result = await db.query(
+    `SELECT ${EXPORT_COLUMNS}, content FROM accounting_exports WHERE id = $1 AND content IS NOT NULL`,
+    [exportId]
+  );
+  if (result.rows.length === 0) {
+    throw new ExportError('Export not found', 404);
+  }
+  const row = result.rows[0];
+  const format = EXPORT_FORMATS[row.format];
+  return {
+    fileName: `claims-${row.format}-${row.from_date}-to-${row.to_date}.${format.extension}`,
+    contentType: format.contentType,
+    content: row.content
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  PAYABLE_ACCOUNT,
+  DEFAULT_ACCOUNT,
+  DEFAULT_TAX_CODE,
+  ExportError,
+  csvField,
+  iifField,
+  buildCsv,
+  buildXero,
+  buildIif,
+  getMappings,
+  saveMapping,
+  previewExport,
+  createExport,
+  listExports,
+  getExportFile
+};
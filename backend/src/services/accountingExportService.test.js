@@ -0,0 +1,93 @@
+// uuid is ESM-only; export ids are not under test here
+jest.mock('uuid', () => ({ v4: jest.fn() }));
+
+const { loadCategories } = require('./categoryService');
+const { csvField, iifField, buildCsv, buildXero, buildIif } = require('./accountingExportService');
+
+const entries = [
+  {
+    claim: {
+      id: 'a1b2c3d4-0000-4000-8000-000000000001', approved_date: '2026-03-05', employee_name: 'Tan, Mei Ling',
+      user_id: 'u1', notes: 'KL trip', department: 'Sales'
+    },
+    lines: [
+      { receiptId: 'r1', merchant: 'Grab', date: '2026-03-02', categoryId: 'travel', amount: 42.5, accountCode: '6100', taxCode: 'SR' },
+      { receiptId: 'r2', merchant: null, date: null, categoryId: 'meals', amount: 18, accountCode: '6200', taxCode: '' }
+    ],
+    total: 60.5
+  },
+  {
+    claim: { id: 'ffee0011-0000-4000-8000-000000000002', approved_date: '2026-03-09', employee_name: null, user_id: 'u2', category: 'General' },
+    lines: [{ receiptId: 'r3', merchant: '=HYPERLINK("x")', date: '2026-03-08', categoryId: 'meals', amount: 9.999, accountCode: '6200', taxCode: '' }],
+    total: 10
+  }
+];
+
+beforeAll(async () => {
+  await loadCategories({
+    query: async () => ({ rows: [{ id: 'meals', name: 'Meals & Entertainment' }, { id: 'travel', name: 'Travel' }] })
+  });
+});
+
+describe('csvField', () => {
+  it('quotes commas, quotes and line breaks', () => {
+    expect(csvField('plain')).toBe('plain');
+    expect(csvField('Tan, Mei Ling')).toBe('"Tan, Mei Ling"');
+    expect(csvField('12" pizza')).toBe('"12"" pizza"');
+    expect(csvField('two\nlines')).toBe('"two\nlines"');
+    expect(csvField(null)).toBe('');
+    expect(csvField(0)).toBe('0');
+  });
+
+  it('stops spreadsheets from running text as a formula', () => {
+    expect(csvField('=SUM(A1:A9)')).toBe("'=SUM(A1:A9)");
+    expect(csvField('+60 12-345')).toBe("'+60 12-345");
+    expect(csvField('-5')).toBe("'-5");
+    expect(csvField('@cmd')).toBe("'@cmd");
+    expect(csvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+  });
+});
+
+describe('iifField', () => {
+  it('removes tabs, line breaks and quotes, which IIF cannot escape', () => {
+    expect(iifField('Grab\tKL\r\nairport')).toBe('Grab KL airport');
+    expect(iifField('12" pizza ')).toBe('12 pizza');
+    expect(iifField(undefined)).toBe('');
+  });
+});
+
+describe('buildXero', () => {
+  it('writes a bill line per receipt with day-first dates', () => {
+    const lines = buildXero(entries, 'MYR').split('\r\n');
+
+    expect(lines[0]).toBe('*ContactName,*InvoiceNumber,Reference,*InvoiceDate,*DueDate,Description,'
+      + '*Quantity,*UnitAmount,*AccountCode,*TaxType,TrackingName1,TrackingOption1,Currency');
+    expect(lines.slice(1)).toEqual([
+      '"Tan, Mei Ling",EX-A1B2C3D4,KL trip,05/03/2026,05/03/2026,Grab 2026-03-02,1,42.50,6100,SR,Department,Sales,MYR',
+      '"Tan, Mei Ling",EX-A1B2C3D4,KL trip,05/03/2026,05/03/2026,Meals & Entertainment,1,18.00,6200,,Department,Sales,MYR',
+      'u2,EX-FFEE0011,General,09/03/2026,09/03/2026,"\'=HYPERLINK(""x"") 2026-03-08",1,10.00,6200,,,,MYR',
+      ''
+    ]);
+  });
+});
+
+describe('buildCsv', () => {
+  it('balances each claim with a credit to the payable account', () => {
+    const lines = buildCsv(entries.slice(0, 1), 'MYR').trim().split('\r\n');
+
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toBe('2026-03-05,EX-A1B2C3D4,6100,SR,Grab 2026-03-02,42.50,,MYR,a1b2c3d4-0000-4000-8000-000000000001,r1,"Tan, Mei Ling",Sales,travel');
+    expect(lines[3]).toBe('2026-03-05,EX-A1B2C3D4,Accounts Payable,,"Reimbursement to Tan, Mei Ling",,60.50,MYR,a1b2c3d4-0000-4000-8000-000000000001,,"Tan, Mei Ling",Sales,');
+  });
+});
+
+describe('buildIif', () => {
+  it('writes a BILL per claim with month-first dates and a negative payable total', () => {
+    const rows = buildIif(entries.slice(1)).trim().split('\r\n').map(row => row.split('\t'));
+
+    expect(rows.slice(0, 3).map(row => row[0])).toEqual(['!TRNS', '!SPL', '!ENDTRNS']);
+    expect(rows[3]).toEqual(['TRNS', 'BILL', '03/09/2026', 'Accounts Payable', 'u2', '-10.00', 'EX-FFEE0011', 'General']);
+    expect(rows[4]).toEqual(['SPL', 'BILL', '03/09/2026', '6200', 'u2', '10.00', 'EX-FFEE0011', '=HYPERLINK(x) 2026-03-08']);
+    expect(rows[5]).toEqual(['ENDTRNS']);
+  });
+});
@@ -0,0 +1,542 @@
+/**
+ * Analytics Service
+ * Spending analysis for an employee over a date range: totals by category,
+ * a comparison with the previous period and a time series for charting.
+ *
+ * Receipts are placed by their receipt date (not upload date) and summed in
+ * the base currency: the rate stored at submission, otherwise the rate for
+ * the receipt date. Receipts without a usable date or rate are left out and
+ * reported.
+ *
+ * Organisation-wide stats for admins (getOrgStats) are SQL aggregates over
+ * claimed receipts, claims and uploads.
+ */
+
+const fxService = require('./fxService');
+const { getCategoryById } = require('./categoryService');
+
+const PERIODS = ['week', 'month', 'quarter', 'year'];
+const INTERVALS = ['day', 'week', 'month'];
+
+// Which claims org spend counts: claimed = approved or still pending
+const CLAIM_STATUSES = ['claimed', 'approved', 'pending', 'rejected', 'all'];
+
+// Rows in the employee and merchant rankings
+const TOP_N = 10;
+
+// Longest custom range, and the most points a series may have
+const MAX_RANGE_DAYS = 366 * 5;
+const MAX_SERIES_POINTS = 400;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AnalyticsError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.statusCode = statusCode;
+  }
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toDate(iso) {
+  return new Date(`${iso}T00:00:00Z`);
+}
+
+function toIso(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(iso, days) {
+  return toIso(new Date(toDate(iso).getTime() + days * DAY_MS));
+}
+
+function daysBetween(from, to) {
+  return Math.round((toDate(to) - toDate(from)) / DAY_MS);
+}
+
+function isIsoDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    && !isNaN(toDate(value).getTime()) && toIso(toDate(value)) === value;
+}
+
+/**
+ * Same day n months later, clamped to the month's end (Jan 31 + 1 month = Feb 28)
+ */
+function addMonths(iso, months) {
+  const d = toDate(iso);
+  const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d.getUTCDate(), lastDay));
+  return toIso(target);
+}
+
+// Weeks start on Monday
+function startOfWeek(iso) {
+  return addDays(iso, -((toDate(iso).getUTCDay() + 6) % 7));
+}
+
+function startOfPeriod(iso, period) {
+  const d = toDate(iso);
+  const year = d.getUTCFullYear();
+  if (period === 'week') return startOfWeek(iso);
+  if (period === 'month') return toIso(new Date(Date.UTC(year, d.getUTCMonth(), 1)));
+  if (period === 'quarter') return toIso(new Date(Date.UTC(year, d.getUTCMonth() - (d.getUTCMonth() % 3), 1)));
+  return toIso(new Date(Date.UTC(year, 0, 1)));
+}
+
+function defaultInterval(days) {
+  if (days <= 31) return 'day';
+  if (days <= 190) return 'week';
+  return 'month';
+}
+
+/**
+ * Work out the date range, the previous period to compare with and the series interval
+ * - period: the current week/month/quarter/year to date; the previous period covers
+ *   the same number of days from its start (1-18 Oct vs 1-18 Sep)
+ * - from/to: a custom range (inclusive); compared with the same number of days before it
+ * @param {Object} query - { period, from, to, interval }
+ * @param {string} today - YYYY-MM-DD (defaults to the current UTC date)
+ * @returns {Object} { period, from, to, previous: { from, to }, interval }
+ */
+function resolveRange({ period, from, to, interval } = {}, today = toIso(new Date())) {
+  let range;
+  if (from !== undefined || to !== undefined) {
+    if (!isIsoDate(from) || !isIsoDate(to)) {
+      throw new AnalyticsError('from and to must both be YYYY-MM-DD dates');
+    }
+    if (from > to) throw new AnalyticsError('from must not be after to');
+    const days = daysBetween(from, to) + 1;
+    if (days > MAX_RANGE_DAYS) throw new AnalyticsError(`Date range cannot be longer than ${MAX_RANGE_DAYS} days`);
+    range = { period: 'custom', from, to, previous: { from: addDays(from, -days), to: addDays(from, -1) } };
+  } else {
+    const selected = period || 'month';
+    if (!PERIODS.includes(selected)) {
+      throw new AnalyticsError(`period must be one of: ${PERIODS.join(', ')} (or give from and to)`);
+    }
+    const start = startOfPeriod(today, selected);
+    const previousStart = selected === 'week'
+      ? addDays(start, -7)
+      : addMonths(start, selected === 'month' ? -1 : selected === 'quarter' ? -3 : -12);
+    const elapsed = daysBetween(start, today);
+    // Never run past the end of the previous period (31 Oct vs 30 Sep)
+    const previousTo = [addDays(previousStart, elapsed), addDays(start, -1)].sort()[0];
+    range = { period: selected, from: start, to: today, previous: { from: previousStart, to: previousTo } };
+  }
+
+  const selectedInterval = interval || defaultInterval(daysBetween(range.from, range.to) + 1);
+  if (!INTERVALS.includes(selectedInterval)) {
+    throw new AnalyticsError(`interval must be one of: ${INTERVALS.join(', ')}`);
+  }
+  if (selectedInterval === 'day' && daysBetween(range.from, range.to) + 1 > MAX_SERIES_POINTS) {
+    throw new AnalyticsError('Range is too long for a daily series; use interval=week or month');
+  }
+  return { ...range, interval: selectedInterval };
+}
+
+/**
+ * Series buckets covering the range, empty ones included
+ * @returns {Array} [{ start, end }] - days, Monday-Sunday weeks or calendar months, clipped to the range
+ */
+function buildBuckets(from, to, interval) {
+  const buckets = [];
+  let start = interval === 'week' ? startOfWeek(from) : interval === 'month' ? startOfPeriod(from, 'month') : from;
+  while (start <= to) {
+    const next = interval === 'day' ? addDays(start, 1) : interval === 'week' ? addDays(start, 7) : addMonths(start, 1);
+    const end = addDays(next, -1);
+    buckets.push({ start: start < from ? from : start, end: end > to ? to : end });
+    start = next;
+  }
+  return buckets;
+}
+
+// Receipts that count as spending: read and unflagged, claimed, or approved.
+// Flagged, failed, needs_review and still processing ones are left out, and so
+// are receipts of rejected claims (their status becomes rejected)
+const SPEND_STATUSES = ['processed', 'submitted', 'approved'];
+
+async function fetchReceipts(db, userId, from, to) {
+  const result = await db.query(
+    `SELECT id, ocr_data, category_id, base_amount, base_currency
+     FROM receipts
+     WHERE user_id = $1 AND deleted_at IS NULL AND status = ANY($4)
+       AND ocr_data->>'date' ~ '^\\d{4}-\\d{2}-\\d{2}$'
+       AND ocr_data->>'date' >= $2 AND ocr_data->>'date' <= $3`,
+    [userId, from, to, SPEND_STATUSES]
+  );
+  return result.rows;
+}
+
+/**
+ * Receipt amounts in the base currency
+ * @returns {Promise<Object>} { converted: [{ row, date, amount }], unconverted: [{ currency, amount, count }] }
+ */
+async function toBaseAmounts(db, rows) {
+  const converted = [];
+  const unconverted = {};
+  for (const row of rows) {
+    const data = row.ocr_data || {};
+    const date = data.date;
+    if (row.base_amount !== null && row.base_amount !== undefined && row.base_currency === fxService.BASE_CURRENCY) {
+      converted.push({ row, date, amount: parseFloat(row.base_amount) || 0 });
+      continue;
+    }
+    try {
+      const { baseAmount } = await fxService.convert(db, data.amount, data.currency, date);
+      converted.push({ row, date, amount: baseAmount });
+    } catch (error) {
+      if (!(error instanceof fxService.FxError)) throw error;
+      const currency = (data.currency || '').toUpperCase();
+      const entry = unconverted[currency] || (unconverted[currency] = { currency, amount: 0, count: 0 });
+      entry.amount = round2(entry.amount + (parseFloat(data.amount) || 0));
+      entry.count += 1;
+    }
+  }
+  return { converted, unconverted: Object.values(unconverted) };
+}
+
+function percentChange(current, previous) {
+  return previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null;
+}
+
+/**
+ * Spending analysis for a user
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {string} userId - Employee
+ * @param {Object} query - { period, from, to, interval } (see resolveRange)
+ * @returns {Promise<Object>} { period, from, to, interval, currency, totalAmount, totalReceipts,
+ *   categories, previous: { from, to, totalAmount, totalReceipts }, change: { amount, percentage },
+ *   series: [{ start, end, amount, count }], unconverted: [{ currency, amount, count }] }
+ */
+async function getSpending(db, userId, query = {}) {
+  const range = resolveRange(query);
+
+  const current = await toBaseAmounts(db, await fetchReceipts(db, userId, range.from, range.to));
+  const previous = await toBaseAmounts(db, await fetchReceipts(db, userId, range.previous.from, range.previous.to));
+
+  const totalAmount = round2(current.converted.reduce((sum, r) => sum + r.amount, 0));
+  const previousAmount = round2(previous.converted.reduce((sum, r) => sum + r.amount, 0));
+
+  const categoryTotals = {};
+  const addToCategory = (entry, field) => {
+    const id = entry.row.category_id || 'misc';
+    const totals = categoryTotals[id] || (categoryTotals[id] = { amount: 0, count: 0, previousAmount: 0 });
+    totals[field] += entry.amount;
+    if (field === 'amount') totals.count += 1;
+  };
+  current.converted.forEach(entry => addToCategory(entry, 'amount'));
+  previous.converted.forEach(entry => addToCategory(entry, 'previousAmount'));
+
+  const categories = Object.entries(categoryTotals).map(([id, data]) => ({
+    id,
+    name: getCategoryById(id).name,
+    amount: round2(data.amount),
+    count: data.count,
+    percentage: totalAmount > 0 ? Math.round((data.amount / totalAmount) * 100) : 0,
+    previousAmount: round2(data.previousAmount),
+    change: percentChange(data.amount, data.previousAmount)
+  })).filter(c => c.count > 0).sort((a, b) => b.amount - a.amount);
+
+  const series = buildBuckets(range.from, range.to, range.interval).map(b => ({ ...b, amount: 0, count: 0 }));
+  current.converted.forEach(entry => {
+    const bucket = series.find(b => entry.date >= b.start && entry.date <= b.end);
+    if (bucket) {
+      bucket.amount = round2(bucket.amount + entry.amount);
+      bucket.count += 1;
+    }
+  });
+
+  return {
+    period: range.period,
+    from: range.from,
+    to: range.to,
+    interval: range.interval,
+    currency: fxService.BASE_CURRENCY,
+    totalAmount,
+    totalReceipts: current.converted.length,
+    categories,
+    previous: { ...range.previous, totalAmount: previousAmount, totalReceipts: previous.converted.length },
+    change: { amount: round2(totalAmount - previousAmount), percentage: percentChange(totalAmount, previousAmount) },
+    series,
+    unconverted: current.unconverted
+  };
+}
+
+/**
+ * Validate admin stats filters
+ * @param {Object} query - { from, to, department, userId, category, status }
+ * @param {string} today - YYYY-MM-DD (defaults to the current UTC date)
+ * @returns {Object} Filters; the range defaults to the last 12 months (this one included)
+ */
+function resolveOrgFilters({ from, to, department, userId, category, status } = {}, today = toIso(new Date())) {
+  const filters = { from, to, department: department || null, userId: userId || null, category: category || null };
+  if (from === undefined && to === undefined) {
+    filters.from = addMonths(startOfPeriod(today, 'month'), -11);
+    filters.to = today;
+  } else if (!isIsoDate(from) || !isIsoDate(to)) {
+    throw new AnalyticsError('from and to must both be YYYY-MM-DD dates');
+  } else if (from > to) {
+    throw new AnalyticsError('from must not be after to');
+  } else if (daysBetween(from, to) + 1 > MAX_RANGE_DAYS) {
+    throw new AnalyticsError(`Date range cannot be longer than ${MAX_RANGE_DAYS} days`);
+  }
+
+  filters.status = status || 'claimed';
+  if (!CLAIM_STATUSES.includes(filters.status)) {
+    throw new AnalyticsError(`status must be one of: ${CLAIM_STATUSES.join(', ')}`);
+  }
+  ['department', 'userId', 'category'].forEach(field => {
+    if (filters[field] !== null && (typeof filters[field] !== 'string' || filters[field].length > 100)) {
+      throw new AnalyticsError(`${field} must be a string of up to 100 characters`);
+    }
+  });
+  return filters;
+}
+
+/**
+ * WHERE clause builder; values become numbered parameters
+ */
+function whereBuilder() {
+  const params = [];
+  const conditions = [];
+  return {
+    params,
+    add(sql, ...values) {
+      conditions.push(sql.replace(/\?/g, () => {
+        params.push(values.shift());
+        return `$${params.length}`;
+      }));
+    },
+    get sql() {
+      return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    }
+  };
+}
+
+function claimStatusCondition(status) {
+  if (status === 'claimed') return "e.status <> 'rejected'";
+  if (status === 'approved') return "e.status = 'approved'";
+  if (status === 'pending') return "e.status LIKE 'pending\\_%'";
+  if (status === 'rejected') return "e.status = 'rejected'";
+  return null;
+}
+
+// Claimed receipts in the range (by receipt date), in the base currency
+function spendQuery(filters) {
+  const where = whereBuilder();
+  where.add('r.deleted_at IS NULL');
+  where.add("r.ocr_data->>'date' >= ?", filters.from);
+  where.add("r.ocr_data->>'date' <= ?", filters.to);
+  const statusCondition = claimStatusCondition(filters.status);
+  if (statusCondition) where.add(statusCondition);
+  if (filters.department) where.add('e.department = ?', filters.department);
+  if (filters.userId) where.add('e.user_id = ?', filters.userId);
+  if (filters.category) where.add("COALESCE(r.category_id, 'misc') = ?", filters.category);
+  return where;
+}
+
+// Claims submitted in the range
+function claimQuery(filters) {
+  const where = whereBuilder();
+  where.add('e.submitted_at >= ?::date', filters.from);
+  where.add("e.submitted_at < ?::date + INTERVAL '1 day'", filters.to);
+  if (filters.department) where.add('e.department = ?', filters.department);
+  if (filters.userId) where.add('e.user_id = ?', filters.userId);
+  if (filters.category) {
+    where.add("EXISTS (SELECT 1 FROM receipts cr WHERE cr.expense_id = e.id AND COALESCE(cr.category_id, 'misc') = ?)", filters.category);
+  }
+  return where;
+}
+
+// Receipts uploaded in the range (deleted ones included)
+function uploadQuery(filters) {
+  const where = whereBuilder();
+  where.add('r.uploaded_at >= ?::date', filters.from);
+  where.add("r.uploaded_at < ?::date + INTERVAL '1 day'", filters.to);
+  if (filters.department) {
+    where.add('r.user_id IN (SELECT user_id FROM expenses WHERE department = ?)', filters.department);
+  }
+  if (filters.userId) where.add('r.user_id = ?', filters.userId);
+  if (filters.category) where.add("COALESCE(r.category_id, 'misc') = ?", filters.category);
+  return where;
+}
+
+const AMOUNT_SQL = "COALESCE(r.base_amount, (r.ocr_data->>'amount')::numeric, 0)";
+
+async function spendBy(db, filters, groupSql, { nameSql = groupSql, orderSql = 'amount DESC', limit = null } = {}) {
+  const where = spendQuery(filters);
+  const result = await db.query(
+    `SELECT ${groupSql} AS key, MIN(${nameSql}) AS name,
+            ROUND(SUM(${AMOUNT_SQL}), 2)::float AS amount,
+            COUNT(*)::int AS receipts, COUNT(DISTINCT e.id)::int AS claims
+     FROM receipts r JOIN expenses e ON e.id = r.expense_id
+     ${where.sql}
+     GROUP BY ${groupSql}
+     ORDER BY ${orderSql}
+     ${limit ? `LIMIT ${limit}` : ''}`,
+    where.params
+  );
+  return result.rows;
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : null;
+}
+
+/**
+ * Organisation-wide stats for the admin dashboard
+ * - spend: claimed receipts dated in the range, by department, employee, category, merchant and month
+ * - approvals: claims submitted in the range; turnaround (hours from submission to the
+ *   final decision, and per step from the previous decision) and rejection rates
+ * - receipts: uploads in the range and how many were duplicates, flagged, over policy or unreadable
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {Object} query - { from, to, department, userId, category, status } (see resolveOrgFilters)
+ * @returns {Promise<Object>} { filters, currency, departments, spend, approvals, receipts }
+ */
+async function getOrgStats(db, query = {}) {
+  const filters = resolveOrgFilters(query);
+
+  const spendWhere = spendQuery(filters);
+  const totals = await db.query(
+    `SELECT ROUND(COALESCE(SUM(${AMOUNT_SQL}), 0), 2)::float AS amount, COUNT(*)::int AS receipts,
+            COUNT(DISTINCT e.id)::int AS claims, COUNT(DISTINCT e.user_id)::int AS employees
+     FROM receipts r JOIN expenses e ON e.id = r.expense_id
+     ${spendWhere.sql}`,
+    spendWhere.params
+  );
+
+  const byCategory = (await spendBy(db, filters, "COALESCE(r.category_id, 'misc')"))
+    .map(row => ({ ...row, name: getCategoryById(row.key).name }));
+  const spend = {
+    ...totals.rows[0],
+    byDepartment: await spendBy(db, filters, "COALESCE(e.department, '')"),
+    byEmployee: await spendBy(db, filters, 'e.user_id', { limit: TOP_N }),
+    byCategory,
+    byMonth: await spendBy(db, filters, "LEFT(r.ocr_data->>'date', 7)", { orderSql: 'key ASC' }),
+    topMerchants: await spendBy(db, filters, "LOWER(TRIM(r.ocr_data->>'merchant'))", {
+      nameSql: "TRIM(r.ocr_data->>'merchant')", limit: TOP_N
+    })
+  };
+
+  const claimWhere = claimQuery(filters);
+  const claims = await db.query(
+    `SELECT COUNT(*)::int AS claims,
+            COUNT(*) FILTER (WHERE e.status = 'approved')::int AS approved,
+            COUNT(*) FILTER (WHERE e.status = 'rejected')::int AS rejected,
+            COUNT(*) FILTER (WHERE e.status LIKE 'pending\\_%')::int AS pending,
+            ROUND(AVG(EXTRACT(EPOCH FROM (e.verified_at - e.submitted_at)) / 3600)
+              FILTER (WHERE e.status IN ('approved', 'rejected') AND e.verified_at IS NOT NULL), 1)::float AS average_hours,
+            ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (e.verified_at - e.submitted_at)) / 3600)
+              FILTER (WHERE e.status IN ('approved', 'rejected') AND e.verified_at IS NOT NULL))::numeric, 1)::float AS median_hours
+     FROM expenses e
+     ${claimWhere.sql}`,
+    claimWhere.params
+  );
+  const byStep = await db.query(
+    `SELECT step_key AS key, MIN(name) AS name, COUNT(*)::int AS decided,
+            COUNT(*) FILTER (WHERE status = 'rejected')::int AS rejected,
+            ROUND(AVG(hours), 1)::float AS average_hours
+     FROM (
+       SELECT s.step_key, s.step_order, s.name, s.status,
+              EXTRACT(EPOCH FROM (s.decided_at - COALESCE(
+                LAG(s.decided_at) OVER (PARTITION BY s.expense_id ORDER BY s.step_order), e.submitted_at
+              ))) / 3600 AS hours
+       FROM expense_approval_steps s JOIN expenses e ON e.id = s.expense_id
+       ${claimWhere.sql}
+     ) steps
+     WHERE status IN ('approved', 'rejected')
+     GROUP BY step_key
+     ORDER BY MIN(step_order)`,
+    claimWhere.params
+  );
+  const rejectionByDepartment = await db.query(
+    `SELECT COALESCE(e.department, '') AS key,
+            COUNT(*) FILTER (WHERE e.status IN ('approved', 'rejected'))::int AS decided,
+            COUNT(*) FILTER (WHERE e.status = 'rejected')::int AS rejected
+     FROM expenses e
+     ${claimWhere.sql}
+     GROUP BY COALESCE(e.department, '')
+     ORDER BY key`,
+    claimWhere.params
+  );
+
+  const c = claims.rows[0];
+  const approvals = {
+    claims: c.claims,
+    approved: c.approved,
+    rejected: c.rejected,
+    pending: c.pending,
+    rejectionRate: rate(c.rejected, c.approved + c.rejected),
+    turnaroundHours: { average: c.average_hours, median: c.median_hours },
+    byStep: byStep.rows.map(({ average_hours: averageHours, ...row }) => ({
+      ...row, averageHours, rejectionRate: rate(row.rejected, row.decided)
+    })),
+    byDepartment: rejectionByDepartment.rows.map(row => ({ ...row, rejectionRate: rate(row.rejected, row.decided) }))
+  };
+
+  const uploadWhere = uploadQuery(filters);
+  const uploads = await db.query(
+    `SELECT COUNT(*)::int AS uploaded,
+            COUNT(*) FILTER (WHERE r.duplicate_status IN ('detected', 'potential', 'cross_user'))::int AS duplicates,
+            COUNT(*) FILTER (WHERE r.duplicate_status = 'cross_user')::int AS cross_user_duplicates,
+            COUNT(*) FILTER (WHERE r.status = 'flagged')::int AS flagged,
+            COUNT(*) FILTER (WHERE jsonb_array_length(COALESCE(r.policy_violations, '[]'::jsonb)) > 0)::int AS policy_violations,
+            COUNT(*) FILTER (WHERE r.status = 'needs_review')::int AS needs_review,
+            COUNT(*) FILTER (WHERE r.deleted_at IS NOT NULL)::int AS deleted
+     FROM receipts r
+     ${uploadWhere.sql}`,
+    uploadWhere.params
+  );
+  const u = uploads.rows[0];
+  const receipts = {
+    uploaded: u.uploaded,
+    duplicates: u.duplicates,
+    crossUserDuplicates: u.cross_user_duplicates,
+    flagged: u.flagged,
+    policyViolations: u.policy_violations,
+    needsReview: u.needs_review,
+    deleted: u.deleted,
+    rates: {
+      duplicates: rate(u.duplicates, u.uploaded),
+      flagged: rate(u.flagged, u.uploaded),
+      policyViolations: rate(u.policy_violations, u.uploaded),
+      needsReview: rate(u.needs_review, u.uploaded)
+    }
+  };
+
+  // Every department seen on a claim, for the filter
+  const departments = await db.query(
+    'SELECT DISTINCT department FROM expenses WHERE department IS NOT NULL ORDER BY department'
+  );
+
+  return {
+    filters,
+    currency: fxService.BASE_CURRENCY,
+    departments: departments.rows.map(row => row.department),
+    spend,
+    approvals,
+    receipts
+  };
+}
+
+module.exports = {
+  PERIODS,
+  INTERVALS,
+  CLAIM_STATUSES,
+  AnalyticsError,
+  toIso,
+  addDays,
+  addMonths,
+  daysBetween,
+  isIsoDate,
+  startOfPeriod,
+  resolveRange,
+  buildBuckets,
+  getSpending,
+  resolveOrgFilters,
+  getOrgStats
+};
@@ -0,0 +1,138 @@
+const { loadCategories } = require('./categoryService');
+const { resolveRange, resolveOrgFilters, getSpending, AnalyticsError } = require('./analyticsService');
+const { fakeDb } = require('../test/fakeDb');
+
+// Sunday
+const TODAY = '2026-10-18';
+
+describe('resolveRange', () => {
+  it('defaults to the month to date, compared with the same days last month', () => {
+    expect(resolveRange({}, TODAY)).toEqual({
+      period: 'month',
+      from: '2026-10-01',
+      to: TODAY,
+      previous: { from: '2026-09-01', to: '2026-09-18' },
+      interval: 'day'
+    });
+  });
+
+  it('does not run past the end of a shorter previous period', () => {
+    expect(resolveRange({ period: 'month' }, '2026-10-31').previous).toEqual({ from: '2026-09-01', to: '2026-09-30' });
+    expect(resolveRange({ period: 'month' }, '2026-03-31').previous).toEqual({ from: '2026-02-01', to: '2026-02-28' });
+  });
+
+  it('starts weeks on Monday and compares quarters and years to date', () => {
+    expect(resolveRange({ period: 'week' }, TODAY)).toMatchObject({
+      from: '2026-10-12', to: TODAY, previous: { from: '2026-10-05', to: '2026-10-11' }
+    });
+    expect(resolveRange({ period: 'quarter' }, TODAY)).toMatchObject({
+      from: '2026-10-01', previous: { from: '2026-07-01', to: '2026-07-18' }, interval: 'day'
+    });
+    expect(resolveRange({ period: 'year' }, TODAY)).toMatchObject({
+      from: '2026-01-01', previous: { from: '2025-01-01', to: '2025-10-18' }, interval: 'month'
+    });
+  });
+
+  it('compares a custom range with the same number of days before it', () => {
+    expect(resolveRange({ from: '2026-03-01', to: '2026-03-31' }, TODAY)).toEqual({
+      period: 'custom',
+      from: '2026-03-01',
+      to: '2026-03-31',
+      previous: { from: '2026-01-29', to: '2026-02-28' },
+      interval: 'day'
+    });
+    expect(resolveRange({ from: '2026-03-05', to: '2026-03-05' }, TODAY).previous)
+      .toEqual({ from: '2026-03-04', to: '2026-03-04' });
+  });
+
+  it('picks a series interval from the length of the range unless one is given', () => {
+    expect(resolveRange({ from: '2026-01-01', to: '2026-01-31' }, TODAY).interval).toBe('day');
+    expect(resolveRange({ from: '2026-01-01', to: '2026-02-01' }, TODAY).interval).toBe('week');
+    expect(resolveRange({ from: '2026-01-01', to: '2026-07-09' }, TODAY).interval).toBe('week');
+    expect(resolveRange({ from: '2026-01-01', to: '2026-07-10' }, TODAY).interval).toBe('month');
+    expect(resolveRange({ from: '2026-01-01', to: '2026-01-31', interval: 'month' }, TODAY).interval).toBe('month');
+  });
+
+  it.each([
+    [{ from: '2026-03-01' }, 'from and to must both be YYYY-MM-DD dates'],
+    [{ from: '2026-02-01', to: '2026-02-30' }, 'from and to must both be YYYY-MM-DD dates'],
+    [{ from: '2026-03-02', to: '2026-03-01' }, 'from must not be after to'],
+    [{ from: '2020-01-01', to: '2026-01-01' }, 'Date range cannot be longer than 1830 days'],
+    [{ period: 'fortnight' }, 'period must be one of: week, month, quarter, year (or give from and to)'],
+    [{ period: 'month', interval: 'hour' }, 'interval must be one of: day, week, month'],
+    [{ from: '2025-01-01', to: '2026-03-01', interval: 'day' }, 'Range is too long for a daily series; use interval=week or month']
+  ])('rejects %j', (query, message) => {
+    expect(() => resolveRange(query, TODAY)).toThrow(new AnalyticsError(message));
+  });
+});
+
+describe('resolveOrgFilters', () => {
+  it('defaults to the last 12 months of claimed spend', () => {
+    expect(resolveOrgFilters({}, TODAY)).toEqual({
+      from: '2025-11-01', to: TODAY, department: null, userId: null, category: null, status: 'claimed'
+    });
+  });
+
+  it('keeps a custom range and the optional filters', () => {
+    expect(resolveOrgFilters({
+      from: '2026-01-01', to: '2026-03-31', department: 'Sales', userId: 'u1', category: 'meals', status: 'approved'
+    }, TODAY)).toEqual({
+      from: '2026-01-01', to: '2026-03-31', department: 'Sales', userId: 'u1', category: 'meals', status: 'approved'
+    });
+    expect(resolveOrgFilters({ department: '', status: 'all' }, TODAY)).toMatchObject({ department: null, status: 'all' });
+  });
+
+  it.each([
+    [{ to: '2026-03-31' }, 'from and to must both be YYYY-MM-DD dates'],
+    [{ from: '2026-04-31', to: '2026-05-01' }, 'from and to must both be YYYY-MM-DD dates'],
+    [{ from: '2026-04-02', to: '2026-04-01' }, 'from must not be after to'],
+    [{ from: '2019-01-01', to: '2026-01-01' }, 'Date range cannot be longer than 1830 days'],
+    [{ status: 'draft' }, 'status must be one of: claimed, approved, pending, rejected, all'],
+    [{ department: ['Sales', 'Ops'] }, 'department must be a string of up to 100 characters'],
+    [{ userId: 'u'.repeat(101) }, 'userId must be a string of up to 100 characters']
+  ])('rejects %j', (query, message) => {
+    expect(() => resolveOrgFilters(query, TODAY)).toThrow(new AnalyticsError(message));
+  });
+});
+
+describe('getSpending', () => {
+  const receipt = (id, status, date, amount, categoryId = 'meals') => ({
+    id, status, category_id: categoryId, base_amount: null, base_currency: null, ocr_data: { date, amount, currency: 'MYR' }
+  });
+  const receipts = [
+    receipt('shoebox', 'processed', '2026-03-02', 10),
+    receipt('claimed', 'submitted', '2026-03-03', 20),
+    receipt('approved', 'approved', '2026-03-04', 30, 'travel'),
+    receipt('duplicate', 'flagged', '2026-03-04', 1000),
+    receipt('unreadable', 'needs_review', '2026-03-04', 1000),
+    receipt('broken', 'failed', '2026-03-04', 1000),
+    receipt('refused', 'rejected', '2026-03-05', 1000),
+    receipt('last-month', 'approved', '2026-02-27', 40)
+  ];
+
+  // Applies the query's date range and status filters to the receipts above (all MYR)
+  const spendingDb = () => fakeDb({
+    'FROM receipts': (userId, from, to, statuses) => receipts
+      .filter(r => statuses.includes(r.status) && r.ocr_data.date >= from && r.ocr_data.date <= to)
+  });
+
+  beforeAll(async () => {
+    await loadCategories({
+      query: async () => ({ rows: [{ id: 'meals', name: 'Meals' }, { id: 'travel', name: 'Travel' }] })
+    });
+  });
+
+  it('leaves out flagged, unreadable and failed receipts and those of rejected claims', async () => {
+    const db = spendingDb();
+    const spending = await getSpending(db, 'u1', { from: '2026-03-01', to: '2026-03-07' });
+
+    expect(db.query.mock.calls[0][1]).toEqual(['u1', '2026-03-01', '2026-03-07', ['processed', 'submitted', 'approved']]);
+    expect(spending).toMatchObject({
+      totalAmount: 60,
+      totalReceipts: 3,
+      previous: { from: '2026-02-22', to: '2026-02-28', totalAmount: 40, totalReceipts: 1 },
+      change: { amount: 20, percentage: 50 }
+    });
+    expect(spending.categories.map(c => [c.id, c.amount, c.count])).toEqual([['meals', 30, 2], ['travel', 30, 1]]);
+  });
+});
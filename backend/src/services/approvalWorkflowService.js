@@ -0,0 +1,408 @@
+/**
+ * Approval Workflow Service
+ * Moves expense claims through configurable approval chains
+ * (e.g. line manager -> department head -> finance -> CFO over RM 5,000).
+ *
+ * A workflow is an ordered list of steps. Each step names an approver role
+ * and may carry conditions (amount thresholds, categories) that decide
+ * whether it applies to a claim. While a step is pending the claim status
+ * is `pending_<step key>`.
+ */
+
+const eventStreamService = require('./eventStreamService');
+
+// Used when no workflow rows exist (mirrors the seed in schema.sql)
+const DEFAULT_WORKFLOW = {
+  id: 'default',
+  name: 'Standard approval',
+  priority: 0,
+  conditions: {},
+  steps: [
+    { key: 'manager', name: 'Line Manager', role: 'manager' },
+    { key: 'department_head', name: 'Department Head', role: 'department_head' },
+    { key: 'finance', name: 'Finance', role: 'finance' },
+    { key: 'cfo', name: 'CFO', role: 'cfo', conditions: { minAmount: 5000 } }
+  ]
+};
+
+// Claims submitted before workflows existed sit in this status with no steps
+const LEGACY_PENDING_STATUS = 'pending_verification';
+
+class WorkflowError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Claim status while a step is pending
+ */
+function stepStatus(stepKey) {
+  return `pending_${stepKey}`;
+}
+
+/**
+ * Check amount/category conditions against a claim
+ * @param {Object} conditions - { minAmount, maxAmount, categories }
+ * @param {Object} claim - { total, categories }
+ */
+function matchesConditions(conditions = {}, claim) {
+  if (conditions.minAmount !== undefined && claim.total <= conditions.minAmount) return false;
+  if (conditions.maxAmount !== undefined && claim.total > conditions.maxAmount) return false;
+  if (Array.isArray(conditions.categories) && conditions.categories.length > 0) {
+    if (!claim.categories.some(c => conditions.categories.includes(c))) return false;
+  }
+  return true;
+}
+
+/**
+ * Validate workflow or step conditions from the admin API
+ * @param {*} conditions - { minAmount, maxAmount, categories } (all optional)
+ * @param {string} label - Prefix for error messages
+ * @returns {Object} Conditions with numeric amounts
+ */
+function validateConditions(conditions, label) {
+  if (conditions === undefined || conditions === null) return {};
+  if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+    throw new WorkflowError(`${label}: conditions must be an object`);
+  }
+
+  const unknown = Object.keys(conditions).filter(k => !['minAmount', 'maxAmount', 'categories'].includes(k));
+  if (unknown.length > 0) {
+    throw new WorkflowError(`${label}: unknown condition ${unknown.join(', ')}`);
+  }
+
+  const normalized = {};
+  for (const field of ['minAmount', 'maxAmount']) {
+    if (conditions[field] === undefined) continue;
+    const value = typeof conditions[field] === 'string' && conditions[field].trim() !== ''
+      ? Number(conditions[field])
+      : conditions[field];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new WorkflowError(`${label}: ${field} must be a number of zero or more`);
+    }
+    normalized[field] = value;
+  }
+  if (normalized.minAmount !== undefined && normalized.maxAmount !== undefined &&
+      normalized.minAmount >= normalized.maxAmount) {
+    throw new WorkflowError(`${label}: minAmount must be below maxAmount`);
+  }
+
+  if (conditions.categories !== undefined) {
+    if (!Array.isArray(conditions.categories) ||
+        !conditions.categories.every(c => typeof c === 'string' && c.trim())) {
+      throw new WorkflowError(`${label}: categories must be an array of category IDs`);
+    }
+    normalized.categories = conditions.categories.map(c => c.trim());
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate a workflow definition from the admin API
+ * @returns {Object} Normalised workflow
+ */
+function validateWorkflow(workflow) {
+  if (!workflow || typeof workflow.name !== 'string' || !workflow.name.trim()) {
+    throw new WorkflowError('Workflow name is required');
+  }
+  if (!Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+    throw new WorkflowError('Workflow needs at least one step');
+  }
+
+  const keys = new Set();
+  const steps = workflow.steps.map((step, idx) => {
+    if (!step || !step.key || !/^[a-z][a-z0-9_]*$/.test(step.key)) {
+      throw new WorkflowError(`Step ${idx + 1}: key must be lowercase letters, digits or underscores`);
+    }
+    if (keys.has(step.key)) {
+      throw new WorkflowError(`Step ${idx + 1}: duplicate key "${step.key}"`);
+    }
+    keys.add(step.key);
+    if (!step.role) {
+      throw new WorkflowError(`Step ${idx + 1}: approver role is required`);
+    }
+    const conditions = validateConditions(step.conditions, `Step ${idx + 1}`);
+    return {
+      key: step.key,
+      name: step.name || step.key,
+      role: step.role,
+      ...(Object.keys(conditions).length > 0 ? { conditions } : {})
+    };
+  });
+
+  return {
+    name: workflow.name.trim(),
+    priority: parseInt(workflow.priority) || 0,
+    conditions: validateConditions(workflow.conditions, 'Workflow'),
+    steps,
+    active: workflow.active !== false
+  };
+}
+
+/**
+ * Pick the highest-priority active workflow whose conditions match the claim
+ */
+async function selectWorkflow(db, claim) {
+  const result = await db.query(
+    'SELECT * FROM approval_workflows WHERE active = TRUE ORDER BY priority DESC, created_at ASC'
+  );
+  const workflow = result.rows.find(w => matchesConditions(w.conditions || {}, claim));
+  return workflow || DEFAULT_WORKFLOW;
+}
+
+/**
+ * Resolve who may act on a step for a given employee
+ * Employee-specific assignments (their manager, their department head)
+ * win over org-wide ones (the finance team, the CFO). An empty list means
+ * no one is assigned and any admin may act.
+ */
+async function resolveApprovers(db, role, employeeId) {
+  const result = await db.query(
+    'SELECT approver_id, employee_id FROM approval_assignments WHERE role = $1 AND (employee_id = $2 OR employee_id IS NULL)',
+    [role, employeeId]
+  );
+  const specific = result.rows.filter(r => r.employee_id === employeeId);
+  const rows = specific.length > 0 ? specific : result.rows;
+  // Nobody approves their own claim
+  return [...new Set(rows.map(r => r.approver_id))].filter(id => id !== employeeId);
+}
+
+/**
+ * Append an event to a claim's timeline
+ */
+async function recordEvent(db, expenseId, event, { status = null, actorId = null, stepKey = null, notes = null } = {}) {
+  await db.query(
+    `INSERT INTO expense_timeline (expense_id, event, status, actor_id, step_key, notes)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [expenseId, event, status, actorId, stepKey, notes]
+  );
+}
+
+/**
+ * Create the approval steps for a newly submitted claim
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {Object} expense - { id, userId, total, categoryBreakdown }
+ * @returns {Promise<Object>} { status, workflowId, steps }
+ */
+async function startWorkflow(db, expense) {
+  const claim = {
+    total: parseFloat(expense.total) || 0,
+    categories: Object.keys(expense.categoryBreakdown || {})
+  };
+  const workflow = await selectWorkflow(db, claim);
+  const applicable = workflow.steps.filter(step => matchesConditions(step.conditions, claim));
+
+  if (applicable.length === 0) {
+    throw new WorkflowError(`Workflow "${workflow.name}" has no steps for this claim`, 500);
+  }
+
+  const steps = [];
+  for (const [idx, step] of applicable.entries()) {
+    const approverIds = await resolveApprovers(db, step.role, expense.userId);
+    const status = idx === 0 ? 'pending' : 'waiting';
+    await db.query(
+      `INSERT INTO expense_approval_steps
+        (expense_id, step_order, step_key, name, role, approver_ids, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [expense.id, idx, step.key, step.name, step.role, approverIds, status]
+    );
+    steps.push({ ...step, approverIds, status });
+  }
+
+  const status = stepStatus(applicable[0].key);
+  await db.query(
+    'UPDATE expenses SET status = $1, workflow_id = $2 WHERE id = $3',
+    [status, workflow.id, expense.id]
+  );
+  await recordEvent(db, expense.id, 'submitted', {
+    status,
+    actorId: expense.userId,
+    notes: `${workflow.name}: ${applicable.map(s => s.name).join(' → ')}`
+  });
+
+  return { status, workflowId: workflow.id, steps };
+}
+
+/**
+ * Whether a user may act on a pending step
+ * @param {Object} step - expense_approval_steps row
+ * @param {Object} actor - { userId, isAdmin }
+ */
+function canActOnStep(step, actor) {
+  if (step.approver_ids && step.approver_ids.length > 0) {
+    return step.approver_ids.includes(actor.userId);
+  }
+  return !!actor.isAdmin;
+}
+
+/**
+ * Approve or reject the current step of a claim
+ * Runs in one transaction with the claim and its steps locked, so two
+ * approvers cannot decide the same step and a failure leaves nothing half-done.
+ * @param {Object} db - db module (with query and withTransaction)
+ * @param {string} expenseId - Claim ID
+ * @param {Object} actor - { userId, isAdmin }
+ * @param {string} action - 'approve' | 'reject'
+ * @param {string} notes - Reviewer notes
+ * @returns {Promise<Object>} { status, step, completed }
+ */
+async function decide(db, expenseId, actor, action, notes = '') {
+  if (!['approve', 'reject'].includes(action)) {
+    throw new WorkflowError('Invalid action. Use approve or reject');
+  }
+
+  const { expense, result } = await db.withTransaction(async (client) => {
+    // A second approver waits here and then sees the step already decided
+    const expenseResult = await client.query('SELECT * FROM expenses WHERE id = $1 FOR UPDATE', [expenseId]);
+    if (expenseResult.rows.length === 0) {
+      throw new WorkflowError('Expense claim not found', 404);
+    }
+    const expense = expenseResult.rows[0];
+
+    if (expense.user_id === actor.userId) {
+      throw new WorkflowError('You cannot approve your own claim', 403);
+    }
+
+    const stepResult = await client.query(
+      'SELECT * FROM expense_approval_steps WHERE expense_id = $1 ORDER BY step_order ASC FOR UPDATE',
+      [expenseId]
+    );
+    const steps = stepResult.rows;
+
+    // Legacy single-step claim: any admin decides it outright
+    if (steps.length === 0) {
+      if (expense.status !== LEGACY_PENDING_STATUS) {
+        throw new WorkflowError(`Claim is already ${expense.status}`, 409);
+      }
+      if (!actor.isAdmin) {
+        throw new WorkflowError('Admin access required', 403);
+      }
+      return { expense, result: await finish(client, expense, actor, action, notes, null) };
+    }
+
+    const current = steps.find(s => s.status === 'pending');
+    if (!current) {
+      throw new WorkflowError(`Claim is already ${expense.status}`, 409);
+    }
+    if (!canActOnStep(current, actor)) {
+      throw new WorkflowError(`This claim is awaiting ${current.name} approval`, 403);
+    }
+
+    await client.query(
+      `UPDATE expense_approval_steps
+       SET status = $1, decided_by = $2, decided_at = NOW(), notes = $3
+       WHERE id = $4`,
+      [action === 'approve' ? 'approved' : 'rejected', actor.userId, notes || '', current.id]
+    );
+
+    const next = steps.find(s => s.step_order > current.step_order && s.status === 'waiting');
+
+    if (action === 'approve' && next) {
+      const status = stepStatus(next.step_key);
+      await client.query('UPDATE expense_approval_steps SET status = \'pending\' WHERE id = $1', [next.id]);
+      await client.query('UPDATE expenses SET status = $1 WHERE id = $2', [status, expenseId]);
+      await recordEvent(client, expenseId, 'step_approved', {
+        status, actorId: actor.userId, stepKey: current.step_key, notes
+      });
+      return { expense, result: { status, step: current.step_key, completed: false } };
+    }
+
+    if (action === 'reject') {
+      await client.query(
+        'UPDATE expense_approval_steps SET status = \'skipped\' WHERE expense_id = $1 AND status = \'waiting\'',
+        [expenseId]
+      );
+    }
+
+    return { expense, result: await finish(client, expense, actor, action, notes, current.step_key) };
+  });
+
+  // Only committed decisions reach the employee's shoebox
+  await eventStreamService.publish(db, expense.user_id, 'claim', { expenseId, ...result });
+  return result;
+}
+
+/**
+ * Final approval or rejection of a claim and its receipts
+ * @param {Object} db - Transaction client from decide
+ */
+async function finish(db, expense, actor, action, notes, stepKey) {
+  const status = action === 'approve' ? 'approved' : 'rejected';
+
+  await db.query(
+    `UPDATE expenses SET
+      status = $1,
+      verification_notes = $2,
+      verified_by = $3,
+      verified_at = NOW()
+    WHERE id = $4`,
+    [status, notes || '', actor.userId, expense.id]
+  );
+  await db.query(
+    'UPDATE receipts SET status = $1, updated_at = NOW() WHERE id = ANY($2)',
+    [status, expense.receipt_ids]
+  );
+  await recordEvent(db, expense.id, status, { status, actorId: actor.userId, stepKey, notes });
+
+  return { status, step: stepKey, completed: true };
+}
+
+/**
+ * Steps and events for a claim, for the timeline view
+ */
+async function getTimeline(db, expenseId) {
+  const [steps, events] = await Promise.all([
+    db.query('SELECT * FROM expense_approval_steps WHERE expense_id = $1 ORDER BY step_order ASC', [expenseId]),
+    db.query('SELECT * FROM expense_timeline WHERE expense_id = $1 ORDER BY created_at ASC, id ASC', [expenseId])
+  ]);
+
+  return {
+    steps: steps.rows.map(mapStepRow),
+    events: events.rows.map(row => ({
+      id: row.id,
+      event: row.event,
+      status: row.status,
+      actorId: row.actor_id,
+      stepKey: row.step_key,
+      notes: row.notes,
+      createdAt: row.created_at
+    }))
+  };
+}
+
+/**
+ * Map an expense_approval_steps row to camelCase
+ */
+function mapStepRow(row) {
+  return {
+    expenseId: row.expense_id,
+    order: row.step_order,
+    key: row.step_key,
+    name: row.name,
+    role: row.role,
+    approverIds: row.approver_ids || [],
+    status: row.status,
+    decidedBy: row.decided_by,
+    decidedAt: row.decided_at,
+    notes: row.notes
+  };
+}
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  LEGACY_PENDING_STATUS,
+  WorkflowError,
+  matchesConditions,
+  validateWorkflow,
+  selectWorkflow,
+  startWorkflow,
+  decide,
+  canActOnStep,
+  getTimeline,
+  mapStepRow,
+  recordEvent
+};
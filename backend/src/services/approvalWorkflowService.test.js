@@ -0,0 +1,173 @@
+const {
+  DEFAULT_WORKFLOW, WorkflowError, matchesConditions, selectWorkflow, validateWorkflow, canActOnStep, decide
+} = require('./approvalWorkflowService');
+const { fakeDb } = require('../test/fakeDb');
+
+const claim = (total, categories = []) => ({ total, categories });
+
+describe('matchesConditions', () => {
+  it('applies minAmount above and maxAmount up to the threshold', () => {
+    expect(matchesConditions({ minAmount: 5000 }, claim(5000))).toBe(false);
+    expect(matchesConditions({ minAmount: 5000 }, claim(5000.01))).toBe(true);
+    expect(matchesConditions({ maxAmount: 500 }, claim(500))).toBe(true);
+    expect(matchesConditions({ maxAmount: 500 }, claim(500.01))).toBe(false);
+  });
+
+  it('needs one of the listed categories when there are any', () => {
+    expect(matchesConditions({ categories: ['travel'] }, claim(10, ['meals', 'travel']))).toBe(true);
+    expect(matchesConditions({ categories: ['travel'] }, claim(10, ['meals']))).toBe(false);
+    expect(matchesConditions({ categories: [] }, claim(10, ['meals']))).toBe(true);
+    expect(matchesConditions(undefined, claim(10))).toBe(true);
+  });
+});
+
+describe('selectWorkflow', () => {
+  it('takes the first matching workflow in priority order and falls back to the default', async () => {
+    // Rows come back ordered by priority, as the query asks
+    const db = fakeDb({
+      'FROM approval_workflows': [
+        { id: 'big-travel', priority: 10, conditions: { minAmount: 1000, categories: ['travel'] } },
+        { id: 'travel', priority: 5, conditions: { categories: ['travel'] } }
+      ]
+    });
+
+    expect((await selectWorkflow(db, claim(2000, ['travel']))).id).toBe('big-travel');
+    expect((await selectWorkflow(db, claim(200, ['travel']))).id).toBe('travel');
+    expect(await selectWorkflow(db, claim(200, ['meals']))).toBe(DEFAULT_WORKFLOW);
+  });
+});
+
+describe('validateWorkflow', () => {
+  const step = { key: 'manager', role: 'manager' };
+
+  it('normalises the workflow and its conditions', () => {
+    expect(validateWorkflow({
+      name: ' Travel ',
+      priority: '5',
+      conditions: { minAmount: '1000', categories: [' travel '] },
+      steps: [step, { key: 'cfo', name: 'CFO', role: 'cfo', conditions: { minAmount: 5000 } }, { ...step, key: 'hr', conditions: {} }]
+    })).toEqual({
+      name: 'Travel',
+      priority: 5,
+      conditions: { minAmount: 1000, categories: ['travel'] },
+      steps: [
+        { key: 'manager', name: 'manager', role: 'manager' },
+        { key: 'cfo', name: 'CFO', role: 'cfo', conditions: { minAmount: 5000 } },
+        { key: 'hr', name: 'hr', role: 'manager' }
+      ],
+      active: true
+    });
+  });
+
+  it.each([
+    [{ conditions: { minAmount: 'lots' } }, 'Workflow: minAmount must be a number of zero or more'],
+    [{ conditions: { maxAmount: -1 } }, 'Workflow: maxAmount must be a number of zero or more'],
+    [{ conditions: { minAmount: 500, maxAmount: 100 } }, 'Workflow: minAmount must be below maxAmount'],
+    [{ conditions: { categories: 'travel' } }, 'Workflow: categories must be an array of category IDs'],
+    [{ conditions: { categories: ['travel', ''] } }, 'Workflow: categories must be an array of category IDs'],
+    [{ conditions: ['travel'] }, 'Workflow: conditions must be an object'],
+    [{ conditions: { minAmmount: 5 } }, 'Workflow: unknown condition minAmmount'],
+    [{ steps: [{ ...step, conditions: { maxAmount: '' } }] }, 'Step 1: maxAmount must be a number of zero or more'],
+    [{ steps: [step, { ...step, key: 'cfo', conditions: { categories: [1] } }] }, 'Step 2: categories must be an array of category IDs'],
+    [{ steps: [step, step] }, 'Step 2: duplicate key "manager"'],
+    [{ steps: [null] }, 'Step 1: key must be lowercase letters, digits or underscores']
+  ])('rejects %j', (fields, message) => {
+    expect(() => validateWorkflow({ name: 'x', steps: [step], ...fields })).toThrow(new WorkflowError(message));
+  });
+});
+
+describe('canActOnStep', () => {
+  it('lets only assigned approvers act, or any admin when nobody is assigned', () => {
+    const assigned = { approver_ids: ['m1', 'm2'] };
+    expect(canActOnStep(assigned, { userId: 'm2' })).toBe(true);
+    expect(canActOnStep(assigned, { userId: 'a1', isAdmin: true })).toBe(false);
+
+    expect(canActOnStep({ approver_ids: [] }, { userId: 'a1', isAdmin: true })).toBe(true);
+    expect(canActOnStep({ approver_ids: null }, { userId: 'u1', isAdmin: false })).toBe(false);
+  });
+});
+
+describe('decide', () => {
+  const expense = { id: 'e1', user_id: 'u1', status: 'pending_manager', receipt_ids: ['r1', 'r2'] };
+  const steps = () => [
+    { id: 1, step_order: 0, step_key: 'manager', name: 'Line Manager', approver_ids: ['m1'], status: 'pending' },
+    { id: 2, step_order: 1, step_key: 'finance', name: 'Finance', approver_ids: [], status: 'waiting' }
+  ];
+
+  // The claim, its steps and every write; the transaction runs on the same fake
+  function claimDb(expenseRow = expense, stepRows = steps()) {
+    const db = fakeDb({
+      'FROM expenses': expenseRow ? [expenseRow] : [],
+      'FROM expense_approval_steps': stepRows,
+      'UPDATE ': [],
+      'INSERT INTO expense_timeline': [],
+      'pg_notify': []
+    });
+    db.withTransaction = jest.fn(async (fn) => fn(db));
+    return db;
+  }
+  // UPDATE and INSERT statements run, whitespace collapsed
+  const writes = (db) => db.query.mock.calls
+    .filter(([sql]) => !sql.startsWith('SELECT'))
+    .map(([sql, params]) => [sql.replace(/\s+/g, ' ').trim(), params]);
+
+  it('locks the claim and its steps, then moves an approval to the next step', async () => {
+    const db = claimDb();
+    const result = await decide(db, 'e1', { userId: 'm1' }, 'approve', 'ok');
+
+    expect(result).toEqual({ status: 'pending_finance', step: 'manager', completed: false });
+    expect(db.withTransaction).toHaveBeenCalledTimes(1);
+    const selects = db.query.mock.calls.map(([sql]) => sql).filter(sql => sql.startsWith('SELECT *'));
+    expect(selects).toHaveLength(2);
+    expect(selects.every(sql => sql.endsWith('FOR UPDATE'))).toBe(true);
+    expect(writes(db).map(([sql, params]) => [sql.match(/^(UPDATE|INSERT INTO) \w+/)[0], params[0]])).toEqual([
+      ['UPDATE expense_approval_steps', 'approved'],
+      ['UPDATE expense_approval_steps', 2],
+      ['UPDATE expenses', 'pending_finance'],
+      ['INSERT INTO expense_timeline', 'e1']
+    ]);
+
+    // Published once the transaction is done
+    const [sql, [, payload]] = db.query.mock.calls[db.query.mock.calls.length - 1];
+    expect(sql).toContain('pg_notify');
+    expect(JSON.parse(payload)).toEqual({
+      userId: 'u1', event: 'claim', data: { expenseId: 'e1', status: 'pending_finance', step: 'manager', completed: false }
+    });
+  });
+
+  it('finishes the claim and its receipts on the last approval or any rejection', async () => {
+    const lastStep = steps().map(s => ({ ...s, status: s.step_order === 0 ? 'approved' : 'pending' }));
+    const approved = claimDb({ ...expense, status: 'pending_finance' }, lastStep);
+    expect(await decide(approved, 'e1', { userId: 'a1', isAdmin: true }, 'approve'))
+      .toEqual({ status: 'approved', step: 'finance', completed: true });
+    expect(writes(approved).find(([sql]) => sql.startsWith('UPDATE receipts'))[1]).toEqual(['approved', ['r1', 'r2']]);
+
+    const rejected = claimDb();
+    expect(await decide(rejected, 'e1', { userId: 'm1' }, 'reject', 'no receipt'))
+      .toEqual({ status: 'rejected', step: 'manager', completed: true });
+    expect(writes(rejected).map(([sql]) => sql)).toContain(
+      'UPDATE expense_approval_steps SET status = \'skipped\' WHERE expense_id = $1 AND status = \'waiting\''
+    );
+  });
+
+  const decided = steps().map(s => ({ ...s, status: s.step_order === 0 ? 'rejected' : 'skipped' }));
+
+  it.each([
+    ['the claim is missing', [null], { userId: 'm1' }, 'approve', 404, 'Expense claim not found'],
+    ['an employee decides their own claim', [], { userId: 'u1', isAdmin: true }, 'approve', 403, 'You cannot approve your own claim'],
+    ['someone else holds the step', [], { userId: 'a1', isAdmin: true }, 'approve', 403, 'This claim is awaiting Line Manager approval'],
+    ['the step was decided meanwhile', [{ ...expense, status: 'rejected' }, decided], { userId: 'm1' }, 'reject', 409, 'Claim is already rejected'],
+    ['the action is unknown', [], { userId: 'm1' }, 'escalate', 400, 'Invalid action. Use approve or reject']
+  ])('refuses when %s, without writing', async (_, args, actor, action, statusCode, message) => {
+    const db = claimDb(...args);
+    await expect(decide(db, 'e1', actor, action)).rejects.toEqual(new WorkflowError(message, statusCode));
+    expect(writes(db)).toEqual([]);
+  });
+
+  it('lets an admin decide a legacy claim without steps', async () => {
+    const db = claimDb({ ...expense, status: 'pending_verification' }, []);
+    await expect(decide(db, 'e1', { userId: 'm1' }, 'approve')).rejects.toThrow('Admin access required');
+    expect(await decide(db, 'e1', { userId: 'a1', isAdmin: true }, 'approve'))
+      .toEqual({ status: 'approved', step: null, completed: true });
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * Budget Service
+ * Monthly or quarterly spend limits in the base currency for a department, a
+ * category, or one department's spend in a category.
+ *
+ * Consumption counts receipts on approved claims by receipt date (the same
+ * placement as analytics); receipts on claims still awaiting approval are
+ * reported separately. Budgets never block a claim: employees are warned at
+ * submit time when a claim would take a budget over, and the warning is kept
+ * on the claim for the reviewer.
+ */
+
+const fxService = require('./fxService');
+const { isActiveCategory } = require('./categoryService');
+const {
+  toIso, addDays, addMonths, daysBetween, isIsoDate, startOfPeriod
+} = require('./analyticsService');
+
+const BUDGET_PERIODS = ['month', 'quarter'];
+const PERIOD_MONTHS = { month: 1, quarter: 3 };
+
+class BudgetError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BudgetError';
+    this.statusCode = statusCode;
+  }
+}
+
+// A receipt's category for budgets, in SQL and for rows already loaded; keep the two in step
+const CATEGORY_SQL = `COALESCE(r.category_id, r.ocr_data->>'category', 'misc')`;
+function receiptCategory(row) {
+  return row.category_id ?? row.ocr_data?.category ?? 'misc';
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatAmount(amount, currency = fxService.BASE_CURRENCY) {
+  return `${currency} ${Number(amount || 0).toFixed(2)}`;
+}
+
+function mapBudgetRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    period: row.period,
+    amount: parseFloat(row.amount),
+    department: row.department || null,
+    categoryId: row.category_id || null,
+    active: row.active,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validate a budget definition from the admin API
+ * @returns {Object} Normalised budget
+ */
+function validateBudget(budget) {
+  if (!budget || typeof budget.name !== 'string' || !budget.name.trim()) {
+    throw new BudgetError('Budget name is required');
+  }
+  if (!BUDGET_PERIODS.includes(budget.period)) {
+    throw new BudgetError(`Budget period must be one of: ${BUDGET_PERIODS.join(', ')}`);
+  }
+  const amount = parseFloat(budget.amount);
+  if (!(amount > 0) || amount >= 1e10) {
+    throw new BudgetError('Budget amount must be a positive number');
+  }
+
+  const department = typeof budget.department === 'string' ? budget.department.trim() : '';
+  const categoryId = typeof budget.categoryId === 'string' ? budget.categoryId.trim() : '';
+  if (department.length > 100) {
+    throw new BudgetError('Department must be at most 100 characters');
+  }
+  if (categoryId && !isActiveCategory(categoryId)) {
+    throw new BudgetError('categoryId must be an active category id');
+  }
+  if (!department && !categoryId) {
+    throw new BudgetError('A budget needs a department, a category or both');
+  }
+
+  return {
+    name: budget.name.trim().slice(0, 100),
+    period: budget.period,
+    amount: round2(amount),
+    department: department || null,
+    categoryId: categoryId || null,
+    active: budget.active !== false
+  };
+}
+
+/**
+ * Load budgets
+ * @param {Object} options - { includeInactive }
+ */
+async function listBudgets(db, { includeInactive = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM budgets ${includeInactive ? '' : 'WHERE active = TRUE'} ORDER BY department NULLS FIRST, category_id NULLS FIRST, id`
+  );
+  return result.rows.map(mapBudgetRow);
+}
+
+/**
+ * Create or replace a budget
+ * @returns {Promise<Object>} { budget, created }
+ */
+async function saveBudget(db, id, body) {
+  if (!/^[a-z0-9_-]{1,50}$/.test(id || '')) {
+    throw new BudgetError('Budget id must be 1-50 lowercase letters, digits, - or _');
+  }
+  const budget = validateBudget(body);
+  const existing = await db.query('SELECT 1 FROM budgets WHERE id = $1', [id]);
+
+  const result = await db.query(
+    `INSERT INTO budgets (id, name, period, amount, department, category_id, active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (id) DO UPDATE SET
+       name = EXCLUDED.name, period = EXCLUDED.period, amount = EXCLUDED.amount,
+       department = EXCLUDED.department, category_id = EXCLUDED.category_id,
+       active = EXCLUDED.active, updated_at = NOW()
+     RETURNING *`,
+    [id, budget.name, budget.period, budget.amount, budget.department, budget.categoryId, budget.active]
+  );
+  return { budget: mapBudgetRow(result.rows[0]), created: existing.rows.length === 0 };
+}
+
+/**
+ * Delete a budget
+ */
+async function deleteBudget(db, id) {
+  const result = await db.query('DELETE FROM budgets WHERE id = $1 RETURNING id', [id]);
+  if (result.rows.length === 0) {
+    throw new BudgetError('Budget not found', 404);
+  }
+}
+
+/**
+ * The budget period containing a date
+ * @returns {Object} { from, to, days } (inclusive)
+ */
+function periodFor(period, date) {
+  const from = startOfPeriod(date, period);
+  const to = addDays(addMonths(from, PERIOD_MONTHS[period]), -1);
+  return { from, to, days: daysBetween(from, to) + 1 };
+}
+
+/**
+ * Claimed spend against a budget between two dates, per receipt date
+ * @returns {Promise<Object>} { approved, pending, byDate: Map(date -> approved amount) }
+ */
+async function spendInPeriod(db, budget, from, to) {
+  const result = await db.query(
+    `SELECT r.ocr_data->>'date' AS date, e.status = 'approved' AS approved,
+            ROUND(SUM(COALESCE(r.base_amount, (r.ocr_data->>'amount')::numeric, 0)), 2)::float AS amount
+     FROM receipts r JOIN expenses e ON e.id = r.expense_id
+     WHERE r.deleted_at IS NULL
+       AND r.ocr_data->>'date' >= $1 AND r.ocr_data->>'date' <= $2
+       AND (e.status = 'approved' OR e.status LIKE 'pending\\_%')
+       AND ($3::text IS NULL OR e.department = $3)
+       AND ($4::text IS NULL OR ${CATEGORY_SQL} = $4)
+     GROUP BY 1, 2`,
+    [from, to, budget.department, budget.categoryId]
+  );
+
+  const spend = { approved: 0, pending: 0, byDate: new Map() };
+  result.rows.forEach(row => {
+    if (row.approved) {
+      spend.approved += row.amount;
+      spend.byDate.set(row.date, (spend.byDate.get(row.date) || 0) + row.amount);
+    } else {
+      spend.pending += row.amount;
+    }
+  });
+  spend.approved = round2(spend.approved);
+  spend.pending = round2(spend.pending);
+  return spend;
+}
+
+/**
+ * Consumed vs remaining for each budget in the period containing a date,
+ * with a daily burn-down of approved spend up to that date
+ * @param {Object} options - { date (YYYY-MM-DD, defaults to today), includeInactive }
+ * @returns {Promise<Object>} { date, currency, budgets: [{ ...budget, periodFrom, periodTo, periodDays, consumed,
+ *   pending, remaining, percentUsed, projected, overBudget, burnDown: [{ date, consumed }] }] }
+ */
+async function getBudgetStatus(db, { date, includeInactive = false } = {}) {
+  const asOf = date === undefined ? toIso(new Date()) : date;
+  if (!isIsoDate(asOf)) {
+    throw new BudgetError('date must be a YYYY-MM-DD date');
+  }
+
+  const budgets = await listBudgets(db, { includeInactive });
+  const statuses = [];
+  for (const budget of budgets) {
+    const period = periodFor(budget.period, asOf);
+    const spend = await spendInPeriod(db, budget, period.from, period.to);
+
+    // Cumulative approved spend per day, up to the date
+    const burnDown = [];
+    let running = 0;
+    for (let day = period.from; day <= asOf; day = addDays(day, 1)) {
+      running += spend.byDate.get(day) || 0;
+      burnDown.push({ date: day, consumed: round2(running) });
+    }
+    // consumed covers the whole period; the projection only uses spend up to the date
+    const elapsed = burnDown.length;
+
+    statuses.push({
+      ...budget,
+      periodFrom: period.from,
+      periodTo: period.to,
+      periodDays: period.days,
+      consumed: spend.approved,
+      pending: spend.pending,
+      remaining: round2(budget.amount - spend.approved),
+      percentUsed: Math.round((spend.approved / budget.amount) * 1000) / 10,
+      // Straight-line projection of approved spend to the end of the period
+      projected: elapsed > 0 ? round2((running / elapsed) * period.days) : 0,
+      overBudget: spend.approved > budget.amount,
+      burnDown
+    });
+  }
+
+  return { date: asOf, currency: fxService.BASE_CURRENCY, budgets: statuses };
+}
+
+/**
+ * Budgets a claim would take over
+ * Receipts are placed in the budget period of their receipt date. Receipts
+ * without a usable date or exchange rate are left out.
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {Array} receipts - receipts rows in the claim
+ * @param {Object} options - { department, conversions: [{ receiptId, baseAmount }] (converted here if missing) }
+ * @returns {Promise<Array>} [{ budgetId, name, periodFrom, periodTo, budget, consumed, pending, claimAmount, overBy, message }]
+ */
+async function checkClaim(db, receipts, { department = null, conversions = null } = {}) {
+  const budgets = (await listBudgets(db))
+    .filter(b => !b.department || b.department === department);
+  if (budgets.length === 0) return [];
+
+  const items = [];
+  for (const r of receipts) {
+    const date = r.ocr_data?.date;
+    if (!isIsoDate(date)) continue;
+    let baseAmount = conversions?.find(c => c.receiptId === r.id)?.baseAmount;
+    if (baseAmount === undefined) {
+      try {
+        ({ baseAmount } = await fxService.convert(db, r.ocr_data?.amount, r.ocr_data?.currency, date));
+      } catch (error) {
+        if (!(error instanceof fxService.FxError)) throw error;
+        continue;
+      }
+    }
+    items.push({ date, categoryId: receiptCategory(r), baseAmount });
+  }
+
+  const alerts = [];
+  for (const budget of budgets) {
+    // Claim spend against this budget per period
+    const byPeriod = new Map();
+    items
+      .filter(item => !budget.categoryId || item.categoryId === budget.categoryId)
+      .forEach(item => {
+        const { from } = periodFor(budget.period, item.date);
+        byPeriod.set(from, (byPeriod.get(from) || 0) + item.baseAmount);
+      });
+
+    for (const [from, claimAmount] of byPeriod) {
+      const period = periodFor(budget.period, from);
+      const spend = await spendInPeriod(db, budget, period.from, period.to);
+      const total = round2(spend.approved + claimAmount);
+      if (total <= budget.amount) continue;
+
+      alerts.push({
+        budgetId: budget.id,
+        name: budget.name,
+        periodFrom: period.from,
+        periodTo: period.to,
+        budget: budget.amount,
+        consumed: spend.approved,
+        pending: spend.pending,
+        claimAmount: round2(claimAmount),
+        overBy: round2(total - budget.amount),
+        message: `${formatAmount(claimAmount)} would take ${budget.name} (${period.from} to ${period.to}) to `
+          + `${formatAmount(total)} of ${formatAmount(budget.amount)}`
+          + (spend.pending > 0 ? `; ${formatAmount(spend.pending)} more is awaiting approval` : '')
+      });
+    }
+  }
+
+  return alerts;
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  BudgetError,
+  validateBudget,
+  listBudgets,
+  saveBudget,
+  deleteBudget,
+  periodFor,
+  getBudgetStatus,
+  checkClaim
+};
@@ -0,0 +1,133 @@
+const { loadCategories } = require('./categoryService');
+const { periodFor, checkClaim, validateBudget, BudgetError } = require('./budgetService');
+const { fakeDb, fxRows } = require('../test/fakeDb');
+
+const budgetRow = (id, fields) => ({
+  id, name: id, period: 'month', department: null, category_id: null, active: true, ...fields
+});
+
+// Active budgets, approved/pending spend per query and USD rates
+const budgetDb = ({ budgets = [], spend = () => [], usdRate = 4.5 } = {}) => fakeDb({
+  'FROM budgets': budgets,
+  'FROM receipts r JOIN expenses e': spend,
+  'FROM fx_rates': fxRows(usdRate)
+});
+
+const receipt = (id, ocrData, categoryId = null) => ({ id, category_id: categoryId, ocr_data: ocrData });
+
+beforeAll(async () => {
+  await loadCategories({
+    query: async () => ({ rows: [{ id: 'meals', name: 'Meals' }, { id: 'travel', name: 'Travel' }] })
+  });
+});
+
+describe('periodFor', () => {
+  it('covers the calendar month or quarter containing a date', () => {
+    expect(periodFor('month', '2026-02-14')).toEqual({ from: '2026-02-01', to: '2026-02-28', days: 28 });
+    expect(periodFor('month', '2024-02-29')).toEqual({ from: '2024-02-01', to: '2024-02-29', days: 29 });
+    expect(periodFor('month', '2026-12-31')).toEqual({ from: '2026-12-01', to: '2026-12-31', days: 31 });
+    expect(periodFor('quarter', '2026-05-20')).toEqual({ from: '2026-04-01', to: '2026-06-30', days: 91 });
+    expect(periodFor('quarter', '2026-10-01')).toEqual({ from: '2026-10-01', to: '2026-12-31', days: 92 });
+  });
+});
+
+describe('checkClaim', () => {
+  it('warns when a claim would take a budget over', async () => {
+    const db = budgetDb({
+      budgets: [budgetRow('sales-meals', { name: 'Sales meals', amount: '450', department: 'Sales', category_id: 'meals' })],
+      spend: () => [
+        { date: '2026-03-02', approved: true, amount: 400 },
+        { date: '2026-03-03', approved: false, amount: 150 }
+      ]
+    });
+    const receipts = [
+      receipt('a', { date: '2026-03-10', amount: 40 }, 'meals'),
+      receipt('b', { date: '2026-03-11', amount: 20 }, 'meals'),
+      receipt('c', { date: '2026-03-11', amount: 500 }, 'travel')
+    ];
+
+    const alerts = await checkClaim(db, receipts, {
+      department: 'Sales',
+      conversions: [{ receiptId: 'a', baseAmount: 40 }, { receiptId: 'b', baseAmount: 20 }, { receiptId: 'c', baseAmount: 500 }]
+    });
+
+    expect(alerts).toEqual([{
+      budgetId: 'sales-meals',
+      name: 'Sales meals',
+      periodFrom: '2026-03-01',
+      periodTo: '2026-03-31',
+      budget: 450,
+      consumed: 400,
+      pending: 150,
+      claimAmount: 60,
+      overBy: 10,
+      message: 'MYR 60.00 would take Sales meals (2026-03-01 to 2026-03-31) to MYR 460.00 of MYR 450.00; '
+        + 'MYR 150.00 more is awaiting approval'
+    }]);
+    const spendParams = db.query.mock.calls.find(([sql]) => sql.includes('JOIN expenses'))[1];
+    expect(spendParams).toEqual(['2026-03-01', '2026-03-31', 'Sales', 'meals']);
+  });
+
+  it('places each receipt in the budget period of its own date', async () => {
+    const db = budgetDb({
+      budgets: [budgetRow('travel', { amount: '100', category_id: 'travel' })],
+      spend: (from) => (from === '2026-03-01' ? [{ date: '2026-03-05', approved: true, amount: 90 }] : [])
+    });
+    const receipts = [
+      receipt('feb', { date: '2026-02-27', amount: 60 }, 'travel'),
+      receipt('mar', { date: '2026-03-01', amount: 15 }, 'travel')
+    ];
+
+    const alerts = await checkClaim(db, receipts, {
+      conversions: [{ receiptId: 'feb', baseAmount: 60 }, { receiptId: 'mar', baseAmount: 15 }]
+    });
+
+    expect(alerts.map(a => [a.periodFrom, a.claimAmount, a.overBy])).toEqual([['2026-03-01', 15, 5]]);
+  });
+
+  it('uses the OCR category when the receipt has none, then misc', async () => {
+    const db = budgetDb({
+      budgets: [budgetRow('meals', { amount: '50', category_id: 'meals' }), budgetRow('misc', { amount: '50', category_id: 'misc' })]
+    });
+    const receipts = [
+      receipt('ocr', { date: '2026-03-02', amount: 60, category: 'meals' }),
+      receipt('none', { date: '2026-03-02', amount: 70 })
+    ];
+
+    const alerts = await checkClaim(db, receipts, {
+      conversions: [{ receiptId: 'ocr', baseAmount: 60 }, { receiptId: 'none', baseAmount: 70 }]
+    });
+
+    expect(alerts.map(a => [a.budgetId, a.claimAmount])).toEqual([['meals', 60], ['misc', 70]]);
+  });
+
+  it('converts receipts without a conversion and skips undated ones', async () => {
+    const db = budgetDb({ budgets: [budgetRow('all-sales', { amount: '100', department: 'Sales' })] });
+    const receipts = [
+      receipt('usd', { date: '2026-03-02', amount: 30, currency: 'USD' }),
+      receipt('undated', { amount: 1000 })
+    ];
+
+    const alerts = await checkClaim(db, receipts, { department: 'Sales' });
+    expect(alerts.map(a => [a.budgetId, a.claimAmount])).toEqual([['all-sales', 135]]);
+  });
+
+  it('ignores budgets of other departments and claims that fit', async () => {
+    const db = budgetDb({
+      budgets: [budgetRow('ops', { amount: '10', department: 'Ops' }), budgetRow('org', { amount: '1000' })]
+    });
+    const alerts = await checkClaim(db, [receipt('a', { date: '2026-03-02', amount: 50 })], {
+      department: 'Sales', conversions: [{ receiptId: 'a', baseAmount: 50 }]
+    });
+    expect(alerts).toEqual([]);
+  });
+});
+
+describe('validateBudget', () => {
+  it('needs a department or an active category', () => {
+    expect(() => validateBudget({ name: 'x', period: 'month', amount: 10 })).toThrow('A budget needs a department, a category or both');
+    expect(() => validateBudget({ name: 'x', period: 'month', amount: 10, categoryId: 'gone' })).toThrow(BudgetError);
+    expect(validateBudget({ name: ' Meals ', period: 'quarter', amount: '99.999', categoryId: 'meals' }))
+      .toEqual({ name: 'Meals', period: 'quarter', amount: 100, department: null, categoryId: 'meals', active: true });
+  });
+});
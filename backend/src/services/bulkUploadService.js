@@ -0,0 +1,140 @@
+/**
+ * Bulk Upload Service
+ * Takes many receipt files and/or ZIP archives of receipts in one request
+ * and reports a result per file: created, duplicate or failed (with reason).
+ *
+ * Files are ingested with bounded concurrency; OCR itself runs later in the
+ * job queue, where uniapiService caps in-flight UniAPI calls.
+ */
+
+const path = require('path');
+const receiptProcessingService = require('./receiptProcessingService');
+const zipService = require('./zipService');
+const { contentTypeFor } = require('./storageService');
+
+const MAX_RECEIPT_SIZE = 10 * 1024 * 1024; // same limit as single uploads
+const MAX_ZIP_ENTRIES = 100;
+const BULK_UPLOAD_CONCURRENCY = parseInt(process.env.BULK_UPLOAD_CONCURRENCY) || 4;
+
+const RECEIPT_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.pdf'];
+
+// p-limit is ESM-only, so it is loaded with a dynamic import
+const pLimitReady = import('p-limit').then(({ default: pLimit }) => pLimit);
+
+function isReceiptFile(name) {
+  return RECEIPT_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+function failed(file, reason) {
+  return { file, status: 'failed', reason };
+}
+
+/**
+ * Ingest one file, turning errors into a failed result
+ */
+async function ingest(db, userId, label, file) {
+  try {
+    const result = await receiptProcessingService.ingestFile(db, userId, file);
+    return { file: label, ...result };
+  } catch (error) {
+    console.error(`Bulk upload of ${label} failed:`, error.message);
+    return failed(label, error.message);
+  }
+}
+
+/**
+ * Expand uploads into ingest tasks (one per receipt, ZIPs contribute one per entry)
+ * Only ZIP directories are read here; each entry is read from disk by its task.
+ * @returns {Promise<Array>} [() => Promise<result>] in upload order
+ */
+async function planTasks(db, userId, files) {
+  const tasks = [];
+
+  for (const upload of files) {
+    if (!zipService.isZipFile(upload)) {
+      const label = upload.originalname;
+      if (!isReceiptFile(label)) {
+        tasks.push(async () => failed(label, 'Only images, PDFs and ZIP archives are allowed'));
+      } else if (upload.size > MAX_RECEIPT_SIZE) {
+        tasks.push(async () => failed(label, 'File exceeds 10MB'));
+      } else {
+        tasks.push(() => ingest(db, userId, label, {
+          key: upload.filename,
+          originalName: upload.originalname,
+          mimeType: upload.mimetype,
+          size: upload.size,
+          path: upload.path
+        }));
+      }
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = await zipService.readEntries(upload.path, {
+        maxEntries: MAX_ZIP_ENTRIES, maxEntrySize: MAX_RECEIPT_SIZE
+      });
+    } catch (error) {
+      tasks.push(async () => failed(upload.originalname, error.message));
+      continue;
+    }
+    if (entries.length === 0) {
+      tasks.push(async () => failed(upload.originalname, 'ZIP archive contains no files'));
+      continue;
+    }
+
+    entries.forEach((entry, idx) => {
+      const label = `${upload.originalname}/${entry.name}`;
+      const baseName = path.posix.basename(entry.name);
+      if (!isReceiptFile(baseName)) {
+        tasks.push(async () => failed(label, zipService.isZipFile({ originalname: baseName })
+          ? 'Nested ZIP archives are not supported'
+          : 'Only images and PDFs are allowed'));
+        return;
+      }
+
+      tasks.push(async () => {
+        let buffer;
+        try {
+          buffer = await entry.read();
+        } catch (error) {
+          return failed(label, error.message);
+        }
+        return ingest(db, userId, label, {
+          key: `${Date.now()}-${idx}-${baseName.replace(/[\\/]/g, '_')}`,
+          originalName: baseName,
+          mimeType: contentTypeFor(baseName),
+          size: buffer.length,
+          buffer
+        });
+      });
+    });
+  }
+
+  return tasks;
+}
+
+/**
+ * Store and queue a batch of uploads
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {string} userId - Uploader
+ * @param {Array} files - multer files (receipts and/or ZIP archives)
+ * @returns {Promise<Object>} { results: [{ file, status, receiptId, jobId, existingReceiptId, reason }], summary }
+ */
+async function ingestBatch(db, userId, files, { concurrency = BULK_UPLOAD_CONCURRENCY } = {}) {
+  const limit = (await pLimitReady)(concurrency);
+  const tasks = await planTasks(db, userId, files);
+  const results = await Promise.all(tasks.map(task => limit(task)));
+
+  const summary = { total: results.length, created: 0, duplicate: 0, failed: 0 };
+  results.forEach(r => { summary[r.status] += 1; });
+
+  console.log(`📦 Bulk upload for ${userId}: ${summary.created} created, ${summary.duplicate} duplicate, ${summary.failed} failed`);
+  return { results, summary };
+}
+
+module.exports = {
+  MAX_ZIP_ENTRIES,
+  BULK_UPLOAD_CONCURRENCY,
+  ingestBatch
+};
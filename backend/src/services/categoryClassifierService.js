@@ -0,0 +1,309 @@
+/**
+ * Category Classifier Service
+ * Learns expense categories from receipts whose category an employee or admin
+ * confirmed (submitted in a claim) or corrected:
+ * - merchant memory: what this organisation's receipts from a merchant were
+ *   filed under (merchant_categories table)
+ * - a naive Bayes classifier over merchant and item words, retrained from the
+ *   receipts table every CATEGORY_RETRAIN_SECONDS and updated as corrections come in
+ *
+ * categorize() weighs these against the OCR provider's suggestion and the
+ * keyword rules and returns a confidence; below OCR_LOW_CONFIDENCE the
+ * employee is asked to check the category.
+ */
+
+const { MISC_ID, autoCategorize, isActiveCategory } = require('./categoryService');
+const { LOW_CONFIDENCE_THRESHOLD } = require('./ocrReviewService');
+
+const CATEGORY_RETRAIN_SECONDS = parseInt(process.env.CATEGORY_RETRAIN_SECONDS) || 900;
+
+// Classifier opinions are ignored until it has seen this many receipts
+const MIN_TRAINING_RECEIPTS = 20;
+const MAX_TRAINING_RECEIPTS = 5000;
+
+// A correction says more than a category left as suggested
+const CORRECTION_WEIGHT = 3;
+
+// How far each source is trusted on its own
+const PROVIDER_CONFIDENCE = 0.8;
+const KEYWORD_CONFIDENCE = 0.5;
+const MIN_CLASSIFIER_PROBABILITY = 0.5;
+
+// Legal suffixes and filler words that say nothing about the category
+const STOP_WORDS = new Set([
+  'the', 'and', 'of', 'for', 'to', 'in', 'at', 'an', 'sdn', 'bhd', 'berhad', 'ltd', 'inc', 'llc', 'co', 'plc', 'pte', 'qty', 'pcs'
+]);
+
+let model = emptyModel();
+let retrainTimer = null;
+
+function emptyModel() {
+  return { receipts: 0, docCounts: new Map(), tokenCounts: new Map(), tokenTotals: new Map(), vocabulary: new Set() };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function words(text) {
+  return (typeof text === 'string' ? text : '').toLowerCase()
+    .split(/[^\p{L}\p{N}&]+/u)
+    .filter(w => w.length > 1 && !/^\d+$/.test(w) && !STOP_WORDS.has(w));
+}
+
+/**
+ * Merchant name as stored in merchant memory ("SHELL Sdn. Bhd." -> "shell")
+ */
+function merchantKey(merchant) {
+  return (typeof merchant === 'string' ? merchant : '').toLowerCase()
+    .split(/[^\p{L}\p{N}&]+/u)
+    .filter(w => w && !STOP_WORDS.has(w))
+    .join(' ')
+    .slice(0, 255);
+}
+
+/**
+ * Classifier features: merchant words (also marked as such) and item words
+ */
+function tokenize(merchant, items = []) {
+  const merchantWords = words(merchant);
+  const itemWords = (items || []).flatMap(i => words(i?.name || i?.item_description));
+  return [...merchantWords.map(w => `m:${w}`), ...merchantWords, ...itemWords];
+}
+
+function addExample(target, tokens, categoryId, weight = 1) {
+  target.receipts += 1;
+  target.docCounts.set(categoryId, (target.docCounts.get(categoryId) || 0) + weight);
+  const counts = target.tokenCounts.get(categoryId) || new Map();
+  target.tokenCounts.set(categoryId, counts);
+  tokens.forEach(token => {
+    counts.set(token, (counts.get(token) || 0) + weight);
+    target.vocabulary.add(token);
+  });
+  target.tokenTotals.set(categoryId, (target.tokenTotals.get(categoryId) || 0) + tokens.length * weight);
+}
+
+/**
+ * Most likely category according to the classifier
+ * @returns {Object|null} { categoryId, probability, alternatives: [{ categoryId, probability }] }
+ *   or null while it is untrained or the receipt has no known words
+ */
+function classify(merchant, items = []) {
+  // Words never seen in training say nothing either way
+  const tokens = tokenize(merchant, items).filter(token => model.vocabulary.has(token));
+  if (model.receipts < MIN_TRAINING_RECEIPTS || tokens.length === 0) return null;
+
+  const candidates = [...model.docCounts.keys()].filter(isActiveCategory);
+  if (candidates.length === 0) return null;
+
+  const totalDocs = candidates.reduce((sum, id) => sum + model.docCounts.get(id), 0);
+  const vocabularySize = model.vocabulary.size;
+  const logScores = candidates.map(id => {
+    const counts = model.tokenCounts.get(id);
+    const denominator = model.tokenTotals.get(id) + vocabularySize;
+    const logPrior = Math.log((model.docCounts.get(id) + 1) / (totalDocs + candidates.length));
+    return tokens.reduce((sum, token) => sum + Math.log(((counts.get(token) || 0) + 1) / denominator), logPrior);
+  });
+
+  // Softmax over the log scores
+  const max = Math.max(...logScores);
+  const exp = logScores.map(s => Math.exp(s - max));
+  const total = exp.reduce((a, b) => a + b, 0);
+  const ranked = candidates
+    .map((categoryId, idx) => ({ categoryId, probability: round2(exp[idx] / total) }))
+    .sort((a, b) => b.probability - a.probability);
+
+  return { ...ranked[0], alternatives: ranked.slice(1, 3) };
+}
+
+/**
+ * Rebuild the classifier from confirmed and corrected receipts
+ * Merchant memory is seeded from the same receipts the first time it is empty.
+ * @returns {Promise<number>} Number of receipts trained on
+ */
+async function train(db) {
+  const result = await db.query(
+    `SELECT r.category_id, r.ocr_data->>'merchant' AS merchant, r.ocr_data->'items' AS items,
+            EXISTS (
+              SELECT 1 FROM receipt_corrections c WHERE c.receipt_id = r.id AND c.field = 'category'
+            ) AS corrected
+     FROM receipts r
+     WHERE r.category_id IS NOT NULL AND r.deleted_at IS NULL
+       AND (r.status IN ('submitted', 'approved')
+         OR EXISTS (SELECT 1 FROM receipt_corrections c WHERE c.receipt_id = r.id AND c.field = 'category'))
+     ORDER BY r.updated_at DESC
+     LIMIT $1`,
+    [MAX_TRAINING_RECEIPTS]
+  );
+
+  // A category left as Miscellaneous is not a decision; choosing it is
+  const examples = result.rows.filter(row => row.category_id !== MISC_ID || row.corrected);
+  const next = emptyModel();
+  examples.forEach(row => addExample(
+    next, tokenize(row.merchant, row.items || []), row.category_id, row.corrected ? CORRECTION_WEIGHT : 1
+  ));
+  model = next;
+
+  const memory = await db.query('SELECT 1 FROM merchant_categories LIMIT 1');
+  if (memory.rows.length === 0) {
+    const weights = new Map();
+    examples.forEach(row => {
+      const key = merchantKey(row.merchant);
+      if (!key) return;
+      const id = `${key}\n${row.category_id}`;
+      weights.set(id, (weights.get(id) || 0) + (row.corrected ? CORRECTION_WEIGHT : 1));
+    });
+    for (const [id, weight] of weights) {
+      const [key, categoryId] = id.split('\n');
+      await db.query(
+        `INSERT INTO merchant_categories (merchant_key, category_id, weight) VALUES ($1, $2, $3)
+         ON CONFLICT (merchant_key, category_id) DO NOTHING`,
+        [key, categoryId, weight]
+      );
+    }
+  }
+
+  return examples.length;
+}
+
+/**
+ * Retrain periodically (corrections and claims made on other instances)
+ */
+function startRetraining(db) {
+  if (retrainTimer) return;
+  retrainTimer = setInterval(() => {
+    train(db).catch(error => console.error('Category classifier training failed:', error.message));
+  }, CATEGORY_RETRAIN_SECONDS * 1000);
+  retrainTimer.unref();
+}
+
+/**
+ * What this organisation has filed a merchant's receipts under
+ * @returns {Promise<Object|null>} { categoryId, confidence, weight } or null if the merchant is unknown
+ */
+async function recallMerchant(db, merchant) {
+  const key = merchantKey(merchant);
+  if (!key) return null;
+
+  const result = await db.query(
+    'SELECT category_id, weight FROM merchant_categories WHERE merchant_key = $1 AND weight > 0 ORDER BY weight DESC',
+    [key]
+  );
+  const rows = result.rows.filter(row => isActiveCategory(row.category_id));
+  if (rows.length === 0) return null;
+
+  // Grows with agreement and with the number of decisions: 1 confirmation 0.67, 2 0.8, 1 correction 0.86
+  const total = rows.reduce((sum, row) => sum + row.weight, 0);
+  return { categoryId: rows[0].category_id, confidence: round2(rows[0].weight / (total + 0.5)), weight: total };
+}
+
+/**
+ * Learn from a confirmed or corrected category
+ * @param {Object} receipt - { merchant, items, categoryId }
+ * @param {Object} options - { corrected } true when someone changed the category,
+ *   { previousCategoryId } the category it was changed from
+ */
+async function learn(db, { merchant, items = [], categoryId }, { corrected = false, previousCategoryId = null } = {}) {
+  if (!categoryId || (categoryId === MISC_ID && !corrected)) return;
+  const weight = corrected ? CORRECTION_WEIGHT : 1;
+
+  const key = merchantKey(merchant);
+  if (key) {
+    await db.query(
+      `INSERT INTO merchant_categories (merchant_key, category_id, weight) VALUES ($1, $2, $3)
+       ON CONFLICT (merchant_key, category_id) DO UPDATE SET
+         weight = merchant_categories.weight + EXCLUDED.weight, updated_at = NOW()`,
+      [key, categoryId, weight]
+    );
+    // The category it was moved out of counts against the merchant as much as the new one counts for it
+    if (corrected && previousCategoryId && previousCategoryId !== categoryId) {
+      await db.query(
+        `UPDATE merchant_categories SET weight = GREATEST(weight - $3, 0), updated_at = NOW()
+         WHERE merchant_key = $1 AND category_id = $2`,
+        [key, previousCategoryId, weight]
+      );
+    }
+  }
+  addExample(model, tokenize(merchant, items), categoryId, weight);
+}
+
+/**
+ * Learn from the categories of submitted receipts (receipts rows)
+ * Never fails the submission; learning errors are only logged.
+ */
+async function confirmReceipts(db, receipts) {
+  try {
+    for (const r of receipts) {
+      await learn(db, { merchant: r.ocr_data?.merchant, items: r.ocr_data?.items || [], categoryId: r.category_id });
+    }
+  } catch (error) {
+    console.error('Category learning failed:', error.message);
+  }
+}
+
+/**
+ * Pick a category for OCR'd receipt data
+ * Merchant memory wins when it is confident. Otherwise the OCR provider's
+ * suggestion and the classifier vote (keywords only when neither has an
+ * opinion): agreeing sources reinforce each other, a competing category
+ * lowers the confidence so the employee is asked.
+ * @returns {Promise<Object>} { categoryId, confidence (0-1), sources, alternatives: [categoryId] }
+ */
+async function categorize(db, data) {
+  const memory = await recallMerchant(db, data.merchant);
+  if (memory && memory.confidence >= LOW_CONFIDENCE_THRESHOLD) {
+    return { categoryId: memory.categoryId, confidence: memory.confidence, sources: ['merchant_memory'], alternatives: [] };
+  }
+
+  const opinions = [];
+  if (memory) {
+    opinions.push({ source: 'merchant_memory', categoryId: memory.categoryId, confidence: memory.confidence });
+  }
+  if (data.category && data.category !== MISC_ID && isActiveCategory(data.category)) {
+    opinions.push({ source: 'ocr', categoryId: data.category, confidence: PROVIDER_CONFIDENCE });
+  }
+  const predicted = classify(data.merchant, data.items || []);
+  if (predicted && predicted.probability >= MIN_CLASSIFIER_PROBABILITY) {
+    opinions.push({ source: 'classifier', categoryId: predicted.categoryId, confidence: predicted.probability });
+  }
+  if (opinions.length === 0) {
+    const keywordCategory = autoCategorize(data.merchant, data.items || []);
+    if (keywordCategory !== MISC_ID) {
+      opinions.push({ source: 'keywords', categoryId: keywordCategory, confidence: KEYWORD_CONFIDENCE });
+    }
+  }
+  if (opinions.length === 0) {
+    return { categoryId: MISC_ID, confidence: 0, sources: [], alternatives: [] };
+  }
+
+  const votes = new Map();
+  opinions.forEach(o => {
+    const vote = votes.get(o.categoryId) || { categoryId: o.categoryId, doubt: 1, sources: [] };
+    vote.doubt *= 1 - o.confidence;
+    vote.sources.push(o.source);
+    votes.set(o.categoryId, vote);
+  });
+  const [best, ...others] = [...votes.values()]
+    .map(v => ({ ...v, score: 1 - v.doubt }))
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    categoryId: best.categoryId,
+    confidence: round2(best.score * (1 - (others[0]?.score || 0))),
+    sources: best.sources,
+    alternatives: others.map(o => o.categoryId)
+  };
+}
+
+module.exports = {
+  CORRECTION_WEIGHT,
+  merchantKey,
+  tokenize,
+  classify,
+  train,
+  startRetraining,
+  recallMerchant,
+  learn,
+  confirmReceipts,
+  categorize
+};
@@ -0,0 +1,186 @@
+const { loadCategories } = require('./categoryService');
+const {
+  CORRECTION_WEIGHT, merchantKey, tokenize, classify, train, recallMerchant, learn, categorize
+} = require('./categoryClassifierService');
+const { fakeDb } = require('../test/fakeDb');
+
+beforeAll(async () => {
+  await loadCategories({
+    query: async () => ({
+      rows: [
+        { id: 'meals', name: 'Meals', merchants: ['starbucks'], keywords: ['coffee'], active: true },
+        { id: 'fuel', name: 'Fuel', merchants: ['shell'], keywords: ['petrol'], active: true },
+        { id: 'travel', name: 'Travel', active: true },
+        { id: 'misc', name: 'Miscellaneous', active: true },
+        { id: 'legacy', name: 'Legacy', active: false }
+      ]
+    })
+  });
+});
+
+const example = (merchant, items, categoryId, corrected = false) => ({
+  merchant, items: items.map(name => ({ name })), category_id: categoryId, corrected
+});
+const repeat = (count, row) => Array.from({ length: count }, () => row);
+
+// 12 kopitiam meals, 7 Petron fuel receipts and one corrected to Travel
+const trainingRows = [
+  ...repeat(12, example('Kopitiam Sdn Bhd', ['Teh tarik', 'Nasi lemak'], 'meals')),
+  ...repeat(7, example('Petron', ['Petrol RON95'], 'fuel')),
+  example('Grab', ['Airport transfer'], 'travel', true)
+];
+
+// Training query and an empty (or seeded) merchant memory
+function trainingDb(rows, { memorySeeded = false } = {}) {
+  return fakeDb({
+    'FROM receipts r': rows,
+    'SELECT 1 FROM merchant_categories': memorySeeded ? [{ '?column?': 1 }] : [],
+    'INSERT INTO merchant_categories': []
+  });
+}
+
+// Merchant memory rows by merchant key
+function memoryDb(memory = {}) {
+  return fakeDb({
+    'SELECT category_id, weight FROM merchant_categories': (key) => memory[key] || [],
+    'INSERT INTO merchant_categories': [],
+    'UPDATE merchant_categories': []
+  });
+}
+
+describe('merchantKey and tokenize', () => {
+  it('drops legal suffixes, punctuation and case', () => {
+    expect(merchantKey('SHELL Sdn. Bhd.')).toBe('shell');
+    expect(merchantKey('Marks & Spencer')).toBe('marks & spencer');
+    expect(merchantKey(null)).toBe('');
+  });
+
+  it('marks merchant words and skips numbers and filler', () => {
+    expect(tokenize('Kopitiam Sdn Bhd', [{ name: '2 Teh tarik' }, { item_description: 'Qty 1 nasi' }]))
+      .toEqual(['m:kopitiam', 'kopitiam', 'teh', 'tarik', 'nasi']);
+  });
+});
+
+describe('train and classify', () => {
+  it('stays silent until it has seen enough receipts', async () => {
+    // A category left as Miscellaneous does not count
+    const rows = [...trainingRows.slice(1), example('Kedai', ['Stuff'], 'misc')];
+    expect(await train(trainingDb(rows))).toBe(19);
+    expect(classify('Kopitiam', [{ name: 'Teh' }])).toBeNull();
+  });
+
+  it('predicts from merchant and item words once trained', async () => {
+    expect(await train(trainingDb(trainingRows, { memorySeeded: true }))).toBe(20);
+
+    const meals = classify('Kopitiam SS2', [{ name: 'Teh ais' }]);
+    expect(meals.categoryId).toBe('meals');
+    expect(meals.probability).toBeGreaterThan(0.9);
+    expect(meals.alternatives.map(a => a.categoryId).sort()).toEqual(['fuel', 'travel']);
+
+    expect(classify('Petron Bangsar', []).categoryId).toBe('fuel');
+    // Words never seen in training
+    expect(classify('Kedai Runcit', [{ name: 'Sabun' }])).toBeNull();
+  });
+
+  it('seeds an empty merchant memory, corrections counting more', async () => {
+    const db = trainingDb(trainingRows);
+    await train(db);
+
+    const inserts = db.query.mock.calls.filter(([sql]) => sql.includes('INSERT')).map(([, params]) => params);
+    expect(inserts).toEqual([['kopitiam', 'meals', 12], ['petron', 'fuel', 7], ['grab', 'travel', CORRECTION_WEIGHT]]);
+  });
+});
+
+describe('recallMerchant', () => {
+  it('grows more confident with agreeing decisions', async () => {
+    const db = memoryDb({
+      once: [{ category_id: 'meals', weight: 1 }],
+      twice: [{ category_id: 'meals', weight: 2 }],
+      corrected: [{ category_id: 'meals', weight: 3 }],
+      disputed: [{ category_id: 'meals', weight: 3 }, { category_id: 'travel', weight: 1 }]
+    });
+
+    expect(await recallMerchant(db, 'Once')).toEqual({ categoryId: 'meals', confidence: 0.67, weight: 1 });
+    expect((await recallMerchant(db, 'Twice')).confidence).toBe(0.8);
+    expect((await recallMerchant(db, 'Corrected')).confidence).toBe(0.86);
+    expect(await recallMerchant(db, 'Disputed')).toEqual({ categoryId: 'meals', confidence: 0.67, weight: 4 });
+  });
+
+  it('ignores retired categories and unknown merchants', async () => {
+    const db = memoryDb({ old: [{ category_id: 'legacy', weight: 5 }] });
+
+    expect(await recallMerchant(db, 'Old')).toBeNull();
+    expect(await recallMerchant(db, 'New')).toBeNull();
+    expect(await recallMerchant(db, ' Sdn Bhd ')).toBeNull();
+    expect(db.query).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('learn', () => {
+  const writes = (db) => db.query.mock.calls.map(([sql, params]) => [sql.trim().split(' ')[0], params]);
+
+  it('counts a confirmed category once, but not one left as Miscellaneous', async () => {
+    const db = memoryDb();
+    await learn(db, { merchant: 'Kopitiam', categoryId: 'meals' });
+    await learn(db, { merchant: 'Kedai', categoryId: 'misc' });
+
+    expect(writes(db)).toEqual([['INSERT', ['kopitiam', 'meals', 1]]]);
+  });
+
+  it('moves a corrected merchant out of the category it was filed under', async () => {
+    const db = memoryDb();
+    await learn(db, { merchant: 'Grab', categoryId: 'travel' }, { corrected: true, previousCategoryId: 'meals' });
+
+    expect(writes(db)).toEqual([
+      ['INSERT', ['grab', 'travel', CORRECTION_WEIGHT]],
+      ['UPDATE', ['grab', 'meals', CORRECTION_WEIGHT]]
+    ]);
+    expect(db.query.mock.calls[1][0]).toContain('GREATEST(weight - $3, 0)');
+  });
+
+  it('only adds when there was no other previous category', async () => {
+    const db = memoryDb();
+    await learn(db, { merchant: 'Grab', categoryId: 'travel' }, { corrected: true, previousCategoryId: 'travel' });
+    await learn(db, { merchant: 'Grab', categoryId: 'misc' }, { corrected: true });
+
+    expect(writes(db)).toEqual([
+      ['INSERT', ['grab', 'travel', CORRECTION_WEIGHT]],
+      ['INSERT', ['grab', 'misc', CORRECTION_WEIGHT]]
+    ]);
+  });
+});
+
+describe('categorize', () => {
+  beforeAll(async () => {
+    await train(trainingDb(trainingRows, { memorySeeded: true }));
+  });
+
+  it('trusts a confident merchant memory on its own', async () => {
+    const db = memoryDb({ grab: [{ category_id: 'travel', weight: 3 }] });
+
+    expect(await categorize(db, { merchant: 'Grab', category: 'meals' }))
+      .toEqual({ categoryId: 'travel', confidence: 0.86, sources: ['merchant_memory'], alternatives: [] });
+  });
+
+  it('reinforces agreeing sources and doubts competing ones', async () => {
+    const db = memoryDb({ 'kedai ali': [{ category_id: 'meals', weight: 1 }] });
+
+    expect(await categorize(db, { merchant: 'Kedai Ali', category: 'meals' }))
+      .toEqual({ categoryId: 'meals', confidence: 0.93, sources: ['merchant_memory', 'ocr'], alternatives: [] });
+    expect(await categorize(db, { merchant: 'Kedai Ali', category: 'travel' }))
+      .toEqual({ categoryId: 'travel', confidence: 0.26, sources: ['ocr'], alternatives: ['meals'] });
+  });
+
+  it('asks the classifier, then the keyword rules', async () => {
+    const db = memoryDb();
+
+    const predicted = await categorize(db, { merchant: 'Kopitiam', items: [{ name: 'Teh' }], category: 'misc' });
+    expect(predicted).toMatchObject({ categoryId: 'meals', sources: ['classifier'], alternatives: [] });
+    expect(predicted.confidence).toBeGreaterThan(0.9);
+
+    expect(await categorize(db, { merchant: 'Starbucks KLCC' }))
+      .toEqual({ categoryId: 'meals', confidence: 0.5, sources: ['keywords'], alternatives: [] });
+    expect(await categorize(db, { merchant: 'Kedai Runcit' }))
+      .toEqual({ categoryId: 'misc', confidence: 0, sources: [], alternatives: [] });
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Category Service
+ * Expense categories, with the keywords and merchant names used to
+ * auto-categorise receipts, live in the categories table and are managed
+ * from the admin screen.
+ *
+ * Lookups are synchronous against an in-memory copy, loaded at boot,
+ * reloaded after every admin change and refreshed every
+ * CATEGORY_REFRESH_SECONDS so other instances pick up changes.
+ *
+ * Categories are retired rather than deleted: receipts and claims keep
+ * their category (and its name), but retired categories are no longer
+ * offered, suggested to OCR or picked by auto-categorisation.
+ */
+
+const CATEGORY_REFRESH_SECONDS = parseInt(process.env.CATEGORY_REFRESH_SECONDS) || 60;
+
+// Fallback for anything uncategorised; it cannot be retired
+const MISC_ID = 'misc';
+const MISC_FALLBACK = {
+  id: MISC_ID, name: 'Miscellaneous', icon: 'more-horizontal', color: 'gray',
+  keywords: [], merchants: [], active: true, sortOrder: 999
+};
+
+let categories = [];
+let categoriesById = new Map();
+let refreshTimer = null;
+
+class CategoryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CategoryError';
+    this.statusCode = statusCode;
+  }
+}
+
+function mapCategoryRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    icon: row.icon,
+    color: row.color,
+    keywords: row.keywords || [],
+    merchants: row.merchants || [],
+    active: row.active !== false,
+    sortOrder: row.sort_order ?? 0
+  };
+}
+
+/**
+ * (Re)load categories from the database into memory
+ * @returns {Promise<number>} Number of categories loaded
+ */
+async function loadCategories(db) {
+  const result = await db.query('SELECT * FROM categories ORDER BY sort_order ASC, name ASC');
+  categories = result.rows.map(mapCategoryRow);
+  categoriesById = new Map(categories.map(c => [c.id, c]));
+  return categories.length;
+}
+
+/**
+ * Keep the in-memory copy fresh (changes made on other instances)
+ */
+function startRefresh(db) {
+  if (refreshTimer) return;
+  refreshTimer = setInterval(() => {
+    loadCategories(db).catch(error => console.error('Category refresh failed:', error.message));
+  }, CATEGORY_REFRESH_SECONDS * 1000);
+  refreshTimer.unref();
+}
+
+/**
+ * Categories as an array (active ones unless includeRetired)
+ */
+function getAllCategories({ includeRetired = false } = {}) {
+  const list = includeRetired ? categories : categories.filter(c => c.active);
+  return list.length > 0 ? list : [MISC_FALLBACK];
+}
+
+/**
+ * Get category by ID (retired ones included, so old receipts keep their name)
+ */
+function getCategoryById(id) {
+  return categoriesById.get(id) || categoriesById.get(MISC_ID) || MISC_FALLBACK;
+}
+
+function isActiveCategory(id) {
+  return categoriesById.get(id)?.active === true;
+}
+
+/**
+ * Auto-categorize based on merchant name and items
+ * @param {string} merchant - Merchant name
+ * @param {Array} items - Bill items
+ * @returns {string} Category ID
+ */
+function autoCategorize(merchant = '', items = []) {
+  const merchantLower = (merchant || '').toLowerCase();
+  const itemsText = items.map(i => (i.name || i.item_description || '').toLowerCase()).join(' ');
+  const active = getAllCategories();
+
+  // Check merchants first (exact or partial match)
+  for (const cat of active) {
+    if (cat.merchants.some(m => merchantLower.includes(m))) {
+      return cat.id;
+    }
+  }
+
+  // Check keywords in merchant name or items
+  for (const cat of active) {
+    if (cat.keywords.some(k => merchantLower.includes(k) || itemsText.includes(k))) {
+      return cat.id;
+    }
+  }
+
+  return MISC_ID;
+}
+
+function toTermList(value, field) {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+    throw new CategoryError(`${field} must be an array of strings`);
+  }
+  return [...new Set(value.map(v => v.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Validate a category from the admin API
+ * @param {Object} body - { name, icon, color, keywords, merchants, active, sortOrder }
+ * @param {boolean} isNew - Name is required when creating
+ * @returns {Object} Normalised fields (only those provided)
+ */
+function validateCategory(body, isNew) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new CategoryError('Request body must be an object');
+  }
+
+  const fields = {};
+  if (body.name !== undefined || isNew) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) throw new CategoryError('Category name must be 1-100 characters');
+    fields.name = name;
+  }
+  ['icon', 'color'].forEach(field => {
+    if (body[field] === undefined) return;
+    if (body[field] !== null && (typeof body[field] !== 'string' || body[field].length > 50)) {
+      throw new CategoryError(`${field} must be a string of up to 50 characters`);
+    }
+    fields[field] = body[field] || null;
+  });
+  const keywords = toTermList(body.keywords, 'keywords');
+  if (keywords) fields.keywords = keywords;
+  const merchants = toTermList(body.merchants, 'merchants');
+  if (merchants) fields.merchants = merchants;
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') throw new CategoryError('active must be true or false');
+    fields.active = body.active;
+  }
+  if (body.sortOrder !== undefined) {
+    if (!Number.isInteger(body.sortOrder)) throw new CategoryError('sortOrder must be an integer');
+    fields.sortOrder = body.sortOrder;
+  }
+  return fields;
+}
+
+/**
+ * Create or update a category
+ * @returns {Promise<Object>} { category, created }
+ */
+async function saveCategory(db, id, body) {
+  if (!/^[a-z0-9_-]{1,50}$/.test(id || '')) {
+    throw new CategoryError('Category id must be 1-50 lowercase letters, digits, - or _');
+  }
+
+  const existing = await db.query('SELECT * FROM categories WHERE id = $1', [id]);
+  const isNew = existing.rows.length === 0;
+  const fields = validateCategory(body, isNew);
+  if (id === MISC_ID && fields.active === false) {
+    throw new CategoryError('The Miscellaneous category cannot be retired');
+  }
+
+  const current = isNew ? { keywords: [], merchants: [], active: true, sortOrder: 0 } : mapCategoryRow(existing.rows[0]);
+  const next = { ...current, ...fields };
+  const result = await db.query(
+    `INSERT INTO categories (id, name, icon, color, keywords, merchants, active, sort_order, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+     ON CONFLICT (id) DO UPDATE SET
+       name = EXCLUDED.name, icon = EXCLUDED.icon, color = EXCLUDED.color,
+       keywords = EXCLUDED.keywords, merchants = EXCLUDED.merchants,
+       active = EXCLUDED.active, sort_order = EXCLUDED.sort_order, updated_at = NOW()
+     RETURNING *`,
+    [id, next.name, next.icon ?? null, next.color ?? null, next.keywords, next.merchants, next.active, next.sortOrder]
+  );
+
+  await loadCategories(db);
+  return { category: mapCategoryRow(result.rows[0]), created: isNew };
+}
+
+/**
+ * Retire a category (kept for existing receipts, no longer offered)
+ * @returns {Promise<Object>} The retired category
+ */
+async function retireCategory(db, id) {
+  if (id === MISC_ID) {
+    throw new CategoryError('The Miscellaneous category cannot be retired');
+  }
+  const result = await db.query(
+    'UPDATE categories SET active = false, updated_at = NOW() WHERE id = $1 RETURNING *',
+    [id]
+  );
+  if (result.rows.length === 0) {
+    throw new CategoryError('Category not found', 404);
+  }
+
+  await loadCategories(db);
+  return mapCategoryRow(result.rows[0]);
+}
+
+/**
+ * How many receipts use each category (admin screen)
+ * @returns {Promise<Object>} { [categoryId]: count }
+ */
+async function getUsageCounts(db) {
+  const result = await db.query(
+    `SELECT category_id, COUNT(*)::int AS count FROM receipts
+     WHERE category_id IS NOT NULL AND deleted_at IS NULL
+     GROUP BY category_id`
+  );
+  return Object.fromEntries(result.rows.map(r => [r.category_id, r.count]));
+}
+
+module.exports = {
+  MISC_ID,
+  CategoryError,
+  loadCategories,
+  startRefresh,
+  getAllCategories,
+  getCategoryById,
+  isActiveCategory,
+  autoCategorize,
+  validateCategory,
+  saveCategory,
+  retireCategory,
+  getUsageCounts
+};
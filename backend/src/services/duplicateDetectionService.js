@@ -6,6 +6,19 @@
 
 const axios = require('axios');
 const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { withUniapiSlot } = require('./uniapiService');
+
+// Perceptual hash size: a HASH_SIZE x HASH_SIZE difference hash (256 bits).
+// Receipts are mostly white paper, so a 64-bit hash leaves too few bits to
+// tell two different receipts apart.
+const HASH_SIZE = 16;
+
+// Hamming distance (out of 256 bits) below which two images are treated as
+// the same document. dHash survives rescaling, recompression and mild crops.
+const PHASH_STRONG_DISTANCE = 20;
+const PHASH_SIMILAR_DISTANCE = 28;
 
 /**
  * Calculate similarity between two strings (0-1)
@@ -63,14 +76,99 @@ function normalizeDate(dateStr) {
   }
 }
 
+/**
+ * Difference hash of a greyscale image buffer, as a string of '0'/'1' bits
+ */
+async function differenceHash(buffer, angle = 0) {
+  const { data } = await sharp(buffer)
+    .rotate(angle)
+    .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let bits = '';
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      const idx = y * (HASH_SIZE + 1) + x;
+      bits += data[idx] < data[idx + 1] ? '1' : '0';
+    }
+  }
+  return bits;
+}
+
+/**
+ * Compute the perceptual hash of a receipt image
+ * Returns the canonical hash (stored on the receipt) plus the hashes of the
+ * image rotated by 90/180/270 degrees, so a receipt photographed sideways
+ * still matches the original. Returns null for files sharp cannot decode.
+ */
+async function computePerceptualHash(filePath) {
+  if (path.extname(filePath).toLowerCase() === '.pdf') return null;
+
+  try {
+    const normalized = await sharp(filePath)
+      .rotate() // Apply EXIF orientation
+      .removeAlpha()
+      .greyscale()
+      .normalise()
+      .resize(256, 256, { fit: 'inside' })
+      .png()
+      .toBuffer();
+
+    const variants = [];
+    for (const angle of [0, 90, 180, 270]) {
+      variants.push(await differenceHash(normalized, angle));
+    }
+
+    return { hash: variants[0], variants };
+  } catch (error) {
+    console.warn('Perceptual hash failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Find receipts whose perceptual hash is within PHASH_SIMILAR_DISTANCE
+ * of any rotation of the new image
+ * @param {Object} scope - { userId } to search one user, { excludeUserId } to search everyone else
+ */
+async function findSimilarImages(db, perceptualHash, { userId = null, excludeUserId = null } = {}) {
+  if (!perceptualHash) return [];
+
+  let queryStr = `SELECT * FROM (
+      SELECT r.*, (
+        SELECT MIN(length(replace((r.perceptual_hash # h)::text, '0', '')))
+        FROM unnest($1::bit(${HASH_SIZE * HASH_SIZE})[]) AS h
+      ) AS perceptual_distance
+      FROM receipts r
+      WHERE r.perceptual_hash IS NOT NULL`;
+  const queryParams = [perceptualHash.variants];
+
+  if (userId) {
+    queryStr += ' AND r.user_id = $2';
+    queryParams.push(userId);
+  } else if (excludeUserId) {
+    queryStr += ' AND r.user_id <> $2';
+    queryParams.push(excludeUserId);
+  }
+
+  queryStr += `) candidates WHERE perceptual_distance <= ${PHASH_SIMILAR_DISTANCE}
+    ORDER BY perceptual_distance ASC LIMIT 10`;
+
+  const result = await db.query(queryStr, queryParams);
+  return result.rows;
+}
+
 /**
  * Find potential duplicates in database
  * @param {Object} db - PostgreSQL db instance (with query method)
  * @param {Object} newReceipt - New receipt OCR data
  * @param {string} userId - User ID (optional, to check across all users)
+ * @param {Object} options - { perceptualHash } from computePerceptualHash,
+ *   { excludeReceiptId } when re-checking a stored receipt
  * @returns {Promise<Array>} Array of potential duplicates
  */
-async function findPotentialDuplicates(db, newReceipt, userId = null) {
+async function findPotentialDuplicates(db, newReceipt, userId = null, options = {}) {
   const duplicates = [];
   const newAmount = normalizeAmount(newReceipt.amount);
   const newDate = normalizeDate(newReceipt.date);
@@ -91,11 +189,20 @@ async function findPotentialDuplicates(db, newReceipt, userId = null) {
   queryStr += ' LIMIT 50';
   
   const result = await db.query(queryStr, queryParams);
+
+  // Visually similar images are candidates even if OCR read a different amount
+  const similarImages = await findSimilarImages(db, options.perceptualHash, { userId });
+  const distances = new Map(similarImages.map(r => [r.id, r.perceptual_distance]));
+  const candidates = [...result.rows];
+  for (const row of similarImages) {
+    if (!candidates.some(c => c.id === row.id)) candidates.push(row);
+  }
   
-  for (const existing of result.rows) {
+  for (const existing of candidates) {
     const existingOcr = existing.ocr_data || {};
     
-    // Skip if already marked as duplicate of another
+    // Skip the receipt being re-checked, and ones already marked as duplicate of another
+    if (existing.id === options.excludeReceiptId) continue;
     if (existing.duplicate_of) continue;
     
     const existingDate = normalizeDate(existingOcr.date);
@@ -125,6 +232,23 @@ async function findPotentialDuplicates(db, newReceipt, userId = null) {
       confidence += 25;
       reasons.push(merchantSimilarity > 0.9 ? 'Same merchant' : 'Similar merchant');
     }
+
+    const perceptualDistance = distances.has(existing.id) ? distances.get(existing.id) : null;
+    if (perceptualDistance !== null) {
+      if (perceptualDistance <= PHASH_STRONG_DISTANCE) {
+        confidence += 60;
+        reasons.push(`Same image (perceptual distance ${perceptualDistance}/${HASH_SIZE * HASH_SIZE})`);
+      } else {
+        confidence += 30;
+        reasons.push(`Visually similar image (perceptual distance ${perceptualDistance}/${HASH_SIZE * HASH_SIZE})`);
+      }
+    }
+    confidence = Math.min(confidence, 100);
+
+    // Deleted receipts stay candidates so a re-upload is still caught
+    if (existing.deleted_at) {
+      reasons.push('Matches a deleted receipt');
+    }
     
     // If high confidence, add to duplicates
     if (confidence >= 60) {
@@ -134,9 +258,11 @@ async function findPotentialDuplicates(db, newReceipt, userId = null) {
         confidence,
         reasons,
         merchantSimilarity,
+        perceptualDistance,
         ocrData: existingOcr,
         uploadedAt: existing.uploaded_at,
         status: existing.status,
+        deletedAt: existing.deleted_at || null,
         filePath: existing.file_path
       });
     }
@@ -146,6 +272,83 @@ async function findPotentialDuplicates(db, newReceipt, userId = null) {
   return duplicates.sort((a, b) => b.confidence - a.confidence);
 }
 
+/**
+ * Find receipts from OTHER users that look like the same bill
+ * (two employees claiming one restaurant bill, or reusing a colleague's
+ * utility invoice). Matches on identical file, bill reference, perceptual
+ * image hash, or identical merchant/amount/date.
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {Object} newReceipt - New receipt OCR data
+ * @param {string} userId - Uploading user, excluded from the search
+ * @param {Object} options - { fileHash, perceptualHash }
+ * @returns {Promise<Array>} Matches sorted by confidence, each with the other claimant's userId
+ */
+async function findCrossUserDuplicates(db, newReceipt, userId, options = {}) {
+  const matches = new Map();
+  const addMatch = (row, confidence, reason) => {
+    const match = matches.get(row.id) || {
+      id: row.id,
+      userId: row.user_id,
+      confidence: 0,
+      reasons: [],
+      ocrData: row.ocr_data || {},
+      uploadedAt: row.uploaded_at,
+      status: row.status,
+      expenseId: row.expense_id,
+      deletedAt: row.deleted_at || null
+    };
+    match.confidence = Math.min(100, Math.max(match.confidence, confidence) + (match.reasons.length > 0 ? 10 : 0));
+    match.reasons.push(reason);
+    matches.set(row.id, match);
+  };
+
+  if (options.fileHash) {
+    const result = await db.query(
+      'SELECT * FROM receipts WHERE file_hash = $1 AND user_id <> $2 LIMIT 10',
+      [options.fileHash, userId]
+    );
+    result.rows.forEach(row => addMatch(row, 100, 'Identical file uploaded by another employee'));
+  }
+
+  const billReference = (newReceipt.billReference || '').trim();
+  if (billReference) {
+    const result = await db.query(
+      'SELECT * FROM receipts WHERE ocr_data->>\'billReference\' = $1 AND user_id <> $2 LIMIT 10',
+      [billReference, userId]
+    );
+    result.rows.forEach(row => {
+      const sameAmount = Math.abs(normalizeAmount(row.ocr_data?.amount) - normalizeAmount(newReceipt.amount)) < 0.01;
+      addMatch(row, sameAmount ? 90 : 70, `Same bill reference ${billReference}`);
+    });
+  }
+
+  const similarImages = await findSimilarImages(db, options.perceptualHash, { excludeUserId: userId });
+  similarImages.forEach(row => {
+    const strong = row.perceptual_distance <= PHASH_STRONG_DISTANCE;
+    addMatch(row, strong ? 80 : 40,
+      `${strong ? 'Same' : 'Visually similar'} image (perceptual distance ${row.perceptual_distance}/${HASH_SIZE * HASH_SIZE})`);
+  });
+
+  const newAmount = normalizeAmount(newReceipt.amount);
+  const newDate = normalizeDate(newReceipt.date);
+  if (newAmount > 0 && newDate) {
+    const result = await db.query(
+      `SELECT * FROM receipts
+       WHERE (ocr_data->>'amount')::numeric = $1 AND ocr_data->>'date' = $2 AND user_id <> $3
+       LIMIT 20`,
+      [newAmount, newDate, userId]
+    );
+    result.rows.forEach(row => {
+      const merchantSimilarity = stringSimilarity(newReceipt.merchant, row.ocr_data?.merchant);
+      if (merchantSimilarity > 0.7) {
+        addMatch(row, 75, 'Same merchant, amount and date as another employee\'s receipt');
+      }
+    });
+  }
+
+  return [...matches.values()].sort((a, b) => b.confidence - a.confidence);
+}
+
 /**
  * Use AI to perform deep duplicate analysis
  * Compares images and extracted data semantically
@@ -187,7 +390,7 @@ Return ONLY a JSON object:
   "reasoning": "brief explanation"
 }`;
 
-    const response = await axios.post(
+    const response = await withUniapiSlot(() => axios.post(
       `${uniapiConfig.baseUrl}/chat/completions`,
       {
         model: uniapiConfig.model,
@@ -213,7 +416,7 @@ Return ONLY a JSON object:
         },
         timeout: 30000
       }
-    );
+    ));
     
     const content = response.data.choices[0].message.content;
     const jsonMatch = content.match(/\{[\s\S]*\}/);
@@ -232,6 +435,9 @@ Return ONLY a JSON object:
 
 module.exports = {
   findPotentialDuplicates,
+  findCrossUserDuplicates,
   aiDuplicateAnalysis,
-  stringSimilarity
+  computePerceptualHash,
+  stringSimilarity,
+  PHASH_STRONG_DISTANCE
 };
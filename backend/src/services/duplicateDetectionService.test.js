@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// The AI comparison is not exercised here (uniapiService loads ESM-only p-limit)
+jest.mock('./uniapiService', () => ({ withUniapiSlot: (fn) => fn() }));
+
+const { computePerceptualHash, PHASH_STRONG_DISTANCE } = require('./duplicateDetectionService');
+
+// Same measure as the SQL in findSimilarImages: bits set in hash XOR other
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+// Closest rotation, as stored receipts are compared against every variant
+function closestDistance(stored, candidate) {
+  return Math.min(...candidate.variants.map(v => hammingDistance(stored.hash, v)));
+}
+
+// A white "receipt" with dark text lines at the given offsets and widths
+function receiptSvg(lines) {
+  const rects = lines
+    .map(([y, width], i) => `<rect x="${20 + (i % 3) * 8}" y="${y}" width="${width}" height="10" fill="#222"/>`)
+    .join('');
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="300" height="500"><rect width="300" height="500" fill="#fff"/>${rects}</svg>`
+  );
+}
+
+const RECEIPT = [[30, 200], [60, 120], [110, 240], [140, 90], [170, 180], [230, 150], [260, 220], [330, 60], [400, 200]];
+const OTHER_RECEIPT = [[50, 80], [90, 250], [200, 100], [250, 60], [290, 240], [350, 180], [380, 110], [440, 230]];
+
+describe('perceptual hash', () => {
+  let dir;
+  const write = async (name, image) => {
+    const file = path.join(dir, name);
+    await image.toFile(file);
+    return file;
+  };
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'phash-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('hashes an image into 256 bits with four rotations', async () => {
+    const hash = await computePerceptualHash(await write('original.png', sharp(receiptSvg(RECEIPT))));
+
+    expect(hash.hash).toMatch(/^[01]{256}$/);
+    expect(hash.variants).toHaveLength(4);
+    expect(hash.variants[0]).toBe(hash.hash);
+  });
+
+  it('keeps a rescaled, recompressed copy within the strong distance', async () => {
+    const original = await computePerceptualHash(await write('a.png', sharp(receiptSvg(RECEIPT))));
+    const copy = await computePerceptualHash(
+      await write('a-small.jpg', sharp(receiptSvg(RECEIPT)).resize(150).jpeg({ quality: 50 }))
+    );
+
+    expect(hammingDistance(original.hash, copy.hash)).toBeLessThanOrEqual(PHASH_STRONG_DISTANCE);
+  });
+
+  it('matches a receipt photographed sideways through its rotations', async () => {
+    const original = await computePerceptualHash(await write('b.png', sharp(receiptSvg(RECEIPT))));
+    const sideways = await computePerceptualHash(await write('b-rotated.png', sharp(receiptSvg(RECEIPT)).rotate(90)));
+
+    expect(hammingDistance(original.hash, sideways.hash)).toBeGreaterThan(PHASH_STRONG_DISTANCE);
+    expect(closestDistance(original, sideways)).toBeLessThanOrEqual(PHASH_STRONG_DISTANCE);
+  });
+
+  it('keeps a different receipt well apart', async () => {
+    const original = await computePerceptualHash(await write('c.png', sharp(receiptSvg(RECEIPT))));
+    const other = await computePerceptualHash(await write('d.png', sharp(receiptSvg(OTHER_RECEIPT))));
+
+    expect(closestDistance(original, other)).toBeGreaterThan(PHASH_STRONG_DISTANCE);
+  });
+
+  it('returns null for PDFs and files it cannot decode', async () => {
+    const broken = path.join(dir, 'broken.jpg');
+    fs.writeFileSync(broken, 'not an image');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await computePerceptualHash(path.join(dir, 'receipt.pdf'))).toBeNull();
+    expect(await computePerceptualHash(broken)).toBeNull();
+  });
+});
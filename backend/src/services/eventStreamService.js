@@ -0,0 +1,124 @@
+/**
+ * Event Stream Service
+ * Per-user Server-Sent Events for receipt and claim status changes.
+ *
+ * Events are published with Postgres NOTIFY so a change made by a job worker
+ * (possibly in another server instance) reaches the process holding the
+ * user's SSE connection. Each process LISTENs on one dedicated connection and
+ * fans notifications out to its local subscribers.
+ *
+ * Event types:
+ * - receipt: { receiptId, status, duplicateStatus } (processed, flagged, failed, ...)
+ * - claim:   { expenseId, status, step, completed } (moved to the next step, approved, rejected)
+ */
+
+const CHANNEL = 'ee_user_events';
+
+// Keep-alive comment interval, below common proxy idle timeouts (60s)
+const HEARTBEAT_SECONDS = 25;
+
+// userId -> Set of send(event, data) callbacks
+const subscribers = new Map();
+
+let listenClient = null;
+
+/**
+ * Publish an event to a user's open streams
+ * Never throws: a missed live update only delays the UI until its next reload.
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {string} userId - Recipient
+ * @param {string} event - Event type (receipt, claim)
+ * @param {Object} data - Small JSON payload (NOTIFY payloads are limited to 8000 bytes)
+ */
+async function publish(db, userId, event, data = {}) {
+  if (!userId) return;
+  try {
+    await db.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify({ userId, event, data })]);
+  } catch (error) {
+    console.error(`Failed to publish ${event} event:`, error.message);
+  }
+}
+
+function dispatch(message) {
+  let parsed;
+  try {
+    parsed = JSON.parse(message);
+  } catch (error) {
+    console.error('Ignoring malformed event notification:', error.message);
+    return;
+  }
+
+  const listeners = subscribers.get(parsed.userId);
+  if (!listeners) return;
+  listeners.forEach(send => send(parsed.event, parsed.data));
+}
+
+/**
+ * LISTEN for published events on a dedicated pool connection
+ * Reconnects after the connection drops.
+ * @param {Object} pool - pg Pool
+ */
+async function startListener(pool) {
+  try {
+    const client = await pool.connect();
+    client.on('notification', (msg) => {
+      if (msg.channel === CHANNEL) dispatch(msg.payload);
+    });
+    client.on('error', (error) => {
+      console.error('Event listener connection lost:', error.message);
+      client.release(error);
+      listenClient = null;
+      setTimeout(() => startListener(pool), 5000);
+    });
+    await client.query(`LISTEN ${CHANNEL}`);
+    listenClient = client;
+    console.log('📡 Listening for live receipt and claim events');
+  } catch (error) {
+    console.error('Event listener failed to start, retrying in 5s:', error.message);
+    setTimeout(() => startListener(pool), 5000);
+  }
+}
+
+/**
+ * Turn an Express response into an SSE stream for a user
+ * @param {Object} req - Express request (closed connections unsubscribe)
+ * @param {Object} res - Express response
+ * @param {string} userId - Stream owner
+ */
+function openStream(req, res, userId) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Reconnect delay for EventSource, then tell the client whether live updates work here
+  res.write('retry: 5000\n\n');
+  res.write(`event: ready\ndata: ${JSON.stringify({ live: Boolean(listenClient) })}\n\n`);
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  if (!subscribers.has(userId)) subscribers.set(userId, new Set());
+  subscribers.get(userId).add(send);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const listeners = subscribers.get(userId);
+    if (!listeners) return;
+    listeners.delete(send);
+    if (listeners.size === 0) subscribers.delete(userId);
+  });
+}
+
+module.exports = {
+  CHANNEL,
+  publish,
+  startListener,
+  openStream
+};
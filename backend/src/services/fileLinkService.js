@@ -0,0 +1,67 @@
+/**
+ * File Link Service
+ * Short-lived signed links to receipt files, so views that embed images
+ * (the admin comparison view, another origin) work without a cookie while
+ * the file endpoint itself stays behind owner/admin checks.
+ *
+ * A link is /api/receipts/:receiptId/file?expires=<unix seconds>&signature=<hex>
+ * where signature = HMAC-SHA256(secret, "<receiptId>:<expires>").
+ */
+
+const crypto = require('crypto');
+
+const FILE_LINK_TTL_SECONDS = parseInt(process.env.FILE_LINK_TTL_SECONDS) || 15 * 60;
+
+function getSecret() {
+  const secret = process.env.FILE_LINK_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('FILE_LINK_SECRET or JWT_SECRET must be set to sign file links');
+  }
+  return secret;
+}
+
+function computeSignature(receiptId, expires) {
+  return crypto.createHmac('sha256', getSecret()).update(`${receiptId}:${expires}`).digest('hex');
+}
+
+/**
+ * Path of the file endpoint for a receipt (cookie-authenticated)
+ */
+function filePath(receiptId) {
+  return `/api/receipts/${encodeURIComponent(receiptId)}/file`;
+}
+
+/**
+ * Signed link to a receipt file
+ * @param {string} receiptId - Receipt ID
+ * @param {number} ttlSeconds - Lifetime of the link
+ * @returns {Object} { url, expiresAt }
+ */
+function signFileLink(receiptId, ttlSeconds = FILE_LINK_TTL_SECONDS) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const signature = computeSignature(receiptId, expires);
+  return {
+    url: `${filePath(receiptId)}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+/**
+ * Check a signed link's query parameters
+ * @returns {boolean} true if the signature matches and has not expired
+ */
+function verifyFileLink(receiptId, expires, signature) {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000)) return false;
+  if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) return false;
+
+  const expected = Buffer.from(computeSignature(receiptId, expiresAt), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+}
+
+module.exports = {
+  FILE_LINK_TTL_SECONDS,
+  filePath,
+  signFileLink,
+  verifyFileLink
+};
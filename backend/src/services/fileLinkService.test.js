@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { filePath, signFileLink, verifyFileLink } = require('./fileLinkService');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+function linkParams(url) {
+  const { searchParams } = new URL(url, 'http://localhost');
+  return { expires: searchParams.get('expires'), signature: searchParams.get('signature') };
+}
+
+describe('file links', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.FILE_LINK_SECRET = 'test-secret';
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    process.env = { ...env };
+  });
+
+  it('signs HMAC-SHA256 of "<receiptId>:<expires>" with the secret', () => {
+    const { url, expiresAt } = signFileLink('r-1', 600);
+    const { expires, signature } = linkParams(url);
+
+    expect(url.startsWith(`${filePath('r-1')}?`)).toBe(true);
+    expect(expires).toBe(String(NOW.getTime() / 1000 + 600));
+    expect(expiresAt).toBe('2026-03-01T12:10:00.000Z');
+    expect(signature).toBe(crypto.createHmac('sha256', 'test-secret').update(`r-1:${expires}`).digest('hex'));
+  });
+
+  it('accepts its own links until they expire', () => {
+    const { expires, signature } = linkParams(signFileLink('r-1', 600).url);
+    expect(verifyFileLink('r-1', expires, signature)).toBe(true);
+
+    jest.setSystemTime(new Date(NOW.getTime() + 601 * 1000));
+    expect(verifyFileLink('r-1', expires, signature)).toBe(false);
+  });
+
+  it('rejects links for another receipt, a changed expiry or another secret', () => {
+    const { expires, signature } = linkParams(signFileLink('r-1', 600).url);
+
+    expect(verifyFileLink('r-2', expires, signature)).toBe(false);
+    expect(verifyFileLink('r-1', String(Number(expires) + 3600), signature)).toBe(false);
+
+    process.env.FILE_LINK_SECRET = 'rotated';
+    expect(verifyFileLink('r-1', expires, signature)).toBe(false);
+  });
+
+  it('rejects malformed parameters without throwing', () => {
+    const { expires, signature } = linkParams(signFileLink('r-1', 600).url);
+
+    expect(verifyFileLink('r-1', undefined, signature)).toBe(false);
+    expect(verifyFileLink('r-1', 'soon', signature)).toBe(false);
+    expect(verifyFileLink('r-1', expires, undefined)).toBe(false);
+    expect(verifyFileLink('r-1', expires, signature.slice(0, 32))).toBe(false);
+    expect(verifyFileLink('r-1', expires, signature.toUpperCase())).toBe(false);
+  });
+
+  it('falls back to JWT_SECRET and refuses to sign without a secret', () => {
+    delete process.env.FILE_LINK_SECRET;
+    process.env.JWT_SECRET = 'jwt-secret';
+    const { expires, signature } = linkParams(signFileLink('r-1').url);
+    expect(signature).toBe(crypto.createHmac('sha256', 'jwt-secret').update(`r-1:${expires}`).digest('hex'));
+
+    delete process.env.JWT_SECRET;
+    expect(() => signFileLink('r-1')).toThrow('FILE_LINK_SECRET or JWT_SECRET must be set');
+  });
+});
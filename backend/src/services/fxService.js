@@ -0,0 +1,196 @@
+/**
+ * FX Service
+ * Historical exchange rates and conversion to the organisation's base currency.
+ *
+ * Rates are stored as "units of base currency per 1 unit of currency" for a
+ * given date, and looked up by receipt date (latest rate on or before it).
+ *
+ * Rate files:
+ *   CSV  - header `date,currency,rate[,base]`, e.g. `2026-01-02,USD,4.4705`
+ *   JSON - { "base": "MYR", "rates": { "2026-01-02": { "USD": 4.4705 } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'MYR').toUpperCase();
+
+// Do not convert with a rate older than this many days before the receipt
+const MAX_RATE_AGE_DAYS = 31;
+
+class FxError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FxError';
+    this.statusCode = statusCode;
+  }
+}
+
+// A real YYYY-MM-DD calendar date (rejects 2024-02-31)
+function isCalendarDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function normaliseRate(row, defaultBase, lineNo) {
+  const currency = String(row.currency || '').trim().toUpperCase();
+  const base = String(row.base || defaultBase).trim().toUpperCase();
+  const date = String(row.date || '').trim();
+  const rate = parseFloat(row.rate);
+
+  const where = lineNo ? ` (line ${lineNo})` : '';
+  if (!/^[A-Z]{3}$/.test(currency) || !/^[A-Z]{3}$/.test(base)) {
+    throw new FxError(`Invalid currency code${where}`);
+  }
+  if (!isCalendarDate(date)) {
+    throw new FxError(`Invalid date "${date}", expected YYYY-MM-DD${where}`);
+  }
+  if (!(rate > 0)) {
+    throw new FxError(`Invalid rate "${row.rate}"${where}`);
+  }
+
+  return { date, currency, base, rate };
+}
+
+/**
+ * Parse a CSV rate file
+ * @param {string} text - CSV content with a header row
+ * @returns {Array} [{ date, currency, base, rate }]
+ */
+function parseRatesCsv(text, defaultBase = BASE_CURRENCY) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  if (lines.length === 0) return [];
+
+  const header = lines[0].toLowerCase().split(',').map(h => h.trim());
+  for (const column of ['date', 'currency', 'rate']) {
+    if (!header.includes(column)) {
+      throw new FxError(`CSV header must include "${column}"`);
+    }
+  }
+
+  return lines.slice(1).map((line, idx) => {
+    const cells = line.split(',').map(c => c.trim());
+    const row = Object.fromEntries(header.map((h, i) => [h, cells[i]]));
+    return normaliseRate(row, defaultBase, idx + 2);
+  });
+}
+
+/**
+ * Parse a JSON rate file
+ * @returns {Array} [{ date, currency, base, rate }]
+ */
+function parseRatesJson(text, defaultBase = BASE_CURRENCY) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new FxError(`Invalid JSON rate file: ${error.message}`);
+  }
+
+  const base = parsed.base || defaultBase;
+  const rows = [];
+  for (const [date, rates] of Object.entries(parsed.rates || {})) {
+    for (const [currency, rate] of Object.entries(rates)) {
+      rows.push(normaliseRate({ date, currency, rate, base }, base));
+    }
+  }
+  return rows;
+}
+
+/**
+ * Upsert parsed rates
+ * @returns {Promise<number>} Number of rates stored
+ */
+async function importRates(db, rates, source = 'import') {
+  for (const r of rates) {
+    await db.query(
+      `INSERT INTO fx_rates (currency, base_currency, rate_date, rate, source)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (currency, base_currency, rate_date)
+       DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_at = NOW()`,
+      [r.currency, r.base, r.date, r.rate, source]
+    );
+  }
+  return rates.length;
+}
+
+/**
+ * Load a CSV or JSON rate file from disk into fx_rates
+ * @returns {Promise<number>} Number of rates stored
+ */
+async function loadRatesFile(db, filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const rates = path.extname(filePath).toLowerCase() === '.json'
+    ? parseRatesJson(text)
+    : parseRatesCsv(text);
+  return importRates(db, rates, path.basename(filePath));
+}
+
+/**
+ * Rate to convert `currency` into the base currency on a date
+ * Uses the direct rate, or the inverse of a base -> currency rate.
+ * @returns {Promise<Object>} { rate, rateDate }
+ */
+async function getRate(db, currency, date, baseCurrency = BASE_CURRENCY) {
+  currency = (currency || baseCurrency).toUpperCase();
+  if (currency === baseCurrency) {
+    return { rate: 1, rateDate: date };
+  }
+
+  const result = await db.query(
+    `SELECT rate, rate_date::text AS rate_date, currency = $1 AS direct
+     FROM fx_rates
+     WHERE ((currency = $1 AND base_currency = $2) OR (currency = $2 AND base_currency = $1))
+       AND rate_date <= $3::date
+       AND rate_date > $3::date - $4::int
+     ORDER BY rate_date DESC, direct DESC
+     LIMIT 1`,
+    [currency, baseCurrency, date, MAX_RATE_AGE_DAYS]
+  );
+
+  if (result.rows.length === 0) {
+    throw new FxError(`No ${currency}/${baseCurrency} exchange rate within ${MAX_RATE_AGE_DAYS} days before ${date}`);
+  }
+
+  const row = result.rows[0];
+  const rate = parseFloat(row.rate);
+  return { rate: row.direct ? rate : 1 / rate, rateDate: row.rate_date };
+}
+
+/**
+ * Convert an amount to the base currency at the rate for its date
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {number} amount - Amount in original currency
+ * @param {string} currency - ISO 4217 code
+ * @param {string} date - Receipt date (YYYY-MM-DD); today if missing
+ * @returns {Promise<Object>} { amount, currency, baseAmount, baseCurrency, rate, rateDate }
+ */
+async function convert(db, amount, currency, date) {
+  if (date && !isCalendarDate(date)) {
+    throw new FxError(`Invalid date "${date}", expected YYYY-MM-DD`);
+  }
+  const rateOn = date || new Date().toISOString().split('T')[0];
+  const { rate, rateDate } = await getRate(db, currency, rateOn);
+  const original = parseFloat(amount) || 0;
+
+  return {
+    amount: original,
+    currency: (currency || BASE_CURRENCY).toUpperCase(),
+    baseAmount: Math.round(original * rate * 100) / 100,
+    baseCurrency: BASE_CURRENCY,
+    rate,
+    rateDate
+  };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  FxError,
+  parseRatesCsv,
+  parseRatesJson,
+  importRates,
+  loadRatesFile,
+  getRate,
+  convert
+};
@@ -0,0 +1,66 @@
+const { convert, parseRatesCsv, FxError, BASE_CURRENCY } = require('./fxService');
+const { fakeDb } = require('../test/fakeDb');
+
+// getRate's lookup returns at most one row: the latest direct or inverse rate
+const rateDb = (row) => fakeDb({ 'FROM fx_rates': row ? [row] : [] });
+
+describe('convert', () => {
+  it('returns base currency amounts unchanged without a lookup', async () => {
+    const db = rateDb();
+    const result = await convert(db, '12.345', BASE_CURRENCY.toLowerCase(), '2026-03-02');
+
+    expect(result).toEqual({
+      amount: 12.345, currency: BASE_CURRENCY, baseAmount: 12.35, baseCurrency: BASE_CURRENCY, rate: 1, rateDate: '2026-03-02'
+    });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('multiplies by a direct rate and rounds to cents', async () => {
+    const db = rateDb({ rate: '4.4705', rate_date: '2026-02-27', direct: true });
+    const result = await convert(db, 19.99, 'usd', '2026-03-01');
+
+    expect(result).toMatchObject({ currency: 'USD', baseAmount: 89.37, rate: 4.4705, rateDate: '2026-02-27' });
+    expect(db.query.mock.calls[0][1]).toEqual(['USD', BASE_CURRENCY, '2026-03-01', 31]);
+  });
+
+  it('inverts a base -> currency rate', async () => {
+    const db = rateDb({ rate: '0.25', rate_date: '2026-03-01', direct: false });
+    expect((await convert(db, 10, 'SGD', '2026-03-01')).rate).toBe(4);
+    expect((await convert(db, 10, 'SGD', '2026-03-01')).baseAmount).toBe(40);
+  });
+
+  it('uses today when the receipt has no date', async () => {
+    const db = rateDb({ rate: '4.5', rate_date: '2026-03-01', direct: true });
+    await convert(db, 1, 'USD', null);
+    expect(db.query.mock.calls[0][1][2]).toBe(new Date().toISOString().split('T')[0]);
+  });
+
+  it('rejects dates that are not on the calendar before querying', async () => {
+    const db = rateDb();
+    for (const date of ['2024-02-31', '2026-13-01', '02/03/2026', '2026-3-2']) {
+      await expect(convert(db, 1, 'USD', date)).rejects.toThrow(FxError);
+    }
+    await expect(convert(db, 1, 'USD', '2024-02-30')).rejects.toMatchObject({ statusCode: 400 });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('accepts leap days', async () => {
+    const db = rateDb({ rate: '4.5', rate_date: '2024-02-29', direct: true });
+    expect((await convert(db, 2, 'USD', '2024-02-29')).baseAmount).toBe(9);
+  });
+
+  it('fails with FxError when there is no recent rate', async () => {
+    await expect(convert(rateDb(), 1, 'JPY', '2026-03-01'))
+      .rejects.toThrow(`No JPY/${BASE_CURRENCY} exchange rate within 31 days before 2026-03-01`);
+  });
+});
+
+describe('parseRatesCsv', () => {
+  it('reads rates with an optional base column and reports bad lines', () => {
+    expect(parseRatesCsv('date,currency,rate\n2026-01-02,usd,4.4705\n# comment\n', 'MYR'))
+      .toEqual([{ date: '2026-01-02', currency: 'USD', base: 'MYR', rate: 4.4705 }]);
+    expect(() => parseRatesCsv('date,currency,rate\n2026-02-30,USD,4.4', 'MYR'))
+      .toThrow('Invalid date "2026-02-30", expected YYYY-MM-DD (line 2)');
+    expect(() => parseRatesCsv('date,rate\n', 'MYR')).toThrow('CSV header must include "currency"');
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Job Queue Service
+ * Postgres-backed background jobs so slow work (OCR, AI duplicate analysis)
+ * runs outside the HTTP request.
+ *
+ * Workers claim jobs with FOR UPDATE SKIP LOCKED, so several workers (or
+ * server instances) can share one queue. A failed job is retried with
+ * exponential backoff until max_attempts, then moved to the dead letter
+ * state (`dead`) for an admin to inspect and retry.
+ *
+ * Job statuses: queued -> running -> completed | queued (retry) | dead
+ */
+
+const os = require('os');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Retry delay: RETRY_BASE_SECONDS * 2^(attempt - 1) -> 15s, 30s, 60s, ...
+const RETRY_BASE_SECONDS = 15;
+
+// A running job whose worker has not finished within this time is requeued
+const STALE_AFTER_SECONDS = 15 * 60;
+
+class JobError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'JobError';
+    this.statusCode = statusCode;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Add a job to the queue
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {string} type - Handler name (e.g. 'process_receipt')
+ * @param {Object} payload - JSON payload for the handler
+ * @param {Object} options - { subjectId (e.g. receipt ID, for status lookups), maxAttempts, delaySeconds }
+ * @returns {Promise<Object>} Job
+ */
+async function enqueue(db, type, payload = {}, { subjectId = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, delaySeconds = 0 } = {}) {
+  const result = await db.query(
+    `INSERT INTO jobs (type, subject_id, payload, max_attempts, run_at)
+     VALUES ($1, $2, $3, $4, NOW() + $5 * INTERVAL '1 second')
+     RETURNING *`,
+    [type, subjectId, JSON.stringify(payload), maxAttempts, delaySeconds]
+  );
+  return mapJobRow(result.rows[0]);
+}
+
+/**
+ * Claim the next due job of the given types
+ * @returns {Promise<Object|null>} jobs row, or null when the queue is empty
+ */
+async function claimNext(db, workerId, types) {
+  const result = await db.query(
+    `UPDATE jobs SET
+      status = 'running',
+      attempts = attempts + 1,
+      locked_by = $1,
+      locked_at = NOW(),
+      updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'queued' AND run_at <= NOW() AND type = ANY($2)
+      ORDER BY run_at ASC, id ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *`,
+    [workerId, types]
+  );
+  return result.rows[0] || null;
+}
+
+async function complete(db, job, result) {
+  await db.query(
+    `UPDATE jobs SET status = 'completed', result = $1, locked_by = NULL, completed_at = NOW(), updated_at = NOW()
+     WHERE id = $2`,
+    [JSON.stringify(result ?? null), job.id]
+  );
+}
+
+/**
+ * Record a failed attempt: schedule a retry, or dead-letter the job
+ * @returns {Promise<Object>} { dead, retryInSeconds }
+ */
+async function fail(db, job, error) {
+  const message = (error && error.message) || String(error);
+
+  if (job.attempts >= job.max_attempts) {
+    await db.query(
+      `UPDATE jobs SET status = 'dead', last_error = $1, locked_by = NULL, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $2`,
+      [message, job.id]
+    );
+    return { dead: true, retryInSeconds: null };
+  }
+
+  const retryInSeconds = RETRY_BASE_SECONDS * Math.pow(2, job.attempts - 1);
+  await db.query(
+    `UPDATE jobs SET status = 'queued', last_error = $1, locked_by = NULL,
+      run_at = NOW() + $2 * INTERVAL '1 second', updated_at = NOW()
+     WHERE id = $3`,
+    [message, retryInSeconds, job.id]
+  );
+  return { dead: false, retryInSeconds };
+}
+
+/**
+ * Put jobs abandoned by a crashed worker back in the queue
+ * The attempt they used still counts towards max_attempts.
+ * @returns {Promise<number>} Number of jobs requeued
+ */
+async function requeueStale(db, staleAfterSeconds = STALE_AFTER_SECONDS) {
+  const result = await db.query(
+    `UPDATE jobs SET status = 'queued', locked_by = NULL, last_error = 'Worker stopped before finishing',
+      run_at = NOW(), updated_at = NOW()
+     WHERE status = 'running' AND locked_at < NOW() - $1 * INTERVAL '1 second'`,
+    [staleAfterSeconds]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Send a dead-lettered job back to the queue with a fresh set of attempts
+ * @returns {Promise<Object>} Job
+ */
+async function retryJob(db, jobId) {
+  const result = await db.query(
+    `UPDATE jobs SET status = 'queued', attempts = 0, run_at = NOW(), completed_at = NULL, updated_at = NOW()
+     WHERE id = $1 AND status = 'dead'
+     RETURNING *`,
+    [jobId]
+  );
+  if (result.rows.length === 0) {
+    throw new JobError('Only dead jobs can be retried', 409);
+  }
+  return mapJobRow(result.rows[0]);
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - { status, type, subjectId, limit }
+ */
+async function listJobs(db, { status, type, subjectId, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (type) {
+    params.push(type);
+    conditions.push(`type = $${params.length}`);
+  }
+  if (subjectId) {
+    params.push(subjectId);
+    conditions.push(`subject_id = $${params.length}`);
+  }
+  params.push(parseInt(limit) || 50);
+
+  const result = await db.query(
+    `SELECT * FROM jobs ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY created_at DESC, id DESC LIMIT $${params.length}`,
+    params
+  );
+  return result.rows.map(mapJobRow);
+}
+
+/**
+ * Job counts by status (for the admin view)
+ */
+async function countByStatus(db) {
+  const result = await db.query('SELECT status, COUNT(*)::int AS count FROM jobs GROUP BY status');
+  return Object.fromEntries(result.rows.map(r => [r.status, r.count]));
+}
+
+/**
+ * Start polling workers in this process
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {Object} handlers - { [type]: { handle: async (payload, job) => result, onDead: async (payload, job, error) } }
+ * @param {Object} options - { concurrency, pollIntervalMs, staleAfterSeconds }
+ * @returns {Function} async stop()
+ */
+function startWorkers(db, handlers, { concurrency = 2, pollIntervalMs = 1000, staleAfterSeconds = STALE_AFTER_SECONDS } = {}) {
+  const types = Object.keys(handlers);
+  const workerPrefix = `${os.hostname()}-${process.pid}`;
+  let stopped = false;
+
+  const runJob = async (job) => {
+    const handler = handlers[job.type];
+    try {
+      const result = await handler.handle(job.payload || {}, job);
+      await complete(db, job, result);
+    } catch (error) {
+      const { dead, retryInSeconds } = await fail(db, job, error);
+      if (!dead) {
+        console.warn(`🔁 Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts} failed, retrying in ${retryInSeconds}s:`, error.message);
+        return;
+      }
+      console.error(`💀 Job ${job.id} (${job.type}) dead after ${job.attempts} attempts:`, error.message);
+      if (handler.onDead) {
+        await handler.onDead(job.payload || {}, job, error).catch(hookError => {
+          console.error(`Dead-letter hook for job ${job.id} failed:`, hookError.message);
+        });
+      }
+    }
+  };
+
+  const loop = async (workerId) => {
+    while (!stopped) {
+      try {
+        const job = await claimNext(db, workerId, types);
+        if (!job) {
+          await sleep(pollIntervalMs);
+          continue;
+        }
+        await runJob(job);
+      } catch (error) {
+        // Claiming or recording a result failed (e.g. a dropped connection);
+        // a job left running is requeued by the stale sweep
+        console.error(`Job worker ${workerId} error:`, error.message);
+        await sleep(pollIntervalMs);
+      }
+    }
+  };
+
+  const sweepStale = () => requeueStale(db, staleAfterSeconds)
+    .then(count => count > 0 && console.warn(`⏰ Requeued ${count} stale job(s)`))
+    .catch(error => console.error('Stale job check failed:', error.message));
+  // Jobs left running by a crashed process are picked up at boot, then checked every minute
+  sweepStale();
+  const staleTimer = setInterval(sweepStale, 60 * 1000);
+
+  const loops = Array.from({ length: concurrency }, (_, i) => loop(`${workerPrefix}-${i + 1}`));
+  console.log(`👷 Started ${concurrency} job worker(s) for: ${types.join(', ')}`);
+
+  return async () => {
+    stopped = true;
+    clearInterval(staleTimer);
+    await Promise.all(loops);
+  };
+}
+
+/**
+ * Map a jobs row to camelCase
+ */
+function mapJobRow(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    subjectId: row.subject_id,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAt: row.run_at,
+    lockedBy: row.locked_by,
+    lastError: row.last_error,
+    result: row.result,
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  JobError,
+  enqueue,
+  claimNext,
+  complete,
+  fail,
+  requeueStale,
+  retryJob,
+  listJobs,
+  countByStatus,
+  startWorkers,
+  mapJobRow
+};
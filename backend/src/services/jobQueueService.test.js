@@ -0,0 +1,80 @@
+const { JobError, fail, retryJob, startWorkers } = require('./jobQueueService');
+const { fakeDb } = require('../test/fakeDb');
+
+const job = (id, attempts, payload = {}) => ({ id, type: 'process_receipt', payload, attempts, max_attempts: 3 });
+
+// The queue's UPDATE statements, told apart by the status they set
+function queueDb(claimable = []) {
+  return fakeDb({
+    'SKIP LOCKED': () => claimable.splice(0, 1),
+    'locked_at < NOW()': [],
+    "SET status = 'completed'": [],
+    "SET status = 'queued'": [],
+    "SET status = 'dead'": []
+  });
+}
+
+describe('fail', () => {
+  it('retries with exponential backoff', async () => {
+    const db = queueDb();
+
+    expect(await fail(db, job(1, 1), new Error('OCR timed out'))).toEqual({ dead: false, retryInSeconds: 15 });
+    expect(await fail(db, job(1, 2), new Error('OCR timed out'))).toEqual({ dead: false, retryInSeconds: 30 });
+    expect(db.query.mock.calls.map(([sql, params]) => [sql.includes("SET status = 'queued'"), params]))
+      .toEqual([[true, ['OCR timed out', 15, 1]], [true, ['OCR timed out', 30, 1]]]);
+  });
+
+  it('dead-letters the job on its last attempt', async () => {
+    const db = queueDb();
+
+    expect(await fail(db, job(1, 3), 'Provider down')).toEqual({ dead: true, retryInSeconds: null });
+    expect(db.query.mock.calls[0][0]).toContain("SET status = 'dead'");
+    expect(db.query.mock.calls[0][1]).toEqual(['Provider down', 1]);
+  });
+});
+
+describe('retryJob', () => {
+  it('refuses jobs that are not dead', async () => {
+    const db = fakeDb({ "status = 'dead'": [] });
+    await expect(retryJob(db, 7)).rejects.toEqual(new JobError('Only dead jobs can be retried', 409));
+  });
+});
+
+describe('startWorkers', () => {
+  beforeEach(() => {
+    ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('completes, retries and dead-letters jobs, calling the dead-letter hook last', async () => {
+    const db = queueDb([job(1, 1, { ok: true }), job(2, 1), job(3, 3)]);
+    let deadLettered;
+    const finished = new Promise(resolve => { deadLettered = resolve; });
+    const handler = {
+      handle: jest.fn(async ({ ok }) => {
+        if (!ok) throw new Error('OCR timed out');
+        return { receipts: 1 };
+      }),
+      onDead: jest.fn(async () => deadLettered())
+    };
+
+    const stop = startWorkers(db, { process_receipt: handler }, { concurrency: 1, pollIntervalMs: 5 });
+    await finished;
+    await stop();
+
+    const statuses = db.query.mock.calls
+      .map(([sql, params]) => [sql.match(/SET status = '(\w+)'/)?.[1], params])
+      .filter(([status]) => status && status !== 'running');
+    expect(statuses).toEqual([
+      ['queued', [15 * 60]], // stale sweep at start
+      ['completed', [JSON.stringify({ receipts: 1 }), 1]],
+      ['queued', ['OCR timed out', 15, 2]],
+      ['dead', ['OCR timed out', 3]]
+    ]);
+    expect(handler.onDead).toHaveBeenCalledTimes(1);
+    expect(handler.onDead.mock.calls[0][1].id).toBe(3);
+  });
+});
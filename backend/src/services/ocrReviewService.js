@@ -0,0 +1,138 @@
+/**
+ * OCR Review Service
+ * Works out which OCR'd fields an employee should double-check: fields the
+ * provider was unsure of (per-field confidence below OCR_LOW_CONFIDENCE) and
+ * fields that fail reconciliation checks such as line items not adding up to
+ * the total, and a category the auto-categoriser was unsure of. Fields the
+ * employee has corrected count as verified.
+ *
+ * Computed from ocr_data on read, so it stays current after every edit.
+ */
+
+// Per-field confidence (0-1) below which a field is highlighted for checking
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.OCR_LOW_CONFIDENCE) || 0.8;
+
+// Total above the line items by at most this much is treated as tax/service charges
+const MAX_CHARGES_RATIO = 0.3;
+
+// Line items may exceed the total by this much (plus 0.05) for rounding
+const ITEMS_ROUNDING_RATIO = 0.01;
+
+const CONFIDENCE_FIELDS = ['merchant', 'date', 'amount'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Normalise a confidence value from a provider (0-1, or a 0-100 percentage)
+ * @returns {number|null} null when the provider gave none
+ */
+function toConfidence(value) {
+  const num = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof num !== 'number' || !isFinite(num) || num < 0) return null;
+  return round2(Math.min(num > 1 ? num / 100 : num, 1));
+}
+
+/**
+ * Overall receipt confidence: the least certain of its key fields
+ */
+function overallConfidence(fieldConfidence) {
+  const values = CONFIDENCE_FIELDS.map(f => fieldConfidence?.[f]).filter(v => typeof v === 'number');
+  return values.length > 0 ? Math.min(...values) : null;
+}
+
+/**
+ * Compare the OCR'd line items with the stated total
+ * Shared with tamper detection, which weighs the same outcomes as evidence.
+ * @returns {Object|null} { outcome: 'items_exceed_total' | 'total_exceeds_items' | 'reconciled',
+ *   statedTotal, itemsTotal, difference } - null without priced items and a total
+ */
+function reconcileItems(ocrData) {
+  const amount = parseFloat(ocrData?.amount) || 0;
+  const lineItems = (ocrData?.items || []).filter(i => !isNaN(parseFloat(i.price)));
+  if (lineItems.length === 0 || amount <= 0) return null;
+
+  const sumOfPrices = lineItems.reduce((sum, i) => sum + parseFloat(i.price), 0);
+  const sumOfLines = lineItems.reduce((sum, i) => sum + parseFloat(i.price) * (parseFloat(i.quantity) || 1), 0);
+  // Prices may be unit prices or line totals depending on the receipt layout
+  const itemsTotal = round2([sumOfPrices, sumOfLines]
+    .sort((a, b) => Math.abs(a - amount) - Math.abs(b - amount))[0]);
+
+  let outcome = 'reconciled';
+  if (itemsTotal > amount * (1 + ITEMS_ROUNDING_RATIO) + 0.05) {
+    outcome = 'items_exceed_total';
+  } else if (itemsTotal > 0 && amount > itemsTotal * (1 + MAX_CHARGES_RATIO)) {
+    outcome = 'total_exceeds_items';
+  }
+  return { outcome, statedTotal: amount, itemsTotal, difference: round2(amount - itemsTotal) };
+}
+
+/**
+ * Reconciliation checks on the OCR data
+ * @returns {Array} [{ check, fields, message, details }] - one entry per failed check
+ */
+function reconcile(ocrData) {
+  const issues = [];
+
+  const items = reconcileItems(ocrData);
+  if (items && items.outcome !== 'reconciled') {
+    const { outcome, ...details } = items;
+    issues.push({
+      check: outcome, fields: ['amount', 'items'], details,
+      message: outcome === 'items_exceed_total'
+        ? `Items add up to ${details.itemsTotal}, more than the total of ${details.statedTotal}`
+        : `Items add up to ${details.itemsTotal}, well below the total of ${details.statedTotal}`
+    });
+  }
+
+  if (ocrData.date) {
+    const date = new Date(`${ocrData.date}T00:00:00Z`);
+    if (!isNaN(date.getTime()) && date.getTime() > Date.now() + 24 * 60 * 60 * 1000) {
+      issues.push({
+        check: 'future_date', fields: ['date'], details: { date: ocrData.date },
+        message: `Date ${ocrData.date} is in the future`
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * What an employee should verify on a receipt
+ * @param {Object|null} ocrData - Receipt OCR data (with fieldConfidence, items[].confidence, correctedFields)
+ *   fieldConfidence.category is set by the auto-categoriser
+ * @returns {Object} { fieldConfidence, uncertainFields, uncertainItems (indices), checks }
+ */
+function reviewOcrData(ocrData) {
+  if (!ocrData) {
+    return { fieldConfidence: {}, uncertainFields: [], uncertainItems: [], checks: [] };
+  }
+
+  const corrected = ocrData.correctedFields || [];
+  const fieldConfidence = ocrData.fieldConfidence || {};
+  const isLow = (value) => typeof value === 'number' && value < LOW_CONFIDENCE_THRESHOLD;
+
+  const uncertainFields = [...CONFIDENCE_FIELDS, 'category'].filter(f => isLow(fieldConfidence[f]) && !corrected.includes(f));
+  const uncertainItems = corrected.includes('items')
+    ? []
+    : (ocrData.items || []).map((item, idx) => (isLow(item.confidence) ? idx : null)).filter(idx => idx !== null);
+  if (uncertainItems.length > 0) uncertainFields.push('items');
+
+  const checks = reconcile(ocrData);
+  checks.forEach(issue => issue.fields.forEach(f => {
+    if (!uncertainFields.includes(f)) uncertainFields.push(f);
+  }));
+
+  return { fieldConfidence, uncertainFields, uncertainItems, checks };
+}
+
+module.exports = {
+  LOW_CONFIDENCE_THRESHOLD,
+  toConfidence,
+  overallConfidence,
+  reconcileItems,
+  reconcile,
+  reviewOcrData
+};
@@ -0,0 +1,109 @@
+const { toConfidence, overallConfidence, reconcileItems, reviewOcrData } = require('./ocrReviewService');
+
+describe('toConfidence', () => {
+  it('reads fractions and percentages, capped at 1', () => {
+    expect(toConfidence(0.934)).toBe(0.93);
+    expect(toConfidence('87')).toBe(0.87);
+    expect(toConfidence(150)).toBe(1);
+  });
+
+  it('returns null when the provider gave none', () => {
+    expect(toConfidence(undefined)).toBeNull();
+    expect(toConfidence('high')).toBeNull();
+    expect(toConfidence(-0.5)).toBeNull();
+  });
+});
+
+describe('overallConfidence', () => {
+  it('is the least certain key field', () => {
+    expect(overallConfidence({ merchant: 0.95, date: 0.6, amount: 0.9, category: 0.1 })).toBe(0.6);
+    expect(overallConfidence({ category: 0.4 })).toBeNull();
+    expect(overallConfidence(null)).toBeNull();
+  });
+});
+
+describe('reconcileItems', () => {
+  it('reads prices as unit prices or line totals, whichever is closer to the total', () => {
+    const items = [{ name: 'Teh', quantity: 2, price: 2.5 }, { name: 'Roti', price: 3 }];
+
+    expect(reconcileItems({ amount: 8, items })).toEqual({ outcome: 'reconciled', statedTotal: 8, itemsTotal: 8, difference: 0 });
+    expect(reconcileItems({ amount: 5.5, items })).toEqual({ outcome: 'reconciled', statedTotal: 5.5, itemsTotal: 5.5, difference: 0 });
+  });
+
+  it('allows rounding and charges, but not items above the total or a total far above them', () => {
+    const items = [{ name: 'Nasi lemak', price: 10 }];
+
+    expect(reconcileItems({ amount: 9.99, items }).outcome).toBe('reconciled');
+    expect(reconcileItems({ amount: 12.6, items }).outcome).toBe('reconciled');
+    expect(reconcileItems({ amount: 9, items })).toEqual({ outcome: 'items_exceed_total', statedTotal: 9, itemsTotal: 10, difference: -1 });
+    expect(reconcileItems({ amount: 20, items }).outcome).toBe('total_exceeds_items');
+  });
+
+  it('has nothing to compare without priced items and a total', () => {
+    expect(reconcileItems({ amount: 10, items: [{ name: 'Teh' }] })).toBeNull();
+    expect(reconcileItems({ amount: 0, items: [{ name: 'Teh', price: 2 }] })).toBeNull();
+    expect(reconcileItems(null)).toBeNull();
+  });
+});
+
+describe('reviewOcrData', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T08:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('highlights low-confidence fields and items', () => {
+    const review = reviewOcrData({
+      merchant: 'Kopitiam', date: '2026-03-02', amount: 12.5,
+      fieldConfidence: { merchant: 0.95, date: 0.5, amount: 0.9, category: 0.3 },
+      items: [{ name: 'Teh', price: 2.5, confidence: 0.9 }, { name: 'Nasi', price: 10, confidence: 0.4 }]
+    });
+
+    expect(review).toEqual({
+      fieldConfidence: { merchant: 0.95, date: 0.5, amount: 0.9, category: 0.3 },
+      uncertainFields: ['date', 'category', 'items'],
+      uncertainItems: [1],
+      checks: []
+    });
+  });
+
+  it('treats fields the employee corrected as verified', () => {
+    const review = reviewOcrData({
+      merchant: 'Kopitiam', amount: 12.5,
+      fieldConfidence: { merchant: 0.4, category: 0.3 },
+      items: [{ name: 'Nasi', price: 12.5, confidence: 0.4 }],
+      correctedFields: ['merchant', 'items']
+    });
+
+    expect(review.uncertainFields).toEqual(['category']);
+    expect(review.uncertainItems).toEqual([]);
+  });
+
+  it('adds the fields of failed reconciliation checks', () => {
+    const review = reviewOcrData({
+      merchant: 'Kopitiam', date: '2026-03-12', amount: 9,
+      fieldConfidence: { amount: 0.5 },
+      items: [{ name: 'Nasi lemak', price: 10 }]
+    });
+
+    expect(review.uncertainFields).toEqual(['amount', 'items', 'date']);
+    expect(review.checks).toEqual([
+      {
+        check: 'items_exceed_total', fields: ['amount', 'items'],
+        details: { statedTotal: 9, itemsTotal: 10, difference: -1 },
+        message: 'Items add up to 10, more than the total of 9'
+      },
+      {
+        check: 'future_date', fields: ['date'], details: { date: '2026-03-12' },
+        message: 'Date 2026-03-12 is in the future'
+      }
+    ]);
+  });
+
+  it('has nothing to check without OCR data', () => {
+    expect(reviewOcrData(null)).toEqual({ fieldConfidence: {}, uncertainFields: [], uncertainItems: [], checks: [] });
+  });
+});
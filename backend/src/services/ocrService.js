@@ -0,0 +1,305 @@
+/**
+ * OCR Service
+ * Pluggable receipt OCR providers, selected by config:
+ * - uniapi:    UniAPI (Gemini) via its OpenAI-compatible API (default); images and PDFs
+ * - openai:    any other OpenAI-compatible chat completions endpoint with vision; images only
+ * - tesseract: local Tesseract CLI, works offline; images only, heuristic parsing
+ *
+ * Only Gemini reads a PDF sent as an image: OpenAI's image input and Tesseract
+ * reject it, and pages are not rendered to images here. Those providers refuse
+ * PDFs up front, so the fallback provider (or manual entry) takes over.
+ *
+ * OCR_PROVIDER picks the primary provider and OCR_FALLBACK_PROVIDER an optional
+ * second one tried when the first fails. Nothing is invented when every
+ * provider fails: the caller leaves the receipt for manual entry.
+ *
+ * Provider interface: { name, extract(filePath, { pageCount }) -> [receipt] }
+ * where each receipt is in the internal OCR format plus `pages` (PDF pages, or null).
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const uniapiService = require('./uniapiService');
+
+const PROVIDER_NAMES = ['uniapi', 'openai', 'tesseract'];
+
+const PRIMARY_PROVIDER = process.env.OCR_PROVIDER || 'uniapi';
+const FALLBACK_PROVIDER = process.env.OCR_FALLBACK_PROVIDER || null;
+
+// Network trouble and provider overload are worth retrying later; anything else is not
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'];
+
+class OcrError extends Error {
+  constructor(message, { retryable = false } = {}) {
+    super(message);
+    this.name = 'OcrError';
+    this.retryable = retryable;
+  }
+}
+
+function toOcrError(error) {
+  if (error instanceof OcrError) return error;
+  const status = error.response?.status;
+  const retryable = RETRYABLE_CODES.includes(error.code) || status === 429 || status >= 500;
+  return new OcrError(error.message, { retryable });
+}
+
+function isPdf(filePath) {
+  return path.extname(filePath).toLowerCase() === '.pdf';
+}
+
+function pdfNotSupported(providerName) {
+  return new OcrError(`The ${providerName} OCR provider cannot read PDFs; only uniapi can (set it as OCR_PROVIDER or OCR_FALLBACK_PROVIDER)`);
+}
+
+/**
+ * Vision model behind an OpenAI-compatible chat completions API
+ * PDFs go to the model as they are, which only readsPdf endpoints accept.
+ */
+class OpenAICompatibleProvider {
+  constructor(name, endpoint, { readsPdf = false } = {}) {
+    this.name = name;
+    this.endpoint = endpoint;
+    this.readsPdf = readsPdf;
+  }
+
+  async extract(filePath, { pageCount = null } = {}) {
+    const { baseUrl, apiKey, model } = this.endpoint;
+    if (!baseUrl || !apiKey || !model) {
+      throw new OcrError(`The ${this.name} OCR provider is not configured`);
+    }
+    if (isPdf(filePath) && !this.readsPdf) {
+      throw pdfNotSupported(this.name);
+    }
+
+    // Several pages (or unknown): may be one long invoice or several receipts
+    if (isPdf(filePath) && pageCount !== 1) {
+      return uniapiService.extractReceiptsFromDocument(filePath, { pageCount, endpoint: this.endpoint });
+    }
+    const receipt = await uniapiService.extractReceiptData(filePath, { endpoint: this.endpoint });
+    return [{ ...receipt, pages: null }];
+  }
+}
+
+/**
+ * Local Tesseract OCR (the `tesseract` binary, e.g. apt install tesseract-ocr)
+ * Plain text only, so fields are found with the heuristics in parseReceiptText.
+ */
+class TesseractProvider {
+  constructor({ binary, lang }) {
+    this.name = 'tesseract';
+    this.binary = binary;
+    this.lang = lang;
+  }
+
+  async extract(filePath) {
+    if (isPdf(filePath)) {
+      throw pdfNotSupported(this.name);
+    }
+
+    // Grayscale, normalised and upscaled small photos read much better
+    const tmpPath = path.join(os.tmpdir(), `ocr-${process.pid}-${Date.now()}.png`);
+    try {
+      await sharp(filePath)
+        .rotate()
+        .resize({ width: 2000, withoutEnlargement: false, fit: 'inside' })
+        .grayscale()
+        .normalise()
+        .png()
+        .toFile(tmpPath);
+
+      const text = await this.run(tmpPath);
+      const receipt = parseReceiptText(text);
+      if (!receipt.amount) {
+        throw new OcrError('Could not find a total on the receipt');
+      }
+      console.log(`🔤 Tesseract read ${receipt.merchant || 'unknown merchant'}: ${receipt.amount} ${receipt.currency}`);
+      return [{ ...receipt, pages: null }];
+    } finally {
+      fs.unlink(tmpPath, () => {});
+    }
+  }
+
+  run(imagePath) {
+    return new Promise((resolve, reject) => {
+      // --psm 4: a single column of text of variable sizes (receipt layout)
+      execFile(this.binary, [imagePath, 'stdout', '-l', this.lang, '--psm', '4'],
+        { timeout: 60000, maxBuffer: 5 * 1024 * 1024 },
+        (error, stdout) => {
+          if (error && error.code === 'ENOENT') {
+            return reject(new OcrError(`Tesseract not found at "${this.binary}" (set TESSERACT_PATH)`));
+          }
+          if (error) return reject(new OcrError(`Tesseract failed: ${error.message}`));
+          resolve(stdout);
+        });
+    });
+  }
+}
+
+const AMOUNT_PATTERN = /(\d{1,3}(?:,\d{3})+|\d+)[.,](\d{2})(?!\d)/g;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function amountsIn(line) {
+  return [...line.matchAll(AMOUNT_PATTERN)].map(m => parseFloat(`${m[1].replace(/,/g, '')}.${m[2]}`));
+}
+
+function isoDate(year, month, day) {
+  const y = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(y, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return '';
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the receipt date (Malaysian receipts write dates day-first)
+ */
+function findDate(text) {
+  let m = text.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (m) return isoDate(+m[1], +m[2], +m[3]);
+
+  m = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/);
+  if (m) return isoDate(+m[3], +m[2], +m[1]);
+
+  m = text.match(/\b(\d{1,2})[\s-]*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*[\s,-]*(\d{4})\b/i);
+  if (m) return isoDate(+m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, +m[1]);
+
+  return '';
+}
+
+function findCurrency(text) {
+  if (/\bSGD\b|S\$/.test(text)) return 'SGD';
+  if (/\bUSD\b|US\$/.test(text)) return 'USD';
+  if (/\bEUR\b|€/.test(text)) return 'EUR';
+  if (/\bMYR\b|\bRM\s?\d/i.test(text)) return 'MYR';
+  if (/\$\s?\d/.test(text)) return 'USD';
+  return 'MYR';
+}
+
+/**
+ * Pull receipt fields out of plain OCR text
+ * @param {string} text - OCR output
+ * @returns {Object} Internal OCR format (amount 0 when no total was found)
+ */
+function parseReceiptText(text) {
+  const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+
+  // The total: prefer "grand total", else the last total-like line that is not a subtotal
+  const totalLines = lines.filter(l =>
+    /\b(grand\s*total|total|amount\s*due|amount\s*payable|jumlah|net\s*amount)\b/i.test(l) &&
+    !/\bsub\s*-?\s*total\b/i.test(l) && amountsIn(l).length > 0
+  );
+  const totalLine = totalLines.find(l => /grand\s*total/i.test(l)) || totalLines[totalLines.length - 1];
+  const amount = totalLine ? amountsIn(totalLine).pop() : 0;
+
+  // Merchant: first line that reads like a name rather than a heading or address detail
+  const merchant = lines.find(l =>
+    /[a-z]{3,}/i.test(l) &&
+    !/\b(receipt|invoice|tax|tel|phone|fax|date|gst|sst|no\.|www\.|@)\b/i.test(l)
+  ) || '';
+
+  const date = findDate(text);
+  const reference = text.match(/\b(?:invoice|receipt|bill|ref(?:erence)?|inv)\s*(?:no\.?|number|#)?\s*[:#]?\s*([A-Z0-9][A-Z0-9\-/]{2,})/i);
+  const currency = findCurrency(text);
+
+  // Heuristic guesses: a labelled grand total is more trustworthy than the last total line
+  const fieldConfidence = {
+    merchant: merchant ? 0.4 : null,
+    date: date ? 0.6 : null,
+    amount: totalLine ? (/grand\s*total/i.test(totalLine) ? 0.7 : 0.6) : null
+  };
+
+  return {
+    merchant: merchant.slice(0, 255),
+    date,
+    amount,
+    currency,
+    currencySymbol: currency === 'MYR' ? 'RM' : (currency === 'USD' ? '$' : currency),
+    billReference: reference ? reference[1] : '',
+    paymentMethod: /\b(visa|master\s*card|debit|credit|card)\b/i.test(text) ? 'Card'
+      : /\bcash\b/i.test(text) ? 'Cash' : '',
+    category: '',
+    items: [],
+    fieldConfidence,
+    confidence: 0.5, // heuristic parse
+    rawOcr: { text }
+  };
+}
+
+function createProvider(name) {
+  switch (name) {
+    case 'uniapi':
+      return new OpenAICompatibleProvider('uniapi', uniapiService.DEFAULT_ENDPOINT, { readsPdf: true });
+    case 'openai':
+      return new OpenAICompatibleProvider('openai', {
+        baseUrl: process.env.OCR_OPENAI_BASE_URL,
+        apiKey: process.env.OCR_OPENAI_API_KEY,
+        model: process.env.OCR_OPENAI_MODEL
+      });
+    case 'tesseract':
+      return new TesseractProvider({
+        binary: process.env.TESSERACT_PATH || 'tesseract',
+        lang: process.env.TESSERACT_LANG || 'eng'
+      });
+    default:
+      throw new OcrError(`Unknown OCR provider "${name}" (use ${PROVIDER_NAMES.join(', ')})`);
+  }
+}
+
+const providers = new Map();
+
+/**
+ * Get a provider by name (one instance per name)
+ */
+function getProvider(name) {
+  if (!providers.has(name)) {
+    providers.set(name, createProvider(name));
+  }
+  return providers.get(name);
+}
+
+/**
+ * Configured providers, in the order they are tried
+ */
+function getProviderChain() {
+  return [...new Set([PRIMARY_PROVIDER, FALLBACK_PROVIDER].filter(Boolean))];
+}
+
+/**
+ * Read the receipts in a file with the first provider that succeeds
+ * @param {string} filePath - Local path to the image or PDF
+ * @param {Object} options - { pageCount } for PDFs (null if unknown)
+ * @returns {Promise<Object>} { provider, receipts }
+ * @throws {OcrError} When every provider fails; `retryable` if any failure was transient
+ */
+async function extractReceipts(filePath, { pageCount = null } = {}) {
+  const failures = [];
+
+  for (const name of getProviderChain()) {
+    try {
+      const receipts = await getProvider(name).extract(filePath, { pageCount });
+      receipts.forEach(r => { r.ocrProvider = name; });
+      return { provider: name, receipts };
+    } catch (error) {
+      const ocrError = toOcrError(error);
+      console.error(`OCR provider ${name} failed:`, ocrError.message);
+      failures.push({ name, error: ocrError });
+    }
+  }
+
+  throw new OcrError(
+    failures.map(f => `${f.name}: ${f.error.message}`).join('; '),
+    { retryable: failures.some(f => f.error.retryable) }
+  );
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  OcrError,
+  getProvider,
+  getProviderChain,
+  extractReceipts,
+  parseReceiptText
+};
@@ -0,0 +1,70 @@
+// No OCR request leaves the test: uniapiService (and its ESM-only p-limit) is replaced
+jest.mock('./uniapiService', () => ({
+  DEFAULT_ENDPOINT: { baseUrl: 'https://uniapi.test/v1', apiKey: 'key', model: 'gemini' },
+  extractReceiptData: jest.fn(),
+  extractReceiptsFromDocument: jest.fn()
+}));
+
+const uniapiService = require('./uniapiService');
+
+const ENV = process.env;
+
+// ocrService reads its provider chain and endpoints from the environment
+function loadOcrService(env) {
+  process.env = {
+    ...ENV, OCR_OPENAI_BASE_URL: 'https://openai.test/v1', OCR_OPENAI_API_KEY: 'key', OCR_OPENAI_MODEL: 'gpt-4o-mini', ...env
+  };
+  let ocrService;
+  jest.isolateModules(() => {
+    ocrService = require('./ocrService');
+  });
+  return ocrService;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  process.env = ENV;
+  console.error.mockRestore();
+});
+
+describe('extractReceipts', () => {
+  it('sends PDFs only to uniapi, falling back to it when the primary provider cannot read them', async () => {
+    const { extractReceipts } = loadOcrService({ OCR_PROVIDER: 'openai', OCR_FALLBACK_PROVIDER: 'uniapi' });
+    uniapiService.extractReceiptsFromDocument.mockResolvedValue([{ merchant: 'TNB', amount: 80, pages: [1, 2] }]);
+
+    const result = await extractReceipts('/uploads/bills.pdf', { pageCount: 2 });
+
+    expect(result).toEqual({ provider: 'uniapi', receipts: [{ merchant: 'TNB', amount: 80, pages: [1, 2], ocrProvider: 'uniapi' }] });
+    expect(uniapiService.extractReceiptsFromDocument).toHaveBeenCalledTimes(1);
+    expect(uniapiService.extractReceiptsFromDocument.mock.calls[0][1].endpoint.baseUrl).toBe('https://uniapi.test/v1');
+  });
+
+  it('fails clearly, without retrying, when no configured provider reads PDFs', async () => {
+    const { extractReceipts, OcrError } = loadOcrService({ OCR_PROVIDER: 'openai', OCR_FALLBACK_PROVIDER: 'tesseract' });
+
+    const error = await extractReceipts('/uploads/bills.pdf', { pageCount: 1 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(OcrError);
+    expect(error.retryable).toBe(false);
+    expect(error.message).toBe(
+      'openai: The openai OCR provider cannot read PDFs; only uniapi can (set it as OCR_PROVIDER or OCR_FALLBACK_PROVIDER); '
+      + 'tesseract: The tesseract OCR provider cannot read PDFs; only uniapi can (set it as OCR_PROVIDER or OCR_FALLBACK_PROVIDER)'
+    );
+    expect(uniapiService.extractReceiptData).not.toHaveBeenCalled();
+    expect(uniapiService.extractReceiptsFromDocument).not.toHaveBeenCalled();
+  });
+
+  it('still sends images to the openai provider', async () => {
+    const { extractReceipts } = loadOcrService({ OCR_PROVIDER: 'openai', OCR_FALLBACK_PROVIDER: '' });
+    uniapiService.extractReceiptData.mockResolvedValue({ merchant: 'Grab', amount: 18.4 });
+
+    const result = await extractReceipts('/uploads/grab.jpg');
+
+    expect(result.receipts).toEqual([{ merchant: 'Grab', amount: 18.4, pages: null, ocrProvider: 'openai' }]);
+    expect(uniapiService.extractReceiptData.mock.calls[0][1].endpoint.baseUrl).toBe('https://openai.test/v1');
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * OCR Validation Service
+ * Every OCR result is normalised and validated against a versioned Joi schema
+ * before it is stored. Common model mistakes are repaired first ("RM 12.50"
+ * strings, comma decimals, DD/MM dates, currency symbols); values that are
+ * still invalid are dropped and reported as structured errors, so the
+ * receipt goes to review instead of storing bad data.
+ */
+
+const Joi = require('joi');
+const { getAllCategories } = require('./categoryService');
+
+// Bump when the schema changes; stored with each receipt's validation result
+const OCR_SCHEMA_VERSION = 1;
+
+const ISO_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+const CURRENCY_SYMBOLS = {
+  RM: 'MYR', 'S$': 'SGD', 'US$': 'USD', $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', Rp: 'IDR', '฿': 'THB'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Names models put in place of a merchant they could not read
+const PLACEHOLDER_MERCHANTS = ['unknown', 'n/a', 'na', 'null', 'none', '-'];
+
+function isoDate(year, month, day) {
+  const y = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(y, month - 1, day));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+const confidence = Joi.number().min(0).max(1).allow(null);
+
+const itemSchema = Joi.object({
+  name: Joi.string().trim().max(255).allow('').required(),
+  quantity: Joi.number().positive().required(),
+  price: Joi.number().min(0).required(),
+  confidence
+}).unknown(true);
+
+const ocrSchema = Joi.object({
+  merchant: Joi.string().trim().max(255).allow(''),
+  date: Joi.string().allow('')
+    .custom((value, helpers) => (
+      !value || (/^\d{4}-\d{2}-\d{2}$/.test(value) && isoDate(+value.slice(0, 4), +value.slice(5, 7), +value.slice(8)) === value)
+        ? value : helpers.error('any.invalid')
+    ))
+    .messages({ 'any.invalid': 'date must be a valid YYYY-MM-DD date' }),
+  amount: Joi.number().min(0).max(1000000000),
+  currency: Joi.string().length(3).uppercase()
+    .custom((value, helpers) => (ISO_CURRENCIES.has(value) ? value : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': 'currency must be an ISO 4217 code', 'string.length': 'currency must be an ISO 4217 code' }),
+  currencySymbol: Joi.string().allow(''),
+  billReference: Joi.string().trim().max(255).allow(''),
+  paymentMethod: Joi.string().trim().max(100).allow(''),
+  // Active category ids come from the validation context (categories are managed in the database)
+  category: Joi.string().valid(Joi.in('$categoryIds'), '')
+    .messages({ 'any.only': 'category must be an active category id' }),
+  items: Joi.array().items(itemSchema),
+  fieldConfidence: Joi.object({ merchant: confidence, date: confidence, amount: confidence }).unknown(true),
+  confidence
+}).unknown(true);
+
+// What an invalid field falls back to (cleared, so manual entry picks it up)
+const FALLBACKS = {
+  merchant: '', date: '', amount: 0, currency: '', currencySymbol: '',
+  billReference: '', paymentMethod: '', category: '', items: [], fieldConfidence: {}, confidence: null
+};
+
+/**
+ * "RM 1,234.50", "12,50", "1.234,56", 12.5 -> number (unchanged if unreadable, so validation reports it)
+ */
+function normalizeAmount(value) {
+  if (typeof value === 'number') return isFinite(value) ? Math.round(value * 100) / 100 : value;
+  if (typeof value !== 'string') return value;
+
+  let text = value.replace(/[^\d.,-]/g, '');
+  if (!/\d/.test(text)) return value;
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator ("12,50", "1.234,56") unless it groups thousands ("1,234")
+    text = lastDot === -1 && /^-?\d{1,3}(,\d{3})+$/.test(text)
+      ? text.replace(/,/g, '')
+      : text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const num = parseFloat(text);
+  return isFinite(num) ? Math.round(num * 100) / 100 : value;
+}
+
+/**
+ * "14/09/2026", "14-09-26", "14 Sep 2026", "2026/09/14" -> "2026-09-14" (receipts here are day-first)
+ */
+function normalizeDate(value) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  if (!text) return '';
+
+  let m = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (m) return isoDate(+m[1], +m[2], +m[3]) || text;
+
+  m = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})(?:\s.*)?$/);
+  if (m) {
+    // Day-first, unless that is impossible and month-first is not (e.g. 09/14/2026)
+    return isoDate(+m[3], +m[2], +m[1]) || isoDate(+m[3], +m[1], +m[2]) || text;
+  }
+
+  m = text.match(/^(\d{1,2})[\s-]*([a-z]{3})[a-z]*[\s,-]*(\d{4})$/i);
+  if (m && MONTHS.includes(m[2].toLowerCase())) {
+    return isoDate(+m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, +m[1]) || text;
+  }
+
+  return text;
+}
+
+function normalizeCurrency(value) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  return CURRENCY_SYMBOLS[text] || CURRENCY_SYMBOLS[text.toUpperCase()] || text.toUpperCase();
+}
+
+/**
+ * Repair common model mistakes before validation
+ * @returns {Object} { data, normalized: [field names that were changed] }
+ */
+function normalizeOcrData(raw) {
+  const data = { ...raw };
+  const normalized = [];
+  const set = (field, value) => {
+    if (JSON.stringify(value) !== JSON.stringify(data[field])) {
+      data[field] = value;
+      normalized.push(field);
+    }
+  };
+
+  if (data.amount !== undefined && data.amount !== null) set('amount', normalizeAmount(data.amount));
+  if (typeof data.date === 'string') set('date', normalizeDate(data.date));
+  if (typeof data.currency === 'string') set('currency', normalizeCurrency(data.currency));
+  if (typeof data.merchant === 'string') {
+    const merchant = data.merchant.trim();
+    set('merchant', PLACEHOLDER_MERCHANTS.includes(merchant.toLowerCase()) ? '' : merchant);
+  }
+  if (Array.isArray(data.items)) {
+    set('items', data.items.map(item => ({
+      ...item,
+      name: typeof item?.name === 'string' ? item.name.trim() : item?.name,
+      quantity: item?.quantity === undefined || item?.quantity === null || item?.quantity === ''
+        ? 1 : normalizeAmount(item.quantity),
+      price: normalizeAmount(item?.price ?? 0)
+    })));
+  }
+
+  return { data, normalized };
+}
+
+/**
+ * Normalise and validate OCR output
+ * @param {Object} raw - OCR result in the internal format (see mapOcrResult)
+ * @returns {Object} { data, validation: { schemaVersion, valid, errors: [{ field, code, message, value }], normalized } }
+ */
+function validateOcrData(raw) {
+  const { data, normalized } = normalizeOcrData(raw || {});
+  const { error, value } = ocrSchema.validate(data, {
+    abortEarly: false,
+    convert: true,
+    context: { categoryIds: getAllCategories().map(c => c.id) }
+  });
+
+  const errors = [];
+  const result = { ...value };
+  const badItems = new Set();
+
+  (error ? error.details : []).forEach(detail => {
+    const [field, index] = detail.path;
+    errors.push({
+      field: detail.path.join('.'),
+      code: detail.type,
+      message: detail.message.replace(/"/g, ''),
+      value: detail.context?.value ?? null
+    });
+    if (field === 'items' && typeof index === 'number') {
+      badItems.add(index);
+    } else if (field in FALLBACKS) {
+      result[field] = FALLBACKS[field];
+      // A symbol read alongside an unknown currency cannot be trusted either
+      if (field === 'currency') result.currencySymbol = FALLBACKS.currencySymbol;
+    } else {
+      delete result[field];
+    }
+  });
+
+  // Unusable line items are dropped rather than failing the whole receipt
+  if (badItems.size > 0 && Array.isArray(result.items)) {
+    result.items = result.items.filter((_, idx) => !badItems.has(idx));
+  }
+  if (result.amount === undefined) result.amount = 0;
+
+  if (errors.length > 0) {
+    console.warn(`⚠️  OCR validation: ${errors.map(e => `${e.field} (${e.code})`).join(', ')}`);
+  }
+
+  return {
+    data: result,
+    validation: { schemaVersion: OCR_SCHEMA_VERSION, valid: errors.length === 0, errors, normalized }
+  };
+}
+
+module.exports = {
+  OCR_SCHEMA_VERSION,
+  normalizeAmount,
+  normalizeDate,
+  normalizeCurrency,
+  normalizeOcrData,
+  validateOcrData
+};
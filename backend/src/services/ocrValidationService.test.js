@@ -0,0 +1,105 @@
+const { loadCategories } = require('./categoryService');
+const {
+  OCR_SCHEMA_VERSION, normalizeAmount, normalizeDate, normalizeCurrency, validateOcrData
+} = require('./ocrValidationService');
+
+beforeAll(async () => {
+  await loadCategories({
+    query: async () => ({ rows: [{ id: 'meals', name: 'Meals', active: true }, { id: 'misc', name: 'Miscellaneous', active: true }] })
+  });
+});
+
+describe('normalizeAmount', () => {
+  it('reads comma decimals, thousands separators and currency prefixes', () => {
+    expect(normalizeAmount('12,50')).toBe(12.5);
+    expect(normalizeAmount('1.234,56')).toBe(1234.56);
+    expect(normalizeAmount('1,234')).toBe(1234);
+    expect(normalizeAmount('1,234.50')).toBe(1234.5);
+    expect(normalizeAmount('RM 12.50')).toBe(12.5);
+    expect(normalizeAmount(12.345)).toBe(12.35);
+  });
+
+  it('leaves unreadable amounts for validation to report', () => {
+    expect(normalizeAmount('free')).toBe('free');
+    expect(normalizeAmount(null)).toBeNull();
+  });
+});
+
+describe('normalizeDate', () => {
+  it('reads receipt dates day-first', () => {
+    expect(normalizeDate('03/04/2026')).toBe('2026-04-03');
+    expect(normalizeDate('14-09-26')).toBe('2026-09-14');
+    expect(normalizeDate('14.09.2026 13:05')).toBe('2026-09-14');
+    expect(normalizeDate('14 Sep 2026')).toBe('2026-09-14');
+    expect(normalizeDate('2026/09/14')).toBe('2026-09-14');
+    expect(normalizeDate('2026-09-14T10:00:00Z')).toBe('2026-09-14');
+  });
+
+  it('falls back to month-first only when day-first is impossible', () => {
+    expect(normalizeDate('09/14/2026')).toBe('2026-09-14');
+    expect(normalizeDate('31/02/2026')).toBe('31/02/2026');
+    expect(normalizeDate('yesterday')).toBe('yesterday');
+  });
+});
+
+describe('normalizeCurrency', () => {
+  it('maps symbols to ISO codes and upper-cases codes', () => {
+    expect(normalizeCurrency('RM')).toBe('MYR');
+    expect(normalizeCurrency('rm')).toBe('MYR');
+    expect(normalizeCurrency(' S$ ')).toBe('SGD');
+    expect(normalizeCurrency('€')).toBe('EUR');
+    expect(normalizeCurrency('usd')).toBe('USD');
+    expect(normalizeCurrency('Ringgit')).toBe('RINGGIT');
+  });
+});
+
+describe('validateOcrData', () => {
+  it('stores repaired values and which fields were normalised', () => {
+    const { data, validation } = validateOcrData({
+      merchant: ' Kopitiam ', date: '02/03/2026', amount: '12,50', currency: 'RM', category: 'meals',
+      items: [{ name: 'Teh', price: '2,50' }]
+    });
+
+    expect(data).toMatchObject({
+      merchant: 'Kopitiam', date: '2026-03-02', amount: 12.5, currency: 'MYR', category: 'meals',
+      items: [{ name: 'Teh', quantity: 1, price: 2.5 }]
+    });
+    expect(validation).toEqual({
+      schemaVersion: OCR_SCHEMA_VERSION,
+      valid: true,
+      errors: [],
+      normalized: ['amount', 'date', 'currency', 'merchant', 'items']
+    });
+  });
+
+  it('clears invalid fields and records each error with the rejected value', () => {
+    const { data, validation } = validateOcrData({
+      merchant: 'Unknown', date: '31/02/2026', amount: 'free', currency: 'XYZ', currencySymbol: 'XYZ', category: 'golf',
+      items: [{ name: 'Teh', price: 2.5 }, { name: 'Refund', price: -3 }]
+    });
+
+    expect(data).toMatchObject({
+      merchant: '', date: '', amount: 0, currency: '', currencySymbol: '', category: '',
+      items: [{ name: 'Teh', quantity: 1, price: 2.5 }]
+    });
+    expect(validation.valid).toBe(false);
+    expect(validation.errors).toEqual([
+      { field: 'date', code: 'any.invalid', message: 'date must be a valid YYYY-MM-DD date', value: '31/02/2026' },
+      { field: 'amount', code: 'number.base', message: 'amount must be a number', value: 'free' },
+      { field: 'currency', code: 'any.invalid', message: 'currency must be an ISO 4217 code', value: 'XYZ' },
+      { field: 'category', code: 'any.only', message: 'category must be an active category id', value: 'golf' },
+      { field: 'items.1.price', code: 'number.min', message: 'items[1].price must be greater than or equal to 0', value: -3 }
+    ]);
+  });
+
+  it('does not guess a currency it cannot recognise', () => {
+    expect(validateOcrData({ amount: 10, currency: 'Ringgit' }).data.currency).toBe('');
+    expect(validateOcrData({ amount: 10, currency: 'RMB' }).data.currency).toBe('');
+    expect(validateOcrData({ amount: 10, currency: 'CNY' }).data.currency).toBe('CNY');
+  });
+
+  it('treats a missing amount as zero for manual entry', () => {
+    expect(validateOcrData({ merchant: 'Grab' }).data.amount).toBe(0);
+    expect(validateOcrData(null).validation.valid).toBe(true);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * PDF Service
+ * Page counting and splitting for uploaded PDFs, so a multi-page upload
+ * holding several invoices can become one receipt per invoice, each with
+ * a file containing only its own pages.
+ *
+ * Some generator quirks make a PDF unreadable to pdf-lib; callers treat a
+ * null page count as "send the whole document" rather than failing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+// Longer documents are rejected rather than sent to OCR page by page
+const MAX_PDF_PAGES = parseInt(process.env.MAX_PDF_PAGES) || 20;
+
+function isPdf(fileName) {
+  return path.extname(fileName || '').toLowerCase() === '.pdf';
+}
+
+/**
+ * Parse a PDF, or null if pdf-lib cannot read it
+ */
+async function loadPdf(source) {
+  const buffer = Buffer.isBuffer(source) ? source : await fs.promises.readFile(source);
+  try {
+    return await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  } catch (error) {
+    console.warn('⚠️  Could not parse PDF for page splitting:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Number of pages in a PDF
+ * @param {string|Buffer} source - Path to the PDF, or its contents
+ * @returns {Promise<number|null>} Page count, or null if the PDF could not be parsed
+ */
+async function getPageCount(source) {
+  const doc = await loadPdf(source);
+  return doc ? doc.getPageCount() : null;
+}
+
+/**
+ * Copy some pages of a PDF into a new document
+ * @param {string|Buffer} source - Path to the PDF, or its contents
+ * @param {number[]} pageNumbers - 1-based page numbers, in output order
+ * @returns {Promise<Buffer|null>} New PDF, or null if the source could not be parsed
+ */
+async function extractPages(source, pageNumbers) {
+  const doc = await loadPdf(source);
+  if (!doc) return null;
+
+  const pageCount = doc.getPageCount();
+  const indices = pageNumbers.map(n => n - 1).filter(i => i >= 0 && i < pageCount);
+  if (indices.length === 0) return null;
+
+  const output = await PDFDocument.create();
+  const pages = await output.copyPages(doc, indices);
+  pages.forEach(page => output.addPage(page));
+  return Buffer.from(await output.save());
+}
+
+module.exports = {
+  MAX_PDF_PAGES,
+  isPdf,
+  getPageCount,
+  extractPages
+};
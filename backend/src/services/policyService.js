@@ -0,0 +1,327 @@
+/**
+ * Expense Policy Service
+ * Evaluates declarative expense policies against receipt OCR data.
+ *
+ * Policies live in the expense_policies table. Each has a rule type, a
+ * severity (`warn` lets the claim through, `block` stops submission), an
+ * optional category scope and type-specific params:
+ *   - max_amount       { limit }          single receipt above limit
+ *   - daily_cap        { limit }          user's total for the day above limit
+ *                                         (meal per-diem, category daily caps)
+ *   - prohibited_items { keywords: [] }   line items matching a keyword (alcohol)
+ *   - weekend          { days: [0, 6] }   receipt dated on a weekend day
+ *   - receipt_age      { maxDays }        receipt older than maxDays at evaluation
+ *
+ * Limits are in the base currency. Receipt amounts are converted at the rate
+ * for their date; a receipt without a usable rate is left out of amount
+ * rules (submission fails on the missing rate anyway).
+ */
+
+const fxService = require('./fxService');
+
+const RULE_TYPES = ['max_amount', 'daily_cap', 'prohibited_items', 'weekend', 'receipt_age'];
+const SEVERITIES = ['warn', 'block'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Receipts in these states no longer count towards daily caps
+const EXCLUDED_STATUSES = ['rejected', 'deleted'];
+
+class PolicyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PolicyError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Parse a YYYY-MM-DD receipt date as a UTC day
+ * @returns {Date|null}
+ */
+function parseReceiptDate(dateStr) {
+  if (!dateStr || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return null;
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function formatAmount(amount, currency = fxService.BASE_CURRENCY) {
+  return `${currency} ${Number(amount || 0).toFixed(2)}`;
+}
+
+// "USD 120.00 (MYR 536.46)", or just the base amount for base currency receipts
+function describeAmount(amount, currency, baseAmount) {
+  return currency === fxService.BASE_CURRENCY
+    ? formatAmount(baseAmount)
+    : `${formatAmount(amount, currency)} (${formatAmount(baseAmount)})`;
+}
+
+/**
+ * An amount in the base currency at the rate for its date
+ * @returns {Promise<number|null>} null when there is no usable exchange rate
+ */
+async function toBaseAmount(db, amount, currency, date) {
+  try {
+    return (await fxService.convert(db, amount, currency, date)).baseAmount;
+  } catch (error) {
+    if (error instanceof fxService.FxError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Validate a policy definition from the admin API
+ * @returns {Object} Normalised policy
+ */
+function validatePolicy(policy) {
+  if (!policy || typeof policy.name !== 'string' || !policy.name.trim()) {
+    throw new PolicyError('Policy name is required');
+  }
+  if (!RULE_TYPES.includes(policy.type)) {
+    throw new PolicyError(`Policy type must be one of: ${RULE_TYPES.join(', ')}`);
+  }
+  if (!SEVERITIES.includes(policy.severity)) {
+    throw new PolicyError('Policy severity must be warn or block');
+  }
+
+  const params = { ...policy.params };
+  if (['max_amount', 'daily_cap'].includes(policy.type) && !(parseFloat(params.limit) > 0)) {
+    throw new PolicyError('params.limit must be a positive number');
+  }
+  if (policy.type === 'prohibited_items') {
+    if (!Array.isArray(params.keywords) || params.keywords.length === 0) {
+      throw new PolicyError('params.keywords must be a non-empty array');
+    }
+    // An empty keyword would match every item
+    if (params.keywords.some(k => typeof k !== 'string' || !k.trim())) {
+      throw new PolicyError('params.keywords must only contain non-empty strings');
+    }
+    params.keywords = params.keywords.map(k => k.trim());
+  }
+  if (policy.type === 'weekend' && params.days !== undefined && (
+    !Array.isArray(params.days) || params.days.length === 0
+    || params.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)
+  )) {
+    throw new PolicyError('params.days must be a non-empty array of weekdays (0 = Sunday to 6 = Saturday)');
+  }
+  if (policy.type === 'receipt_age' && !(parseInt(params.maxDays) > 0)) {
+    throw new PolicyError('params.maxDays must be a positive integer');
+  }
+
+  return {
+    name: policy.name.trim(),
+    type: policy.type,
+    severity: policy.severity,
+    categories: Array.isArray(policy.categories) ? policy.categories : [],
+    params,
+    active: policy.active !== false
+  };
+}
+
+/**
+ * Load active policies
+ */
+async function getActivePolicies(db) {
+  const result = await db.query('SELECT * FROM expense_policies WHERE active = TRUE ORDER BY id ASC');
+  return result.rows;
+}
+
+/**
+ * Sum in the base currency of the user's other receipts on the same day in
+ * the policy's categories (submitted receipts keep their converted amount)
+ */
+async function sumSameDay(db, userId, date, categories, excludeIds) {
+  const result = await db.query(
+    `SELECT base_amount, ocr_data->>'amount' AS amount, ocr_data->>'currency' AS currency
+     FROM receipts
+     WHERE user_id = $1
+       AND ocr_data->>'date' = $2
+       AND ($3::text[] IS NULL OR category_id = ANY($3))
+       AND NOT (id = ANY($4))
+       AND status <> ALL($5)`,
+    [userId, date, categories.length > 0 ? categories : null, excludeIds, EXCLUDED_STATUSES]
+  );
+
+  let total = 0;
+  for (const row of result.rows) {
+    const baseAmount = row.base_amount !== null
+      ? parseFloat(row.base_amount)
+      : await toBaseAmount(db, row.amount, row.currency, date);
+    total += baseAmount || 0;
+  }
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Check a single policy against a receipt
+ * @returns {Promise<Object|null>} Violation or null
+ */
+async function checkPolicy(db, policy, ocrData, context) {
+  const params = policy.params || {};
+  const amount = parseFloat(ocrData.amount) || 0;
+  const currency = (ocrData.currency || fxService.BASE_CURRENCY).toUpperCase();
+  const receiptDate = parseReceiptDate(ocrData.date);
+
+  switch (policy.type) {
+    case 'max_amount': {
+      const limit = parseFloat(params.limit);
+      const baseAmount = await toBaseAmount(db, amount, currency, ocrData.date);
+      if (baseAmount === null || baseAmount <= limit) return null;
+      return {
+        message: `${describeAmount(amount, currency, baseAmount)} exceeds the ${formatAmount(limit)} limit per receipt`,
+        details: { amount, currency, baseAmount, limit }
+      };
+    }
+
+    case 'daily_cap': {
+      if (!receiptDate) return null;
+      const limit = parseFloat(params.limit);
+      const baseAmount = await toBaseAmount(db, amount, currency, ocrData.date);
+      if (baseAmount === null) return null;
+      const others = await sumSameDay(db, context.userId, ocrData.date, policy.categories || [], context.excludeIds);
+      const extra = context.sameDayExtra ? await context.sameDayExtra(policy, ocrData) : 0;
+      const dayTotal = Math.round((others + baseAmount + extra) * 100) / 100;
+      if (dayTotal <= limit) return null;
+      return {
+        message: `${formatAmount(dayTotal)} spent on ${ocrData.date} exceeds the ${formatAmount(limit)} daily limit`,
+        details: { dayTotal, limit, date: ocrData.date }
+      };
+    }
+
+    case 'prohibited_items': {
+      const keywords = params.keywords.map(k => k.toLowerCase());
+      const matched = (ocrData.items || []).filter(item => {
+        const name = (item.name || '').toLowerCase();
+        return keywords.some(k => new RegExp(`\\b${k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(name));
+      });
+      if (matched.length === 0) return null;
+      return {
+        message: `Contains prohibited item${matched.length > 1 ? 's' : ''}: ${matched.map(i => i.name).join(', ')}`,
+        details: { items: matched.map(i => i.name) }
+      };
+    }
+
+    case 'weekend': {
+      if (!receiptDate) return null;
+      const days = params.days || [0, 6];
+      const day = receiptDate.getUTCDay();
+      if (!days.includes(day)) return null;
+      return {
+        message: `Spent on a ${DAY_NAMES[day]} (${ocrData.date})`,
+        details: { day: DAY_NAMES[day] }
+      };
+    }
+
+    case 'receipt_age': {
+      if (!receiptDate) return null;
+      const maxDays = parseInt(params.maxDays);
+      const ageDays = Math.floor((context.now.getTime() - receiptDate.getTime()) / 86400000);
+      if (ageDays <= maxDays) return null;
+      return {
+        message: `Receipt is ${ageDays} days old (limit ${maxDays} days)`,
+        details: { ageDays, maxDays }
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Evaluate all active policies against a receipt
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {Object} ocrData - Receipt OCR data (amount, date, category, items)
+ * @param {Object} options - { userId, excludeIds, policies, now, sameDayExtra (async, base currency) }
+ * @returns {Promise<Array>} Violations [{ policyId, name, type, severity, message, details }]
+ */
+async function evaluateReceipt(db, ocrData, options = {}) {
+  const policies = options.policies || await getActivePolicies(db);
+  const context = {
+    userId: options.userId,
+    excludeIds: options.excludeIds || [],
+    now: options.now || new Date(),
+    sameDayExtra: options.sameDayExtra
+  };
+
+  const violations = [];
+  for (const policy of policies) {
+    const categories = policy.categories || [];
+    if (categories.length > 0 && !categories.includes(ocrData.category)) continue;
+
+    const violation = await checkPolicy(db, policy, ocrData, context);
+    if (violation) {
+      violations.push({
+        policyId: policy.id,
+        name: policy.name,
+        type: policy.type,
+        severity: policy.severity,
+        ...violation
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Evaluate the receipts of a claim at submit time
+ * Daily caps count the other receipts in the same claim once, whether or
+ * not they are already stored.
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {Array} receipts - receipts rows being submitted
+ * @param {string} userId - Claimant
+ * @returns {Promise<Object>} { results: [{ receiptId, merchant, violations }], blocked, warnings }
+ */
+async function evaluateClaim(db, receipts, userId) {
+  const policies = await getActivePolicies(db);
+  const now = new Date();
+  const ids = receipts.map(r => r.id);
+
+  const results = [];
+  for (const receipt of receipts) {
+    const ocrData = { ...receipt.ocr_data, category: receipt.category_id || receipt.ocr_data?.category };
+    // Other receipts in this claim are excluded from the DB sum and added here instead
+    const sameDayExtra = async (policy, data) => {
+      const others = receipts
+        .filter(r => r.id !== receipt.id && r.ocr_data?.date === data.date)
+        .filter(r => !policy.categories?.length || policy.categories.includes(r.category_id));
+      let sum = 0;
+      for (const r of others) {
+        sum += await toBaseAmount(db, r.ocr_data?.amount, r.ocr_data?.currency, data.date) || 0;
+      }
+      return sum;
+    };
+
+    const violations = await evaluateReceipt(db, ocrData, {
+      userId, excludeIds: ids, policies, now, sameDayExtra
+    });
+    results.push({ receiptId: receipt.id, merchant: receipt.ocr_data?.merchant, violations });
+  }
+
+  const withViolations = results.filter(r => r.violations.length > 0);
+  return {
+    results: withViolations,
+    blocked: withViolations.filter(r => r.violations.some(v => v.severity === 'block')),
+    warnings: withViolations.filter(r => r.violations.some(v => v.severity === 'warn'))
+  };
+}
+
+/**
+ * Highest severity in a list of violations
+ * @returns {string} 'block' | 'warn' | 'none'
+ */
+function worstSeverity(violations = []) {
+  if (violations.some(v => v.severity === 'block')) return 'block';
+  if (violations.length > 0) return 'warn';
+  return 'none';
+}
+
+module.exports = {
+  RULE_TYPES,
+  PolicyError,
+  validatePolicy,
+  checkPolicy,
+  evaluateReceipt,
+  evaluateClaim,
+  worstSeverity
+};
@@ -0,0 +1,151 @@
+const { checkPolicy, evaluateReceipt, evaluateClaim, validatePolicy, PolicyError } = require('./policyService');
+const { fakeDb, fxRows } = require('../test/fakeDb');
+
+// USD rates for getRate, stored receipts for the same-day sum
+const policyDb = ({ usdRate = 4.5, sameDay = [] } = {}) => fakeDb({
+  'FROM fx_rates': fxRows(usdRate),
+  'FROM receipts': sameDay
+});
+
+const context = { userId: 'u1', excludeIds: [], now: new Date('2026-03-10T00:00:00Z') };
+const policy = (type, params, categories = []) => ({ id: type, name: type, type, severity: 'warn', params, categories });
+
+describe('checkPolicy', () => {
+  describe('max_amount', () => {
+    const maxAmount = policy('max_amount', { limit: 300 });
+
+    it('compares base currency receipts with the limit as they are', async () => {
+      const db = policyDb();
+      expect(await checkPolicy(db, maxAmount, { amount: 300, currency: 'MYR', date: '2026-03-02' }, context)).toBeNull();
+
+      const violation = await checkPolicy(db, maxAmount, { amount: 300.5, date: '2026-03-02' }, context);
+      expect(violation.message).toBe('MYR 300.50 exceeds the MYR 300.00 limit per receipt');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('converts other currencies to the base currency first', async () => {
+      const db = policyDb({ usdRate: 4.5 });
+      expect(await checkPolicy(db, maxAmount, { amount: 60, currency: 'USD', date: '2026-03-02' }, context)).toBeNull();
+
+      const violation = await checkPolicy(db, maxAmount, { amount: 100, currency: 'usd', date: '2026-03-02' }, context);
+      expect(violation.message).toBe('USD 100.00 (MYR 450.00) exceeds the MYR 300.00 limit per receipt');
+      expect(violation.details).toEqual({ amount: 100, currency: 'USD', baseAmount: 450, limit: 300 });
+    });
+
+    it('leaves receipts without an exchange rate alone', async () => {
+      const db = policyDb({ usdRate: null });
+      expect(await checkPolicy(db, maxAmount, { amount: 1000, currency: 'USD', date: '2026-03-02' }, context)).toBeNull();
+    });
+  });
+
+  describe('daily_cap', () => {
+    const cap = policy('daily_cap', { limit: 100 }, ['meals']);
+
+    it('adds the converted amounts of the other receipts that day', async () => {
+      const db = policyDb({
+        usdRate: 4.5,
+        sameDay: [
+          { base_amount: '20.00', amount: '99', currency: 'USD' }, // submitted: converted amount kept
+          { base_amount: null, amount: '10', currency: 'USD' },
+          { base_amount: null, amount: '5', currency: 'MYR' }
+        ]
+      });
+
+      const violation = await checkPolicy(db, cap, { amount: 40, currency: 'MYR', date: '2026-03-02' }, context);
+      expect(violation.details).toEqual({ dayTotal: 110, limit: 100, date: '2026-03-02' });
+      expect(violation.message).toBe('MYR 110.00 spent on 2026-03-02 exceeds the MYR 100.00 daily limit');
+    });
+
+    it('counts extra same-day spend from the claim being submitted', async () => {
+      const db = policyDb();
+      const sameDayExtra = jest.fn(async () => 61);
+      const ocrData = { amount: 40, currency: 'MYR', date: '2026-03-02' };
+
+      expect((await checkPolicy(db, cap, ocrData, { ...context, sameDayExtra })).details.dayTotal).toBe(101);
+      expect(sameDayExtra).toHaveBeenCalledWith(cap, ocrData);
+    });
+
+    it('needs a receipt date', async () => {
+      expect(await checkPolicy(policyDb(), cap, { amount: 500 }, context)).toBeNull();
+    });
+  });
+
+  it('matches prohibited items on whole words', async () => {
+    const alcohol = policy('prohibited_items', { keywords: ['beer', 'wine'] });
+    const items = [{ name: 'Tiger Beer 640ml' }, { name: 'Ginger tea' }, { name: 'Swine burger' }];
+
+    const violation = await checkPolicy(policyDb(), alcohol, { amount: 30, items }, context);
+    expect(violation.details.items).toEqual(['Tiger Beer 640ml']);
+  });
+
+  it('flags weekend receipts and old receipts', async () => {
+    const db = policyDb();
+    expect((await checkPolicy(db, policy('weekend', {}), { date: '2026-03-07' }, context)).details.day).toBe('Saturday');
+    expect(await checkPolicy(db, policy('weekend', {}), { date: '2026-03-09' }, context)).toBeNull();
+
+    const age = policy('receipt_age', { maxDays: 90 });
+    expect(await checkPolicy(db, age, { date: '2025-12-10' }, context)).toBeNull();
+    expect((await checkPolicy(db, age, { date: '2025-12-09' }, context)).details).toEqual({ ageDays: 91, maxDays: 90 });
+  });
+});
+
+describe('evaluateReceipt', () => {
+  it('only applies policies scoped to the receipt category', async () => {
+    const policies = [
+      { ...policy('max_amount', { limit: 50 }, ['meals']), severity: 'block' },
+      policy('max_amount', { limit: 500 }, ['travel'])
+    ];
+
+    const violations = await evaluateReceipt(policyDb(), { amount: 80, category: 'meals' }, { policies, ...context });
+    expect(violations.map(v => [v.policyId, v.severity])).toEqual([['max_amount', 'block']]);
+  });
+});
+
+describe('evaluateClaim', () => {
+  it('adds the other receipts in the claim to daily caps in the base currency', async () => {
+    const db = fakeDb({
+      'FROM expense_policies': [policy('daily_cap', { limit: 100 }, ['meals'])],
+      'FROM fx_rates': fxRows(4.5),
+      'FROM receipts': []
+    });
+    const receipts = [
+      { id: 'a', category_id: 'meals', ocr_data: { amount: 10, currency: 'USD', date: '2026-03-02' } },
+      { id: 'b', category_id: 'meals', ocr_data: { amount: 60, date: '2026-03-02' } }
+    ];
+
+    const check = await evaluateClaim(db, receipts, 'u1');
+    expect(check.warnings.map(r => r.receiptId)).toEqual(['a', 'b']);
+    expect(check.results[0].violations[0].details.dayTotal).toBe(105);
+    expect(check.blocked).toEqual([]);
+  });
+});
+
+describe('validatePolicy', () => {
+  it('rejects unknown types and missing limits', () => {
+    expect(() => validatePolicy({ name: 'x', type: 'nope', severity: 'warn' })).toThrow(PolicyError);
+    expect(() => validatePolicy({ name: 'x', type: 'daily_cap', severity: 'warn', params: {} }))
+      .toThrow('params.limit must be a positive number');
+  });
+
+  it('rejects prohibited keywords that are not non-empty strings, trimming the rest', () => {
+    const prohibited = (keywords) => validatePolicy({ name: 'x', type: 'prohibited_items', severity: 'block', params: { keywords } });
+
+    expect(prohibited([' alcohol ', 'cigarettes']).params.keywords).toEqual(['alcohol', 'cigarettes']);
+    expect(() => prohibited([])).toThrow(new PolicyError('params.keywords must be a non-empty array'));
+    ['', '  ', null, 42].forEach(keyword => {
+      expect(() => prohibited(['alcohol', keyword])).toThrow(new PolicyError('params.keywords must only contain non-empty strings'));
+    });
+  });
+
+  it('accepts weekend days only as weekday numbers', () => {
+    const weekend = (params) => validatePolicy({ name: 'x', type: 'weekend', severity: 'warn', params });
+
+    expect(weekend({}).params).toEqual({});
+    expect(weekend({ days: [5, 6] }).params).toEqual({ days: [5, 6] });
+    [[], [7], [-1], [1.5], ['6'], 'weekend'].forEach(days => {
+      expect(() => weekend({ days })).toThrow(
+        new PolicyError('params.days must be a non-empty array of weekdays (0 = Sunday to 6 = Saturday)')
+      );
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Receipt Correction Service
+ * Validates manual edits to OCR results and keeps a field-level audit trail
+ * of what the AI extracted versus what the employee changed it to.
+ */
+
+const { isActiveCategory, getCategoryById } = require('./categoryService');
+const categoryClassifierService = require('./categoryClassifierService');
+
+const EDITABLE_FIELDS = ['merchant', 'date', 'amount', 'currency', 'category', 'items'];
+
+// Receipts in these states belong to a claim and can no longer be edited
+const LOCKED_STATUSES = ['submitted', 'approved', 'rejected'];
+
+// A receipt is claimable only once these are known
+const REQUIRED_FIELDS = ['merchant', 'date', 'amount', 'currency'];
+
+const MAX_AMOUNT = 1000000000;
+
+class CorrectionError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'CorrectionError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+function toAmount(value) {
+  const num = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof num === 'number' && isFinite(num) ? Math.round(num * 100) / 100 : NaN;
+}
+
+/**
+ * Validate an edit request body
+ * @param {Object} body - Subset of EDITABLE_FIELDS
+ * @returns {Object} Normalised changes
+ */
+function validateEdits(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new CorrectionError('Request body must be an object');
+  }
+
+  const unknown = Object.keys(body).filter(k => !EDITABLE_FIELDS.includes(k));
+  if (unknown.length > 0) {
+    throw new CorrectionError(`Fields cannot be edited: ${unknown.join(', ')}`);
+  }
+  if (Object.keys(body).length === 0) {
+    throw new CorrectionError(`Provide at least one of: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  const errors = {};
+  const changes = {};
+
+  if (body.merchant !== undefined) {
+    const merchant = typeof body.merchant === 'string' ? body.merchant.trim() : '';
+    if (!merchant || merchant.length > 255) errors.merchant = 'Merchant must be 1-255 characters';
+    else changes.merchant = merchant;
+  }
+
+  if (body.date !== undefined) {
+    const date = typeof body.date === 'string' ? body.date.trim() : '';
+    const parsed = /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T00:00:00Z`) : null;
+    if (!parsed || isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+      errors.date = 'Date must be a valid YYYY-MM-DD date';
+    } else if (parsed.getTime() > Date.now()) {
+      errors.date = 'Date cannot be in the future';
+    } else {
+      changes.date = date;
+    }
+  }
+
+  if (body.amount !== undefined) {
+    const amount = toAmount(body.amount);
+    if (!(amount > 0) || amount > MAX_AMOUNT) errors.amount = 'Amount must be a positive number';
+    else changes.amount = amount;
+  }
+
+  if (body.currency !== undefined) {
+    const currency = typeof body.currency === 'string' ? body.currency.trim().toUpperCase() : '';
+    if (!/^[A-Z]{3}$/.test(currency)) errors.currency = 'Currency must be a 3-letter ISO 4217 code';
+    else changes.currency = currency;
+  }
+
+  if (body.category !== undefined) {
+    if (!isActiveCategory(body.category)) errors.category = 'Unknown or retired category';
+    else changes.category = body.category;
+  }
+
+  if (body.items !== undefined) {
+    if (!Array.isArray(body.items)) {
+      errors.items = 'Items must be an array';
+    } else {
+      const items = [];
+      body.items.forEach((item, idx) => {
+        const name = typeof item?.name === 'string' ? item.name.trim() : '';
+        const quantity = item?.quantity === undefined ? 1 : toAmount(item.quantity);
+        const price = toAmount(item?.price);
+        if (!name) errors[`items[${idx}].name`] = 'Item name is required';
+        if (!(quantity > 0)) errors[`items[${idx}].quantity`] = 'Quantity must be positive';
+        if (!(price >= 0)) errors[`items[${idx}].price`] = 'Price must be zero or more';
+        items.push({ name, quantity, price });
+      });
+      changes.items = items;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new CorrectionError('Invalid receipt data', 400, errors);
+  }
+
+  return changes;
+}
+
+/**
+ * Required fields OCR (or the employee) has not filled in yet
+ * @param {Object|null} ocrData - Receipt OCR data
+ * @returns {string[]} Subset of REQUIRED_FIELDS, empty when the receipt is complete
+ */
+function missingFields(ocrData) {
+  const data = ocrData || {};
+  return REQUIRED_FIELDS.filter(field => (
+    field === 'amount' ? !(toAmount(data.amount) > 0) : !(typeof data[field] === 'string' && data[field].trim())
+  ));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Apply validated changes to a receipt row and record the corrections
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {Object} receipt - receipts row
+ * @param {Object} changes - from validateEdits
+ * @param {string} userId - Who made the change
+ * @param {Object} options - { allowLocked } admins may recategorise receipts already in a claim
+ * @returns {Promise<Object>} { ocrData, categoryId, corrections } (corrections empty if nothing changed)
+ */
+async function applyCorrections(db, receipt, changes, userId, { allowLocked = false } = {}) {
+  if (!allowLocked && (LOCKED_STATUSES.includes(receipt.status) || receipt.expense_id)) {
+    throw new CorrectionError('Receipts that are part of a claim cannot be edited', 409);
+  }
+  if (receipt.status === 'processing') {
+    throw new CorrectionError('Receipt is still being processed', 409);
+  }
+
+  const current = receipt.ocr_data || {};
+  // First edit keeps the untouched AI output alongside the corrected data
+  const aiData = receipt.ai_ocr_data || current;
+
+  const corrections = Object.entries(changes)
+    .filter(([field, value]) => !sameValue(current[field], value))
+    .map(([field, value]) => ({
+      field,
+      aiValue: aiData[field] ?? null,
+      previousValue: current[field] ?? null,
+      newValue: value
+    }));
+
+  if (corrections.length === 0) {
+    return { ocrData: current, categoryId: receipt.category_id, corrections };
+  }
+
+  const ocrData = { ...current, ...changes };
+  if (changes.category) {
+    ocrData.categoryName = getCategoryById(changes.category).name;
+  }
+  ocrData.correctedFields = [...new Set([...(current.correctedFields || []), ...corrections.map(c => c.field)])]
+    // A field edited back to the AI value is no longer a correction
+    .filter(field => !sameValue(ocrData[field], aiData[field]));
+
+  for (const c of corrections) {
+    await db.query(
+      `INSERT INTO receipt_corrections (receipt_id, field, ai_value, previous_value, new_value, corrected_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [receipt.id, c.field, JSON.stringify(c.aiValue), JSON.stringify(c.previousValue), JSON.stringify(c.newValue), userId]
+    );
+  }
+
+  // OCR validation errors on fields the employee has now set no longer apply
+  const validation = receipt.ocr_validation && (() => {
+    const errors = (receipt.ocr_validation.errors || [])
+      .filter(e => !ocrData.correctedFields.includes(e.field.split('.')[0]));
+    return { ...receipt.ocr_validation, valid: errors.length === 0, errors };
+  })();
+
+  const categoryId = changes.category || receipt.category_id;
+  await db.query(
+    `UPDATE receipts SET
+      ocr_data = $1,
+      ai_ocr_data = COALESCE(ai_ocr_data, $2),
+      category_id = $3,
+      ocr_validation = COALESCE($5, ocr_validation),
+      updated_at = NOW()
+    WHERE id = $4`,
+    [JSON.stringify(ocrData), JSON.stringify(aiData), categoryId, receipt.id, validation ? JSON.stringify(validation) : null]
+  );
+
+  // Category corrections train the auto-categoriser
+  if (corrections.some(c => c.field === 'category')) {
+    await categoryClassifierService.learn(
+      db,
+      { merchant: ocrData.merchant, items: ocrData.items || [], categoryId },
+      { corrected: true, previousCategoryId: receipt.category_id }
+    );
+  }
+
+  return { ocrData, categoryId, corrections };
+}
+
+/**
+ * Move a recategorised receipt's amount between categories in its claim
+ * (category breakdown and the receipt snapshot the claim was submitted with)
+ * @param {Object} receipt - receipts row as it was before the change
+ * @param {Object} ocrData - Updated OCR data (from applyCorrections)
+ * @returns {Promise<Object|null>} The claim's new category breakdown (null if not in a claim)
+ */
+async function moveClaimCategory(db, receipt, ocrData) {
+  if (!receipt.expense_id) return null;
+  const result = await db.query('SELECT category_breakdown, receipts_data FROM expenses WHERE id = $1', [receipt.expense_id]);
+  const expense = result.rows[0];
+  if (!expense) return null;
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+  const from = receipt.ocr_data?.category || 'misc';
+  const to = ocrData.category;
+  const amount = toAmount(receipt.ocr_data?.amount) || 0;
+  const baseAmount = receipt.base_amount !== null && receipt.base_amount !== undefined ? toAmount(receipt.base_amount) : amount;
+  const currency = receipt.ocr_data?.currency;
+
+  // Claims store category totals as { amount, original } (older claims: plain numbers)
+  const breakdown = { ...(expense.category_breakdown || {}) };
+  const legacy = Object.values(breakdown).some(v => typeof v === 'number');
+  const adjust = (cat, sign) => {
+    if (legacy) {
+      breakdown[cat] = round2((breakdown[cat] || 0) + sign * baseAmount);
+      if (Math.abs(breakdown[cat]) < 0.005) delete breakdown[cat];
+      return;
+    }
+    const entry = { amount: round2((breakdown[cat]?.amount || 0) + sign * baseAmount), original: { ...breakdown[cat]?.original } };
+    if (currency) {
+      entry.original[currency] = round2((entry.original[currency] || 0) + sign * amount);
+      if (Math.abs(entry.original[currency]) < 0.005) delete entry.original[currency];
+    }
+    if (Math.abs(entry.amount) < 0.005) delete breakdown[cat];
+    else breakdown[cat] = entry;
+  };
+  adjust(from, -1);
+  adjust(to, 1);
+
+  const receiptsData = (expense.receipts_data || []).map(r => (
+    r.id === receipt.id ? { ...r, category_id: to, ocr_data: ocrData } : r
+  ));
+
+  await db.query(
+    'UPDATE expenses SET category_breakdown = $1, receipts_data = $2 WHERE id = $3',
+    [JSON.stringify(breakdown), JSON.stringify(receiptsData), receipt.expense_id]
+  );
+  return breakdown;
+}
+
+/**
+ * Correction history for a receipt, newest first
+ */
+async function getCorrections(db, receiptId) {
+  const result = await db.query(
+    'SELECT * FROM receipt_corrections WHERE receipt_id = $1 ORDER BY created_at DESC, id DESC',
+    [receiptId]
+  );
+
+  return result.rows.map(row => ({
+    id: row.id,
+    field: row.field,
+    aiValue: row.ai_value,
+    previousValue: row.previous_value,
+    newValue: row.new_value,
+    correctedBy: row.corrected_by,
+    correctedAt: row.created_at
+  }));
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  LOCKED_STATUSES,
+  REQUIRED_FIELDS,
+  CorrectionError,
+  validateEdits,
+  missingFields,
+  applyCorrections,
+  moveClaimCategory,
+  getCorrections
+};
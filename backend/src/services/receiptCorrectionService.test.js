@@ -0,0 +1,106 @@
+const { loadCategories } = require('./categoryService');
+const { validateEdits, missingFields, CorrectionError } = require('./receiptCorrectionService');
+
+// The CorrectionError validateEdits throws for a body, to inspect its per-field details
+function editErrors(body) {
+  try {
+    validateEdits(body);
+  } catch (error) {
+    expect(error).toBeInstanceOf(CorrectionError);
+    return { statusCode: error.statusCode, message: error.message, details: error.details };
+  }
+  throw new Error('validateEdits accepted the body');
+}
+
+beforeAll(async () => {
+  await loadCategories({
+    query: async () => ({
+      rows: [
+        { id: 'meals', name: 'Meals', active: true },
+        { id: 'misc', name: 'Miscellaneous', active: true },
+        { id: 'legacy', name: 'Legacy', active: false }
+      ]
+    })
+  });
+});
+
+describe('validateEdits', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T08:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('normalises valid edits', () => {
+    expect(validateEdits({
+      merchant: '  Kopitiam  ',
+      date: '2026-03-10',
+      amount: '12.345',
+      currency: 'myr',
+      category: 'meals',
+      items: [{ name: ' Teh tarik ', price: '2.5' }, { name: 'Roti', quantity: 2, price: 1.2 }]
+    })).toEqual({
+      merchant: 'Kopitiam',
+      date: '2026-03-10',
+      amount: 12.35,
+      currency: 'MYR',
+      category: 'meals',
+      items: [{ name: 'Teh tarik', quantity: 1, price: 2.5 }, { name: 'Roti', quantity: 2, price: 1.2 }]
+    });
+  });
+
+  it('rejects bodies that are not a set of editable fields', () => {
+    expect(editErrors(null).message).toBe('Request body must be an object');
+    expect(editErrors([]).message).toBe('Request body must be an object');
+    expect(editErrors({}).message).toMatch(/^Provide at least one of: merchant, date/);
+    expect(editErrors({ amount: 5, status: 'processed' }).message).toBe('Fields cannot be edited: status');
+  });
+
+  it('reports every invalid field at once', () => {
+    const { statusCode, message, details } = editErrors({
+      merchant: '   ',
+      date: '2026-02-29',
+      amount: -3,
+      currency: 'RM',
+      category: 'legacy',
+      items: [{ name: '', quantity: 0, price: -1 }]
+    });
+
+    expect(statusCode).toBe(400);
+    expect(message).toBe('Invalid receipt data');
+    expect(details).toEqual({
+      merchant: 'Merchant must be 1-255 characters',
+      date: 'Date must be a valid YYYY-MM-DD date',
+      amount: 'Amount must be a positive number',
+      currency: 'Currency must be a 3-letter ISO 4217 code',
+      category: 'Unknown or retired category',
+      'items[0].name': 'Item name is required',
+      'items[0].quantity': 'Quantity must be positive',
+      'items[0].price': 'Price must be zero or more'
+    });
+  });
+
+  it('rejects future dates, zero and oversized amounts and non-array items', () => {
+    expect(editErrors({ date: '2026-03-11' }).details.date).toBe('Date cannot be in the future');
+    expect(editErrors({ date: '10/03/2026' }).details.date).toBe('Date must be a valid YYYY-MM-DD date');
+    expect(editErrors({ amount: 0 }).details.amount).toBe('Amount must be a positive number');
+    expect(editErrors({ amount: 'ten' }).details.amount).toBe('Amount must be a positive number');
+    expect(editErrors({ amount: 2e9 }).details.amount).toBe('Amount must be a positive number');
+    expect(editErrors({ items: 'coffee' }).details.items).toBe('Items must be an array');
+  });
+});
+
+describe('missingFields', () => {
+  it('lists the merchant, date, amount and currency still to be entered', () => {
+    expect(missingFields(null)).toEqual(['merchant', 'date', 'amount', 'currency']);
+    expect(missingFields({ merchant: ' ', date: '2026-03-01', amount: 0, currency: 'MYR' })).toEqual(['merchant', 'amount']);
+    expect(missingFields({ merchant: 'Grab', date: '', amount: '0.00', currency: 'MYR' })).toEqual(['date', 'amount']);
+    expect(missingFields({ merchant: 'Grab', date: '2026-03-01', amount: 18.4, currency: '' })).toEqual(['currency']);
+  });
+
+  it('is empty once the receipt is claimable', () => {
+    expect(missingFields({ merchant: 'Grab', date: '2026-03-01', amount: '18.40', currency: 'MYR' })).toEqual([]);
+  });
+});
@@ -0,0 +1,440 @@
+/**
+ * Receipt Processing Service
+ * Uploads are stored and queued here (ingestFile); the slow part - OCR,
+ * categorisation, policy checks and duplicate analysis - runs in a
+ * background job once the file is stored. Receipts stay in `processing`
+ * until the job finishes, become `needs_review` if OCR cannot read them
+ * (or misses the merchant, date, amount or currency), and `failed` if the job is
+ * dead-lettered for another reason.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const uniapiService = require('./uniapiService');
+const duplicateDetectionService = require('./duplicateDetectionService');
+const policyService = require('./policyService');
+const storageService = require('./storageService');
+const eventStreamService = require('./eventStreamService');
+const jobQueueService = require('./jobQueueService');
+const pdfService = require('./pdfService');
+const ocrService = require('./ocrService');
+const receiptCorrectionService = require('./receiptCorrectionService');
+const ocrValidationService = require('./ocrValidationService');
+const categoryClassifierService = require('./categoryClassifierService');
+const { getCategoryById } = require('./categoryService');
+
+const JOB_TYPE = 'process_receipt';
+
+// UniAPI config
+const uniapiConfig = {
+  key: process.env.UNIAPI_KEY,
+  baseUrl: process.env.UNIAPI_BASE_URL,
+  model: process.env.UNIAPI_MODEL
+};
+
+// Unique index that stops the same file being uploaded twice at once
+const FILE_HASH_INDEX = 'idx_receipts_user_file_hash_live';
+
+async function findByFileHash(db, userId, fileHash) {
+  const result = await db.query(
+    'SELECT id, ocr_data FROM receipts WHERE user_id = $1 AND file_hash = $2 AND deleted_at IS NULL LIMIT 1',
+    [userId, fileHash]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Store an uploaded file and queue it for processing
+ * Byte-identical re-uploads are reported as duplicates before any OCR call.
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {string} userId - Uploader
+ * @param {Object} file - { key (storage key), originalName, mimeType, size, and path or buffer }
+ * @returns {Promise<Object>} { status: 'created', receiptId, jobId } or { status: 'duplicate', existingReceiptId, existingData }
+ */
+async function ingestFile(db, userId, file) {
+  const fileHash = file.buffer
+    ? crypto.createHash('sha256').update(file.buffer).digest('hex')
+    : uniapiService.calculateFileHash(file.path);
+
+  const existing = await findByFileHash(db, userId, fileHash);
+  if (existing) {
+    console.log(`🚫 Exact duplicate file detected: ${fileHash}`);
+    return { status: 'duplicate', existingReceiptId: existing.id, existingData: existing.ocr_data };
+  }
+
+  // Keep the file in the configured storage (the upload copy is temporary)
+  const fileStorage = storageService.getStorage();
+  const stored = await fileStorage.put(file.key, file.buffer || file.path, { contentType: file.mimeType });
+
+  const receiptId = uuidv4();
+  try {
+    await db.query(
+      `INSERT INTO receipts (
+        id, user_id, file_name, original_name, mime_type, file_size, original_size,
+        file_path, status, file_hash, storage_backend
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'processing', $9, $10)`,
+      [
+        receiptId, userId, file.key, file.originalName, file.mimeType,
+        file.size, file.size, stored.location, fileHash, fileStorage.name
+      ]
+    );
+  } catch (insertError) {
+    await fileStorage.delete(file.key).catch(() => {});
+    // Same file uploaded concurrently - the unique index wins the race
+    if (insertError.code === '23505' && insertError.constraint === FILE_HASH_INDEX) {
+      const winner = await findByFileHash(db, userId, fileHash);
+      return { status: 'duplicate', existingReceiptId: winner?.id, existingData: winner?.ocr_data };
+    }
+    throw insertError;
+  }
+
+  const job = await jobQueueService.enqueue(db, JOB_TYPE, { receiptId }, { subjectId: receiptId });
+  console.log(`📥 Receipt ${receiptId} queued for processing (job ${job.id})`);
+
+  return { status: 'created', receiptId, jobId: job.id };
+}
+
+/**
+ * Run the duplicate checks for a receipt (after OCR, and again after manual edits)
+ * A bill reference already on another of the user's receipts is always a duplicate.
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {string|null} filePath - Local path to the file, for the AI comparison
+ * @param {Object} data - Receipt OCR data
+ * @param {string} userId - Uploader
+ * @param {Object} options - { fileHash, perceptualHash, excludeReceiptId, ignoreReceiptIds (matches an admin cleared) }
+ * @returns {Promise<Object>} { duplicateStatus, duplicateOf, duplicateConfidence, potentialDuplicates, crossUserMatches }
+ */
+async function assessDuplicates(db, filePath, data, userId, {
+  fileHash, perceptualHash, excludeReceiptId, ignoreReceiptIds = []
+} = {}) {
+  const notIgnored = (match) => !ignoreReceiptIds.includes(match.id);
+  const potentialDuplicates = (await duplicateDetectionService.findPotentialDuplicates(
+    db, data, userId, { perceptualHash, excludeReceiptId }
+  )).filter(notIgnored);
+
+  let duplicateStatus = 'none';
+  let duplicateOf = null;
+  let duplicateConfidence = 0;
+
+  const topMatch = potentialDuplicates[0];
+  // Same image and same data - no need for the paid AI comparison
+  if (topMatch && topMatch.confidence >= 100 &&
+      topMatch.perceptualDistance !== null &&
+      topMatch.perceptualDistance <= duplicateDetectionService.PHASH_STRONG_DISTANCE) {
+    duplicateStatus = 'detected';
+    duplicateOf = topMatch.id;
+    duplicateConfidence = topMatch.confidence / 100;
+    console.log(`🖼️  Perceptual duplicate of ${topMatch.id} (distance ${topMatch.perceptualDistance})`);
+  }
+  // If high confidence duplicates found, use AI for deep analysis
+  else if (topMatch && topMatch.confidence >= 80 && filePath) {
+    try {
+      const aiAnalysis = await duplicateDetectionService.aiDuplicateAnalysis(
+        filePath, potentialDuplicates, uniapiConfig
+      );
+
+      if (aiAnalysis.isDuplicate && aiAnalysis.confidence > 0.7) {
+        duplicateStatus = 'detected';
+        duplicateOf = aiAnalysis.matchedReceiptId || potentialDuplicates[0].id;
+        duplicateConfidence = aiAnalysis.confidence;
+      }
+    } catch (aiError) {
+      console.error('AI duplicate analysis failed:', aiError.message);
+    }
+  }
+
+  // Org-wide pass: the same bill claimed by a different employee
+  const crossUserMatches = (await duplicateDetectionService.findCrossUserDuplicates(
+    db, data, userId, { fileHash, perceptualHash }
+  )).filter(notIgnored);
+
+  if (duplicateStatus === 'none' && crossUserMatches.length > 0 && crossUserMatches[0].confidence >= 75) {
+    duplicateStatus = 'cross_user';
+    duplicateOf = crossUserMatches[0].id;
+    duplicateConfidence = crossUserMatches[0].confidence / 100;
+    console.log(`👥 Cross-user duplicate of ${duplicateOf} (claimed by ${crossUserMatches[0].userId})`);
+  }
+
+  // Same bill reference as one of the user's receipts: the upload used to be rejected
+  // outright, now the receipt is kept but flagged as a duplicate
+  if (data.billReference) {
+    const existingByRef = await db.query(
+      `SELECT id FROM receipts
+       WHERE user_id = $1 AND ocr_data->>'billReference' = $2 AND id <> ALL($3) AND deleted_at IS NULL
+       LIMIT 1`,
+      [userId, data.billReference, [excludeReceiptId, ...ignoreReceiptIds].filter(Boolean)]
+    );
+    if (existingByRef.rows.length > 0) {
+      console.log(`🚫 Duplicate bill reference detected: ${data.billReference}`);
+      duplicateStatus = 'detected';
+      duplicateOf = existingByRef.rows[0].id;
+      duplicateConfidence = 1;
+    }
+  }
+
+  return { duplicateStatus, duplicateOf, duplicateConfidence, potentialDuplicates, crossUserMatches };
+}
+
+/**
+ * "(page 2)" / "(pages 2-3)" / "(pages 2, 4)" label for a split-off receipt
+ */
+function describePages(pages) {
+  if (pages.length === 1) return `page ${pages[0]}`;
+  const contiguous = pages.every((n, i) => i === 0 || n === pages[i - 1] + 1);
+  return `pages ${contiguous ? `${pages[0]}-${pages[pages.length - 1]}` : pages.join(', ')}`;
+}
+
+/**
+ * Create a receipt for each extra receipt found in an uploaded PDF
+ * Each gets a file holding only its pages (or a copy of the whole upload if the
+ * PDF cannot be split) and a job that reuses the OCR data already extracted.
+ * @returns {Promise<string[]>} New receipt IDs
+ */
+async function splitReceipts(db, source, filePath, extraReceipts) {
+  // A retried job must not create the split-off receipts twice
+  const existing = await db.query('SELECT id FROM receipts WHERE source_receipt_id = $1', [source.id]);
+  if (existing.rows.length > 0) {
+    return existing.rows.map(r => r.id);
+  }
+
+  const fileStorage = storageService.getStorage();
+  const baseName = source.original_name.replace(/\.pdf$/i, '');
+  const keyBase = source.file_name.replace(/\.pdf$/i, '');
+  const createdIds = [];
+
+  for (const extracted of extraReceipts) {
+    const { pages, ...ocr } = extracted;
+    const pageBuffer = await pdfService.extractPages(filePath, pages);
+    const buffer = pageBuffer || await fs.promises.readFile(filePath);
+    const key = `${keyBase}-p${pages.join('-')}.pdf`;
+    const stored = await fileStorage.put(key, buffer, { contentType: 'application/pdf' });
+
+    const receiptId = uuidv4();
+    await db.query(
+      `INSERT INTO receipts (
+        id, user_id, file_name, original_name, mime_type, file_size, original_size,
+        file_path, status, file_hash, storage_backend, source_receipt_id, source_pages
+      ) VALUES ($1, $2, $3, $4, 'application/pdf', $5, $5, $6, 'processing', $7, $8, $9, $10)`,
+      [
+        receiptId, source.user_id, key, `${baseName} (${describePages(pages)}).pdf`, buffer.length,
+        stored.location,
+        // Whole-file copies share the upload's bytes, so they must not claim its hash
+        pageBuffer ? crypto.createHash('sha256').update(pageBuffer).digest('hex') : null,
+        fileStorage.name, source.id, pages
+      ]
+    );
+    await jobQueueService.enqueue(db, JOB_TYPE, { receiptId, ocr }, { subjectId: receiptId });
+    createdIds.push(receiptId);
+  }
+
+  console.log(`📑 Split ${createdIds.length} extra receipt(s) out of ${source.id}`);
+  return createdIds;
+}
+
+/**
+ * OCR, categorise and check a stored receipt
+ * Multi-page PDFs are read as a whole; if they hold several receipts, the
+ * first is kept on this row and the rest are split into their own receipts.
+ * @param {Object} db - PostgreSQL db instance (with query method)
+ * @param {string} receiptId - Receipt in `processing` status
+ * @param {Object} options - { ocr } OCR data already extracted (receipts split out of a PDF)
+ * @returns {Promise<Object>} Job result { receiptId, status, duplicateStatus, splitReceiptIds } (or { skipped })
+ */
+async function processReceipt(db, receiptId, { ocr = null } = {}) {
+  const result = await db.query('SELECT * FROM receipts WHERE id = $1', [receiptId]);
+  const receipt = result.rows[0];
+  if (!receipt || receipt.status !== 'processing') {
+    // Deleted while queued, or already processed by an earlier attempt
+    return { receiptId, skipped: receipt ? receipt.status : 'missing' };
+  }
+
+  const userId = receipt.user_id;
+  const fileStorage = storageService.getStorage(receipt.storage_backend || 'local');
+  if (!(await fileStorage.exists(receipt.file_name))) {
+    throw new Error(`Receipt file ${receipt.file_name} not found in ${fileStorage.name} storage`);
+  }
+
+  return storageService.withLocalFile(fileStorage, receipt.file_name, async (filePath) => {
+    // Page count of an uploaded PDF (null if it cannot be parsed, or split-off receipts)
+    let pageCount = null;
+    if (!ocr && pdfService.isPdf(receipt.file_name)) {
+      pageCount = await pdfService.getPageCount(filePath);
+      if (pageCount > pdfService.MAX_PDF_PAGES) {
+        // Too long to send to OCR; retrying would not change that
+        return markNeedsReview(db, receipt, new Error(
+          `PDF has ${pageCount} pages; at most ${pdfService.MAX_PDF_PAGES} are supported`
+        ), pageCount);
+      }
+    }
+
+    // OCR with the configured provider(s); split-off receipts were read with their source
+    let ocrResult;
+    let sourcePages = receipt.source_pages;
+    let extraReceipts = [];
+    if (ocr) {
+      ocrResult = ocr;
+    } else {
+      let extraction;
+      try {
+        extraction = await ocrService.extractReceipts(filePath, { pageCount });
+      } catch (ocrError) {
+        // Transient failures go back to the job queue; otherwise the employee types it in
+        if (ocrError.retryable) throw ocrError;
+        return markNeedsReview(db, receipt, ocrError, pageCount);
+      }
+
+      const [first, ...rest] = extraction.receipts;
+      const { pages, ...data } = first;
+      ocrResult = data;
+      if (pages) sourcePages = pages;
+      extraReceipts = rest;
+    }
+
+    // Normalise and validate the OCR result against the schema; invalid values are dropped
+    const { data: validatedData, validation } = ocrValidationService.validateOcrData(ocrResult);
+
+    // Merchant memory, the learned classifier and the provider's suggestion; unsure picks are flagged
+    const categorized = await categoryClassifierService.categorize(db, validatedData);
+    const categoryId = categorized.categoryId;
+    console.log(`🏷️  Category ${categoryId} (${categorized.sources.join(' + ') || 'default'}, ${Math.round(categorized.confidence * 100)}% sure)`);
+    validatedData.category = categoryId;
+    validatedData.categoryName = getCategoryById(categoryId).name;
+    validatedData.categorySources = categorized.sources;
+    validatedData.categoryAlternatives = categorized.alternatives;
+    validatedData.fieldConfidence = { ...validatedData.fieldConfidence, category: categorized.confidence };
+
+    // Expense policy checks (per-diem, prohibited items, receipt age, ...)
+    const policyViolations = await policyService.evaluateReceipt(
+      db, validatedData, { userId, excludeIds: [receiptId] }
+    );
+    if (policyViolations.length > 0) {
+      console.log(`📏 Policy violations: ${policyViolations.map(v => `${v.policyId} (${v.severity})`).join(', ')}`);
+    }
+
+    // Check for duplicates (data match, perceptual image hash, other employees)
+    const perceptualHash = await duplicateDetectionService.computePerceptualHash(filePath);
+    const {
+      duplicateStatus, duplicateOf, duplicateConfidence, potentialDuplicates, crossUserMatches
+    } = await assessDuplicates(db, filePath, validatedData, userId, {
+      fileHash: receipt.file_hash, perceptualHash, excludeReceiptId: receiptId
+    });
+
+    const splitReceiptIds = extraReceipts.length > 0
+      ? await splitReceipts(db, receipt, filePath, extraReceipts)
+      : [];
+
+    // Anything OCR could not read (e.g. a zero total) is left for the employee
+    const missing = receiptCorrectionService.missingFields(validatedData);
+    let status = duplicateStatus === 'none' ? 'processed' : 'flagged';
+    if (missing.length > 0) {
+      status = 'needs_review';
+      console.warn(`📝 Receipt ${receiptId} needs review: could not read ${missing.join(', ')}`);
+    }
+
+    // Only finish receipts still waiting on this job (not deleted meanwhile)
+    const updated = await db.query(
+      `UPDATE receipts SET
+        ocr_data = $1,
+        category_id = $2,
+        status = $3,
+        duplicate_status = $4,
+        duplicate_of = $5,
+        duplicate_confidence = $6,
+        potential_duplicates = $7,
+        perceptual_hash = $8,
+        cross_user_matches = $9,
+        policy_violations = $10,
+        file_size = COALESCE($11, file_size),
+        original_size = COALESCE($12, original_size),
+        processing_error = $16,
+        source_pages = $14,
+        ocr_validation = $17,
+        page_count = COALESCE($15, page_count),
+        processed_at = NOW(),
+        updated_at = NOW()
+      WHERE id = $13 AND status = 'processing'`,
+      [
+        JSON.stringify(validatedData), categoryId, status,
+        duplicateStatus, duplicateOf, duplicateConfidence,
+        JSON.stringify(potentialDuplicates.slice(0, 3)),
+        perceptualHash ? perceptualHash.hash : null,
+        JSON.stringify(crossUserMatches.slice(0, 5)),
+        JSON.stringify(policyViolations),
+        ocrResult.fileSize || null, ocrResult.originalSize || null,
+        receiptId,
+        sourcePages, pageCount,
+        missing.length > 0 ? `Could not read ${missing.join(', ')}` : null,
+        JSON.stringify(validation)
+      ]
+    );
+
+    if (updated.rowCount === 0) {
+      return { receiptId, skipped: 'no longer processing' };
+    }
+
+    console.log(`✅ Receipt processed: ${receiptId} (${status})`);
+    await eventStreamService.publish(db, userId, 'receipt', { receiptId, status, duplicateStatus });
+    return { receiptId, status, duplicateStatus, splitReceiptIds };
+  });
+}
+
+/**
+ * No OCR provider could read the receipt: keep the file and wait for the employee's input
+ */
+async function markNeedsReview(db, receipt, error, pageCount = null) {
+  console.warn(`📝 Receipt ${receipt.id} needs manual entry: ${error.message}`);
+  const updated = await db.query(
+    `UPDATE receipts SET status = 'needs_review', processing_error = $1,
+      page_count = COALESCE($2, page_count), processed_at = NOW(), updated_at = NOW()
+     WHERE id = $3 AND status = 'processing'`,
+    [error.message, pageCount, receipt.id]
+  );
+  if (updated.rowCount === 0) {
+    return { receiptId: receipt.id, skipped: 'no longer processing' };
+  }
+
+  await eventStreamService.publish(db, receipt.user_id, 'receipt', {
+    receiptId: receipt.id, status: 'needs_review'
+  });
+  return { receiptId: receipt.id, status: 'needs_review' };
+}
+
+/**
+ * Dead-letter hook: the receipt will not be processed automatically
+ * OCR that kept failing leaves it for manual entry; other errors mark it failed.
+ */
+async function markFailed(db, receiptId, error) {
+  const status = error instanceof ocrService.OcrError ? 'needs_review' : 'failed';
+  const result = await db.query(
+    `UPDATE receipts SET status = $1, processing_error = $2, updated_at = NOW()
+     WHERE id = $3 AND status = 'processing'
+     RETURNING user_id`,
+    [status, (error && error.message) || String(error), receiptId]
+  );
+  if (result.rows.length > 0) {
+    await eventStreamService.publish(db, result.rows[0].user_id, 'receipt', { receiptId, status });
+  }
+}
+
+/**
+ * Job handlers for jobQueueService.startWorkers
+ */
+function jobHandlers(db) {
+  return {
+    [JOB_TYPE]: {
+      handle: (payload) => processReceipt(db, payload.receiptId, { ocr: payload.ocr }),
+      onDead: (payload, job, error) => markFailed(db, payload.receiptId, error)
+    }
+  };
+}
+
+module.exports = {
+  JOB_TYPE,
+  ingestFile,
+  assessDuplicates,
+  processReceipt,
+  markNeedsReview,
+  markFailed,
+  jobHandlers
+};
@@ -0,0 +1,61 @@
+// uuid and uniapiService (p-limit) are ESM-only; no OCR or AI call is made here
+jest.mock('uuid', () => ({ v4: jest.fn() }));
+jest.mock('./uniapiService', () => ({ withUniapiSlot: (fn) => fn() }));
+jest.mock('./duplicateDetectionService', () => ({
+  PHASH_STRONG_DISTANCE: 6,
+  findPotentialDuplicates: jest.fn(async () => []),
+  findCrossUserDuplicates: jest.fn(async () => [])
+}));
+
+const { assessDuplicates } = require('./receiptProcessingService');
+const { fakeDb } = require('../test/fakeDb');
+
+// Receipts of user u1 carrying a bill reference, as the lookup filters them
+function billReferenceDb(receipts) {
+  return fakeDb({
+    "ocr_data->>'billReference'": (userId, reference, excludedIds) => receipts
+      .filter(r => r.userId === userId && r.billReference === reference && !excludedIds.includes(r.id))
+      .map(r => ({ id: r.id }))
+  });
+}
+
+describe('assessDuplicates', () => {
+  const stored = [
+    { id: 'r1', userId: 'u1', billReference: 'INV-1001' },
+    { id: 'r2', userId: 'u1', billReference: 'INV-1001' }
+  ];
+  const ocrData = { merchant: 'Grab', date: '2026-03-02', amount: 18.4, billReference: 'INV-1001' };
+
+  it('flags a receipt whose bill reference the user already has', async () => {
+    const db = billReferenceDb(stored);
+    const result = await assessDuplicates(db, null, ocrData, 'u1', { excludeReceiptId: 'r2' });
+
+    expect(result).toMatchObject({ duplicateStatus: 'detected', duplicateOf: 'r1', duplicateConfidence: 1 });
+    expect(db.query.mock.calls[0][1]).toEqual(['u1', 'INV-1001', ['r2']]);
+  });
+
+  it('keeps the flag when a flagged receipt is edited without changing its bill reference', async () => {
+    const edited = { ...ocrData, amount: 18.5, merchant: 'Grab Food' };
+    const result = await assessDuplicates(billReferenceDb(stored), null, edited, 'u1', { excludeReceiptId: 'r2' });
+
+    expect(result).toMatchObject({ duplicateStatus: 'detected', duplicateOf: 'r1' });
+  });
+
+  it('clears the flag once the bill reference is corrected or an admin cleared the match', async () => {
+    const db = billReferenceDb(stored);
+
+    const corrected = await assessDuplicates(db, null, { ...ocrData, billReference: 'INV-1002' }, 'u1', { excludeReceiptId: 'r2' });
+    expect(corrected.duplicateStatus).toBe('none');
+
+    const cleared = await assessDuplicates(db, null, ocrData, 'u1', { excludeReceiptId: 'r2', ignoreReceiptIds: ['r1'] });
+    expect(cleared).toMatchObject({ duplicateStatus: 'none', duplicateOf: null });
+  });
+
+  it('does not match other employees or receipts without a bill reference', async () => {
+    const db = billReferenceDb(stored);
+
+    expect((await assessDuplicates(db, null, ocrData, 'u2', { excludeReceiptId: 'r3' })).duplicateStatus).toBe('none');
+    expect((await assessDuplicates(db, null, { ...ocrData, billReference: null }, 'u1', {})).duplicateStatus).toBe('none');
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+});
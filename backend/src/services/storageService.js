@@ -0,0 +1,383 @@
+/**
+ * Storage Service
+ * Where receipt files live, behind one small interface so the app can run on
+ * local disk (development) or an S3-compatible bucket (AWS S3, MinIO, R2...)
+ * that survives redeploys.
+ *
+ * Objects are addressed by key (the receipt's file_name). Every driver has:
+ *   put(key, source, { contentType })  source is a Buffer or a local file path
+ *   get(key)                           -> Buffer
+ *   createReadStream(key)              -> { stream, contentType, size }
+ *   exists(key) / delete(key) / move(fromKey, toKey)
+ *   location(key)                      human-readable location, stored in receipts.file_path
+ *
+ * Configuration (env):
+ *   STORAGE_DRIVER        local (default) | s3
+ *   UPLOAD_DIR            local root, default ./uploads
+ *   S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+ *   S3_FORCE_PATH_STYLE (default true when S3_ENDPOINT is set), S3_PREFIX
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf'
+};
+
+class StorageError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = 'StorageError';
+    this.statusCode = statusCode;
+  }
+}
+
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Reject keys that could escape the storage root
+ */
+function assertValidKey(key) {
+  if (typeof key !== 'string' || !key || key.startsWith('/') || key.includes('\\') ||
+      key.split('/').some(part => part === '' || part === '.' || part === '..')) {
+    throw new StorageError(`Invalid storage key "${key}"`, 400);
+  }
+  return key;
+}
+
+function readSource(source) {
+  return Buffer.isBuffer(source) ? source : fs.promises.readFile(source);
+}
+
+// ==================== LOCAL DISK ====================
+
+class LocalDiskStorage {
+  constructor({ root = './uploads' } = {}) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    return path.join(this.root, assertValidKey(key));
+  }
+
+  // Local files can be handed to sharp/OCR directly
+  localPath(key) {
+    return this.resolve(key);
+  }
+
+  location(key) {
+    return this.resolve(key);
+  }
+
+  async put(key, source) {
+    const target = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    if (Buffer.isBuffer(source)) {
+      await fs.promises.writeFile(target, source);
+    } else {
+      await fs.promises.copyFile(source, target);
+    }
+    return { key, location: target };
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new StorageError(`File not found: ${key}`, 404);
+      throw error;
+    }
+  }
+
+  async createReadStream(key) {
+    const filePath = this.resolve(key);
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new StorageError(`File not found: ${key}`, 404);
+      throw error;
+    }
+    return { stream: fs.createReadStream(filePath), contentType: contentTypeFor(key), size: stats.size };
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async move(fromKey, toKey) {
+    const target = this.resolve(toKey);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.rename(this.resolve(fromKey), target);
+    return { key: toKey, location: target };
+  }
+}
+
+// ==================== S3-COMPATIBLE ====================
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+function uriEncode(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+class S3Storage {
+  constructor({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' } = {}) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new StorageError('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    this.name = 's3';
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix.replace(/^\/+|\/+$/g, '');
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    // MinIO and most self-hosted stand-ins only support path-style URLs
+    this.forcePathStyle = forcePathStyle ?? !!endpoint;
+  }
+
+  objectKey(key) {
+    assertValidKey(key);
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  objectPath(key) {
+    const encoded = this.objectKey(key).split('/').map(uriEncode).join('/');
+    return this.forcePathStyle ? `/${uriEncode(this.bucket)}/${encoded}` : `/${encoded}`;
+  }
+
+  objectUrl(key) {
+    const url = new URL(this.endpoint.href);
+    if (!this.forcePathStyle) url.host = `${this.bucket}.${url.host}`;
+    url.pathname = this.objectPath(key);
+    return url;
+  }
+
+  location(key) {
+    return `s3://${this.bucket}/${this.objectKey(key)}`;
+  }
+
+  /**
+   * AWS Signature Version 4 headers for a request
+   * @param {string} method - HTTP method
+   * @param {URL} url - Request URL (path already encoded)
+   * @param {Object} headers - Extra headers to sign (lowercase names)
+   * @param {string} payloadHash - Hex SHA-256 of the body
+   * @param {Date} now - Signing time
+   * @returns {Object} Headers including Authorization
+   */
+  sign(method, url, headers = {}, payloadHash = sha256Hex(''), now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const signed = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const names = Object.keys(signed).map(n => n.toLowerCase()).sort();
+    const lower = Object.fromEntries(Object.entries(signed).map(([k, v]) => [k.toLowerCase(), v]));
+
+    const canonicalQuery = [...url.searchParams.entries()]
+      .map(([k, v]) => `${uriEncode(k)}=${uriEncode(v)}`)
+      .sort()
+      .join('&');
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      names.map(n => `${n}:${String(lower[n]).trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region), 's3'), 'aws4_request');
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    const { host, ...rest } = signed;
+    return {
+      ...rest,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+  }
+
+  async request(method, key, { body, headers = {}, responseType = 'arraybuffer' } = {}) {
+    const url = this.objectUrl(key);
+    const payload = body || Buffer.alloc(0);
+    const response = await axios({
+      method,
+      url: url.href,
+      data: body,
+      headers: this.sign(method, url, headers, sha256Hex(payload)),
+      responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true
+    });
+
+    if (response.status === 404) {
+      throw new StorageError(`File not found: ${key}`, 404);
+    }
+    if (response.status >= 300) {
+      const detail = responseType === 'arraybuffer' && response.data
+        ? Buffer.from(response.data).toString('utf8').slice(0, 300)
+        : '';
+      throw new StorageError(`S3 ${method} ${key} failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+    return response;
+  }
+
+  async put(key, source, { contentType } = {}) {
+    const body = await readSource(source);
+    await this.request('PUT', key, {
+      body,
+      headers: { 'content-type': contentType || contentTypeFor(key) }
+    });
+    return { key, location: this.location(key) };
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    return Buffer.from(response.data);
+  }
+
+  async createReadStream(key) {
+    const response = await this.request('GET', key, { responseType: 'stream' });
+    return {
+      stream: response.data,
+      contentType: response.headers['content-type'] || contentTypeFor(key),
+      size: parseInt(response.headers['content-length']) || undefined
+    };
+  }
+
+  async exists(key) {
+    try {
+      await this.request('HEAD', key);
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.request('DELETE', key);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+  }
+
+  // S3 has no rename: copy then delete
+  async move(fromKey, toKey) {
+    const source = `/${this.bucket}/${this.objectKey(fromKey)}`.split('/').map(uriEncode).join('/');
+    await this.request('PUT', toKey, { headers: { 'x-amz-copy-source': source } });
+    await this.delete(fromKey);
+    return { key: toKey, location: this.location(toKey) };
+  }
+}
+
+// ==================== DRIVER REGISTRY ====================
+
+const DEFAULT_DRIVER = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+const drivers = {};
+
+function createDriver(name) {
+  switch (name) {
+    case 'local':
+      return new LocalDiskStorage({ root: process.env.UPLOAD_DIR || './uploads' });
+    case 's3':
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === undefined
+          ? undefined
+          : process.env.S3_FORCE_PATH_STYLE === 'true',
+        prefix: process.env.S3_PREFIX || ''
+      });
+    default:
+      throw new StorageError(`Unknown storage driver "${name}"`);
+  }
+}
+
+/**
+ * Storage driver by name (cached); the configured default when omitted
+ * Receipts remember which driver holds their file, so older local files
+ * stay readable after switching STORAGE_DRIVER.
+ */
+function getStorage(name = DEFAULT_DRIVER) {
+  if (!drivers[name]) {
+    drivers[name] = createDriver(name);
+  }
+  return drivers[name];
+}
+
+/**
+ * Run fn with a local path to a stored file
+ * Local files are used in place; remote ones are downloaded to a temp
+ * file (keeping the extension, which sharp and the PDF checks rely on)
+ * and removed afterwards.
+ * @param {Object} storage - Driver from getStorage
+ * @param {string} key - Object key
+ * @param {Function} fn - async (filePath) => result
+ */
+async function withLocalFile(storage, key, fn) {
+  if (storage.localPath) {
+    return fn(storage.localPath(key));
+  }
+
+  const tmpPath = path.join(os.tmpdir(), `ee-${crypto.randomUUID()}${path.extname(key)}`);
+  await fs.promises.writeFile(tmpPath, await storage.get(key));
+  try {
+    return await fn(tmpPath);
+  } finally {
+    fs.unlink(tmpPath, () => {});
+  }
+}
+
+module.exports = {
+  DEFAULT_DRIVER,
+  StorageError,
+  LocalDiskStorage,
+  S3Storage,
+  getStorage,
+  withLocalFile,
+  contentTypeFor
+};
@@ -0,0 +1,478 @@
+/**
+ * Tamper Detection Service
+ * Local forensic checks on receipt files - no paid API calls.
+ * Each check produces evidence items with a weight (0-1); the weights are
+ * combined into an overall risk score so reviewers can see why a receipt
+ * was flagged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { reconcileItems } = require('./ocrReviewService');
+
+const ANALYSIS_VERSION = 1;
+
+// ELA tuning
+const ELA_QUALITY = 90;
+const ELA_BLOCK_SIZE = 32;
+const ELA_MIN_BLOCK_CONTRAST = 8; // Ignore blank paper blocks
+const ELA_OUTLIER_MADS = 6;
+
+// Risk level thresholds on the combined score
+const HIGH_RISK_SCORE = 0.6;
+const MEDIUM_RISK_SCORE = 0.3;
+
+// Software commonly used to alter images or PDFs (lowercase substrings)
+const IMAGE_EDITORS = [
+  'photoshop', 'gimp', 'canva', 'pixelmator', 'snapseed', 'lightroom', 'picsart',
+  'affinity', 'paint.net', 'illustrator', 'photopea', 'fotor', 'pixlr', 'inkscape'
+];
+const PDF_EDITORS = [
+  'pdfescape', 'sejda', 'ilovepdf', 'smallpdf', 'pdffiller', 'dochub', 'pdf-xchange',
+  'phantompdf', 'nitro', 'pdfelement', 'foxit pdf editor', 'acrobat pro', 'canva',
+  'photoshop'
+];
+
+const EXIF_TAGS = {
+  0x010f: 'make',
+  0x0110: 'model',
+  0x0131: 'software',
+  0x0132: 'dateTime',
+  0x9003: 'dateTimeOriginal',
+  0x9004: 'dateTimeDigitized'
+};
+const EXIF_SUB_IFD = 0x8769;
+
+/**
+ * Build an evidence item
+ */
+function evidence(check, weight, message, details = {}) {
+  let severity = 'info';
+  if (weight >= 0.5) severity = 'high';
+  else if (weight >= 0.25) severity = 'medium';
+  else if (weight > 0.05) severity = 'low';
+  return { check, severity, weight, message, details };
+}
+
+/**
+ * Median of a numeric array
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Parse "YYYY:MM:DD HH:MM:SS" (EXIF) into a Date
+ */
+function parseExifDate(value) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s] = match;
+  return new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+}
+
+/**
+ * Parse "D:YYYYMMDDHHmmSS" (PDF) into a Date
+ */
+function parsePdfDate(value) {
+  const match = /^D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?/.exec(value || '');
+  if (!match) return null;
+  const [, y, mo = '01', d = '01', h = '00', mi = '00', s = '00'] = match;
+  return new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+}
+
+/**
+ * Parse the receipt date from OCR data (YYYY-MM-DD)
+ */
+function parseReceiptDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read ASCII tags from a raw EXIF block (as returned by sharp metadata)
+ */
+function readExifTags(exif) {
+  const tags = {};
+  if (!exif || exif.length < 8) return tags;
+
+  try {
+    const start = exif.toString('ascii', 0, 4) === 'Exif' ? 6 : 0;
+    const tiff = exif.subarray(start);
+    const littleEndian = tiff.toString('ascii', 0, 2) === 'II';
+    const u16 = o => littleEndian ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o);
+    const u32 = o => littleEndian ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o);
+
+    const readIfd = (offset) => {
+      if (!offset || offset + 2 > tiff.length) return;
+      const count = u16(offset);
+      for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+        const tag = u16(entry);
+        const type = u16(entry + 2);
+        const length = u32(entry + 4);
+
+        if (tag === EXIF_SUB_IFD) {
+          readIfd(u32(entry + 8));
+        } else if (type === 2 && EXIF_TAGS[tag]) {
+          const valueOffset = length <= 4 ? entry + 8 : u32(entry + 8);
+          if (valueOffset + length > tiff.length) continue;
+          tags[EXIF_TAGS[tag]] = tiff
+            .toString('latin1', valueOffset, valueOffset + length)
+            .replace(/\0[\s\S]*$/, '')
+            .trim();
+        }
+      }
+    };
+
+    readIfd(u32(4));
+  } catch (error) {
+    console.warn('EXIF parse failed:', error.message);
+  }
+
+  return tags;
+}
+
+/**
+ * Luma (BT.601) of the pixel at idx in a raw buffer
+ */
+function toLuma(data, idx, channels) {
+  if (channels < 3) return data[idx];
+  return 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+}
+
+/**
+ * Error Level Analysis
+ * Re-saves the image at a known JPEG quality and measures how much each
+ * block changes, normalised by the block's own contrast. Regions pasted in
+ * from another source recompress differently from the rest of the receipt.
+ * Only luma is compared - chroma subsampling makes saturated colours noisy.
+ */
+async function errorLevelAnalysis(filePath) {
+  const base = sharp(filePath).removeAlpha();
+  const { data: original, info } = await base.clone().raw().toBuffer({ resolveWithObject: true });
+  const recompressed = await base.clone().jpeg({ quality: ELA_QUALITY }).toBuffer();
+  const { data: resaved } = await sharp(recompressed).raw().toBuffer({ resolveWithObject: true });
+
+  const { width, height, channels } = info;
+  const cols = Math.ceil(width / ELA_BLOCK_SIZE);
+  const rows = Math.ceil(height / ELA_BLOCK_SIZE);
+  const blocks = [];
+  let totalError = 0;
+
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      let errorSum = 0;
+      let lumaSum = 0;
+      let lumaSqSum = 0;
+      let pixels = 0;
+
+      const yEnd = Math.min((by + 1) * ELA_BLOCK_SIZE, height);
+      const xEnd = Math.min((bx + 1) * ELA_BLOCK_SIZE, width);
+      for (let y = by * ELA_BLOCK_SIZE; y < yEnd; y++) {
+        for (let x = bx * ELA_BLOCK_SIZE; x < xEnd; x++) {
+          const idx = (y * width + x) * channels;
+          const luma = toLuma(original, idx, channels);
+          errorSum += Math.abs(luma - toLuma(resaved, idx, channels));
+          lumaSum += luma;
+          lumaSqSum += luma * luma;
+          pixels++;
+        }
+      }
+
+      const meanError = errorSum / pixels;
+      const meanLuma = lumaSum / pixels;
+      const contrast = Math.sqrt(Math.max(0, lumaSqSum / pixels - meanLuma * meanLuma));
+      totalError += errorSum;
+
+      if (contrast >= ELA_MIN_BLOCK_CONTRAST) {
+        blocks.push({ x: bx * ELA_BLOCK_SIZE, y: by * ELA_BLOCK_SIZE, meanError, contrast, ratio: meanError / contrast });
+      }
+    }
+  }
+
+  const ratios = blocks.map(b => b.ratio);
+  const medianRatio = median(ratios);
+  const mad = median(ratios.map(r => Math.abs(r - medianRatio))) || 0.0001;
+  const threshold = medianRatio + ELA_OUTLIER_MADS * mad;
+  const outliers = blocks
+    .filter(b => b.ratio > threshold)
+    .sort((a, b) => b.ratio - a.ratio);
+
+  const outlierFraction = blocks.length > 0 ? outliers.length / blocks.length : 0;
+
+  // Localised outliers are suspicious; a whole image with high error is just a
+  // low-quality capture, so the score tapers off once outliers are widespread.
+  let score = 0;
+  if (outliers.length > 0 && outlierFraction <= 0.15) {
+    const peak = outliers[0].ratio / (medianRatio || 0.0001);
+    score = Math.min(1, (peak - 1) / 4) * Math.min(1, outliers.length / 3);
+  }
+
+  return {
+    score: Math.round(score * 100) / 100,
+    meanError: Math.round((totalError / (width * height)) * 100) / 100,
+    contentBlocks: blocks.length,
+    outlierBlocks: outliers.length,
+    outlierFraction: Math.round(outlierFraction * 1000) / 1000,
+    regions: outliers.slice(0, 5).map(b => ({
+      x: b.x,
+      y: b.y,
+      width: ELA_BLOCK_SIZE,
+      height: ELA_BLOCK_SIZE,
+      ratio: Math.round((b.ratio / (medianRatio || 0.0001)) * 10) / 10
+    })),
+    width,
+    height
+  };
+}
+
+/**
+ * Image checks: ELA plus EXIF/XMP software and timestamp inspection
+ */
+async function analyzeImage(filePath, ocrData, ext) {
+  const items = [];
+  const metadata = await sharp(filePath).metadata();
+  const exif = readExifTags(metadata.exif);
+  const xmp = metadata.xmp ? metadata.xmp.toString('utf8') : '';
+
+  // Error level analysis
+  try {
+    const ela = await errorLevelAnalysis(filePath);
+    if (ela.score >= 0.2) {
+      items.push(evidence('ela', Math.min(0.7, ela.score),
+        `Error level analysis found ${ela.outlierBlocks} region(s) that recompress differently from the rest of the image`,
+        ela));
+    } else {
+      items.push(evidence('ela', 0, 'Error level analysis shows consistent compression', ela));
+    }
+  } catch (error) {
+    items.push(evidence('ela', 0, 'Error level analysis could not be run', { error: error.message }));
+  }
+
+  // Editing software recorded in EXIF or XMP
+  const software = (exif.software || '').toLowerCase();
+  const exifEditor = IMAGE_EDITORS.find(e => software.includes(e));
+  if (exifEditor) {
+    items.push(evidence('exif_software', 0.6, `Image was saved by editing software: ${exif.software}`, { software: exif.software }));
+  }
+
+  const creatorTool = /CreatorTool(?:="|>)([^"<]+)/.exec(xmp)?.[1] || '';
+  const xmpEditor = IMAGE_EDITORS.find(e => creatorTool.toLowerCase().includes(e));
+  if (xmpEditor && xmpEditor !== exifEditor) {
+    items.push(evidence('xmp_creator', 0.5, `XMP metadata names editing software: ${creatorTool}`, { creatorTool }));
+  }
+  if (/photoshop:History|stEvt:action="(?:saved|derived)"/.test(xmp)) {
+    items.push(evidence('xmp_history', 0.35, 'XMP metadata contains an edit history', {}));
+  }
+
+  // Timestamps
+  const modified = parseExifDate(exif.dateTime);
+  const captured = parseExifDate(exif.dateTimeOriginal || exif.dateTimeDigitized);
+  if (modified && captured && Math.abs(modified - captured) > 60 * 1000) {
+    items.push(evidence('exif_dates', 0.3,
+      'Image was modified after it was captured',
+      { dateTimeOriginal: exif.dateTimeOriginal, dateTime: exif.dateTime }));
+  }
+
+  const receiptDate = parseReceiptDate(ocrData?.date);
+  if (captured && receiptDate && captured.getTime() + 24 * 60 * 60 * 1000 < receiptDate.getTime()) {
+    items.push(evidence('capture_before_purchase', 0.5,
+      `Photo was taken (${exif.dateTimeOriginal}) before the receipt date (${ocrData.date})`,
+      { dateTimeOriginal: exif.dateTimeOriginal, receiptDate: ocrData.date }));
+  }
+
+  if ((ext === '.jpg' || ext === '.jpeg') && !metadata.exif) {
+    items.push(evidence('exif_missing', 0.05,
+      'No EXIF metadata (common for screenshots and messaging apps, but also for re-saved edits)', {}));
+  }
+
+  return {
+    items,
+    metadata: {
+      format: metadata.format,
+      width: metadata.width,
+      height: metadata.height,
+      exif,
+      creatorTool: creatorTool || null
+    }
+  };
+}
+
+/**
+ * Read a PDF info-dictionary or XMP value
+ */
+function readPdfField(text, name) {
+  const dict = new RegExp(`/${name}\\s*\\(((?:\\\\.|[^\\\\)])*)\\)`).exec(text);
+  if (dict) {
+    const value = dict[1].replace(/\\(.)/g, '$1');
+    const isUtf16 = value.charCodeAt(0) === 0xfe && value.charCodeAt(1) === 0xff;
+    return (isUtf16 ? Buffer.from(value.slice(2), 'latin1').swap16().toString('utf16le') : value).trim();
+  }
+  const hex = new RegExp(`/${name}\\s*<([0-9A-Fa-f]+)>`).exec(text);
+  if (hex) {
+    const buffer = Buffer.from(hex[1], 'hex');
+    const isUtf16 = buffer[0] === 0xfe && buffer[1] === 0xff;
+    return (isUtf16 ? buffer.subarray(2).swap16().toString('utf16le') : buffer.toString('latin1')).trim();
+  }
+  return null;
+}
+
+/**
+ * PDF checks: producer/creator software, modification dates, incremental saves
+ */
+function analyzePdf(filePath, ocrData) {
+  const items = [];
+  const text = fs.readFileSync(filePath).toString('latin1');
+
+  const producer = readPdfField(text, 'Producer') || /<pdf:Producer>([^<]+)</.exec(text)?.[1] || null;
+  const creator = readPdfField(text, 'Creator') || /<xmp:CreatorTool>([^<]+)</.exec(text)?.[1] || null;
+  const creationRaw = readPdfField(text, 'CreationDate');
+  const modRaw = readPdfField(text, 'ModDate');
+  const created = parsePdfDate(creationRaw) || parseReceiptDate(/<xmp:CreateDate>([^<]+)</.exec(text)?.[1]);
+  const modified = parsePdfDate(modRaw) || parseReceiptDate(/<xmp:ModifyDate>([^<]+)</.exec(text)?.[1]);
+  const revisions = (text.match(/%%EOF/g) || []).length;
+
+  const software = `${producer || ''} ${creator || ''}`.toLowerCase();
+  const editor = PDF_EDITORS.find(e => software.includes(e));
+  if (editor) {
+    items.push(evidence('pdf_producer', 0.5,
+      `PDF was produced or edited with ${producer || creator}, which is not typical for system-generated invoices`,
+      { producer, creator }));
+  }
+
+  if (created && modified && modified - created > 60 * 1000) {
+    items.push(evidence('pdf_modified', 0.3,
+      'PDF was modified after it was created',
+      { creationDate: created.toISOString(), modDate: modified.toISOString() }));
+  }
+
+  if (revisions > 1) {
+    items.push(evidence('pdf_incremental_update', 0.3,
+      `PDF has been saved ${revisions} times (incremental updates appended after creation)`,
+      { revisions }));
+  }
+
+  const receiptDate = parseReceiptDate(ocrData?.date);
+  if (created && receiptDate && created.getTime() + 24 * 60 * 60 * 1000 < receiptDate.getTime()) {
+    items.push(evidence('pdf_created_before_bill', 0.4,
+      `PDF was created (${created.toISOString().split('T')[0]}) before the bill date (${ocrData.date})`,
+      { creationDate: created.toISOString(), receiptDate: ocrData.date }));
+  }
+
+  if (!producer && !creator) {
+    items.push(evidence('pdf_metadata_missing', 0.05, 'PDF has no producer or creator metadata (may have been stripped)', {}));
+  }
+
+  return {
+    items,
+    metadata: {
+      producer,
+      creator,
+      creationDate: created ? created.toISOString() : null,
+      modDate: modified ? modified.toISOString() : null,
+      revisions
+    }
+  };
+}
+
+/**
+ * Cross-check OCR'd line items and dates against the stated total
+ */
+function analyzeConsistency(ocrData) {
+  const items = [];
+  const reconciled = reconcileItems(ocrData);
+
+  if (reconciled) {
+    const { outcome, ...details } = reconciled;
+    const { statedTotal, itemsTotal } = details;
+
+    if (outcome === 'items_exceed_total') {
+      items.push(evidence('items_exceed_total', 0.45,
+        `Line items add up to ${itemsTotal}, more than the stated total of ${statedTotal}`, details));
+    } else if (outcome === 'total_exceeds_items') {
+      items.push(evidence('total_exceeds_items', 0.3,
+        `Stated total ${statedTotal} is ${Math.round((statedTotal / itemsTotal - 1) * 100)}% above the line items (${itemsTotal}), beyond typical tax and service charges`,
+        details));
+    } else {
+      items.push(evidence('items_total', 0, 'Line items reconcile with the stated total', details));
+    }
+  }
+
+  const receiptDate = parseReceiptDate(ocrData?.date);
+  if (receiptDate && receiptDate.getTime() > Date.now() + 24 * 60 * 60 * 1000) {
+    items.push(evidence('future_date', 0.4, `Receipt date ${ocrData.date} is in the future`, { receiptDate: ocrData.date }));
+  }
+
+  return { items };
+}
+
+/**
+ * Run all forensic checks on a receipt file
+ * @param {string} filePath - Path to the uploaded file
+ * @param {Object} ocrData - Validated OCR data stored on the receipt
+ * @returns {Promise<Object>} Tamper check result for receipts.tamper_check
+ */
+async function analyzeReceipt(filePath, ocrData = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  const evidenceItems = [];
+  const scores = {};
+  const metadata = {};
+  let checksRun = 0;
+  let checksFailed = 0;
+
+  const runCheck = async (name, fn) => {
+    checksRun++;
+    try {
+      const result = await fn();
+      evidenceItems.push(...result.items);
+      if (result.metadata) metadata[name] = result.metadata;
+      scores[name] = Math.max(0, ...result.items.map(i => i.weight));
+    } catch (error) {
+      checksFailed++;
+      console.warn(`Tamper check "${name}" failed:`, error.message);
+      evidenceItems.push(evidence(name, 0, `${name} check could not be completed`, { error: error.message }));
+    }
+  };
+
+  if (ext === '.pdf') {
+    await runCheck('pdf', () => analyzePdf(filePath, ocrData));
+  } else {
+    await runCheck('image', () => analyzeImage(filePath, ocrData, ext));
+  }
+  await runCheck('consistency', () => analyzeConsistency(ocrData));
+
+  // Independent evidence compounds: 1 - product of (1 - weight)
+  const riskScore = 1 - evidenceItems.reduce((acc, e) => acc * (1 - e.weight), 1);
+  const riskLevel = riskScore >= HIGH_RISK_SCORE ? 'high' : riskScore >= MEDIUM_RISK_SCORE ? 'medium' : 'low';
+  const findings = evidenceItems
+    .filter(e => e.weight > 0.05)
+    .sort((a, b) => b.weight - a.weight);
+
+  return {
+    isTampered: riskLevel === 'high',
+    riskLevel,
+    riskScore: Math.round(riskScore * 100) / 100,
+    confidence: checksRun > 0 ? (checksRun - checksFailed) / checksRun : 0,
+    reasons: findings.length > 0
+      ? findings.map(e => e.message)
+      : ['No signs of tampering detected'],
+    evidence: evidenceItems,
+    scores,
+    metadata,
+    version: ANALYSIS_VERSION,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  analyzeReceipt,
+  errorLevelAnalysis,
+  readExifTags
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { analyzeReceipt } = require('./tamperDetectionService');
+
+const RECEIPT_SVG = Buffer.from(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="300" height="400"><rect width="300" height="400" fill="#fff"/>'
+  + '<rect x="20" y="30" width="200" height="10" fill="#222"/><rect x="20" y="60" width="120" height="10" fill="#222"/></svg>'
+);
+
+const checks = (result) => Object.fromEntries(result.evidence.map(e => [e.check, e.weight]));
+
+describe('analyzeReceipt', () => {
+  let dir;
+  let photo;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tamper-'));
+    photo = path.join(dir, 'receipt.jpg');
+    await sharp(RECEIPT_SVG).jpeg({ quality: 90 }).toFile(photo);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('finds nothing on an untouched photo whose items match the total', async () => {
+    const result = await analyzeReceipt(photo, { amount: 10.6, date: '2026-03-02', items: [{ name: 'Teh', price: 5.3, quantity: 2 }] });
+
+    expect(result.riskLevel).toBe('low');
+    expect(result.isTampered).toBe(false);
+    expect(checks(result)).toMatchObject({ items_total: 0 });
+    expect(result.reasons).toEqual(['No signs of tampering detected']);
+  });
+
+  it('weighs line items above the total and a future date as high risk', async () => {
+    const result = await analyzeReceipt(photo, { amount: 10, date: '2099-01-01', items: [{ name: 'Steak', price: 30 }] });
+
+    expect(checks(result)).toMatchObject({ items_exceed_total: 0.45, future_date: 0.4 });
+    expect(result.riskLevel).toBe('high');
+    expect(result.reasons).toEqual([
+      'Line items add up to 30, more than the stated total of 10',
+      'Receipt date 2099-01-01 is in the future'
+    ]);
+  });
+
+  it('reports a total well above the line items', async () => {
+    const result = await analyzeReceipt(photo, { amount: 20, items: [{ name: 'Nasi lemak', price: 10 }] });
+
+    expect(checks(result)).toMatchObject({ total_exceeds_items: 0.3 });
+    expect(result.reasons).toEqual([
+      'Stated total 20 is 100% above the line items (10), beyond typical tax and service charges'
+    ]);
+  });
+
+  it('flags images saved by editing software', async () => {
+    const edited = path.join(dir, 'edited.jpg');
+    await sharp(RECEIPT_SVG).withMetadata({ exif: { IFD0: { Software: 'Adobe Photoshop 25.0' } } }).jpeg().toFile(edited);
+
+    const result = await analyzeReceipt(edited, {});
+    expect(checks(result)).toMatchObject({ exif_software: 0.6 });
+    expect(result.metadata.image.exif.software).toBe('Adobe Photoshop 25.0');
+    expect(result.riskLevel).toBe('high');
+  });
+});
@@ -3,7 +3,25 @@ const fs = require('fs');
 const crypto = require('crypto');
 const sharp = require('sharp');
 const path = require('path');
-const { getAllCategories } = require('../config/categories');
+const { getAllCategories } = require('./categoryService');
+const tamperDetectionService = require('./tamperDetectionService');
+const ocrReviewService = require('./ocrReviewService');
+
+// Process-wide cap on in-flight UniAPI requests (OCR and duplicate analysis),
+// so bulk uploads and several job workers do not trip the provider's rate limits
+const UNIAPI_CONCURRENCY = parseInt(process.env.UNIAPI_CONCURRENCY) || 2;
+
+// p-limit is ESM-only, so it is loaded with a dynamic import
+const uniapiLimit = import('p-limit').then(({ default: pLimit }) => pLimit(UNIAPI_CONCURRENCY));
+
+/**
+ * Run a UniAPI request once a concurrency slot is free
+ * @param {Function} fn - async () => result
+ */
+async function withUniapiSlot(fn) {
+  const limit = await uniapiLimit;
+  return limit(fn);
+}
 
 /**
  * Process image before sending to API
@@ -74,10 +92,17 @@ function calculateFileHash(filePath) {
   return crypto.createHash('sha256').update(fileBuffer).digest('hex');
 }
 
+// UniAPI itself; other OpenAI-compatible endpoints pass their own (see ocrService)
+const DEFAULT_ENDPOINT = {
+  baseUrl: process.env.UNIAPI_BASE_URL,
+  apiKey: process.env.UNIAPI_KEY,
+  model: process.env.UNIAPI_MODEL
+};
+
 /**
- * Call UniAPI with prompt
+ * Call UniAPI (or another OpenAI-compatible endpoint) with prompt
  */
-async function callUniAPI(prompt, fileBase64, mimeType = 'image/jpeg', maxTokens = 2000) {
+async function callUniAPI(prompt, fileBase64, mimeType = 'image/jpeg', maxTokens = 2000, endpoint = DEFAULT_ENDPOINT) {
   // STRICT OPENAI API STANDARD:
   // OpenAI chat completions only support 'text' and 'image_url' in the content array.
   // For Gemini 3 Flash via UniAPI (OpenAI-compatible), we pass the PDF as an image_url
@@ -97,7 +122,7 @@ async function callUniAPI(prompt, fileBase64, mimeType = 'image/jpeg', maxTokens
   ];
 
   const payload = {
-    model: process.env.UNIAPI_MODEL,
+    model: endpoint.model,
     messages: [
       {
         role: 'user',
@@ -110,18 +135,18 @@ async function callUniAPI(prompt, fileBase64, mimeType = 'image/jpeg', maxTokens
     response_format: { type: "json_object" }
   };
 
-  const response = await axios.post(
-    `${process.env.UNIAPI_BASE_URL}/chat/completions`,
+  const response = await withUniapiSlot(() => axios.post(
+    `${endpoint.baseUrl}/chat/completions`,
     payload,
     {
       headers: {
-        'Authorization': `Bearer ${process.env.UNIAPI_KEY}`,
+        'Authorization': `Bearer ${endpoint.apiKey}`,
         'Content-Type': 'application/json',
         'Accept': 'application/json'
       },
       timeout: 60000 // Increased timeout for large PDFs
     }
-  );
+  ));
   
   if (!response.data || !response.data.choices || !response.data.choices[0]) {
     throw new Error('Invalid response structure from OpenAI-compatible API');
@@ -131,22 +156,12 @@ async function callUniAPI(prompt, fileBase64, mimeType = 'image/jpeg', maxTokens
 }
 
 /**
- * Extract receipt data using user's exact prompt
+ * Shared extraction instructions (categories, rules, fields)
  */
-async function extractReceiptData(imagePath) {
-  const maxRetries = 3;
-  const categories = getAllCategories();
-  const categoryList = categories.map(c => `${c.id} (${c.name})`).join(', ');
-  
-  // Read and process image
-  const processedResult = await processImage(imagePath);
-  const base64File = processedResult.buffer.toString('base64');
-  const fileHash = calculateFileHash(imagePath);
-  const ext = path.extname(imagePath).toLowerCase();
-  const mimeType = ext === '.pdf' ? 'application/pdf' : 'image/jpeg';
-  
-  // USER'S EXACT PROMPT - OPTIMIZED FOR ACCURACY
-  const prompt = `You are a high-precision OCR assistant. Your task is to extract data from the provided receipt or invoice. 
+function buildExtractionPrompt(intro, structure) {
+  const categoryList = getAllCategories().map(c => `${c.id} (${c.name})`).join(', ');
+
+  return `${intro}
   
   CRITICAL RULES:
   1. Extract values EXACTLY as they appear. Do NOT hallucinate names like "test merchant".
@@ -154,6 +169,7 @@ async function extractReceiptData(imagePath) {
   3. The total_amount must be the final amount paid (including tax/service charge).
   4. Identify the currency correctly. Use standard 3-letter ISO 4217 codes (e.g., MYR, USD, SGD, EUR).
   5. Return ONLY a strict JSON object. No markdown, no text.
+  6. Rate how sure you are of each value from 0.0 to 1.0. Use low values for blurred, cut off, handwritten or guessed values; do not default to 1.0.
 
   Available Categories: ${categoryList}
 
@@ -165,10 +181,14 @@ async function extractReceiptData(imagePath) {
   - reference_number (string): Invoice/Receipt #.
   - payment_method (string): Cash, Card, etc.
   - category (string): Must be one of the IDs from the list above.
-  - bill_items (array): [{item_description, quantity, price}]
+  - bill_items (array): [{item_description, quantity, price, confidence}]
+  - field_confidence (object): {vendor_name, date, total_amount} each 0.0-1.0
 
   JSON Structure:
-  {
+  ${structure}`;
+}
+
+const RECEIPT_JSON_STRUCTURE = `{
     "total_amount": 0.00,
     "currency_code": "MYR",
     "vendor_name": "",
@@ -176,15 +196,22 @@ async function extractReceiptData(imagePath) {
     "reference_number": "",
     "payment_method": "",
     "category": "",
-    "bill_items": []
+    "bill_items": [],
+    "field_confidence": { "vendor_name": 0.0, "date": 0.0, "total_amount": 0.0 }
   }`;
 
+/**
+ * Send a prompt with the file and parse the JSON answer, retrying with backoff
+ */
+async function requestOcrJson(prompt, base64File, mimeType, maxTokens = 2000, endpoint = DEFAULT_ENDPOINT) {
+  const maxRetries = 3;
+
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       const apiStartTime = Date.now();
       console.log(`OCR attempt ${attempt}/${maxRetries} starting...`);
       
-      const response = await callUniAPI(prompt, base64File, mimeType, 2000);
+      const response = await callUniAPI(prompt, base64File, mimeType, maxTokens, endpoint);
       
       const apiDuration = Date.now() - apiStartTime;
       console.log(`📡 API call finished in ${apiDuration}ms`);
@@ -195,32 +222,7 @@ async function extractReceiptData(imagePath) {
         throw new Error('No JSON found in response');
       }
       
-      const parsed = JSON.parse(jsonMatch[0]);
-      
-      // Transform to internal format
-      const result = {
-        amount: parsed.total_amount || 0,
-        currency: parsed.currency_code || 'MYR', 
-        currencySymbol: parsed.currency_code === 'MYR' ? 'RM' : (parsed.currency_code === 'USD' ? '$' : parsed.currency_code),
-        merchant: parsed.vendor_name || 'Unknown',
-        date: parsed.date || '',
-        billReference: parsed.reference_number || '',
-        paymentMethod: parsed.payment_method || '',
-        category: parsed.category || 'misc',
-        items: parsed.bill_items?.map(item => ({
-          name: item.item_description || '',
-          quantity: item.quantity || 1,
-          price: item.price || 0
-        })) || [],
-        confidence: 0.95, // Simplified
-        fileHash: fileHash,
-        fileSize: processedResult.processedSize,
-        originalSize: processedResult.originalSize,
-        rawOcr: parsed
-      };
-      
-      console.log('OCR result:', result);
-      return result;
+      return JSON.parse(jsonMatch[0]);
       
     } catch (error) {
       if (error.response?.status === 402) {
@@ -238,25 +240,149 @@ async function extractReceiptData(imagePath) {
 }
 
 /**
- * Simple validation
+ * Transform the model's JSON to the internal receipt format
+ */
+function mapOcrResult(parsed) {
+  const confidence = parsed.field_confidence || {};
+  const fieldConfidence = {
+    merchant: ocrReviewService.toConfidence(confidence.vendor_name),
+    date: ocrReviewService.toConfidence(confidence.date),
+    amount: ocrReviewService.toConfidence(confidence.total_amount)
+  };
+
+  return {
+    amount: parsed.total_amount || 0,
+    currency: parsed.currency_code || 'MYR', 
+    currencySymbol: parsed.currency_code === 'MYR' ? 'RM' : (parsed.currency_code === 'USD' ? '$' : parsed.currency_code),
+    merchant: parsed.vendor_name || '',
+    date: parsed.date || '',
+    billReference: parsed.reference_number || '',
+    paymentMethod: parsed.payment_method || '',
+    category: parsed.category || 'misc',
+    items: parsed.bill_items?.map(item => ({
+      name: item.item_description || '',
+      quantity: item.quantity || 1,
+      price: item.price || 0,
+      confidence: ocrReviewService.toConfidence(item.confidence)
+    })) || [],
+    fieldConfidence,
+    confidence: ocrReviewService.overallConfidence(fieldConfidence),
+    rawOcr: parsed
+  };
+}
+
+/**
+ * Extract receipt data using user's exact prompt
  */
-function validateReceiptData(data) {
-  if (!data.amount || data.amount <= 0) {
-    throw new Error('Invalid amount');
+async function extractReceiptData(imagePath, { endpoint = DEFAULT_ENDPOINT } = {}) {
+  // Read and process image
+  const processedResult = await processImage(imagePath);
+  const base64File = processedResult.buffer.toString('base64');
+  const fileHash = calculateFileHash(imagePath);
+  const ext = path.extname(imagePath).toLowerCase();
+  const mimeType = ext === '.pdf' ? 'application/pdf' : 'image/jpeg';
+  
+  // USER'S EXACT PROMPT - OPTIMIZED FOR ACCURACY
+  const prompt = buildExtractionPrompt(
+    'You are a high-precision OCR assistant. Your task is to extract data from the provided receipt or invoice. ',
+    RECEIPT_JSON_STRUCTURE
+  );
+
+  const parsed = await requestOcrJson(prompt, base64File, mimeType, 2000, endpoint);
+
+  const result = {
+    ...mapOcrResult(parsed),
+    fileHash: fileHash,
+    fileSize: processedResult.processedSize,
+    originalSize: processedResult.originalSize
+  };
+  
+  console.log('OCR result:', result);
+  return result;
+}
+
+/**
+ * Extract every receipt in a multi-page PDF
+ * The model sees the whole document, so an invoice continuing over several
+ * pages stays one receipt while separate invoices are split apart. The PDF is
+ * sent as an image data URI, which Gemini reads but OpenAI models reject
+ * (ocrService only sends PDFs to the uniapi provider).
+ * @param {string} pdfPath - Local path to the PDF
+ * @param {Object} options - { pageCount (null if unknown), endpoint }
+ * @returns {Promise<Array>} Receipts in document order, each with `pages` (1-based)
+ */
+async function extractReceiptsFromDocument(pdfPath, { pageCount = null, endpoint = DEFAULT_ENDPOINT } = {}) {
+  const buffer = fs.readFileSync(pdfPath);
+  const fileHash = calculateFileHash(pdfPath);
+
+  const prompt = buildExtractionPrompt(
+    `You are a high-precision OCR assistant. The provided PDF${pageCount ? ` has ${pageCount} pages and` : ''} may contain ONE receipt or invoice, or SEVERAL separate ones (e.g. a month of bills scanned together).
+  Return one entry per separate receipt/invoice, in document order. An invoice continuing over several pages is ONE entry.
+  Pages that are not receipts (terms, cover letters, payment slips of the same bill) belong to the receipt they accompany.
+  Each entry must also include:
+  - pages (array of numbers): The 1-based page numbers the receipt occupies.`,
+    `{
+    "receipts": [
+      {
+        "pages": [1],
+        "total_amount": 0.00,
+        "currency_code": "MYR",
+        "vendor_name": "",
+        "date": "",
+        "reference_number": "",
+        "payment_method": "",
+        "category": "",
+        "bill_items": [],
+        "field_confidence": { "vendor_name": 0.0, "date": 0.0, "total_amount": 0.0 }
+      }
+    ]
+  }`
+  );
+
+  const parsed = await requestOcrJson(prompt, buffer.toString('base64'), 'application/pdf', 4000, endpoint);
+
+  // Tolerate a single receipt returned without the wrapper
+  const entries = Array.isArray(parsed.receipts) ? parsed.receipts : [parsed];
+  if (entries.length === 0) {
+    throw new Error('No receipts found in document');
   }
-  return data;
+
+  const results = entries.map((entry, idx) => {
+    let pages = [...new Set((Array.isArray(entry.pages) ? entry.pages : []).map(n => parseInt(n)))]
+      .filter(n => n >= 1 && (!pageCount || n <= pageCount))
+      .sort((a, b) => a - b);
+    if (pages.length === 0) {
+      // No usable page numbers: a lone receipt covers the document, otherwise assume one per page
+      pages = entries.length === 1 && pageCount
+        ? Array.from({ length: pageCount }, (_, i) => i + 1)
+        : [idx + 1];
+    }
+
+    return {
+      ...mapOcrResult(entry),
+      pages,
+      fileHash,
+      fileSize: buffer.length,
+      originalSize: buffer.length
+    };
+  });
+
+  console.log(`📑 Found ${results.length} receipt(s) in ${pageCount || '?'}-page PDF`);
+  return results;
 }
 
 /**
- * Tamper detection
+ * Tamper detection (local forensics, see tamperDetectionService)
  */
 async function detectTamper(imagePath, ocrData) {
-  return { isTampered: false, confidence: 1.0, reasons: [], riskLevel: 'low' };
+  return tamperDetectionService.analyzeReceipt(imagePath, ocrData);
 }
 
 module.exports = {
+  DEFAULT_ENDPOINT,
   extractReceiptData,
-  validateReceiptData,
+  extractReceiptsFromDocument,
   detectTamper,
-  calculateFileHash
+  calculateFileHash,
+  withUniapiSlot
 };
@@ -0,0 +1,218 @@
+/**
+ * ZIP Service
+ * Minimal reader for receipt archives uploaded in bulk. Only the central
+ * directory is read up front; each entry is read from disk and inflated with
+ * zlib when it is ingested, so only one entry per concurrent upload is held
+ * in memory.
+ *
+ * Supports stored and deflated entries; encrypted and ZIP64 archives are
+ * rejected. Sizes are capped to keep a small archive from expanding into
+ * gigabytes (zip bombs).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const ZIP64_MARKER = 0xffffffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+class ZipError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ZipError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Random access to the archive: reads from the file on disk, or slices a buffer
+ * @returns {Object} { size, read: (position, length) => Promise<Buffer>, close }
+ */
+async function openSource(source) {
+  if (Buffer.isBuffer(source)) {
+    return {
+      size: source.length,
+      read: async (position, length) => source.subarray(position, position + length),
+      close: async () => {}
+    };
+  }
+
+  const handle = await fs.promises.open(source, 'r');
+  try {
+    const { size } = await handle.stat();
+    return {
+      size,
+      read: async (position, length) => {
+        const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - position)));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+        return buffer.subarray(0, bytesRead);
+      },
+      close: () => handle.close()
+    };
+  } catch (error) {
+    await handle.close();
+    throw error;
+  }
+}
+
+/**
+ * Locate the end of central directory record (it sits behind an optional comment)
+ * @returns {number} Offset of the record within tail
+ */
+function findEndOfCentralDirectory(tail) {
+  for (let offset = tail.length - EOCD_SIZE; offset >= 0; offset--) {
+    if (tail.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  throw new ZipError('Not a valid ZIP archive');
+}
+
+/**
+ * Files and folders that archivers add but are not receipts
+ */
+function isJunkEntry(name) {
+  const base = path.posix.basename(name);
+  return name.endsWith('/') || name.startsWith('__MACOSX/') || base.startsWith('.') || base === 'Thumbs.db';
+}
+
+function sizeLimitError(maxEntrySize) {
+  return new ZipError(`File exceeds ${Math.round(maxEntrySize / 1024 / 1024)}MB`);
+}
+
+/**
+ * Read and inflate one entry, given its central directory record
+ */
+async function readEntryData(source, entry, maxEntrySize) {
+  const { flags, method, compressedSize, size, localOffset } = entry;
+  if (flags & 0x1) throw new ZipError('Encrypted entries are not supported');
+  if ([compressedSize, size, localOffset].includes(ZIP64_MARKER)) {
+    throw new ZipError('ZIP64 archives are not supported');
+  }
+  // Checked before reading: deflate barely grows incompressible data, so a
+  // compressed size over the limit means the file is too big (or lies)
+  if (size > maxEntrySize || compressedSize > maxEntrySize) throw sizeLimitError(maxEntrySize);
+  if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+    throw new ZipError(`Unsupported compression method ${method}`);
+  }
+
+  const archive = await openSource(source);
+  let data;
+  try {
+    const header = await archive.read(localOffset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+      throw new ZipError('Corrupt ZIP entry');
+    }
+    const dataStart = localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    data = Buffer.from(await archive.read(dataStart, compressedSize));
+  } finally {
+    await archive.close();
+  }
+  if (data.length < compressedSize) throw new ZipError('Corrupt ZIP entry');
+
+  if (method === METHOD_STORED) {
+    if (compressedSize !== size) throw new ZipError('Corrupt ZIP entry');
+    return data;
+  }
+
+  let inflated;
+  try {
+    // maxOutputLength guards against entries that lie about their size
+    inflated = await new Promise((resolve, reject) => {
+      zlib.inflateRaw(data, { maxOutputLength: maxEntrySize }, (error, result) => (
+        error ? reject(error) : resolve(result)
+      ));
+    });
+  } catch (error) {
+    throw error.code === 'ERR_BUFFER_TOO_LARGE' ? sizeLimitError(maxEntrySize) : new ZipError('Corrupt ZIP entry');
+  }
+  if (inflated.length !== size) throw new ZipError('Corrupt ZIP entry');
+  return inflated;
+}
+
+/**
+ * Read the entries of a ZIP archive
+ * Only the central directory is loaded; read() fetches an entry's data.
+ * @param {string|Buffer} source - Path to the archive, or its contents
+ * @param {Object} options - { maxEntries, maxEntrySize (bytes, uncompressed) }
+ * @returns {Promise<Array>} [{ name, size, read: () => Promise<Buffer> }] - read() throws ZipError for unusable entries
+ */
+async function readEntries(source, { maxEntries = 100, maxEntrySize = 10 * 1024 * 1024 } = {}) {
+  const archive = await openSource(source);
+  let directory;
+  let entryCount;
+  try {
+    if (archive.size < EOCD_SIZE) {
+      throw new ZipError('Not a valid ZIP archive');
+    }
+
+    const tailStart = Math.max(0, archive.size - EOCD_SIZE - MAX_COMMENT_SIZE);
+    const tail = await archive.read(tailStart, archive.size - tailStart);
+    const eocd = findEndOfCentralDirectory(tail);
+    entryCount = tail.readUInt16LE(eocd + 10);
+    const directorySize = tail.readUInt32LE(eocd + 12);
+    const directoryOffset = tail.readUInt32LE(eocd + 16);
+    if (entryCount === 0xffff || directorySize === ZIP64_MARKER || directoryOffset === ZIP64_MARKER) {
+      throw new ZipError('ZIP64 archives are not supported');
+    }
+    if (directoryOffset + directorySize > tailStart + eocd) {
+      throw new ZipError('Corrupt ZIP central directory');
+    }
+    directory = await archive.read(directoryOffset, directorySize);
+  } finally {
+    await archive.close();
+  }
+
+  const entries = [];
+  let offset = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new ZipError('Corrupt ZIP central directory');
+    }
+    const record = {
+      flags: directory.readUInt16LE(offset + 8),
+      method: directory.readUInt16LE(offset + 10),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      localOffset: directory.readUInt32LE(offset + 42)
+    };
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    if (offset + 46 + nameLength > directory.length) {
+      throw new ZipError('Corrupt ZIP central directory');
+    }
+    const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (isJunkEntry(name)) continue;
+    if (entries.length >= maxEntries) {
+      throw new ZipError(`ZIP archives may contain at most ${maxEntries} files`);
+    }
+
+    entries.push({ name, size: record.size, read: () => readEntryData(source, record, maxEntrySize) });
+  }
+
+  return entries;
+}
+
+/**
+ * Is this upload a ZIP archive (by extension or MIME type)?
+ */
+function isZipFile(file) {
+  return path.extname(file.originalname || '').toLowerCase() === '.zip' ||
+    ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype);
+}
+
+module.exports = {
+  ZipError,
+  readEntries,
+  isZipFile
+};
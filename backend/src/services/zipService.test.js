@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { readEntries, ZipError } = require('./zipService');
+
+const MB = 1024 * 1024;
+
+/**
+ * Build a ZIP archive; per entry { name, data, deflate, size, flags } where
+ * size overrides the uncompressed size written to the central directory
+ */
+function buildZip(files, { entryCount } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name);
+    const data = file.deflate ? zlib.deflateRawSync(file.data) : file.data;
+    const size = file.size ?? file.data.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(file.flags || 0, 6);
+    local.writeUInt16LE(file.deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Math.min(size, 0xffffffff), 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(file.flags || 0, 8);
+    central.writeUInt16LE(file.deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Math.min(size, 0xffffffff), 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entryCount ?? files.length, 8);
+  eocd.writeUInt16LE(entryCount ?? files.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, eocd]);
+}
+
+const receipt = Buffer.from('%PDF-1.4 receipt '.repeat(200));
+
+describe('readEntries', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads stored and deflated entries from disk on demand, skipping archiver junk', async () => {
+    const zipPath = path.join(dir, 'receipts.zip');
+    fs.writeFileSync(zipPath, buildZip([
+      { name: 'march/', data: Buffer.alloc(0) },
+      { name: 'march/grab.pdf', data: receipt, deflate: true },
+      { name: 'march/.DS_Store', data: Buffer.from('junk') },
+      { name: '__MACOSX/march/._grab.pdf', data: Buffer.from('junk') },
+      { name: 'Thumbs.db', data: Buffer.from('junk') },
+      { name: 'kopitiam.jpg', data: Buffer.from('jpeg bytes') }
+    ]));
+
+    const entries = await readEntries(zipPath);
+    expect(entries.map(e => [e.name, e.size])).toEqual([['march/grab.pdf', receipt.length], ['kopitiam.jpg', 10]]);
+    expect((await entries[0].read()).equals(receipt)).toBe(true);
+    expect((await entries[1].read()).toString()).toBe('jpeg bytes');
+  });
+
+  it('rejects files that are not ZIP archives or whose central directory is corrupt', async () => {
+    await expect(readEntries(Buffer.from('not a zip'))).rejects.toThrow(new ZipError('Not a valid ZIP archive'));
+    await expect(readEntries(receipt)).rejects.toThrow('Not a valid ZIP archive');
+
+    // Directory offset pointing into the file data
+    const zip = buildZip([{ name: 'a.pdf', data: receipt }]);
+    zip.writeUInt32LE(4, zip.length - 6);
+    await expect(readEntries(zip)).rejects.toThrow(new ZipError('Corrupt ZIP central directory'));
+
+    // More entries announced than the directory holds
+    await expect(readEntries(buildZip([{ name: 'a.pdf', data: receipt }], { entryCount: 2 })))
+      .rejects.toThrow('Corrupt ZIP central directory');
+
+    // Directory running past the end of the archive
+    const long = buildZip([{ name: 'a.pdf', data: receipt }]);
+    long.writeUInt32LE(0x7fffffff, long.length - 10);
+    await expect(readEntries(long)).rejects.toThrow('Corrupt ZIP central directory');
+  });
+
+  it('rejects ZIP64 archives and entries', async () => {
+    await expect(readEntries(buildZip([{ name: 'a.pdf', data: receipt }], { entryCount: 0xffff })))
+      .rejects.toThrow('ZIP64 archives are not supported');
+
+    const [entry] = await readEntries(buildZip([{ name: 'a.pdf', data: receipt, size: 0xffffffff }]));
+    await expect(entry.read()).rejects.toThrow(new ZipError('ZIP64 archives are not supported'));
+  });
+
+  it('stops entries that lie about their size', async () => {
+    const bomb = Buffer.alloc(2 * MB);
+    const [small, mismatched, oversized] = await readEntries(buildZip([
+      { name: 'small.pdf', data: bomb, deflate: true, size: 100 },
+      { name: 'mismatched.pdf', data: receipt, deflate: true, size: 100 },
+      { name: 'oversized.pdf', data: receipt, size: 2 * MB }
+    ]), { maxEntrySize: MB });
+
+    await expect(small.read()).rejects.toThrow(new ZipError('File exceeds 1MB'));
+    await expect(mismatched.read()).rejects.toThrow(new ZipError('Corrupt ZIP entry'));
+    await expect(oversized.read()).rejects.toThrow(new ZipError('File exceeds 1MB'));
+  });
+
+  it('rejects encrypted and corrupt entries one by one', async () => {
+    const zip = buildZip([
+      { name: 'locked.pdf', data: receipt, flags: 0x1 },
+      { name: 'broken.pdf', data: receipt, deflate: true },
+      { name: 'fine.jpg', data: Buffer.from('jpeg bytes') }
+    ]);
+    // Garble the start of the second entry's deflate stream
+    const brokenData = 30 + 'locked.pdf'.length + receipt.length + 30 + 'broken.pdf'.length;
+    zip.fill(0xff, brokenData, brokenData + 8);
+
+    const [locked, broken, fine] = await readEntries(zip);
+    await expect(locked.read()).rejects.toThrow('Encrypted entries are not supported');
+    await expect(broken.read()).rejects.toThrow('Corrupt ZIP entry');
+    expect((await fine.read()).toString()).toBe('jpeg bytes');
+  });
+
+  it('caps the number of files, not counting junk', async () => {
+    const files = [{ name: '.hidden', data: receipt }, ...['a', 'b', 'c'].map(n => ({ name: `${n}.jpg`, data: receipt }))];
+
+    expect(await readEntries(buildZip(files.slice(0, 3)), { maxEntries: 2 })).toHaveLength(2);
+    await expect(readEntries(buildZip(files), { maxEntries: 2 }))
+      .rejects.toThrow('ZIP archives may contain at most 2 files');
+  });
+});
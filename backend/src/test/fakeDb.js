@@ -0,0 +1,25 @@
+/**
+ * Stands in for PostgreSQL in service unit tests
+ * Each query is answered by the first handler whose key appears in its SQL;
+ * a handler is the rows to return or a function of the query params.
+ * @param {Object} handlers - { sqlFragment: rows | (...params) => rows }
+ * @returns {Object} db whose query is a jest mock
+ */
+function fakeDb(handlers = {}) {
+  return {
+    query: jest.fn(async (sql, params = []) => {
+      const fragment = Object.keys(handlers).find(key => sql.includes(key));
+      if (!fragment) throw new Error(`Unexpected query: ${sql}`);
+      const handler = handlers[fragment];
+      const rows = typeof handler === 'function' ? await handler(...params) : handler;
+      return { rows, rowCount: rows.length };
+    })
+  };
+}
+
+/**
+ * Rows getRate reads for a direct rate into the base currency (none without a rate)
+ */
+const fxRows = (rate, rateDate = '2026-03-01') => (rate ? [{ rate, rate_date: rateDate, direct: true }] : []);
+
+module.exports = { fakeDb, fxRows };
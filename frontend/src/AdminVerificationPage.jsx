@@ -3,7 +3,7 @@ import {
   CheckCircle, XCircle, AlertTriangle, FileText, 
   DollarSign, User, Calendar, Search, Filter,
   Eye, ThumbsUp, ThumbsDown, Copy, Image as ImageIcon,
-  ArrowLeft, Menu, X, LogOut
+  ArrowLeft, Menu, X, LogOut, Tag, Plus, Pencil, Archive, RotateCcw, Trash2, Wallet, Download, FileSpreadsheet
 } from 'lucide-react';
 import axios from 'axios';
 
@@ -16,13 +16,32 @@ const AUTH_URL = 'https://auth.atap.solar';
 axios.defaults.withCredentials = true;
 
 export default function AdminVerificationPage() {
-  const [activeTab, setActiveTab] = useState('verifications'); // verifications | duplicates | stats
+  const [activeTab, setActiveTab] = useState('verifications'); // verifications | duplicates | stats | budgets | accounting | categories
   const [verifications, setVerifications] = useState([]);
   const [duplicates, setDuplicates] = useState([]);
   const [stats, setStats] = useState(null);
+  const [statsFilter, setStatsFilter] = useState({ from: '', to: '', department: '', status: 'claimed' });
+  const [budgets, setBudgets] = useState(null);
+  const [editingBudget, setEditingBudget] = useState(null);
+  const [savingBudget, setSavingBudget] = useState(false);
+  const [accounting, setAccounting] = useState(null);
+  const [mappingDrafts, setMappingDrafts] = useState({});
+  const [savingMapping, setSavingMapping] = useState(null);
+  const [exportForm, setExportForm] = useState(() => {
+    const today = new Date().toISOString().slice(0, 10);
+    return { from: `${today.slice(0, 8)}01`, to: today, format: 'xero' };
+  });
+  const [exportPreview, setExportPreview] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [categories, setCategories] = useState([]);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [savingCategory, setSavingCategory] = useState(false);
+  const [categoryOptions, setCategoryOptions] = useState([]);
+  const [recategorizing, setRecategorizing] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedItem, setSelectedItem] = useState(null);
   const [verificationNotes, setVerificationNotes] = useState('');
+  const [timeline, setTimeline] = useState(null);
   const [filter, setFilter] = useState('');
   const [currentUser, setCurrentUser] = useState(null);
   const [authChecked, setAuthChecked] = useState(false);
@@ -39,6 +58,25 @@ export default function AdminVerificationPage() {
     }
   }, [currentUser, activeTab]);
 
+  // Active categories for recategorising receipts on a claim
+  useEffect(() => {
+    if (currentUser && (currentUser.isAdmin || currentUser.role === 'admin')) {
+      axios.get(`${API_BASE}/categories`)
+        .then(response => setCategoryOptions(response.data.categories))
+        .catch(error => console.error('Categories load error:', error));
+    }
+  }, [currentUser, categories]);
+
+  // Load the approval timeline when a claim is opened
+  useEffect(() => {
+    setTimeline(null);
+    if (selectedItem?.type === 'expense') {
+      axios.get(`${API_BASE}/expenses/${selectedItem.data.id}/timeline`)
+        .then(response => setTimeline(response.data))
+        .catch(error => console.error('Timeline load error:', error));
+    }
+  }, [selectedItem]);
+
   const checkAuth = async () => {
     try {
       const response = await axios.get(`${API_BASE}/me`);
@@ -74,26 +112,24 @@ export default function AdminVerificationPage() {
       } else if (activeTab === 'duplicates') {
         const response = await axios.get(`${API_BASE}/admin/duplicates`);
         setDuplicates(response.data.duplicates);
+      } else if (activeTab === 'budgets') {
+        const response = await axios.get(`${API_BASE}/admin/budgets`);
+        setBudgets(response.data);
+      } else if (activeTab === 'accounting') {
+        const [mappings, exports] = await Promise.all([
+          axios.get(`${API_BASE}/admin/accounting/mappings`),
+          axios.get(`${API_BASE}/admin/exports`)
+        ]);
+        setAccounting({ ...mappings.data, exports: exports.data.exports, formats: exports.data.formats });
+        setMappingDrafts(Object.fromEntries(mappings.data.mappings.map(m => [
+          m.categoryId, { accountCode: m.accountCode || '', taxCode: m.taxCode || '' }
+        ])));
+        setExportPreview(null);
+      } else if (activeTab === 'categories') {
+        const response = await axios.get(`${API_BASE}/admin/categories`);
+        setCategories(response.data.categories);
       } else if (activeTab === 'stats') {
-        // Calculate stats from verifications
-        try {
-          const response = await axios.get(`${API_BASE}/admin/verifications?limit=1000`);
-          const allExpenses = response.data.expenses;
-          const pending = allExpenses.filter(e => e.status === 'pending_verification').length;
-          const approved = allExpenses.filter(e => e.status === 'approved').length;
-          const rejected = allExpenses.filter(e => e.status === 'rejected').length;
-          const duplicatesRes = await axios.get(`${API_BASE}/admin/duplicates?limit=1000`).catch(() => ({ data: { duplicates: [] } }));
-          setStats({
-            totalExpenses: allExpenses.length,
-            pendingVerifications: pending,
-            approved,
-            rejected,
-            flaggedDuplicates: duplicatesRes.data.duplicates?.length || 0,
-            totalReceipts: allExpenses.reduce((sum, e) => sum + (e.receiptCount || 0), 0)
-          });
-        } catch (error) {
-          console.error('Stats load error:', error);
-        }
+        await loadStats();
       }
     } catch (error) {
       if (error.response?.status === 401) {
@@ -108,6 +144,63 @@ export default function AdminVerificationPage() {
     }
   };
 
+  // Recategorise a receipt on the open claim; the auto-categoriser learns from it
+  const handleRecategorize = async (receipt, categoryId) => {
+    try {
+      setRecategorizing(receipt.id);
+      const response = await axios.put(`${API_BASE}/admin/receipts/${receipt.id}/category`, { category: categoryId });
+      const { categoryName, categoryBreakdown } = response.data;
+      setSelectedItem(prev => ({
+        ...prev,
+        data: {
+          ...prev.data,
+          categoryBreakdown: categoryBreakdown || prev.data.categoryBreakdown,
+          receipts: prev.data.receipts.map(r => (r.id === receipt.id
+            ? { ...r, category_id: categoryId, ocr_data: { ...r.ocr_data, category: categoryId, categoryName } }
+            : r))
+        }
+      }));
+      loadData();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+      }
+      console.error('Recategorise error:', error);
+      alert(error.response?.data?.error || 'Failed to change category');
+    } finally {
+      setRecategorizing(null);
+    }
+  };
+
+  // Org-wide stats; an empty range means the last 12 months
+  const loadStats = async (filter = statsFilter) => {
+    const params = { status: filter.status };
+    if (filter.from && filter.to) {
+      params.from = filter.from;
+      params.to = filter.to;
+    }
+    if (filter.department) params.department = filter.department;
+    try {
+      const response = await axios.get(`${API_BASE}/admin/stats`, { params });
+      setStats(response.data);
+    } catch (error) {
+      if (error.response?.status === 400) {
+        alert(error.response.data.error);
+      } else {
+        throw error;
+      }
+    }
+  };
+
+  const changeStatsFilter = (changes) => {
+    const filter = { ...statsFilter, ...changes };
+    setStatsFilter(filter);
+    // A custom range loads once both dates are set
+    if ((filter.from && filter.to) || (!filter.from && !filter.to)) {
+      loadStats(filter).catch(error => console.error('Stats load error:', error));
+    }
+  };
+
   const handleVerify = async (expenseId, action) => {
     try {
       await axios.post(`${API_BASE}/admin/verifications/${expenseId}`, {
@@ -122,7 +215,7 @@ export default function AdminVerificationPage() {
         checkAuth();
       }
       console.error('Verification error:', error);
-      alert('Error: ' + error.message);
+      alert('Error: ' + (error.response?.data?.error || error.message));
     }
   };
 
@@ -144,6 +237,162 @@ export default function AdminVerificationPage() {
     }
   };
 
+  const startEditingBudget = (budget) => {
+    setEditingBudget(budget
+      ? { ...budget, department: budget.department || '', categoryId: budget.categoryId || '', isNew: false }
+      : { id: '', name: '', period: 'month', amount: '', department: '', categoryId: '', active: true, isNew: true });
+  };
+
+  const handleSaveBudget = async () => {
+    const { id, name, period, amount, department, categoryId, active } = editingBudget;
+    try {
+      setSavingBudget(true);
+      await axios.put(`${API_BASE}/admin/budgets/${encodeURIComponent(id.trim().toLowerCase())}`, {
+        name,
+        period,
+        amount: parseFloat(amount),
+        department: department.trim() || null,
+        categoryId: categoryId || null,
+        active
+      });
+      setEditingBudget(null);
+      loadData();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+      }
+      console.error('Save budget error:', error);
+      alert('Error: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSavingBudget(false);
+    }
+  };
+
+  const handleDeleteBudget = async (budget) => {
+    if (!window.confirm(`Delete the "${budget.name}" budget?`)) return;
+    try {
+      await axios.delete(`${API_BASE}/admin/budgets/${budget.id}`);
+      loadData();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+      }
+      console.error('Delete budget error:', error);
+      alert('Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleSaveMapping = async (categoryId) => {
+    try {
+      setSavingMapping(categoryId);
+      const response = await axios.put(`${API_BASE}/admin/accounting/mappings/${categoryId}`, mappingDrafts[categoryId]);
+      const { mapping } = response.data;
+      setAccounting(prev => ({
+        ...prev,
+        mappings: prev.mappings.map(m => (m.categoryId === categoryId ? { ...m, ...mapping } : m))
+      }));
+      setExportPreview(null);
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+      }
+      console.error('Save mapping error:', error);
+      alert('Error: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSavingMapping(null);
+    }
+  };
+
+  const handlePreviewExport = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/admin/exports/preview`, {
+        params: { from: exportForm.from, to: exportForm.to }
+      });
+      setExportPreview(response.data);
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+      }
+      console.error('Export preview error:', error);
+      alert('Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // Marks the claims as exported, then downloads the file
+  const handleCreateExport = async () => {
+    if (!window.confirm(`Export ${exportPreview.claims} claim(s) as ${accounting.formats[exportForm.format].name}? They will not be offered for export again.`)) {
+      return;
+    }
+    try {
+      setExporting(true);
+      const response = await axios.post(`${API_BASE}/admin/exports`, exportForm);
+      window.location.href = response.data.downloadUrl;
+      loadData();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+      }
+      console.error('Export error:', error);
+      alert('Error: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Keywords and merchants are edited as comma-separated text
+  const toTermList = (text) => text.split(',').map(t => t.trim()).filter(Boolean);
+
+  const startEditingCategory = (category) => {
+    setEditingCategory(category
+      ? { ...category, keywords: category.keywords.join(', '), merchants: category.merchants.join(', '), isNew: false }
+      : { id: '', name: '', icon: '', color: '', keywords: '', merchants: '', sortOrder: 0, isNew: true });
+  };
+
+  const handleSaveCategory = async () => {
+    const { id, name, icon, color, keywords, merchants, sortOrder } = editingCategory;
+    try {
+      setSavingCategory(true);
+      await axios.put(`${API_BASE}/admin/categories/${encodeURIComponent(id.trim().toLowerCase())}`, {
+        name,
+        icon: icon || null,
+        color: color || null,
+        keywords: toTermList(keywords),
+        merchants: toTermList(merchants),
+        sortOrder: parseInt(sortOrder) || 0
+      });
+      setEditingCategory(null);
+      loadData();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+      }
+      console.error('Save category error:', error);
+      alert('Error: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSavingCategory(false);
+    }
+  };
+
+  const handleSetCategoryActive = async (category, active) => {
+    if (!active && !window.confirm(`Retire "${category.name}"? Existing receipts keep it, but it will no longer be offered or auto-assigned.`)) {
+      return;
+    }
+    try {
+      if (active) {
+        await axios.put(`${API_BASE}/admin/categories/${category.id}`, { active: true });
+      } else {
+        await axios.delete(`${API_BASE}/admin/categories/${category.id}`);
+      }
+      loadData();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+      }
+      console.error('Update category error:', error);
+      alert('Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
   const formatCurrency = (amount, currency = 'MYR') => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -151,6 +400,16 @@ export default function AdminVerificationPage() {
     }).format(amount || 0);
   };
 
+  // Claims store category totals as { amount, original } (older claims: plain numbers)
+  const breakdownAmount = (entry) => (typeof entry === 'object' && entry !== null ? entry.amount : entry);
+
+  // "USD 12.50 + MYR 30.00" when a claim mixes currencies or differs from its base currency
+  const formatOriginalAmounts = (expense) => {
+    const entries = Object.entries(expense.originalAmounts || {});
+    if (entries.length === 0 || (entries.length === 1 && entries[0][0] === expense.currency)) return null;
+    return entries.map(([currency, amount]) => formatCurrency(amount, currency)).join(' + ');
+  };
+
   const formatDate = (timestamp) => {
     if (!timestamp) return 'N/A';
     const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
@@ -162,73 +421,168 @@ export default function AdminVerificationPage() {
   // Stats View - Mobile Optimized
   const renderStats = () => {
     if (!stats) return null;
-    
-    return (
-      <div className="grid grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-6">
-        <div className="bg-white rounded-xl p-3 sm:p-6 border border-gray-200">
-          <div className="flex items-center gap-2 sm:gap-3 mb-1 sm:mb-2">
-            <div className="p-2 sm:p-3 bg-blue-100 rounded-lg">
-              <FileText className="w-4 h-4 sm:w-6 sm:h-6 text-blue-600" />
-            </div>
-            <span className="text-xs sm:text-gray-600">Total Expenses</span>
+
+    const { spend, approvals, receipts, currency } = stats;
+    const percent = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+    const hours = (value) => {
+      if (value === null || value === undefined) return '—';
+      return value >= 48 ? `${Math.round(value / 24 * 10) / 10} days` : `${value} h`;
+    };
+    const summaryCards = [
+      { label: 'Spend', value: formatCurrency(spend.amount, currency), detail: `${spend.receipts} receipts`, icon: DollarSign, color: 'blue' },
+      { label: 'Claims', value: approvals.claims, detail: `${approvals.approved} approved · ${approvals.pending} pending`, icon: FileText, color: 'gray' },
+      { label: 'Rejection rate', value: percent(approvals.rejectionRate), detail: `${approvals.rejected} rejected`, icon: XCircle, color: 'red' },
+      { label: 'Turnaround', value: hours(approvals.turnaroundHours.median), detail: `median · average ${hours(approvals.turnaroundHours.average)}`, icon: Calendar, color: 'green' },
+      { label: 'Duplicates', value: percent(receipts.rates.duplicates), detail: `${receipts.duplicates} of ${receipts.uploaded} uploads`, icon: Copy, color: 'red' },
+      { label: 'Flagged', value: percent(receipts.rates.flagged), detail: `${receipts.policyViolations} over policy · ${receipts.needsReview} unreadable`, icon: AlertTriangle, color: 'yellow' }
+    ];
+    const colorClasses = {
+      blue: 'bg-blue-100 text-blue-600', gray: 'bg-gray-100 text-gray-600', red: 'bg-red-100 text-red-600',
+      green: 'bg-green-100 text-green-600', yellow: 'bg-yellow-100 text-yellow-600'
+    };
+
+    const renderBarList = (title, rows, label = (row) => row.name || row.key) => {
+      const max = Math.max(...rows.map(row => row.amount), 0);
+      return (
+        <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200">
+          <h3 className="font-medium text-gray-900 mb-3 text-sm sm:text-base">{title}</h3>
+          {rows.length === 0 && <p className="text-xs text-gray-500">No claimed spend</p>}
+          <div className="space-y-2">
+            {rows.map(row => (
+              <div key={row.key}>
+                <div className="flex justify-between text-xs sm:text-sm mb-1">
+                  <span className="text-gray-700 truncate mr-2">{label(row)}</span>
+                  <span className="font-medium whitespace-nowrap">
+                    {formatCurrency(row.amount, currency)}
+                    <span className="text-gray-400 font-normal ml-1">({row.receipts})</span>
+                  </span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-blue-600 h-2 rounded-full" style={{ width: max > 0 ? `${(row.amount / max) * 100}%` : 0 }} />
+                </div>
+              </div>
+            ))}
           </div>
-          <p className="text-xl sm:text-3xl font-bold text-gray-900">{stats.totalExpenses}</p>
         </div>
+      );
+    };
+    const maxMonth = Math.max(...spend.byMonth.map(month => month.amount), 0);
 
-        <div className="bg-white rounded-xl p-3 sm:p-6 border border-gray-200">
-          <div className="flex items-center gap-2 sm:gap-3 mb-1 sm:mb-2">
-            <div className="p-2 sm:p-3 bg-yellow-100 rounded-lg">
-              <AlertTriangle className="w-4 h-4 sm:w-6 sm:h-6 text-yellow-600" />
-            </div>
-            <span className="text-xs sm:text-gray-600">Pending</span>
-          </div>
-          <p className="text-xl sm:text-3xl font-bold text-gray-900">{stats.pendingVerifications}</p>
+    return (
+      <div className="space-y-4 sm:space-y-6">
+        <div className="bg-white rounded-xl p-3 sm:p-4 border border-gray-200 flex flex-wrap items-center gap-2 text-xs sm:text-sm">
+          <input
+            type="date"
+            value={statsFilter.from}
+            onChange={(e) => changeStatsFilter({ from: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="date"
+            value={statsFilter.to}
+            onChange={(e) => changeStatsFilter({ to: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <select
+            value={statsFilter.department}
+            onChange={(e) => changeStatsFilter({ department: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            <option value="">All departments</option>
+            {stats.departments.map(department => (
+              <option key={department} value={department}>{department}</option>
+            ))}
+          </select>
+          <select
+            value={statsFilter.status}
+            onChange={(e) => changeStatsFilter({ status: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            <option value="claimed">Approved + pending</option>
+            <option value="approved">Approved</option>
+            <option value="pending">Pending</option>
+            <option value="rejected">Rejected</option>
+            <option value="all">All claims</option>
+          </select>
+          {(statsFilter.from || statsFilter.to) && (
+            <button onClick={() => changeStatsFilter({ from: '', to: '' })} className="text-blue-600 hover:underline">
+              Last 12 months
+            </button>
+          )}
+          <span className="text-gray-500 sm:ml-auto">{stats.filters.from} – {stats.filters.to}</span>
         </div>
 
-        <div className="bg-white rounded-xl p-3 sm:p-6 border border-gray-200">
-          <div className="flex items-center gap-2 sm:gap-3 mb-1 sm:mb-2">
-            <div className="p-2 sm:p-3 bg-red-100 rounded-lg">
-              <Copy className="w-4 h-4 sm:w-6 sm:h-6 text-red-600" />
+        <div className="grid grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-6">
+          {summaryCards.map(card => (
+            <div key={card.label} className="bg-white rounded-xl p-3 sm:p-6 border border-gray-200">
+              <div className="flex items-center gap-2 sm:gap-3 mb-1 sm:mb-2">
+                <div className={`p-2 sm:p-3 rounded-lg ${colorClasses[card.color]}`}>
+                  <card.icon className="w-4 h-4 sm:w-6 sm:h-6" />
+                </div>
+                <span className="text-xs sm:text-gray-600">{card.label}</span>
+              </div>
+              <p className="text-xl sm:text-3xl font-bold text-gray-900">{card.value}</p>
+              <p className="text-[10px] sm:text-xs text-gray-500 mt-1">{card.detail}</p>
             </div>
-            <span className="text-xs sm:text-gray-600">Duplicates</span>
-          </div>
-          <p className="text-xl sm:text-3xl font-bold text-gray-900">{stats.flaggedDuplicates}</p>
+          ))}
         </div>
 
-        <div className="bg-white rounded-xl p-3 sm:p-6 border border-gray-200">
-          <div className="flex items-center gap-2 sm:gap-3 mb-1 sm:mb-2">
-            <div className="p-2 sm:p-3 bg-green-100 rounded-lg">
-              <CheckCircle className="w-4 h-4 sm:w-6 sm:h-6 text-green-600" />
-            </div>
-            <span className="text-xs sm:text-gray-600">Approved</span>
+        <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200">
+          <h3 className="font-medium text-gray-900 mb-3 text-sm sm:text-base">Spend by month</h3>
+          {spend.byMonth.length === 0 && <p className="text-xs text-gray-500">No claimed spend</p>}
+          <div className="flex items-end gap-1 sm:gap-2 h-40">
+            {spend.byMonth.map(month => (
+              <div key={month.key} className="flex-1 h-full flex flex-col justify-end items-center" title={`${month.key}: ${formatCurrency(month.amount, currency)} (${month.receipts} receipts)`}>
+                <div
+                  className="w-full bg-blue-600 rounded-t hover:bg-blue-700"
+                  style={{ height: maxMonth > 0 ? `${(month.amount / maxMonth) * 100}%` : 0 }}
+                />
+                <span className="text-[9px] sm:text-[10px] text-gray-500 mt-1">{month.key.slice(2)}</span>
+              </div>
+            ))}
           </div>
-          <p className="text-xl sm:text-3xl font-bold text-gray-900">{stats.approved}</p>
         </div>
 
-        <div className="bg-white rounded-xl p-3 sm:p-6 border border-gray-200">
-          <div className="flex items-center gap-2 sm:gap-3 mb-1 sm:mb-2">
-            <div className="p-2 sm:p-3 bg-red-100 rounded-lg">
-              <XCircle className="w-4 h-4 sm:w-6 sm:h-6 text-red-600" />
-            </div>
-            <span className="text-xs sm:text-gray-600">Rejected</span>
-          </div>
-          <p className="text-xl sm:text-3xl font-bold text-gray-900">{stats.rejected}</p>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-3 sm:gap-6">
+          {renderBarList('By department', spend.byDepartment, (row) => row.key || 'No department')}
+          {renderBarList('By category', spend.byCategory)}
+          {renderBarList('Top employees', spend.byEmployee)}
+          {renderBarList('Top merchants', spend.topMerchants, (row) => row.name || 'Unknown')}
         </div>
 
-        <div className="bg-white rounded-xl p-3 sm:p-6 border border-gray-200">
-          <div className="flex items-center gap-2 sm:gap-3 mb-1 sm:mb-2">
-            <div className="p-2 sm:p-3 bg-gray-100 rounded-lg">
-              <DollarSign className="w-4 h-4 sm:w-6 sm:h-6 text-gray-600" />
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-3 sm:gap-6">
+          <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200">
+            <h3 className="font-medium text-gray-900 mb-3 text-sm sm:text-base">Approval steps</h3>
+            {approvals.byStep.length === 0 && <p className="text-xs text-gray-500">No decisions yet</p>}
+            <div className="space-y-2 text-xs sm:text-sm">
+              {approvals.byStep.map(step => (
+                <div key={step.key} className="flex justify-between gap-2">
+                  <span className="text-gray-700 truncate">{step.name || step.key}</span>
+                  <span className="text-gray-500 whitespace-nowrap">
+                    {hours(step.averageHours)} avg · {percent(step.rejectionRate)} rejected ({step.decided})
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+          <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200">
+            <h3 className="font-medium text-gray-900 mb-3 text-sm sm:text-base">Rejection rate by department</h3>
+            {approvals.byDepartment.length === 0 && <p className="text-xs text-gray-500">No claims</p>}
+            <div className="space-y-2 text-xs sm:text-sm">
+              {approvals.byDepartment.map(row => (
+                <div key={row.key} className="flex justify-between gap-2">
+                  <span className="text-gray-700 truncate">{row.key || 'No department'}</span>
+                  <span className="text-gray-500 whitespace-nowrap">{percent(row.rejectionRate)} of {row.decided} decided</span>
+                </div>
+              ))}
             </div>
-            <span className="text-xs sm:text-gray-600">Receipts</span>
           </div>
-          <p className="text-xl sm:text-3xl font-bold text-gray-900">{stats.totalReceipts}</p>
         </div>
       </div>
     );
   };
 
-  // Verifications List View - Mobile Optimized
   const renderVerifications = () => {
     const filtered = verifications.filter(v => 
       v.userId?.toLowerCase().includes(filter.toLowerCase()) ||
@@ -260,15 +614,28 @@ export default function AdminVerificationPage() {
               <div className="space-y-2 min-w-0">
                 <div className="flex items-center gap-2 flex-wrap">
                   <span className="bg-yellow-100 text-yellow-800 px-2 sm:px-3 py-1 rounded-full text-xs font-medium">
-                    Pending
+                    {expense.currentStep ? `Awaiting ${expense.currentStep.name}` : 'Pending'}
                   </span>
                   <span className="text-xs text-gray-500">
                     {expense.receiptCount} receipts
                   </span>
+                  {expense.policyViolations?.length > 0 && (
+                    <span className="bg-orange-100 text-orange-800 px-2 py-1 rounded-full text-xs font-medium">
+                      {expense.policyViolations.reduce((n, r) => n + r.violations.length, 0)} policy warning(s)
+                    </span>
+                  )}
+                  {expense.budgetAlerts?.length > 0 && (
+                    <span className="bg-red-100 text-red-800 px-2 py-1 rounded-full text-xs font-medium">
+                      Over budget
+                    </span>
+                  )}
                 </div>
                 <h3 className="text-lg sm:text-xl font-bold text-gray-900">
-                  {formatCurrency(expense.total, expense.receipts?.[0]?.ocrData?.currency)}
+                  {formatCurrency(expense.total, expense.currency || expense.receipts?.[0]?.ocr_data?.currency)}
                 </h3>
+                {formatOriginalAmounts(expense) && (
+                  <p className="text-xs text-gray-500">Original: {formatOriginalAmounts(expense)}</p>
+                )}
                 <div className="flex flex-col sm:flex-row sm:items-center gap-1 sm:gap-4 text-xs sm:text-sm text-gray-600">
                   <span className="flex items-center gap-1">
                     <User className="w-3.5 h-3.5" />
@@ -323,8 +690,13 @@ export default function AdminVerificationPage() {
                 <div className="flex items-center gap-2 flex-wrap">
                   <span className="bg-red-100 text-red-800 px-2 py-1 rounded-full text-xs font-medium flex items-center gap-1">
                     <AlertTriangle className="w-3 h-3" />
-                    Dup ({Math.round(receipt.duplicateConfidence * 100)}%)
+                    {receipt.duplicateStatus === 'cross_user' ? 'Cross-user' : 'Dup'} ({Math.round(receipt.duplicateConfidence * 100)}%)
                   </span>
+                  {receipt.duplicateStatus === 'cross_user' && receipt.claimants?.length > 1 && (
+                    <span className="text-xs text-red-700">
+                      {receipt.claimants.length} claimants
+                    </span>
+                  )}
                   <span className="text-xs text-gray-500 truncate">
                     {receipt.ocrData?.categoryName || 'Uncategorized'}
                   </span>
@@ -378,6 +750,521 @@ export default function AdminVerificationPage() {
   };
 
   // Detail Modal - Mobile Optimized
+  const renderBudgets = () => {
+    if (!budgets) return null;
+
+    const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500';
+    const categoryName = (id) => categoryOptions.find(c => c.id === id)?.name || id;
+
+    return (
+      <div className="space-y-3 sm:space-y-4">
+        {editingBudget ? (
+          <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200 space-y-3">
+            <h3 className="font-bold text-gray-900">{editingBudget.isNew ? 'New budget' : `Edit ${editingBudget.name}`}</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <label className="block text-sm">
+                <span className="text-gray-500">ID</span>
+                <input
+                  value={editingBudget.id}
+                  disabled={!editingBudget.isNew}
+                  onChange={(e) => setEditingBudget({ ...editingBudget, id: e.target.value })}
+                  placeholder="e.g. sales-travel"
+                  className={`${inputClass} disabled:bg-gray-100`}
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-500">Name</span>
+                <input
+                  value={editingBudget.name}
+                  onChange={(e) => setEditingBudget({ ...editingBudget, name: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-500">Period</span>
+                <select
+                  value={editingBudget.period}
+                  onChange={(e) => setEditingBudget({ ...editingBudget, period: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="month">Monthly</option>
+                  <option value="quarter">Quarterly</option>
+                </select>
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-500">Amount ({budgets.currency})</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={editingBudget.amount}
+                  onChange={(e) => setEditingBudget({ ...editingBudget, amount: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-500">Department (blank = all departments)</span>
+                <input
+                  value={editingBudget.department}
+                  onChange={(e) => setEditingBudget({ ...editingBudget, department: e.target.value })}
+                  placeholder="as in the employee's login"
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-500">Category</span>
+                <select
+                  value={editingBudget.categoryId}
+                  onChange={(e) => setEditingBudget({ ...editingBudget, categoryId: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="">All categories</option>
+                  {categoryOptions.map(c => (
+                    <option key={c.id} value={c.id}>{c.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={editingBudget.active}
+                  onChange={(e) => setEditingBudget({ ...editingBudget, active: e.target.checked })}
+                />
+                <span className="text-gray-700">Active</span>
+              </label>
+            </div>
+            <div className="flex justify-end gap-2 pt-2">
+              <button
+                onClick={() => setEditingBudget(null)}
+                className="px-4 py-2 text-gray-600 hover:bg-gray-100 rounded-lg text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveBudget}
+                disabled={savingBudget || !editingBudget.id.trim() || !editingBudget.name.trim()
+                  || !(parseFloat(editingBudget.amount) > 0)
+                  || (!editingBudget.department.trim() && !editingBudget.categoryId)}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm font-medium"
+              >
+                {savingBudget ? 'Saving...' : 'Save budget'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-end">
+            <button
+              onClick={() => startEditingBudget(null)}
+              className="flex items-center gap-1.5 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium touch-target"
+            >
+              <Plus className="w-4 h-4" />
+              New budget
+            </button>
+          </div>
+        )}
+
+        {budgets.budgets.length === 0 && (
+          <div className="bg-white rounded-xl p-6 border border-gray-200 text-center text-sm text-gray-500">
+            No budgets yet. Budgets are set per department, per category or both, and checked when claims are submitted.
+          </div>
+        )}
+
+        {budgets.budgets.map(budget => {
+          const used = Math.min(100, budget.percentUsed);
+          const barColor = budget.overBudget ? 'bg-red-600' : budget.percentUsed >= 80 ? 'bg-yellow-500' : 'bg-green-600';
+          // Burn-down: the line falls from the full budget as approved spend accumulates
+          const points = [[0, 0], ...budget.burnDown.map((day, idx) => [
+            idx + 1, Math.min(100, (day.consumed / budget.amount) * 100)
+          ])].map(([x, y]) => `${x},${y}`).join(' ');
+
+          return (
+            <div
+              key={budget.id}
+              className={`bg-white rounded-xl p-4 sm:p-5 border border-gray-200 ${budget.active ? '' : 'opacity-60'}`}
+            >
+              <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-3">
+                <div className="space-y-1 min-w-0 flex-1">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <Wallet className="w-4 h-4 text-gray-400" />
+                    <h3 className="font-bold text-gray-900">{budget.name}</h3>
+                    <span className="text-xs text-gray-400">{budget.id}</span>
+                    {!budget.active && (
+                      <span className="bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full text-xs font-medium">Inactive</span>
+                    )}
+                    {budget.overBudget && (
+                      <span className="bg-red-100 text-red-800 px-2 py-0.5 rounded-full text-xs font-medium">Over budget</span>
+                    )}
+                  </div>
+                  <p className="text-xs sm:text-sm text-gray-600">
+                    {budget.department || 'All departments'} · {budget.categoryId ? categoryName(budget.categoryId) : 'All categories'}
+                    {' · '}{budget.period === 'quarter' ? 'Quarterly' : 'Monthly'} ({formatDate(budget.periodFrom)} – {formatDate(budget.periodTo)})
+                  </p>
+                  <div className="flex justify-between text-xs sm:text-sm pt-1">
+                    <span>
+                      <span className="font-bold">{formatCurrency(budget.consumed, budgets.currency)}</span>
+                      <span className="text-gray-500"> of {formatCurrency(budget.amount, budgets.currency)} ({budget.percentUsed}%)</span>
+                    </span>
+                    <span className={budget.remaining < 0 ? 'text-red-600 font-medium' : 'text-gray-600'}>
+                      {budget.remaining < 0
+                        ? `${formatCurrency(-budget.remaining, budgets.currency)} over`
+                        : `${formatCurrency(budget.remaining, budgets.currency)} left`}
+                    </span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div className={`${barColor} h-2 rounded-full`} style={{ width: `${used}%` }} />
+                  </div>
+                  <p className="text-[10px] sm:text-xs text-gray-500">
+                    {budget.pending > 0 && `${formatCurrency(budget.pending, budgets.currency)} awaiting approval · `}
+                    <span className={budget.projected > budget.amount ? 'text-red-600' : ''}>
+                      On pace for {formatCurrency(budget.projected, budgets.currency)} by {formatDate(budget.periodTo)}
+                    </span>
+                  </p>
+                  <svg
+                    viewBox={`0 0 ${budget.periodDays} 100`}
+                    preserveAspectRatio="none"
+                    className="w-full h-20 sm:h-24 bg-gray-50 rounded mt-2"
+                  >
+                    <line
+                      x1="0" y1="0" x2={budget.periodDays} y2="100"
+                      stroke="#9ca3af" strokeDasharray="4 4" vectorEffect="non-scaling-stroke"
+                    />
+                    <polyline
+                      points={points}
+                      fill="none"
+                      stroke={budget.overBudget ? '#dc2626' : '#2563eb'}
+                      strokeWidth="2"
+                      vectorEffect="non-scaling-stroke"
+                    />
+                  </svg>
+                  <p className="text-[10px] text-gray-400">Budget spent by receipt date (approved claims) against an even pace (dashed)</p>
+                </div>
+                <div className="flex gap-2 self-start">
+                  <button
+                    onClick={() => startEditingBudget(budget)}
+                    className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg touch-target"
+                    title="Edit"
+                  >
+                    <Pencil className="w-5 h-5" />
+                  </button>
+                  <button
+                    onClick={() => handleDeleteBudget(budget)}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg touch-target"
+                    title="Delete"
+                  >
+                    <Trash2 className="w-5 h-5" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  const renderAccounting = () => {
+    if (!accounting) return null;
+
+    const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500';
+    const changeExportForm = (changes) => {
+      setExportForm({ ...exportForm, ...changes });
+      setExportPreview(null);
+    };
+
+    return (
+      <div className="space-y-3 sm:space-y-4">
+        <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200 space-y-3">
+          <h3 className="font-bold text-gray-900">Export approved claims</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <label className="block text-sm">
+              <span className="text-gray-500">Approved from</span>
+              <input
+                type="date"
+                value={exportForm.from}
+                onChange={(e) => changeExportForm({ from: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-500">to</span>
+              <input
+                type="date"
+                value={exportForm.to}
+                onChange={(e) => changeExportForm({ to: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-500">Format</span>
+              <select
+                value={exportForm.format}
+                onChange={(e) => changeExportForm({ format: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(accounting.formats).map(([id, format]) => (
+                  <option key={id} value={id}>{format.name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {exportPreview && (
+            <div className="text-sm">
+              <p className="text-gray-700">
+                {exportPreview.claims} claim(s) not yet exported, {formatCurrency(exportPreview.total, exportPreview.currency)}
+              </p>
+              {exportPreview.unmappedCategories.length > 0 && (
+                <p className="text-red-600 text-xs mt-1">
+                  Set a GL account below for: {exportPreview.unmappedCategories.join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={handlePreviewExport}
+              disabled={!exportForm.from || !exportForm.to}
+              className="px-4 py-2 text-blue-600 hover:bg-blue-50 rounded-lg text-sm font-medium disabled:opacity-50"
+            >
+              Check
+            </button>
+            <button
+              onClick={handleCreateExport}
+              disabled={exporting || !exportPreview || exportPreview.claims === 0 || exportPreview.unmappedCategories.length > 0}
+              className="flex items-center gap-1.5 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm font-medium"
+            >
+              <Download className="w-4 h-4" />
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200">
+          <h3 className="font-bold text-gray-900 mb-1">GL accounts</h3>
+          <p className="text-xs text-gray-500 mb-3">
+            Claims are credited to {accounting.payableAccount}.
+            {accounting.defaultAccount
+              ? ` Categories without an account go to ${accounting.defaultAccount}.`
+              : ' Every category on an exported claim needs an account.'}
+          </p>
+          <div className="space-y-2">
+            {accounting.mappings.map(mapping => {
+              const draft = mappingDrafts[mapping.categoryId] || { accountCode: '', taxCode: '' };
+              const changed = draft.accountCode !== (mapping.accountCode || '') || draft.taxCode !== (mapping.taxCode || '');
+              const setDraft = (changes) => setMappingDrafts({
+                ...mappingDrafts, [mapping.categoryId]: { ...draft, ...changes }
+              });
+              return (
+                <div
+                  key={mapping.categoryId}
+                  className={`grid grid-cols-2 sm:grid-cols-[1fr_10rem_8rem_auto] gap-2 items-center ${mapping.active ? '' : 'opacity-60'}`}
+                >
+                  <span className="col-span-2 sm:col-span-1 text-sm text-gray-800 truncate">
+                    {mapping.name} <span className="text-xs text-gray-400">{mapping.categoryId}</span>
+                  </span>
+                  <input
+                    value={draft.accountCode}
+                    onChange={(e) => setDraft({ accountCode: e.target.value })}
+                    placeholder="Account code"
+                    className={inputClass}
+                  />
+                  <input
+                    value={draft.taxCode}
+                    onChange={(e) => setDraft({ taxCode: e.target.value })}
+                    placeholder="Tax code"
+                    className={inputClass}
+                  />
+                  <button
+                    onClick={() => handleSaveMapping(mapping.categoryId)}
+                    disabled={!changed || savingMapping === mapping.categoryId}
+                    className="col-span-2 sm:col-span-1 px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm font-medium"
+                  >
+                    {savingMapping === mapping.categoryId ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200">
+          <h3 className="font-bold text-gray-900 mb-3">Past exports</h3>
+          {accounting.exports.length === 0 && <p className="text-sm text-gray-500">No exports yet</p>}
+          <div className="divide-y divide-gray-100">
+            {accounting.exports.map(exported => (
+              <div key={exported.id} className="flex items-center justify-between gap-3 py-2 text-sm">
+                <div className="min-w-0">
+                  <p className="text-gray-800 flex items-center gap-1.5">
+                    <FileSpreadsheet className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                    {exported.formatName} · {formatDate(exported.from)} – {formatDate(exported.to)}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {exported.claimCount} claim(s), {formatCurrency(exported.total, exported.currency)} · {exported.createdBy} · {formatDate(exported.createdAt)}
+                  </p>
+                </div>
+                <a
+                  href={`${API_BASE}/admin/exports/${exported.id}/file`}
+                  className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg touch-target"
+                  title="Download again"
+                >
+                  <Download className="w-5 h-5" />
+                </a>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderCategories = () => {
+    const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500';
+
+    return (
+      <div className="space-y-3 sm:space-y-4">
+        {editingCategory ? (
+          <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200 space-y-3">
+            <h3 className="font-bold text-gray-900">{editingCategory.isNew ? 'New category' : `Edit ${editingCategory.name}`}</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <label className="block text-sm">
+                <span className="text-gray-500">ID</span>
+                <input
+                  value={editingCategory.id}
+                  disabled={!editingCategory.isNew}
+                  onChange={(e) => setEditingCategory({ ...editingCategory, id: e.target.value })}
+                  placeholder="e.g. parking"
+                  className={`${inputClass} disabled:bg-gray-100`}
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-500">Name</span>
+                <input
+                  value={editingCategory.name}
+                  onChange={(e) => setEditingCategory({ ...editingCategory, name: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-500">Icon</span>
+                <input
+                  value={editingCategory.icon || ''}
+                  onChange={(e) => setEditingCategory({ ...editingCategory, icon: e.target.value })}
+                  placeholder="lucide icon name"
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-500">Color</span>
+                <input
+                  value={editingCategory.color || ''}
+                  onChange={(e) => setEditingCategory({ ...editingCategory, color: e.target.value })}
+                  placeholder="e.g. blue"
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-sm sm:col-span-2">
+                <span className="text-gray-500">Keywords (comma-separated, matched in merchant names and items)</span>
+                <textarea
+                  value={editingCategory.keywords}
+                  onChange={(e) => setEditingCategory({ ...editingCategory, keywords: e.target.value })}
+                  rows={2}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-sm sm:col-span-2">
+                <span className="text-gray-500">Merchants (comma-separated, checked first)</span>
+                <textarea
+                  value={editingCategory.merchants}
+                  onChange={(e) => setEditingCategory({ ...editingCategory, merchants: e.target.value })}
+                  rows={2}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-500">Sort order</span>
+                <input
+                  type="number"
+                  value={editingCategory.sortOrder}
+                  onChange={(e) => setEditingCategory({ ...editingCategory, sortOrder: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+            </div>
+            <div className="flex justify-end gap-2 pt-2">
+              <button
+                onClick={() => setEditingCategory(null)}
+                className="px-4 py-2 text-gray-600 hover:bg-gray-100 rounded-lg text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveCategory}
+                disabled={savingCategory || !editingCategory.id.trim() || !editingCategory.name.trim()}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm font-medium"
+              >
+                {savingCategory ? 'Saving...' : 'Save category'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-end">
+            <button
+              onClick={() => startEditingCategory(null)}
+              className="flex items-center gap-1.5 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium touch-target"
+            >
+              <Plus className="w-4 h-4" />
+              New category
+            </button>
+          </div>
+        )}
+
+        {categories.map(category => (
+          <div
+            key={category.id}
+            className={`bg-white rounded-xl p-4 sm:p-5 border border-gray-200 ${category.active ? '' : 'opacity-60'}`}
+          >
+            <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-3">
+              <div className="space-y-1 min-w-0">
+                <div className="flex items-center gap-2 flex-wrap">
+                  <Tag className="w-4 h-4 text-gray-400" />
+                  <h3 className="font-bold text-gray-900">{category.name}</h3>
+                  <span className="text-xs text-gray-400">{category.id}</span>
+                  {!category.active && (
+                    <span className="bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full text-xs font-medium">Retired</span>
+                  )}
+                  <span className="text-xs text-gray-500">{category.receiptCount} receipts</span>
+                </div>
+                <p className="text-xs sm:text-sm text-gray-600 truncate">
+                  <span className="text-gray-400">Merchants:</span> {category.merchants.join(', ') || '—'}
+                </p>
+                <p className="text-xs sm:text-sm text-gray-600 truncate">
+                  <span className="text-gray-400">Keywords:</span> {category.keywords.join(', ') || '—'}
+                </p>
+              </div>
+              <div className="flex gap-2 self-start">
+                <button
+                  onClick={() => startEditingCategory(category)}
+                  className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg touch-target"
+                  title="Edit"
+                >
+                  <Pencil className="w-5 h-5" />
+                </button>
+                {category.id !== 'misc' && (
+                  <button
+                    onClick={() => handleSetCategoryActive(category, !category.active)}
+                    className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg touch-target"
+                    title={category.active ? 'Retire' : 'Restore'}
+                  >
+                    {category.active ? <Archive className="w-5 h-5" /> : <RotateCcw className="w-5 h-5" />}
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   const renderDetailModal = () => {
     if (!selectedItem) return null;
 
@@ -422,7 +1309,10 @@ export default function AdminVerificationPage() {
                   </div>
                   <div>
                     <label className="text-xs text-gray-500">Amount</label>
-                    <p className="font-medium text-lg">{formatCurrency(data.total, data.receipts?.[0]?.ocrData?.currency)}</p>
+                    <p className="font-medium text-lg">{formatCurrency(data.total, data.currency || data.receipts?.[0]?.ocr_data?.currency)}</p>
+                    {formatOriginalAmounts(data) && (
+                      <p className="text-[10px] text-gray-500">{formatOriginalAmounts(data)}</p>
+                    )}
                   </div>
                   <div>
                     <label className="text-xs text-gray-500">Submitted</label>
@@ -441,13 +1331,52 @@ export default function AdminVerificationPage() {
                       {Object.entries(data.categoryBreakdown).map(([cat, amount]) => (
                         <div key={cat} className="flex justify-between items-center bg-gray-50 p-2 rounded text-sm">
                           <span className="capitalize">{cat}</span>
-                          <span className="font-medium">{formatCurrency(amount, data.receipts?.[0]?.ocrData?.currency)}</span>
+                          <span className="font-medium">
+                            {formatCurrency(breakdownAmount(amount), data.currency || data.receipts?.[0]?.ocr_data?.currency)}
+                            {amount?.original && Object.keys(amount.original).some(c => c !== data.currency) && (
+                              <span className="text-xs text-gray-500 font-normal ml-1">
+                                ({Object.entries(amount.original).map(([c, a]) => formatCurrency(a, c)).join(' + ')})
+                              </span>
+                            )}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {data.policyViolations?.length > 0 && (
+                  <div>
+                    <label className="text-xs text-gray-500 mb-2 block">Policy Warnings</label>
+                    <div className="space-y-2">
+                      {data.policyViolations.map(result => (
+                        <div key={result.receiptId} className="bg-orange-50 border border-orange-200 rounded p-2 text-sm">
+                          <p className="font-medium text-orange-900">{result.merchant || 'Receipt'}</p>
+                          <ul className="text-xs text-orange-800 mt-1 space-y-0.5">
+                            {result.violations.map((v, i) => (
+                              <li key={i} className="flex justify-between gap-2">
+                                <span>• {v.name}: {v.message}</span>
+                                <span className="uppercase text-[10px] font-semibold whitespace-nowrap">{v.severity}</span>
+                              </li>
+                            ))}
+                          </ul>
                         </div>
                       ))}
                     </div>
                   </div>
                 )}
 
+                {data.budgetAlerts?.length > 0 && (
+                  <div>
+                    <label className="text-xs text-gray-500 mb-2 block">Budget Alerts (at submission)</label>
+                    <ul className="bg-red-50 border border-red-200 rounded p-2 text-xs text-red-800 space-y-0.5">
+                      {data.budgetAlerts.map(alert => (
+                        <li key={`${alert.budgetId}-${alert.periodFrom}`}>• {alert.message}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
                 <div>
                   <label className="text-xs text-gray-500 mb-2 block">Receipts</label>
                   <div className="space-y-2 max-h-60 overflow-y-auto">
@@ -458,17 +1387,17 @@ export default function AdminVerificationPage() {
                             {receipt.fileName.toLowerCase().endsWith('.pdf') ? (
                               <div 
                                 className="w-14 h-14 sm:w-16 sm:h-16 bg-blue-50 text-blue-600 rounded flex flex-col items-center justify-center cursor-pointer hover:bg-blue-100 border border-blue-200"
-                                onClick={() => window.open(`${API_IMAGE_BASE}/uploads/${receipt.fileName}`, '_blank')}
+                                onClick={() => window.open(`${API_IMAGE_BASE}${receipt.fileUrl}`, '_blank')}
                               >
                                 <FileText className="w-6 h-6 sm:w-8 sm:h-8" />
                                 <span className="text-[10px] font-bold">PDF</span>
                               </div>
                             ) : (
                               <img
-                                src={`${API_IMAGE_BASE}/uploads/${receipt.fileName}`}
+                                src={`${API_IMAGE_BASE}${receipt.fileUrl}`}
                                 alt="Receipt thumbnail"
                                 className="w-14 h-14 sm:w-16 sm:h-16 object-cover rounded cursor-pointer hover:opacity-80"
-                                onClick={() => window.open(`${API_IMAGE_BASE}/uploads/${receipt.fileName}`, '_blank')}
+                                onClick={() => window.open(`${API_IMAGE_BASE}${receipt.fileUrl}`, '_blank')}
                                 onError={(e) => {
                                   e.target.style.display = 'none';
                                   e.target.nextSibling.style.display = 'flex';
@@ -484,6 +1413,14 @@ export default function AdminVerificationPage() {
                           <p className="font-medium text-sm truncate">{receipt.ocrData?.merchant || 'Unknown'}</p>
                           <div className="text-xs text-gray-500 space-y-0.5">
                             <p>{formatCurrency(receipt.ocrData?.amount, receipt.ocrData?.currency)} • {receipt.ocrData?.date}</p>
+                            {(() => {
+                              const fx = data.fxConversions?.find(c => c.receiptId === receipt.id);
+                              return fx && fx.currency !== fx.baseCurrency && (
+                                <p className="text-[10px] text-gray-400">
+                                  ≈ {formatCurrency(fx.baseAmount, fx.baseCurrency)} @ {fx.rate.toFixed(4)} ({fx.rateDate})
+                                </p>
+                              );
+                            })()}
                             {receipt.fileSize && (
                               <p className="text-[10px] text-gray-400">
                                 Size: {formatFileSize(receipt.fileSize)}
@@ -493,13 +1430,34 @@ export default function AdminVerificationPage() {
                               <span className="font-semibold">Ref:</span> {receipt.ocrData?.billReference || 'N/A'}
                             </p>
                           </div>
+                          <select
+                            value={receipt.category_id || receipt.ocr_data?.category || 'misc'}
+                            onChange={(e) => handleRecategorize(receipt, e.target.value)}
+                            disabled={recategorizing === receipt.id}
+                            className="mt-1 border border-gray-300 rounded px-1 py-0.5 text-[11px] max-w-full disabled:opacity-50"
+                            title="Change category"
+                          >
+                            {categoryOptions.map(cat => (
+                              <option key={cat.id} value={cat.id}>{cat.name}</option>
+                            ))}
+                            {!categoryOptions.some(cat => cat.id === (receipt.category_id || receipt.ocr_data?.category || 'misc')) && (
+                              <option value={receipt.category_id || receipt.ocr_data?.category || 'misc'}>
+                                {receipt.ocr_data?.categoryName || receipt.category_id} (retired)
+                              </option>
+                            )}
+                          </select>
                         </div>
                         {receipt.tamperCheck && (
-                          <span className={`text-xs px-2 py-1 rounded flex-shrink-0 ${
-                            receipt.tamperCheck.riskLevel === 'high' 
-                              ? 'bg-red-100 text-red-700' 
-                              : 'bg-green-100 text-green-700'
-                          }`}>
+                          <span
+                            className={`text-xs px-2 py-1 rounded flex-shrink-0 ${
+                              receipt.tamperCheck.riskLevel === 'high'
+                                ? 'bg-red-100 text-red-700'
+                                : receipt.tamperCheck.riskLevel === 'medium'
+                                ? 'bg-yellow-100 text-yellow-700'
+                                : 'bg-green-100 text-green-700'
+                            }`}
+                            title={receipt.tamperCheck.reasons?.join('\n')}
+                          >
                             {receipt.tamperCheck.riskLevel}
                           </span>
                         )}
@@ -508,6 +1466,59 @@ export default function AdminVerificationPage() {
                   </div>
                 </div>
 
+                {timeline?.steps?.length > 0 && (
+                  <div>
+                    <label className="text-xs text-gray-500 mb-2 block">Approval Chain</label>
+                    <div className="space-y-2">
+                      {timeline.steps.map(step => (
+                        <div key={step.key} className="flex items-start justify-between gap-3 bg-gray-50 p-2 rounded text-sm">
+                          <div className="min-w-0">
+                            <p className="font-medium">{step.name}</p>
+                            <p className="text-xs text-gray-500 truncate">
+                              {step.approverIds.length > 0 ? step.approverIds.join(', ') : 'Any admin'}
+                            </p>
+                            {step.notes && <p className="text-xs text-gray-600 mt-1">{step.notes}</p>}
+                          </div>
+                          <div className="text-right flex-shrink-0">
+                            <span className={`text-xs px-2 py-0.5 rounded font-medium ${
+                              step.status === 'approved'
+                                ? 'bg-green-100 text-green-700'
+                                : step.status === 'rejected'
+                                ? 'bg-red-100 text-red-700'
+                                : step.status === 'pending'
+                                ? 'bg-yellow-100 text-yellow-700'
+                                : 'bg-gray-100 text-gray-500'
+                            }`}>
+                              {step.status}
+                            </span>
+                            {step.decidedAt && (
+                              <p className="text-[10px] text-gray-400 mt-1">{step.decidedBy} · {formatDate(step.decidedAt)}</p>
+                            )}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {timeline?.events?.length > 0 && (
+                  <div>
+                    <label className="text-xs text-gray-500 mb-2 block">Timeline</label>
+                    <ol className="border-l-2 border-gray-200 ml-1 space-y-2">
+                      {timeline.events.map(event => (
+                        <li key={event.id} className="pl-3 text-xs">
+                          <p className="font-medium text-gray-800 capitalize">
+                            {event.event.replace(/_/g, ' ')}
+                            {event.stepKey && <span className="text-gray-500 font-normal"> · {event.stepKey.replace(/_/g, ' ')}</span>}
+                          </p>
+                          <p className="text-gray-500">{event.actorId} · {formatDate(event.createdAt)}</p>
+                          {event.notes && <p className="text-gray-600">{event.notes}</p>}
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+
                 <div>
                   <label className="text-xs text-gray-500 mb-2 block">Verification Notes</label>
                   <textarea
@@ -525,7 +1536,7 @@ export default function AdminVerificationPage() {
                     className="flex-1 bg-green-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-green-700 flex items-center justify-center gap-2 touch-target"
                   >
                     <ThumbsUp className="w-5 h-5" />
-                    Approve Claim
+                    {data.currentStep ? `Approve (${data.currentStep.name})` : 'Approve Claim'}
                   </button>
                   <button
                     onClick={() => handleVerify(data.id, 'reject')}
@@ -543,7 +1554,14 @@ export default function AdminVerificationPage() {
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
                   {/* New Receipt */}
                   <div className="border rounded-lg p-3 sm:p-4">
-                    <h3 className="font-medium mb-2 sm:mb-3 text-red-600 text-sm">New Receipt (Flagged)</h3>
+                    <h3 className="font-medium mb-2 sm:mb-3 text-red-600 text-sm">
+                      New Receipt (Flagged)
+                      {data.deletedAt && (
+                        <span className="ml-2 px-2 py-0.5 bg-gray-200 text-gray-700 rounded-full text-xs">
+                          Deleted {formatDate(data.deletedAt)}
+                        </span>
+                      )}
+                    </h3>
                     <div className="space-y-1.5 sm:space-y-2 text-xs sm:text-sm">
                       <p><strong>Merchant:</strong> {data.ocrData?.merchant || 'Unknown'}</p>
                       <p><strong>Amount:</strong> {formatCurrency(data.ocrData?.amount, data.ocrData?.currency)}</p>
@@ -564,7 +1582,7 @@ export default function AdminVerificationPage() {
                         {data.fileName.toLowerCase().endsWith('.pdf') ? (
                           <div 
                             className="flex flex-col items-center justify-center text-blue-600 cursor-pointer hover:text-blue-700"
-                            onClick={() => window.open(`${API_IMAGE_BASE}/uploads/${data.fileName}`, '_blank')}
+                            onClick={() => window.open(`${API_IMAGE_BASE}${data.fileUrl}`, '_blank')}
                           >
                             <FileText className="w-12 h-12 sm:w-16 sm:h-16 mb-2" />
                             <p className="font-bold text-sm">PDF Document</p>
@@ -573,7 +1591,7 @@ export default function AdminVerificationPage() {
                         ) : (
                           <>
                             <img
-                              src={`${API_IMAGE_BASE}/uploads/${data.fileName}`}
+                              src={`${API_IMAGE_BASE}${data.fileUrl}`}
                               alt="New receipt"
                               className="w-full h-full object-contain"
                               onError={(e) => {
@@ -596,7 +1614,14 @@ export default function AdminVerificationPage() {
 
                   {/* Original Receipt */}
                   <div className="border rounded-lg p-3 sm:p-4">
-                    <h3 className="font-medium mb-2 sm:mb-3 text-green-600 text-sm">Original Receipt</h3>
+                    <h3 className="font-medium mb-2 sm:mb-3 text-green-600 text-sm">
+                      Original Receipt
+                      {data.originalReceipt?.deletedAt && (
+                        <span className="ml-2 px-2 py-0.5 bg-gray-200 text-gray-700 rounded-full text-xs">
+                          Deleted {formatDate(data.originalReceipt.deletedAt)}
+                        </span>
+                      )}
+                    </h3>
                     {data.originalReceipt ? (
                       <>
                         <div className="space-y-1.5 sm:space-y-2 text-xs sm:text-sm">
@@ -619,7 +1644,7 @@ export default function AdminVerificationPage() {
                             {data.originalReceipt.fileName.toLowerCase().endsWith('.pdf') ? (
                               <div 
                                 className="flex flex-col items-center justify-center text-blue-600 cursor-pointer hover:text-blue-700"
-                                onClick={() => window.open(`${API_IMAGE_BASE}/uploads/${data.originalReceipt.fileName}`, '_blank')}
+                                onClick={() => window.open(`${API_IMAGE_BASE}${data.originalReceipt.fileUrl}`, '_blank')}
                               >
                                 <FileText className="w-12 h-12 sm:w-16 sm:h-16 mb-2" />
                                 <p className="font-bold text-sm">PDF Document</p>
@@ -628,7 +1653,7 @@ export default function AdminVerificationPage() {
                             ) : (
                               <>
                                 <img
-                                  src={`${API_IMAGE_BASE}/uploads/${data.originalReceipt.fileName}`}
+                                  src={`${API_IMAGE_BASE}${data.originalReceipt.fileUrl}`}
                                   alt="Original receipt"
                                   className="w-full h-full object-contain"
                                   onError={(e) => {
@@ -666,6 +1691,28 @@ export default function AdminVerificationPage() {
                   </p>
                 </div>
 
+                {data.duplicateStatus === 'cross_user' && data.claimants?.length > 0 && (
+                  <div className="border border-red-200 rounded-lg p-3 sm:p-4">
+                    <h4 className="font-medium text-red-800 mb-2 text-sm">Claimants</h4>
+                    <div className="space-y-2 text-xs sm:text-sm">
+                      {data.claimants.map((claimant, idx) => (
+                        <div key={claimant.receiptId} className="flex flex-col sm:flex-row sm:items-center justify-between gap-1 bg-gray-50 p-2 rounded">
+                          <span className="flex items-center gap-1 min-w-0">
+                            <User className="w-3.5 h-3.5 flex-shrink-0" />
+                            <span className="truncate">{claimant.userId}</span>
+                            {idx === 0 && <span className="text-red-600 font-medium ml-1">(flagged upload)</span>}
+                          </span>
+                          <span className="text-gray-500">
+                            {claimant.status}
+                            {claimant.expenseId && ' • in a claim'}
+                            {' • '}{formatDate(claimant.uploadedAt)}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 <div>
                   <label className="text-xs text-gray-500 mb-2 block">Resolution Notes</label>
                   <textarea
@@ -706,6 +1753,9 @@ export default function AdminVerificationPage() {
     { id: 'stats', label: 'Dashboard', longLabel: 'Dashboard' },
     { id: 'verifications', label: 'Pending', longLabel: 'Pending Verifications' },
     { id: 'duplicates', label: 'Duplicates', longLabel: 'Duplicate Detection' },
+    { id: 'budgets', label: 'Budgets', longLabel: 'Budgets' },
+    { id: 'accounting', label: 'Export', longLabel: 'Accounting Export' },
+    { id: 'categories', label: 'Categories', longLabel: 'Categories' },
   ];
 
   // Show loading while checking auth
@@ -799,6 +1849,9 @@ export default function AdminVerificationPage() {
             {activeTab === 'stats' && renderStats()}
             {activeTab === 'verifications' && renderVerifications()}
             {activeTab === 'duplicates' && renderDuplicates()}
+            {activeTab === 'budgets' && renderBudgets()}
+            {activeTab === 'accounting' && renderAccounting()}
+            {activeTab === 'categories' && renderCategories()}
           </>
         )}
       </div>
@@ -1,8 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   Upload, FileText, DollarSign, Clock, AlertCircle, CheckCircle, 
   ArrowUp, Shield, AlertTriangle, BarChart3, Trash2, Eye,
-  XCircle, Loader2, Image as ImageIcon, Menu, X, LogOut, User
+  XCircle, Loader2, Image as ImageIcon, Menu, X, LogOut, User, RefreshCw
 } from 'lucide-react';
 import Dropzone from 'react-dropzone';
 import axios from 'axios';
@@ -10,6 +10,9 @@ import AdminVerificationPage from './AdminVerificationPage';
 
 // Use relative URLs - works in both local dev and production (Railway)
 const API_BASE = '/api';
+
+// How often to refresh the shoebox while receipts are being processed (when live updates are unavailable)
+const RECEIPT_POLL_INTERVAL = 3000;
 const API_IMAGE_BASE = '';
 const AUTH_URL = 'https://auth.atap.solar';
 
@@ -19,15 +22,27 @@ axios.defaults.withCredentials = true;
 function App() {
   const [receipts, setReceipts] = useState([]);
   const [expenses, setExpenses] = useState([]);
+  const [approvals, setApprovals] = useState([]);
+  const [decidingApproval, setDecidingApproval] = useState(null);
   const [categories, setCategories] = useState([]);
   const [analytics, setAnalytics] = useState(null);
+  const [analyticsFilter, setAnalyticsFilter] = useState({ period: 'month', from: '', to: '' });
+  // Latest filter, for reloads triggered from live events
+  const analyticsFilterRef = useRef(analyticsFilter);
   const [loading, setLoading] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [selectedReceipts, setSelectedReceipts] = useState([]);
-  const [currentView, setCurrentView] = useState('shoebox'); // 'shoebox' | 'expenses' | 'admin' | 'analytics'
+  const [currentView, setCurrentView] = useState('shoebox'); // 'shoebox' | 'expenses' | 'approvals' | 'admin' | 'analytics'
   const [uploadWarnings, setUploadWarnings] = useState([]);
+  const [uploadSummary, setUploadSummary] = useState(null);
+  // Receipts uploaded in this session that are still processing: id -> file name
+  const pendingUploads = useRef({});
+  const [liveUpdates, setLiveUpdates] = useState(false);
   const [showReceiptDetail, setShowReceiptDetail] = useState(null);
   const [runningTamperCheck, setRunningTamperCheck] = useState(null);
+  const [editingReceipt, setEditingReceipt] = useState(null);
+  const [savingReceipt, setSavingReceipt] = useState(false);
+  const [deletingReceipt, setDeletingReceipt] = useState(null);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [currentUser, setCurrentUser] = useState(null);
   const [authChecked, setAuthChecked] = useState(false);
@@ -42,11 +57,44 @@ function App() {
     if (currentUser) {
       loadReceipts();
       loadExpenses();
+      loadApprovals();
       loadCategories();
       loadAnalytics();
     }
   }, [currentUser]);
 
+  // Live receipt and claim status changes (Server-Sent Events)
+  useEffect(() => {
+    if (!currentUser || typeof EventSource === 'undefined') return;
+
+    const source = new EventSource(`${API_BASE}/events`, { withCredentials: true });
+
+    source.addEventListener('ready', (e) => {
+      setLiveUpdates(JSON.parse(e.data).live);
+      // Catch up on anything that changed while disconnected
+      loadReceipts();
+      loadExpenses();
+    });
+
+    source.addEventListener('receipt', (e) => {
+      const { receiptId } = JSON.parse(e.data);
+      refreshReceipt(receiptId);
+    });
+
+    source.addEventListener('claim', (e) => {
+      const { expenseId, status, completed } = JSON.parse(e.data);
+      setExpenses(prev => prev.map(exp => exp.id === expenseId ? { ...exp, status } : exp));
+      if (completed) {
+        loadAnalytics();
+      }
+    });
+
+    // EventSource reconnects by itself; poll until it does
+    source.onerror = () => setLiveUpdates(false);
+
+    return () => source.close();
+  }, [currentUser]);
+
   // Close mobile menu when view changes
   useEffect(() => {
     setMobileMenuOpen(false);
@@ -95,6 +143,25 @@ function App() {
     }
   };
 
+  // Update a single receipt card in place
+  const refreshReceipt = async (receiptId) => {
+    try {
+      const response = await axios.get(`${API_BASE}/receipts/detail/${receiptId}`);
+      const updated = response.data;
+      setReceipts(prev => prev.some(r => r.id === receiptId)
+        ? prev.map(r => r.id === receiptId ? updated : r)
+        : [updated, ...prev]);
+      setShowReceiptDetail(prev => prev?.id === receiptId ? updated : prev);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        // Deleted in the meantime
+        setReceipts(prev => prev.filter(r => r.id !== receiptId));
+        return;
+      }
+      console.error('Error refreshing receipt:', error);
+    }
+  };
+
   const loadExpenses = async () => {
     try {
       const response = await axios.get(`${API_BASE}/expenses`);
@@ -107,6 +174,18 @@ function App() {
     }
   };
 
+  const loadApprovals = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/approvals`);
+      setApprovals(response.data.expenses);
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+      }
+      console.error('Error loading approvals:', error);
+    }
+  };
+
   const loadCategories = async () => {
     try {
       const response = await axios.get(`${API_BASE}/categories`);
@@ -116,83 +195,136 @@ function App() {
     }
   };
 
-  const loadAnalytics = async () => {
+  const loadAnalytics = async (filter = analyticsFilterRef.current) => {
     try {
-      const response = await axios.get(`${API_BASE}/analytics/spending?period=month`);
+      const params = filter.period === 'custom' ? { from: filter.from, to: filter.to } : { period: filter.period };
+      const response = await axios.get(`${API_BASE}/analytics/spending`, { params });
       setAnalytics(response.data);
     } catch (error) {
       if (error.response?.status === 401) {
         checkAuth();
+      } else if (error.response?.status === 400) {
+        alert(error.response.data.error);
       }
       console.error('Error loading analytics:', error);
     }
   };
 
+  // Custom ranges load once both dates are set
+  const changeAnalyticsFilter = (changes) => {
+    const filter = { ...analyticsFilterRef.current, ...changes };
+    analyticsFilterRef.current = filter;
+    setAnalyticsFilter(filter);
+    if (filter.period !== 'custom' || (filter.from && filter.to)) {
+      loadAnalytics(filter);
+    }
+  };
+
   const handleUpload = async (files) => {
-    const warnings = [];
-    const errors = [];
+    if (files.length === 0) return;
     try {
       setUploading(true);
       setUploadWarnings([]);
-      
-      for (const file of files) {
-        const formData = new FormData();
-        formData.append('receipt', file);
-
-        try {
-          const response = await axios.post(`${API_BASE}/receipts/upload`, formData, {
-            headers: { 'Content-Type': 'multipart/form-data' }
-          });
-
-          // Check for semantic duplicates (similar receipt, different photo)
-          if (response.data.duplicateStatus === 'detected') {
-            warnings.push({
-              file: file.name,
-              type: 'duplicate',
-              message: 'Potential duplicate detected',
-              details: response.data.potentialDuplicates
-            });
-          }
-        } catch (uploadError) {
-          // Handle exact duplicate (409 conflict)
-          if (uploadError.response?.status === 409) {
-            const errorData = uploadError.response.data;
-            if (errorData.type === 'exact_duplicate') {
-              errors.push({
-                file: file.name,
-                type: 'exact_duplicate',
-                message: `Exact duplicate: This file was already uploaded`,
-                existingAmount: errorData.existingData?.amount,
-                existingDate: errorData.existingData?.date
-              });
-            }
-          } else if (uploadError.response?.status === 401) {
-            checkAuth();
-            return;
-          } else {
-            throw uploadError;
-          }
-        }
-      }
-      
-      if (warnings.length > 0) {
-        setUploadWarnings(warnings);
-      }
-      
-      if (errors.length > 0) {
-        alert(`Skipped ${errors.length} duplicate file(s):\n${errors.map(e => `- ${e.file}`).join('\n')}`);
-      }
-      
+      setUploadSummary(null);
+
+      // One request for the whole drop; ZIP archives are expanded on the server
+      const formData = new FormData();
+      files.forEach(file => formData.append('receipts', file));
+
+      const response = await axios.post(`${API_BASE}/receipts/upload/batch`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+
+      // OCR and duplicate checks run in the background; warnings are shown when they finish
+      response.data.results
+        .filter(r => r.status === 'created')
+        .forEach(r => { pendingUploads.current[r.receiptId] = r.file; });
+
+      setUploadSummary(response.data);
+
       await loadReceipts();
       await loadAnalytics();
     } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+        return;
+      }
       console.error('Upload error:', error);
-      alert('Error uploading receipt: ' + (error.response?.data?.error || error.message));
+      alert('Error uploading receipts: ' + (error.response?.data?.error || error.message));
     } finally {
       setUploading(false);
     }
   };
 
+  // Without a live connection, keep refreshing while any receipt is still being processed
+  useEffect(() => {
+    if (liveUpdates || !receipts.some(r => r.status === 'processing')) return;
+    const timer = setTimeout(() => loadReceipts(), RECEIPT_POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [receipts, liveUpdates]);
+
+  // Warn about this session's uploads once their processing finishes
+  useEffect(() => {
+    const finished = receipts.filter(r => pendingUploads.current[r.id] && r.status !== 'processing');
+    if (finished.length === 0) return;
+
+    const warnings = [];
+    finished.forEach(receipt => {
+      const file = pendingUploads.current[receipt.id];
+      delete pendingUploads.current[receipt.id];
+
+      if (receipt.status === 'failed') {
+        warnings.push({ file, type: 'failed', message: 'Could not be processed - retry from the shoebox' });
+      }
+      if (receipt.status === 'needs_review') {
+        warnings.push({ file, type: 'needs_review', message: "Couldn't be read - enter its details from the shoebox" });
+      }
+
+      // Check for semantic duplicates (similar receipt, different photo)
+      if (receipt.duplicateStatus === 'detected') {
+        warnings.push({
+          file,
+          type: 'duplicate',
+          message: 'Potential duplicate detected',
+          details: receipt.potentialDuplicates
+        });
+      } else if (receipt.duplicateStatus === 'cross_user') {
+        warnings.push({
+          file,
+          type: 'cross_user',
+          message: 'Matches a receipt claimed by another employee - sent for admin review'
+        });
+      }
+
+      if (receipt.policyViolations?.length > 0) {
+        warnings.push({
+          file,
+          type: 'policy',
+          message: receipt.policyViolations.map(v => `${v.name}: ${v.message}`).join('; ')
+        });
+      }
+    });
+
+    if (warnings.length > 0) {
+      setUploadWarnings(prev => [...prev, ...warnings]);
+    }
+    loadAnalytics();
+  }, [receipts]);
+
+  const handleReprocess = async (receiptId) => {
+    try {
+      await axios.post(`${API_BASE}/receipts/${receiptId}/reprocess`);
+      await loadReceipts();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+        return;
+      }
+      console.error('Reprocess error:', error);
+      alert('Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
   const handleTamperCheck = async (receiptId) => {
     try {
       setRunningTamperCheck(receiptId);
@@ -211,10 +343,70 @@ function App() {
     }
   };
 
+  const startEditingReceipt = (receipt) => {
+    const ocr = receipt.ocrData || {};
+    setEditingReceipt({
+      merchant: ocr.merchant || '',
+      date: ocr.date || '',
+      amount: ocr.amount ?? '',
+      currency: ocr.currency || '',
+      category: receipt.category || ocr.category || 'misc',
+      items: (ocr.items || []).map(item => ({ ...item }))
+    });
+  };
+
+  const handleSaveReceipt = async () => {
+    const receipt = showReceiptDetail;
+    const ocr = receipt.ocrData || {};
+    const current = { ...ocr, category: receipt.category || ocr.category };
+
+    // Only send fields that actually changed
+    const changes = {};
+    ['merchant', 'date', 'currency', 'category'].forEach(field => {
+      if (editingReceipt[field] !== (current[field] ?? '')) changes[field] = editingReceipt[field];
+    });
+    if (parseFloat(editingReceipt.amount) !== parseFloat(current.amount)) {
+      changes.amount = editingReceipt.amount;
+    }
+    if (JSON.stringify(editingReceipt.items) !== JSON.stringify(current.items || [])) {
+      changes.items = editingReceipt.items;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      setEditingReceipt(null);
+      return;
+    }
+
+    try {
+      setSavingReceipt(true);
+      const response = await axios.patch(`${API_BASE}/receipts/${receipt.id}`, changes);
+      setShowReceiptDetail(response.data.receipt);
+      setEditingReceipt(null);
+      if (response.data.missingFields?.length > 0) {
+        alert(`Saved. This receipt still needs its ${formatFieldList(response.data.missingFields)} before it can be claimed.`);
+      }
+      if (response.data.duplicateStatus && response.data.duplicateStatus !== 'none') {
+        alert('After your changes this receipt matches another receipt and has been flagged for review.');
+      }
+      await loadReceipts();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+        return;
+      }
+      console.error('Save receipt error:', error);
+      const details = error.response?.data?.details;
+      alert('Error saving receipt: ' + (error.response?.data?.error || error.message) +
+        (details ? '\n' + Object.values(details).map(d => `- ${d}`).join('\n') : ''));
+    } finally {
+      setSavingReceipt(false);
+    }
+  };
+
   const handleReceiptSelect = (id) => {
-    // Don't allow selecting flagged receipts
+    // Only processed receipts can be claimed (not flagged, processing or failed)
     const receipt = receipts.find(r => r.id === id);
-    if (receipt?.status === 'flagged') return;
+    if (receipt?.status !== 'processed') return;
     
     setSelectedReceipts(prev =>
       prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]
@@ -237,15 +429,37 @@ function App() {
       return;
     }
 
+    // Budgets never block a claim, but the employee is told before submitting
+    try {
+      const check = await axios.post(`${API_BASE}/expenses/budget-check`, { receiptIds: selectedReceipts });
+      const alerts = check.data.budgetAlerts || [];
+      if (alerts.length > 0 && !confirm(
+        `This claim would take ${alerts.length === 1 ? 'a budget' : `${alerts.length} budgets`} over:\n`
+        + alerts.map(a => `• ${a.message}`).join('\n')
+        + '\n\nSubmit anyway? Your reviewer will see this.'
+      )) {
+        return;
+      }
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+        return;
+      }
+      console.error('Budget check error:', error);
+    }
+
     const category = prompt('Enter expense category (e.g., Travel, Meals, Office):') || 'General';
     const notes = prompt('Add any notes:') || '';
 
     try {
-      await axios.post(`${API_BASE}/expenses/submit`, {
+      const response = await axios.post(`${API_BASE}/expenses/submit`, {
         receiptIds: selectedReceipts,
         category,
         notes
       });
+      if (response.data.policyWarnings?.length > 0) {
+        alert(`Claim submitted with policy warnings for the reviewer:\n${formatPolicyResults(response.data.policyWarnings)}`);
+      }
       setSelectedReceipts([]);
       await loadReceipts();
       await loadExpenses();
@@ -257,7 +471,34 @@ function App() {
       }
       console.error('Submit error:', error);
       const errorMsg = error.response?.data?.error || error.message;
-      alert('Error submitting expense: ' + errorMsg);
+      const policyViolations = error.response?.data?.policyViolations;
+      alert('Error submitting expense: ' + errorMsg +
+        (policyViolations?.length > 0 ? `\n${formatPolicyResults(policyViolations)}` : ''));
+      if (policyViolations) {
+        await loadReceipts();
+      }
+    }
+  };
+
+  const handleApprovalDecision = async (expenseId, action) => {
+    const notes = action === 'reject'
+      ? prompt('Reason for rejection:')
+      : prompt('Add approval notes (optional):', '');
+    if (notes === null) return;
+
+    try {
+      setDecidingApproval(expenseId);
+      await axios.post(`${API_BASE}/approvals/${expenseId}`, { action, notes });
+      await loadApprovals();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+        return;
+      }
+      console.error('Approval error:', error);
+      alert('Error: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setDecidingApproval(null);
     }
   };
 
@@ -265,11 +506,23 @@ function App() {
     if (!confirm('Are you sure you want to delete this receipt?')) return;
     
     try {
-      // In a real app, you'd have a delete endpoint
-      // await axios.delete(`${API_BASE}/receipts/${receiptId}`);
-      alert('Delete functionality would be implemented here');
+      setDeletingReceipt(receiptId);
+      await axios.delete(`${API_BASE}/receipts/${receiptId}`);
+      setSelectedReceipts(prev => prev.filter(id => id !== receiptId));
+      if (showReceiptDetail?.id === receiptId) {
+        setShowReceiptDetail(null);
+        setEditingReceipt(null);
+      }
+      await loadReceipts();
     } catch (error) {
+      if (error.response?.status === 401) {
+        checkAuth();
+        return;
+      }
       console.error('Delete error:', error);
+      alert('Error deleting receipt: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setDeletingReceipt(null);
     }
   };
 
@@ -280,6 +533,16 @@ function App() {
     }).format(amount || 0);
   };
 
+  // Claims store category totals as { amount, original } (older claims: plain numbers)
+  const breakdownAmount = (entry) => (typeof entry === 'object' && entry !== null ? entry.amount : entry);
+
+  // "USD 12.50 + MYR 30.00" when a claim mixes currencies or differs from its base currency
+  const formatOriginalAmounts = (expense) => {
+    const entries = Object.entries(expense.originalAmounts || {});
+    if (entries.length === 0 || (entries.length === 1 && entries[0][0] === expense.currency)) return null;
+    return entries.map(([currency, amount]) => formatCurrency(amount, currency)).join(' + ');
+  };
+
   const formatDate = (timestamp) => {
     if (!timestamp) return 'N/A';
     const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
@@ -289,6 +552,35 @@ function App() {
   };
 
   const getStatusBadge = (status, tamperCheck, duplicateStatus) => {
+    if (status === 'processing') {
+      return (
+        <span className="inline-flex items-center gap-1 bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs font-medium">
+          <Loader2 className="w-3 h-3 animate-spin" />
+          <span className="hidden sm:inline">Processing</span>
+          <span className="sm:hidden">...</span>
+        </span>
+      );
+    }
+
+    if (status === 'needs_review') {
+      return (
+        <span className="inline-flex items-center gap-1 bg-amber-100 text-amber-800 px-2 py-1 rounded-full text-xs font-medium">
+          <AlertCircle className="w-3 h-3" />
+          <span className="hidden sm:inline">Needs details</span>
+          <span className="sm:hidden">Details</span>
+        </span>
+      );
+    }
+
+    if (status === 'failed') {
+      return (
+        <span className="inline-flex items-center gap-1 bg-red-100 text-red-800 px-2 py-1 rounded-full text-xs font-medium">
+          <XCircle className="w-3 h-3" />
+          Failed
+        </span>
+      );
+    }
+
     if (duplicateStatus === 'detected') {
       return (
         <span className="inline-flex items-center gap-1 bg-red-100 text-red-800 px-2 py-1 rounded-full text-xs font-medium">
@@ -298,7 +590,17 @@ function App() {
         </span>
       );
     }
-    
+
+    if (duplicateStatus === 'cross_user') {
+      return (
+        <span className="inline-flex items-center gap-1 bg-red-100 text-red-800 px-2 py-1 rounded-full text-xs font-medium">
+          <AlertTriangle className="w-3 h-3" />
+          <span className="hidden sm:inline">Shared Bill</span>
+          <span className="sm:hidden">Shared</span>
+        </span>
+      );
+    }
+
     if (status === 'flagged') {
       return (
         <span className="inline-flex items-center gap-1 bg-orange-100 text-orange-800 px-2 py-1 rounded-full text-xs font-medium">
@@ -347,7 +649,136 @@ function App() {
     );
   };
 
-  const unsubmittedReceipts = receipts.filter(r => r.status === 'processed' || r.status === 'flagged');
+  // One line per violation: "Merchant - Policy: message"
+  const formatPolicyResults = (results) => results
+    .flatMap(r => r.violations.map(v => `- ${r.merchant || 'Receipt'} - ${v.name}: ${v.message}`))
+    .join('\n');
+
+  const renderPolicyViolations = (violations) => {
+    if (!violations?.length) return null;
+    const blocking = violations.some(v => v.severity === 'block');
+
+    return (
+      <div className={`rounded-lg p-3 text-xs sm:text-sm ${blocking ? 'bg-red-50 text-red-800' : 'bg-yellow-50 text-yellow-800'}`}>
+        <p className="font-medium">Expense Policy</p>
+        <ul className="mt-1 space-y-0.5">
+          {violations.map((v, i) => (
+            <li key={i} className="flex justify-between gap-2">
+              <span>• {v.name}: {v.message}</span>
+              <span className="uppercase text-[10px] font-semibold whitespace-nowrap">{v.severity}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  const formatStatus = (status) => status?.replace(/_/g, ' ');
+
+  // "Pages 2-3 of 5" for receipts found in part of a multi-page PDF (null for whole files)
+  const formatSourcePages = (receipt) => {
+    const pages = receipt.sourcePages;
+    if (!pages?.length || (!receipt.sourceReceiptId && pages.length === receipt.pageCount)) return null;
+    const contiguous = pages.every((n, i) => i === 0 || n === pages[i - 1] + 1);
+    const label = pages.length === 1
+      ? `Page ${pages[0]}`
+      : `Pages ${contiguous ? `${pages[0]}-${pages[pages.length - 1]}` : pages.join(', ')}`;
+    return receipt.pageCount ? `${label} of ${receipt.pageCount}` : label;
+  };
+
+  // "merchant, date and amount"
+  const formatFieldList = (fields) => (fields.length > 1
+    ? `${fields.slice(0, -1).join(', ')} and ${fields[fields.length - 1]}`
+    : fields[0]);
+
+  const renderApprovalSteps = (expense) => {
+    if (!expense.approvalSteps?.length) return null;
+
+    const stepStyles = {
+      approved: 'bg-green-100 text-green-800',
+      rejected: 'bg-red-100 text-red-800',
+      pending: 'bg-yellow-100 text-yellow-800 ring-1 ring-yellow-300',
+      waiting: 'bg-gray-100 text-gray-500',
+      skipped: 'bg-gray-50 text-gray-400 line-through'
+    };
+
+    return (
+      <div className="flex flex-wrap items-center gap-1 mb-4">
+        {expense.approvalSteps.map((step, idx) => (
+          <React.Fragment key={step.key}>
+            {idx > 0 && <span className="text-gray-300 text-xs">→</span>}
+            <span
+              className={`inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium ${stepStyles[step.status] || stepStyles.waiting}`}
+              title={step.decidedAt ? `${step.status} ${formatDate(step.decidedAt)}${step.notes ? `: ${step.notes}` : ''}` : step.status}
+            >
+              {step.status === 'approved' && <CheckCircle className="w-3 h-3" />}
+              {step.status === 'rejected' && <XCircle className="w-3 h-3" />}
+              {step.status === 'pending' && <Clock className="w-3 h-3" />}
+              {step.name}
+            </span>
+          </React.Fragment>
+        ))}
+      </div>
+    );
+  };
+
+  const renderApprovals = () => (
+    <div className="space-y-3 sm:space-y-4">
+      {approvals.length === 0 ? (
+        <div className="bg-white rounded-xl p-8 sm:p-12 text-center text-gray-500">
+          <CheckCircle className="w-12 h-12 sm:w-16 sm:h-16 mx-auto mb-4 text-gray-300" />
+          <p className="text-base sm:text-lg font-medium">Nothing waiting for your approval</p>
+        </div>
+      ) : (
+        approvals.map(expense => (
+          <div key={expense.id} className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200">
+            <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-3 sm:gap-4 mb-3">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2 mb-1 flex-wrap">
+                  <span className="inline-block bg-blue-100 text-blue-800 px-2 sm:px-3 py-1 rounded-full text-xs sm:text-sm font-medium">
+                    {expense.category}
+                  </span>
+                  <span className="text-xs text-gray-500">{expense.receiptIds?.length || 0} receipts</span>
+                </div>
+                <h3 className="text-xl sm:text-2xl font-bold text-gray-900">
+                  {formatCurrency(expense.total, expense.receipts?.[0]?.ocr_data?.currency)}
+                </h3>
+                <p className="text-xs sm:text-sm text-gray-500 mt-1">
+                  {expense.userId} · Submitted: {formatDate(expense.submittedAt)}
+                </p>
+              </div>
+              <div className="flex gap-2 self-start">
+                <button
+                  onClick={() => handleApprovalDecision(expense.id, 'reject')}
+                  disabled={decidingApproval === expense.id}
+                  className="flex items-center gap-1 px-3 py-2 text-sm border border-red-300 text-red-700 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                >
+                  <XCircle className="w-4 h-4" />
+                  Reject
+                </button>
+                <button
+                  onClick={() => handleApprovalDecision(expense.id, 'approve')}
+                  disabled={decidingApproval === expense.id}
+                  className="flex items-center gap-1 px-3 py-2 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                >
+                  {decidingApproval === expense.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle className="w-4 h-4" />}
+                  Approve {expense.currentStep?.name && `as ${expense.currentStep.name}`}
+                </button>
+              </div>
+            </div>
+            {renderApprovalSteps(expense)}
+            {expense.notes && (
+              <p className="text-gray-600 text-xs sm:text-sm bg-gray-50 p-2 sm:p-3 rounded-lg">
+                {expense.notes}
+              </p>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+
+  const unsubmittedReceipts = receipts.filter(r => ['processed', 'flagged', 'processing', 'failed', 'needs_review'].includes(r.status));
   const selectedTotal = receipts
     .filter(r => selectedReceipts.includes(r.id))
     .reduce((sum, r) => sum + (r.ocrData?.amount || 0), 0);
@@ -355,17 +786,62 @@ function App() {
   // Analytics View
   const renderAnalytics = () => {
     if (!analytics) return <div className="text-center py-12">Loading analytics...</div>;
-    
+
+    const currency = analytics.currency;
+    const maxPoint = Math.max(...analytics.series.map(point => point.amount), 0);
+    // Spending going up is shown in red, down in green
+    const changeLabel = (change) => change === null || change === undefined
+      ? null
+      : <span className={change > 0 ? 'text-red-600' : change < 0 ? 'text-green-600' : 'text-gray-500'}>
+          {change > 0 ? '▲' : change < 0 ? '▼' : ''} {Math.abs(change)}%
+        </span>;
+
     return (
       <div className="space-y-4 sm:space-y-6">
+        <div className="bg-white rounded-xl p-3 sm:p-4 border border-gray-200 flex flex-wrap items-center gap-2">
+          {['week', 'month', 'quarter', 'year', 'custom'].map(period => (
+            <button
+              key={period}
+              onClick={() => changeAnalyticsFilter({ period })}
+              className={`px-3 py-1.5 rounded-lg text-xs sm:text-sm font-medium capitalize ${
+                analyticsFilter.period === period ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {period === 'custom' ? 'Custom' : `This ${period}`}
+            </button>
+          ))}
+          {analyticsFilter.period === 'custom' && (
+            <div className="flex items-center gap-2 text-xs sm:text-sm">
+              <input
+                type="date"
+                value={analyticsFilter.from}
+                onChange={(e) => changeAnalyticsFilter({ from: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              />
+              <span className="text-gray-500">to</span>
+              <input
+                type="date"
+                value={analyticsFilter.to}
+                onChange={(e) => changeAnalyticsFilter({ to: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              />
+            </div>
+          )}
+          <span className="text-xs text-gray-500 sm:ml-auto">{analytics.from} – {analytics.to}</span>
+        </div>
+
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4">
           <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200">
             <p className="text-gray-500 text-xs sm:text-sm mb-1">Total Spending</p>
-            <p className="text-xl sm:text-2xl font-bold text-gray-900">{formatCurrency(analytics.totalAmount)}</p>
+            <p className="text-xl sm:text-2xl font-bold text-gray-900">{formatCurrency(analytics.totalAmount, currency)}</p>
+            <p className="text-xs text-gray-500 mt-1">
+              {changeLabel(analytics.change.percentage)} vs {formatCurrency(analytics.previous.totalAmount, currency)} ({analytics.previous.from} – {analytics.previous.to})
+            </p>
           </div>
           <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200">
             <p className="text-gray-500 text-xs sm:text-sm mb-1">Receipts</p>
             <p className="text-xl sm:text-2xl font-bold text-gray-900">{analytics.totalReceipts}</p>
+            <p className="text-xs text-gray-500 mt-1">{analytics.previous.totalReceipts} in the previous period</p>
           </div>
           <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200 sm:col-span-2 lg:col-span-1">
             <p className="text-gray-500 text-xs sm:text-sm mb-1">Top Category</p>
@@ -375,14 +851,50 @@ function App() {
           </div>
         </div>
 
+        {analytics.unconverted?.length > 0 && (
+          <p className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-2">
+            Not included (no exchange rate): {analytics.unconverted.map(u => `${formatCurrency(u.amount, u.currency)} (${u.count})`).join(', ')}
+          </p>
+        )}
+
+        <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200">
+          <h3 className="font-medium text-gray-900 mb-3 sm:mb-4 text-sm sm:text-base">
+            Spending by {analytics.interval}
+          </h3>
+          <div className="flex items-end gap-px sm:gap-0.5 h-40">
+            {analytics.series.map(point => (
+              <div
+                key={point.start}
+                className="flex-1 h-full flex items-end"
+                title={`${point.start === point.end ? point.start : `${point.start} – ${point.end}`}: ${formatCurrency(point.amount, currency)} (${point.count} receipts)`}
+              >
+                <div
+                  className="w-full bg-blue-600 rounded-t hover:bg-blue-700"
+                  style={{ height: maxPoint > 0 ? `${(point.amount / maxPoint) * 100}%` : 0, minHeight: point.amount > 0 ? 2 : 0 }}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between text-[10px] sm:text-xs text-gray-500 mt-1">
+            <span>{analytics.series[0]?.start}</span>
+            <span>{analytics.series[analytics.series.length - 1]?.end}</span>
+          </div>
+        </div>
+
         <div className="bg-white rounded-xl p-4 sm:p-6 border border-gray-200">
           <h3 className="font-medium text-gray-900 mb-3 sm:mb-4 text-sm sm:text-base">Spending by Category</h3>
           <div className="space-y-3">
+            {analytics.categories.length === 0 && (
+              <p className="text-xs sm:text-sm text-gray-500">No receipts dated in this period</p>
+            )}
             {analytics.categories.map(cat => (
               <div key={cat.id}>
                 <div className="flex justify-between text-xs sm:text-sm mb-1">
                   <span className="text-gray-700 truncate mr-2">{cat.name}</span>
-                  <span className="font-medium whitespace-nowrap">{formatCurrency(cat.amount)} ({cat.percentage}%)</span>
+                  <span className="font-medium whitespace-nowrap">
+                    {formatCurrency(cat.amount, currency)} ({cat.percentage}%)
+                    {cat.change !== null && <span className="text-[10px] sm:text-xs font-normal ml-1">{changeLabel(cat.change)}</span>}
+                  </span>
                 </div>
                 <div className="w-full bg-gray-200 rounded-full h-2">
                   <div 
@@ -410,10 +922,35 @@ function App() {
   const renderReceiptDetail = () => {
     if (!showReceiptDetail) return null;
     
-    const fileUrl = showReceiptDetail.fileName 
-      ? `${API_IMAGE_BASE}/uploads/${showReceiptDetail.fileName}`
+    const fileUrl = showReceiptDetail.fileUrl
+      ? `${API_IMAGE_BASE}${showReceiptDetail.fileUrl}`
       : null;
     const isPdf = showReceiptDetail.fileName?.toLowerCase().endsWith('.pdf');
+    const canEdit = ['processed', 'flagged', 'needs_review'].includes(showReceiptDetail.status) && !showReceiptDetail.expenseId;
+    const correctedFields = showReceiptDetail.ocrData?.correctedFields || [];
+    const aiHint = (field, format = (v) => v) => correctedFields.includes(field) && (
+      <p className="text-[10px] text-amber-600" title="Corrected by you">
+        Edited · AI read: {showReceiptDetail.aiOcrData?.[field] != null ? format(showReceiptDetail.aiOcrData[field]) : 'nothing'}
+      </p>
+    );
+    const inputClass = 'w-full border border-gray-300 rounded px-2 py-1 text-xs sm:text-sm focus:ring-2 focus:ring-blue-500';
+    // Fields OCR could not read, or was unsure of, are outlined until filled in or checked
+    const missingFields = showReceiptDetail.missingFields || [];
+    const ocrReview = showReceiptDetail.ocrReview || {};
+    const uncertainFields = ocrReview.uncertainFields || [];
+    const fieldClass = (field) => ((missingFields.includes(field) && !editingReceipt?.[field]) || uncertainFields.includes(field)
+      ? inputClass.replace('border-gray-300', 'border-amber-400 bg-amber-50')
+      : inputClass);
+    const confidenceHint = (field) => uncertainFields.includes(field) && (
+      <p className="text-[10px] text-amber-600">
+        Please check{ocrReview.fieldConfidence?.[field] != null && ` · AI ${Math.round(ocrReview.fieldConfidence[field] * 100)}% sure`}
+      </p>
+    );
+    const uncertainClass = (field) => (uncertainFields.includes(field) ? 'bg-amber-50 rounded -mx-1 px-1' : '');
+    const updateItem = (idx, field, value) => setEditingReceipt(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === idx ? { ...item, [field]: value } : item))
+    }));
     
     return (
       <div className="fixed inset-0 bg-black/50 flex items-end sm:items-center justify-center z-50">
@@ -433,7 +970,10 @@ function App() {
               )}
             </div>
             <button 
-              onClick={() => setShowReceiptDetail(null)}
+              onClick={() => {
+                setShowReceiptDetail(null);
+                setEditingReceipt(null);
+              }}
               className="text-gray-400 hover:text-gray-600 p-2 touch-target"
             >
               <XCircle className="w-6 h-6" />
@@ -479,31 +1019,214 @@ function App() {
           )}
           
           <div className="p-4 sm:p-6 space-y-4">
+            {showReceiptDetail.status === 'needs_review' && (
+              <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-xs sm:text-sm text-amber-900">
+                <p className="font-medium">We couldn't read this receipt automatically.</p>
+                <p className="mt-0.5">
+                  Enter the {formatFieldList(missingFields.length > 0 ? missingFields : ['merchant', 'date', 'amount', 'currency'])} from the image to make it claimable.
+                </p>
+              </div>
+            )}
+
+            {editingReceipt ? (
+              <div className="space-y-3 text-xs sm:text-sm">
+                <div className="grid grid-cols-2 gap-3 sm:gap-4">
+                  <label className="block">
+                    <span className="text-gray-500">Merchant</span>
+                    <input
+                      value={editingReceipt.merchant}
+                      onChange={(e) => setEditingReceipt({ ...editingReceipt, merchant: e.target.value })}
+                      className={fieldClass('merchant')}
+                    />
+                  </label>
+                  <label className="block">
+                    <span className="text-gray-500">Date</span>
+                    <input
+                      type="date"
+                      value={editingReceipt.date}
+                      onChange={(e) => setEditingReceipt({ ...editingReceipt, date: e.target.value })}
+                      className={fieldClass('date')}
+                    />
+                  </label>
+                  <label className="block">
+                    <span className="text-gray-500">Amount</span>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={editingReceipt.amount}
+                      onChange={(e) => setEditingReceipt({ ...editingReceipt, amount: e.target.value })}
+                      className={fieldClass('amount')}
+                    />
+                  </label>
+                  <label className="block">
+                    <span className="text-gray-500">Currency</span>
+                    <input
+                      maxLength={3}
+                      value={editingReceipt.currency}
+                      onChange={(e) => setEditingReceipt({ ...editingReceipt, currency: e.target.value.toUpperCase() })}
+                      className={`${fieldClass('currency')} uppercase`}
+                    />
+                  </label>
+                  <label className="block col-span-2">
+                    <span className="text-gray-500">Category</span>
+                    <select
+                      value={editingReceipt.category}
+                      onChange={(e) => setEditingReceipt({ ...editingReceipt, category: e.target.value })}
+                      className={fieldClass('category')}
+                    >
+                      {categories.map(cat => (
+                        <option key={cat.id} value={cat.id}>{cat.name}</option>
+                      ))}
+                      {/* A retired category stays selectable on receipts that already use it */}
+                      {editingReceipt.category && !categories.some(cat => cat.id === editingReceipt.category) && (
+                        <option value={editingReceipt.category}>
+                          {showReceiptDetail.ocrData?.categoryName || editingReceipt.category} (retired)
+                        </option>
+                      )}
+                    </select>
+                  </label>
+                </div>
+
+                <div>
+                  <p className="text-gray-500 mb-1">Items</p>
+                  <div className="space-y-1">
+                    {editingReceipt.items.map((item, idx) => (
+                      <div key={idx} className="flex gap-1 items-center">
+                        <input
+                          value={item.name}
+                          onChange={(e) => updateItem(idx, 'name', e.target.value)}
+                          placeholder="Item"
+                          className={`${inputClass} flex-1`}
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          value={item.quantity}
+                          onChange={(e) => updateItem(idx, 'quantity', e.target.value)}
+                          className={`${inputClass} w-14`}
+                        />
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          value={item.price}
+                          onChange={(e) => updateItem(idx, 'price', e.target.value)}
+                          className={`${inputClass} w-20`}
+                        />
+                        <button
+                          onClick={() => setEditingReceipt({ ...editingReceipt, items: editingReceipt.items.filter((_, i) => i !== idx) })}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <button
+                    onClick={() => setEditingReceipt({ ...editingReceipt, items: [...editingReceipt.items, { name: '', quantity: 1, price: 0 }] })}
+                    className="text-blue-600 hover:underline mt-1"
+                  >
+                    + Add item
+                  </button>
+                </div>
+
+                <div className="flex gap-2 justify-end">
+                  <button
+                    onClick={() => setEditingReceipt(null)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSaveReceipt}
+                    disabled={savingReceipt}
+                    className="flex items-center gap-1 px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {savingReceipt && <Loader2 className="w-4 h-4 animate-spin" />}
+                    Save changes
+                  </button>
+                </div>
+              </div>
+            ) : (
+            <>
             <div className="grid grid-cols-2 gap-3 sm:gap-4 text-xs sm:text-sm">
-              <div>
+              <div className={uncertainClass('merchant')}>
                 <p className="text-gray-500">Merchant</p>
                 <p className="font-medium truncate">{showReceiptDetail.ocrData?.merchant || 'Unknown'}</p>
+                {aiHint('merchant')}
+                {confidenceHint('merchant')}
               </div>
-              <div>
+              <div className={uncertainClass('amount')}>
                 <p className="text-gray-500">Amount</p>
                 <p className="font-medium">{formatCurrency(showReceiptDetail.ocrData?.amount, showReceiptDetail.ocrData?.currency)}</p>
+                {aiHint('amount', (v) => formatCurrency(v, showReceiptDetail.aiOcrData?.currency))}
+                {aiHint('currency')}
+                {confidenceHint('amount')}
               </div>
-              <div>
+              <div className={uncertainClass('date')}>
                 <p className="text-gray-500">Date</p>
                 <p className="font-medium">{showReceiptDetail.ocrData?.date || 'N/A'}</p>
+                {aiHint('date')}
+                {confidenceHint('date')}
               </div>
-              <div>
+              <div className={uncertainClass('category')}>
                 <p className="text-gray-500">Category</p>
                 <p className="font-medium">{showReceiptDetail.ocrData?.categoryName || 'Miscellaneous'}</p>
+                {aiHint('category')}
+                {confidenceHint('category')}
+                {uncertainFields.includes('category') && showReceiptDetail.ocrData?.categoryAlternatives?.length > 0 && (
+                  <p className="text-[10px] text-amber-600">
+                    Or maybe: {showReceiptDetail.ocrData.categoryAlternatives
+                      .map(id => categories.find(cat => cat.id === id)?.name || id).join(', ')}
+                  </p>
+                )}
               </div>
+              {formatSourcePages(showReceiptDetail) && (
+                <div className="col-span-2">
+                  <p className="text-gray-500">Source</p>
+                  <p className="font-medium truncate">
+                    {formatSourcePages(showReceiptDetail)} · {showReceiptDetail.originalName}
+                  </p>
+                </div>
+              )}
             </div>
+
+            {canEdit && (
+              <div className="flex items-center justify-between">
+                <button
+                  onClick={() => startEditingReceipt(showReceiptDetail)}
+                  className="text-xs sm:text-sm text-blue-600 hover:underline font-medium"
+                >
+                  Edit details
+                </button>
+                <button
+                  onClick={() => handleDeleteReceipt(showReceiptDetail.id)}
+                  disabled={deletingReceipt === showReceiptDetail.id}
+                  className="flex items-center gap-1 text-xs sm:text-sm text-red-600 hover:underline font-medium disabled:opacity-50"
+                >
+                  {deletingReceipt === showReceiptDetail.id ? (
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                  ) : (
+                    <Trash2 className="w-4 h-4" />
+                  )}
+                  Delete receipt
+                </button>
+              </div>
+            )}
+            </>
+            )}
             
-            {showReceiptDetail.ocrData?.items?.length > 0 && (
+            {!editingReceipt && showReceiptDetail.ocrData?.items?.length > 0 && (
               <div>
                 <p className="text-gray-500 text-xs sm:text-sm mb-2">Items</p>
                 <div className="bg-gray-50 rounded-lg p-3 space-y-1 text-xs sm:text-sm">
                   {showReceiptDetail.ocrData.items.map((item, idx) => (
-                    <div key={idx} className="flex justify-between">
+                    <div
+                      key={idx}
+                      className={`flex justify-between ${ocrReview.uncertainItems?.includes(idx) ? 'text-amber-700 bg-amber-50 rounded -mx-1 px-1' : ''}`}
+                      title={ocrReview.uncertainItems?.includes(idx) ? 'AI was unsure of this line - please check' : undefined}
+                    >
                       <span className="truncate mr-2">{item.name} x{item.quantity}</span>
                       <span className="whitespace-nowrap">{formatCurrency(item.price, showReceiptDetail.ocrData?.currency)}</span>
                     </div>
@@ -512,6 +1235,31 @@ function App() {
               </div>
             )}
 
+            {!editingReceipt && ocrReview.checks?.length > 0 && (
+              <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-xs sm:text-sm text-amber-900">
+                <p className="font-medium">Please check before submitting</p>
+                <ul className="mt-1 space-y-0.5">
+                  {ocrReview.checks.map(c => <li key={c.check}>• {c.message}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {!editingReceipt && showReceiptDetail.ocrValidation?.errors?.length > 0 && (
+              <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-xs sm:text-sm text-gray-700">
+                <p className="font-medium">Some values read from the receipt were invalid and left out</p>
+                <ul className="mt-1 space-y-0.5">
+                  {showReceiptDetail.ocrValidation.errors.map((e, i) => (
+                    <li key={i}>
+                      • {e.message}
+                      {e.value != null && typeof e.value !== 'object' && <span className="text-gray-400"> (read "{String(e.value)}")</span>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {renderPolicyViolations(showReceiptDetail.policyViolations)}
+
             {showReceiptDetail.tamperCheck && (
               <div className={`rounded-lg p-3 text-xs sm:text-sm ${
                 showReceiptDetail.tamperCheck.riskLevel === 'high' 
@@ -520,8 +1268,27 @@ function App() {
                   ? 'bg-yellow-50 text-yellow-800'
                   : 'bg-green-50 text-green-800'
               }`}>
-                <p className="font-medium">Tamper Check: {showReceiptDetail.tamperCheck.riskLevel} risk</p>
-                {showReceiptDetail.tamperCheck.reasons?.length > 0 && (
+                <p className="font-medium">
+                  Tamper Check: {showReceiptDetail.tamperCheck.riskLevel} risk
+                  {showReceiptDetail.tamperCheck.riskScore !== undefined && (
+                    <span className="font-normal ml-1">({Math.round(showReceiptDetail.tamperCheck.riskScore * 100)}%)</span>
+                  )}
+                </p>
+                {showReceiptDetail.tamperCheck.evidence?.length > 0 ? (
+                  <ul className="text-xs sm:text-sm mt-1 space-y-0.5">
+                    {showReceiptDetail.tamperCheck.evidence
+                      .filter(e => e.severity !== 'info')
+                      .map((e, i) => (
+                        <li key={i} className="flex justify-between gap-2">
+                          <span>• {e.message}</span>
+                          <span className="uppercase text-[10px] font-semibold whitespace-nowrap">{e.severity}</span>
+                        </li>
+                      ))}
+                    {showReceiptDetail.tamperCheck.evidence.every(e => e.severity === 'info') && (
+                      <li>• No signs of tampering detected</li>
+                    )}
+                  </ul>
+                ) : showReceiptDetail.tamperCheck.reasons?.length > 0 && (
                   <ul className="text-xs sm:text-sm mt-1">
                     {showReceiptDetail.tamperCheck.reasons.map((r, i) => (
                       <li key={i}>• {r}</li>
@@ -549,6 +1316,7 @@ function App() {
   const navItems = [
     { id: 'shoebox', label: 'Shoebox', count: unsubmittedReceipts.length, icon: FileText },
     { id: 'expenses', label: 'Claims', count: expenses.length, icon: DollarSign },
+    ...(approvals.length > 0 ? [{ id: 'approvals', label: 'Approvals', count: approvals.length, icon: CheckCircle }] : []),
     { id: 'analytics', label: 'Analytics', count: null, icon: BarChart3 },
     ...(currentUser?.isAdmin || currentUser?.role === 'admin' ? [{ id: 'admin', label: 'Admin', count: null, icon: Shield }] : []),
   ];
@@ -785,7 +1553,14 @@ function App() {
         {currentView === 'shoebox' && (
           <div className="space-y-4 sm:space-y-6">
             {/* Upload Area - Mobile Optimized */}
-            <Dropzone onDrop={handleUpload} accept={{ 'image/*': ['.png', '.jpg', '.jpeg'], 'application/pdf': ['.pdf'] }}>
+            <Dropzone
+              onDrop={handleUpload}
+              accept={{
+                'image/*': ['.png', '.jpg', '.jpeg'],
+                'application/pdf': ['.pdf'],
+                'application/zip': ['.zip']
+              }}
+            >
               {({ getRootProps, getInputProps, isDragActive }) => (
                 <div
                   {...getRootProps()}
@@ -800,14 +1575,14 @@ function App() {
                   {uploading ? (
                     <div className="flex items-center justify-center gap-2 text-gray-600">
                       <Loader2 className="w-5 h-5 animate-spin" />
-                      <p className="text-sm sm:text-base">Uploading and processing with AI...</p>
+                      <p className="text-sm sm:text-base">Uploading receipts...</p>
                     </div>
                   ) : (
                     <>
                       <p className="text-base sm:text-lg font-medium text-gray-700">
                         {isDragActive ? 'Drop receipts here' : 'Tap to upload receipts'}
                       </p>
-                      <p className="text-xs sm:text-sm text-gray-500 mt-1">PNG, JPG, or PDF files</p>
+                      <p className="text-xs sm:text-sm text-gray-500 mt-1">PNG, JPG, PDF, or a ZIP of receipts</p>
                       <p className="text-[10px] sm:text-xs text-gray-400 mt-1">
                         AI will auto-categorize and check for duplicates
                       </p>
@@ -817,6 +1592,52 @@ function App() {
               )}
             </Dropzone>
 
+            {/* Bulk Upload Summary */}
+            {uploadSummary && (
+              <div className="bg-white border border-gray-200 rounded-xl p-3 sm:p-4">
+                <div className="flex items-start justify-between gap-3">
+                  <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+                    <span className="font-medium text-gray-900">
+                      {uploadSummary.summary.total} file{uploadSummary.summary.total === 1 ? '' : 's'} uploaded
+                    </span>
+                    <span className="flex items-center gap-1 text-green-700">
+                      <CheckCircle className="w-4 h-4" />
+                      {uploadSummary.summary.created} processing
+                    </span>
+                    {uploadSummary.summary.duplicate > 0 && (
+                      <span className="flex items-center gap-1 text-orange-700">
+                        <AlertTriangle className="w-4 h-4" />
+                        {uploadSummary.summary.duplicate} duplicate
+                      </span>
+                    )}
+                    {uploadSummary.summary.failed > 0 && (
+                      <span className="flex items-center gap-1 text-red-700">
+                        <XCircle className="w-4 h-4" />
+                        {uploadSummary.summary.failed} failed
+                      </span>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => setUploadSummary(null)}
+                    className="text-gray-400 hover:text-gray-600 p-1 touch-target flex-shrink-0"
+                  >
+                    <X className="w-5 h-5" />
+                  </button>
+                </div>
+                {uploadSummary.results.some(r => r.status !== 'created') && (
+                  <ul className="mt-2 space-y-1 text-xs sm:text-sm">
+                    {uploadSummary.results.filter(r => r.status !== 'created').map((result, idx) => (
+                      <li key={idx} className={`truncate ${result.status === 'failed' ? 'text-red-600' : 'text-orange-700'}`}>
+                        <span className="font-medium">{result.file}</span>
+                        {' - '}
+                        {result.status === 'duplicate' ? 'Already uploaded' : result.reason}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
             {/* Selected Receipts Action Bar - Sticky on mobile */}
             {selectedReceipts.length > 0 && (
               <div className="bg-blue-50 border border-blue-200 rounded-xl p-3 sm:p-4 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3 sticky bottom-4 z-30 shadow-lg">
@@ -860,14 +1681,17 @@ function App() {
                     }`}
                   >
                     <div 
-                      className={receipt.status === 'flagged' ? '' : 'cursor-pointer'}
-                      onClick={() => receipt.status !== 'flagged' && handleReceiptSelect(receipt.id)}
+                      className={receipt.status === 'processed' ? 'cursor-pointer' : ''}
+                      onClick={() => handleReceiptSelect(receipt.id)}
                     >
                       <div className="flex items-start justify-between mb-2 sm:mb-3">
                         <div className="flex items-center gap-1.5 sm:gap-2 flex-wrap">
                           {getStatusBadge(receipt.status, receipt.tamperCheck, receipt.duplicateStatus)}
                           <span className="text-xs sm:text-sm font-medium text-gray-600 truncate max-w-[100px] sm:max-w-none">
                             {receipt.ocrData?.categoryName || 'Misc'}
+                            {receipt.ocrReview?.uncertainFields?.includes('category') && (
+                              <span className="text-amber-600" title="Not sure of the category - please check">?</span>
+                            )}
                           </span>
                         </div>
                         <div className="flex gap-0.5 sm:gap-1">
@@ -880,7 +1704,7 @@ function App() {
                           >
                             <Eye className="w-4 h-4" />
                           </button>
-                          {!receipt.tamperCheck && receipt.status !== 'flagged' && (
+                          {!receipt.tamperCheck && receipt.status === 'processed' && (
                             <button
                               onClick={(e) => {
                                 e.stopPropagation();
@@ -897,6 +1721,21 @@ function App() {
                               )}
                             </button>
                           )}
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleDeleteReceipt(receipt.id);
+                            }}
+                            disabled={deletingReceipt === receipt.id}
+                            className="p-1.5 sm:p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded touch-target"
+                            title="Delete receipt"
+                          >
+                            {deletingReceipt === receipt.id ? (
+                              <Loader2 className="w-4 h-4 animate-spin" />
+                            ) : (
+                              <Trash2 className="w-4 h-4" />
+                            )}
+                          </button>
                         </div>
                       </div>
                       <div className="space-y-1 sm:space-y-2">
@@ -909,12 +1748,68 @@ function App() {
                           </span>
                         </div>
                         <p className="text-xs sm:text-sm text-gray-600 truncate">
-                          {receipt.ocrData?.merchant || 'Unknown merchant'}
+                          {receipt.status === 'processing'
+                            ? `Reading ${receipt.originalName || 'receipt'}...`
+                            : receipt.ocrData?.merchant || 'Unknown merchant'}
                         </p>
+                        {formatSourcePages(receipt) && (
+                          <p className="text-[10px] sm:text-xs text-gray-400 truncate" title={receipt.originalName}>
+                            <FileText className="w-3 h-3 inline mr-1" />
+                            {formatSourcePages(receipt)}
+                          </p>
+                        )}
+                        {receipt.status === 'needs_review' && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setShowReceiptDetail(receipt);
+                              startEditingReceipt(receipt);
+                            }}
+                            className="text-xs text-amber-700 font-medium hover:underline"
+                          >
+                            Couldn't read {formatFieldList(receipt.missingFields?.length ? receipt.missingFields : ['details'])} - enter it
+                          </button>
+                        )}
+                        {receipt.status === 'failed' && (
+                          <div className="flex items-center justify-between gap-2 text-xs text-red-600">
+                            <span className="truncate" title={receipt.processingError}>
+                              {receipt.processingError || 'Processing failed'}
+                            </span>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleReprocess(receipt.id);
+                              }}
+                              className="flex items-center gap-1 font-medium hover:underline flex-shrink-0"
+                            >
+                              <RefreshCw className="w-3.5 h-3.5" />
+                              Retry
+                            </button>
+                          </div>
+                        )}
+                        {receipt.policyViolations?.length > 0 && (
+                          <p
+                            className={`flex items-center gap-1 text-xs ${
+                              receipt.policyViolations.some(v => v.severity === 'block') ? 'text-red-600' : 'text-yellow-700'
+                            }`}
+                            title={receipt.policyViolations.map(v => `${v.name}: ${v.message}`).join('\n')}
+                          >
+                            <AlertCircle className="w-3.5 h-3.5 flex-shrink-0" />
+                            <span className="truncate">
+                              {receipt.policyViolations.length === 1
+                                ? receipt.policyViolations[0].name
+                                : `${receipt.policyViolations.length} policy issues`}
+                            </span>
+                          </p>
+                        )}
                         {receipt.ocrData?.confidence && (
                           <div className="flex justify-between items-center mt-1">
-                            <div className="text-[10px] sm:text-xs text-gray-400">
+                            <div
+                              className={`text-[10px] sm:text-xs ${receipt.ocrReview?.uncertainFields?.length ? 'text-amber-600' : 'text-gray-400'}`}
+                              title={receipt.ocrReview?.uncertainFields?.length ? `Please check: ${formatFieldList(receipt.ocrReview.uncertainFields)}` : undefined}
+                            >
                               AI: {Math.round(receipt.ocrData.confidence * 100)}%
+                              {receipt.ocrReview?.uncertainFields?.length > 0 && ' · check'}
                             </div>
                             {receipt.fileSize && (
                               <div className="text-[10px] sm:text-xs text-gray-400 font-medium">
@@ -952,8 +1847,11 @@ function App() {
                         <span className="text-xs text-gray-500">{expense.receiptCount} receipts</span>
                       </div>
                       <h3 className="text-xl sm:text-2xl font-bold text-gray-900">
-                        {formatCurrency(expense.total, expense.receipts?.[0]?.ocrData?.currency)}
+                        {formatCurrency(expense.total, expense.currency || expense.receipts?.[0]?.ocr_data?.currency)}
                       </h3>
+                      {formatOriginalAmounts(expense) && (
+                        <p className="text-xs text-gray-500">Original: {formatOriginalAmounts(expense)}</p>
+                      )}
                       <p className="text-xs sm:text-sm text-gray-500 mt-1">
                         Submitted: {formatDate(expense.submittedAt)}
                       </p>
@@ -963,15 +1861,16 @@ function App() {
                         ? 'bg-green-100 text-green-800'
                         : expense.status === 'rejected'
                         ? 'bg-red-100 text-red-800'
-                        : expense.status === 'pending_verification'
+                        : expense.status?.startsWith('pending_')
                         ? 'bg-yellow-100 text-yellow-800'
                         : 'bg-gray-100 text-gray-800'
                     }`}>
                       <Clock className="w-3.5 h-3.5" />
-                      <span className="hidden sm:inline">{expense.status?.replace('_', ' ')}</span>
-                      <span className="sm:hidden">{expense.status?.replace('_', ' ').split(' ')[0]}</span>
+                      <span className="hidden sm:inline">{formatStatus(expense.status)}</span>
+                      <span className="sm:hidden">{formatStatus(expense.status)?.split(' ')[0]}</span>
                     </span>
                   </div>
+                  {renderApprovalSteps(expense)}
                   {expense.notes && (
                     <p className="text-gray-600 text-xs sm:text-sm mb-4 bg-gray-50 p-2 sm:p-3 rounded-lg">
                       {expense.notes}
@@ -983,7 +1882,7 @@ function App() {
                       <div className="flex flex-wrap gap-2">
                         {Object.entries(expense.categoryBreakdown).map(([cat, amount]) => (
                           <span key={cat} className="text-xs bg-gray-100 px-2 py-1 rounded">
-                            {cat}: {formatCurrency(amount, expense.receipts?.[0]?.ocrData?.currency)}
+                            {cat}: {formatCurrency(breakdownAmount(amount), expense.currency || expense.receipts?.[0]?.ocr_data?.currency)}
                           </span>
                         ))}
                       </div>
@@ -995,6 +1894,8 @@ function App() {
           </div>
         )}
 
+        {currentView === 'approvals' && renderApprovals()}
+
         {currentView === 'analytics' && renderAnalytics()}
       </main>
 